@@ -1,9 +1,48 @@
-import app from "./src/index.js";
-import * as db from "./src/data/db.js";
+import { getConfig } from "./src/util/config.js";
 
-db.connect(process.env.DB_URI);
-const PORT = process.env.PORT || 3000;
+// fail fast, before anything else reads the configuration
+let config;
+try {
+  config = getConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
-app.listen(PORT, () => {
-  console.log(`Roster API at http://localhost:${PORT}/`);
+const { createApp } = await import("./src/index.js");
+const db = await import("./src/data/db.js");
+const { gracefulShutdown } = await import("./src/util/shutdown.js");
+const { logger } = await import("./src/util/logger.js");
+const { getKeyStore } = await import("./src/util/keys.js");
+
+try {
+  getKeyStore().startRotation(config.jwt.keyRotationHours);
+} catch (err) {
+  logger.error("Could not load the signing keys", { err });
+  process.exit(1);
+}
+
+try {
+  await db.connectWithRetry(config.db.uri);
+} catch (err) {
+  logger.error("Could not connect to MongoDB", { err });
+  process.exit(1);
+}
+
+const server = createApp({ config }).listen(config.port, () => {
+  console.log(`Roster API at http://localhost:${config.port}/`);
 });
+
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, async () => {
+    logger.info(`Received ${signal}, shutting down`);
+    getKeyStore().stopRotation();
+    try {
+      await gracefulShutdown(server, { cleanup: db.disconnect });
+      process.exit(0);
+    } catch (err) {
+      logger.error("Could not shut down gracefully", { err });
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,131 @@
+import MongoAuditRepository from "./MongoAuditRepository.js";
+import ApiError from "../model/ApiError.js";
+import { z } from "zod";
+import { AuditAction } from "../model/AuditAction.js";
+import { validObjectId } from "../model/schemas.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+export const REDACTED = "[REDACTED]";
+const SECRET_FIELDS = ["password"];
+
+export const MAX_LIMIT = 100;
+
+const validLimit = z.number().int().min(1).max(MAX_LIMIT);
+const validOffset = z.number().int().min(0);
+const validAction = z.nativeEnum(AuditAction);
+const validDate = z.date().refine((date) => !isNaN(date), "Invalid Date!");
+
+// return the changes of the given fields from before to after, e.g.
+// [{ field: "name", from: "Ann", to: "Anne" }]; fields not in after are
+// left out and secret fields are redacted
+export const toChanges = (before, after) =>
+  Object.keys(after)
+    .filter((field) => after[field] !== undefined)
+    .filter((field) => !before || before[field] !== after[field])
+    .map((field) =>
+      SECRET_FIELDS.includes(field)
+        ? {
+            field,
+            from: before && before[field] ? REDACTED : null,
+            to: REDACTED,
+          }
+        : {
+            field,
+            from: before ? before[field] : null,
+            to: after[field],
+          }
+    );
+
+// return the filter of the criteria (see AuditRepository)
+// throws ApiError if any of the criteria is invalid
+const toFilter = ({ actor, target, action, from, to }) => {
+  if (actor !== undefined && !validObjectId.safeParse(actor).success) {
+    throw new ApiError(400, "Invalid Actor ID!");
+  }
+
+  if (target !== undefined && !validObjectId.safeParse(target).success) {
+    throw new ApiError(400, "Invalid Target ID!");
+  }
+
+  if (action !== undefined && !validAction.safeParse(action).success) {
+    throw new ApiError(400, "Invalid Action!");
+  }
+
+  if (from !== undefined && !validDate.safeParse(from).success) {
+    throw new ApiError(400, "Invalid From Date!");
+  }
+
+  if (to !== undefined && !validDate.safeParse(to).success) {
+    throw new ApiError(400, "Invalid To Date!");
+  }
+
+  return { actor, target, action, from, to };
+};
+
+class AuditDao {
+  // repository stores the events (see AuditRepository), in MongoDB unless
+  // given
+  constructor({ repository = new MongoAuditRepository() } = {}) {
+    this.repository = repository;
+  }
+
+  // return the recorded event
+  // context is { actor, ip } of the request that caused the action
+  async record({ action, target, changes, details }, { actor, ip } = {}) {
+    debug(`Recording ${action}..`);
+    const event = await this.repository.insert({
+      action,
+      actor: actor || null,
+      target: target || null,
+      changes,
+      details,
+      ip,
+    });
+    return event;
+  }
+
+  // like record(), but a failure to record is logged instead of thrown,
+  // so it does not fail the action being audited
+  async tryRecord(event, context) {
+    try {
+      await this.record(event, context);
+    } catch (err) {
+      debug("Could not record the audit event..");
+      debug(err);
+    }
+  }
+
+  // return the events matching the given criteria, newest first:
+  // actor, target, action and a date range (from, to); optionally paginated
+  // throws ApiError if any of the criteria is invalid
+  async readAll({ limit, offset, ...criteria } = {}) {
+    const filter = toFilter(criteria);
+    if (offset !== undefined && !validOffset.safeParse(offset).success) {
+      throw new ApiError(400, "Invalid Offset!");
+    }
+
+    if (limit !== undefined && !validLimit.safeParse(limit).success) {
+      throw new ApiError(400, `Limit should be between 1 and ${MAX_LIMIT}.`);
+    }
+
+    debug("Reading audit events..");
+    return this.repository.find(filter, { offset, limit });
+  }
+
+  // return the number of events matching the given criteria (see readAll)
+  // throws ApiError if any of the criteria is invalid
+  async count(criteria = {}) {
+    const filter = toFilter(criteria);
+    debug("Counting audit events..");
+    return this.repository.count(filter);
+  }
+
+  async deleteAll() {
+    debug("Deleting all audit events..");
+    await this.repository.removeAll();
+  }
+}
+
+export default AuditDao;
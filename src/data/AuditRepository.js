@@ -0,0 +1,35 @@
+// The storage behind AuditDao. AuditDao validates its input and redacts the
+// secrets; a repository only stores and finds the events. Implementations
+// extend this class and override every method.
+//
+// An event is { _id, id, action, actor, target, changes, details, ip,
+// createdAt, __v }, where id is _id as a string.
+//
+// A filter is { actor, target, action, from, to } as checked by AuditDao:
+// from and to bound the creation date, both included. Every attribute is
+// optional.
+
+class AuditRepository {
+  // return the stored event; actor and target are null unless given, and
+  // changes is empty unless given
+  async insert({ action, actor, target, changes, details, ip }) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the events matching the filter, newest first (by createdAt,
+  // then _id); the events are skipped (offset) and capped (limit)
+  async find(filter, { offset, limit } = {}) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the number of events matching the filter
+  async count(filter) {
+    throw new Error("Not implemented!");
+  }
+
+  async removeAll() {
+    throw new Error("Not implemented!");
+  }
+}
+
+export default AuditRepository;
@@ -0,0 +1,194 @@
+import Course from "../model/Course.js";
+import Enrollment from "../model/Enrollment.js";
+import Group from "../model/Group.js";
+import UserDao from "./UserDao.js";
+import ApiError, { ErrorCode } from "../model/ApiError.js";
+import { validCode, validObjectId, validTitle } from "../model/schemas.js";
+import { factory } from "../util/debug.js";
+import { canTeach } from "../model/permissions.js";
+
+const debug = factory(import.meta.url);
+
+class CourseDao {
+  // the instructors of the courses are looked up through the userDao
+  constructor({ userDao = new UserDao() } = {}) {
+    this.userDao = userDao;
+  }
+
+  // return the created course
+  // throws ApiError when title, code or instructor is invalid
+  async create({ title, code, instructor }) {
+    debug("Validating the title..");
+    let result = validTitle.safeParse(title);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Title!");
+    }
+
+    debug("Validating the code..");
+    result = validCode.safeParse(code);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Code!");
+    }
+    result = await this.readAll({ code });
+    if (result.length > 0) {
+      throw new ApiError(400, "Course code already in use!", {
+        code: ErrorCode.AlreadyExists,
+      });
+    }
+
+    debug("Validating the instructor..");
+    await this.validateInstructor(instructor);
+
+    debug("Creating the course document..");
+    const course = await Course.create({ title, code, instructor });
+    return course;
+  }
+
+  // return all courses matching the given title, code and instructor
+  // throws ApiError if instructor is not a valid ID
+  async readAll({ title, code, instructor } = {}) {
+    const filter = {};
+    if (title) {
+      filter.title = title;
+    }
+
+    if (code) {
+      filter.code = code;
+    }
+
+    if (instructor) {
+      const result = validObjectId.safeParse(instructor);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Instructor ID!");
+      }
+      filter.instructor = instructor;
+    }
+
+    debug("Reading all course documents..");
+    const courses = await Course.find(filter);
+    return courses;
+  }
+
+  // return the course with the given id
+  // throws ApiError if id is invalid or resource does not exist in our database
+  async read(id) {
+    debug("Validating the document id..");
+    const result = validObjectId.safeParse(id);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Reading the course document..");
+    const course = await Course.findById(id);
+    if (!course) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    return course;
+  }
+
+  // return the updated course
+  // throws ApiError if id is invalid or resource does not exist in our database
+  async update({ id, title, code, instructor }) {
+    debug("Validating the document id..");
+    let result = validObjectId.safeParse(id);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    if (title !== undefined) {
+      debug("Validating the title..");
+      result = validTitle.safeParse(title);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Title!");
+      }
+    }
+
+    if (code !== undefined) {
+      debug("Validating the code..");
+      result = validCode.safeParse(code);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Code!");
+      }
+
+      result = await this.readAll({ code });
+      if (result.some((course) => course.id !== id)) {
+        throw new ApiError(400, "Course code already in use!", {
+          code: ErrorCode.AlreadyExists,
+        });
+      }
+    }
+
+    if (instructor !== undefined) {
+      debug("Validating the instructor..");
+      await this.validateInstructor(instructor);
+    }
+
+    debug("Updating the course document..");
+    const course = await Course.findByIdAndUpdate(
+      id,
+      { title, code, instructor },
+      { new: true, runValidators: true }
+    );
+    if (!course) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    return course;
+  }
+
+  // return the deleted course; its enrollments and groups are deleted too
+  // throws ApiError if id is invalid or resource does not exist
+  async delete(id) {
+    debug("Validating the document id..");
+    const result = validObjectId.safeParse(id);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Deleting the course document..");
+    const course = await Course.findByIdAndDelete(id);
+    if (!course) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    debug("Deleting the course enrollments..");
+    await Enrollment.deleteMany({ course: id });
+
+    debug("Deleting the course groups..");
+    await Group.deleteMany({ course: id });
+
+    return course;
+  }
+
+  // throws ApiError unless id belongs to an existing user who may teach a
+  // course (see canTeach), e.g. an instructor or admin
+  async validateInstructor(id) {
+    const result = validObjectId.safeParse(id);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Instructor ID!");
+    }
+
+    let user;
+    try {
+      user = await this.userDao.read(id);
+    } catch (err) {
+      if (err.status !== 404) {
+        throw err;
+      }
+    }
+    if (!user || !canTeach(user.role)) {
+      throw new ApiError(
+        400,
+        "Course instructor must be an instructor or admin!"
+      );
+    }
+  }
+
+  async deleteAll() {
+    debug("Deleting all course documents..");
+    await Course.deleteMany({});
+  }
+}
+
+export default CourseDao;
@@ -0,0 +1,162 @@
+import Enrollment from "../model/Enrollment.js";
+import Course from "../model/Course.js";
+import Group from "../model/Group.js";
+import UserDao, { hidePassword } from "./UserDao.js";
+import ApiError, { ErrorCode } from "../model/ApiError.js";
+import { validObjectId } from "../model/schemas.js";
+import { factory } from "../util/debug.js";
+import { canEnroll } from "../model/permissions.js";
+
+const debug = factory(import.meta.url);
+
+// the course of an enrollment is populated; the student is read through
+// the UserDao (see withStudents)
+const populate = (query) => query.populate("course", "-__v");
+
+class EnrollmentDao {
+  constructor({ userDao = new UserDao() } = {}) {
+    this.userDao = userDao;
+  }
+
+  // return the student with the given id, without the password, or null if
+  // the student has been deleted
+  async readStudent(id) {
+    try {
+      return hidePassword(await this.userDao.read(id.toString()));
+    } catch (err) {
+      if (err.status === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // return a copy of each enrollment with its student, without the
+  // password, or null if the student has been deleted; the students are
+  // read in one lookup
+  async withStudents(enrollments) {
+    const students = await this.userDao.readMany(
+      enrollments.map((enrollment) => enrollment.student)
+    );
+    return enrollments.map((enrollment) => {
+      const student = students.get(enrollment.student.toString());
+      const copy = {
+        ...enrollment._doc,
+        student: student ? hidePassword(student) : null,
+      };
+      Object.defineProperty(copy, "id", { value: enrollment.id });
+      return copy;
+    });
+  }
+
+  // return a copy of the enrollment with its student (see withStudents)
+  async withStudent(enrollment) {
+    const [copy] = await this.withStudents([enrollment]);
+    return copy;
+  }
+
+  // return the created enrollment
+  // throws ApiError if course or student is invalid, does not exist,
+  // the user is not a student, or is already enrolled in the course
+  async create({ course, student }) {
+    debug("Validating the course id..");
+    let result = validObjectId.safeParse(course);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Course ID!");
+    }
+
+    debug("Validating the student id..");
+    result = validObjectId.safeParse(student);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Student ID!");
+    }
+
+    debug("Reading the course document..");
+    if (!(await Course.exists({ _id: course }))) {
+      throw new ApiError(404, "Course not found!");
+    }
+
+    debug("Reading the student..");
+    const user = await this.readStudent(student);
+    if (!user) {
+      throw new ApiError(404, "Student not found!");
+    }
+    if (!canEnroll(user.role)) {
+      throw new ApiError(400, "Only students can be enrolled in a course!");
+    }
+
+    if (await Enrollment.exists({ course, student })) {
+      throw new ApiError(400, "Student is already enrolled in this course!", {
+        code: ErrorCode.AlreadyExists,
+      });
+    }
+
+    debug("Creating the enrollment document..");
+    const enrollment = await Enrollment.create({ course, student });
+    return this.withStudent(await populate(Enrollment.findById(enrollment.id)));
+  }
+
+  // return all enrollments in the given course and/or of the given student;
+  // the enrollments of deleted students are left out
+  // throws ApiError if course or student is not a valid ID
+  async readAll({ course, student } = {}) {
+    const filter = {};
+    if (course) {
+      const result = validObjectId.safeParse(course);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Course ID!");
+      }
+      filter.course = course;
+    }
+
+    if (student) {
+      const result = validObjectId.safeParse(student);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Student ID!");
+      }
+      filter.student = student;
+    }
+
+    debug("Reading all enrollment documents..");
+    const enrollments = await populate(Enrollment.find(filter));
+    const result = await this.withStudents(enrollments);
+    return result.filter((enrollment) => enrollment.student);
+  }
+
+  // return the deleted enrollment; the student leaves the course groups
+  // (the student of the enrollment is null if it has been deleted)
+  // throws ApiError if course or student is invalid or not enrolled
+  async delete({ course, student }) {
+    debug("Validating the course id..");
+    let result = validObjectId.safeParse(course);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Course ID!");
+    }
+
+    debug("Validating the student id..");
+    result = validObjectId.safeParse(student);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Student ID!");
+    }
+
+    debug("Deleting the enrollment document..");
+    const enrollment = await populate(
+      Enrollment.findOneAndDelete({ course, student })
+    );
+    if (!enrollment) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    debug("Removing the student from the course groups..");
+    await Group.updateMany({ course }, { $pull: { members: student } });
+
+    return this.withStudent(enrollment);
+  }
+
+  async deleteAll() {
+    debug("Deleting all enrollment documents..");
+    await Enrollment.deleteMany({});
+  }
+}
+
+export default EnrollmentDao;
@@ -0,0 +1,341 @@
+import Group from "../model/Group.js";
+import Course from "../model/Course.js";
+import UserDao, { hidePassword } from "./UserDao.js";
+import EnrollmentDao from "./EnrollmentDao.js";
+import ApiError, { ErrorCode } from "../model/ApiError.js";
+import {
+  validCapacity,
+  validEmail,
+  validGroupType,
+  validName,
+  validObjectId,
+  validTeamCount,
+} from "../model/schemas.js";
+import { GroupType } from "../model/GroupType.js";
+import { UserRole } from "../model/UserRole.js";
+import { splitIntoTeams } from "../util/teams.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// throws ApiError unless capacity is null (no limit) or a positive integer
+const validateCapacity = (capacity) => {
+  if (capacity !== null && !validCapacity.safeParse(capacity).success) {
+    throw new ApiError(400, "Invalid Capacity!");
+  }
+};
+
+// throws ApiError unless course is the id of an existing course
+const validateCourse = async (course) => {
+  if (!validObjectId.safeParse(course).success) {
+    throw new ApiError(400, "Invalid Course ID!");
+  }
+  if (!(await Course.exists({ _id: course }))) {
+    throw new ApiError(404, "Course not found!");
+  }
+};
+
+// Groups split a class into sections, teams or labs. Members are looked up
+// through the UserDao, so a group only ever gets existing, active users.
+class GroupDao {
+  constructor({
+    userDao = new UserDao(),
+    enrollmentDao = new EnrollmentDao({ userDao }),
+    random = Math.random,
+  } = {}) {
+    this.userDao = userDao;
+    this.enrollmentDao = enrollmentDao;
+    this.random = random;
+  }
+
+  // return the created group, without members
+  // throws ApiError if name, type, course or capacity is invalid
+  async create({ name, type, course, capacity = null }) {
+    debug("Validating the name..");
+    if (!validName.safeParse(name).success) {
+      throw new ApiError(400, "Invalid Name!");
+    }
+
+    debug("Validating the type..");
+    if (!validGroupType.safeParse(type).success) {
+      throw new ApiError(
+        400,
+        `Invalid Type! Use one of ${Object.values(GroupType).join(", ")}.`
+      );
+    }
+
+    debug("Validating the capacity..");
+    validateCapacity(capacity);
+
+    if (course !== undefined && course !== null) {
+      debug("Validating the course..");
+      await validateCourse(course);
+    }
+
+    debug("Creating the group document..");
+    const group = await Group.create({ name, type, course, capacity });
+    return group;
+  }
+
+  // return all groups of the given type, in the given course and/or with
+  // the given member
+  // throws ApiError if type, course or member is invalid
+  async readAll({ type, course, member } = {}) {
+    const filter = {};
+    if (type) {
+      if (!validGroupType.safeParse(type).success) {
+        throw new ApiError(400, "Invalid Type!");
+      }
+      filter.type = type;
+    }
+
+    if (course) {
+      if (!validObjectId.safeParse(course).success) {
+        throw new ApiError(400, "Invalid Course ID!");
+      }
+      filter.course = course;
+    }
+
+    if (member) {
+      if (!validObjectId.safeParse(member).success) {
+        throw new ApiError(400, "Invalid Member ID!");
+      }
+      filter.members = member;
+    }
+
+    debug("Reading all group documents..");
+    const groups = await Group.find(filter).sort({ _id: 1 });
+    return groups;
+  }
+
+  // return the group with the given id
+  // throws ApiError if id is invalid or resource does not exist in our database
+  async read(id) {
+    debug("Validating the document id..");
+    if (!validObjectId.safeParse(id).success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Reading the group document..");
+    const group = await Group.findById(id);
+    if (!group) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    return group;
+  }
+
+  // return the members of the group with the given id, without their
+  // passwords; deleted users are left out
+  // throws ApiError if id is invalid or resource does not exist
+  async readMembers(id) {
+    const group = await this.read(id);
+
+    debug("Reading the group members..");
+    const users = await this.userDao.readMany(group.members);
+    return group.members
+      .map((member) => users.get(member.toString()))
+      .filter((user) => user)
+      .map((user) => hidePassword(user));
+  }
+
+  // return the updated group; capacity null lifts the limit
+  // throws ApiError if id, name or capacity is invalid, the group does not
+  // exist, or it has more members than the new capacity
+  async update({ id, name, capacity }) {
+    const group = await this.read(id);
+
+    if (name !== undefined) {
+      debug("Validating the name..");
+      if (!validName.safeParse(name).success) {
+        throw new ApiError(400, "Invalid Name!");
+      }
+    }
+
+    if (capacity !== undefined) {
+      debug("Validating the capacity..");
+      validateCapacity(capacity);
+      if (capacity !== null && group.members.length > capacity) {
+        throw new ApiError(
+          409,
+          `The group already has ${group.members.length} members!`
+        );
+      }
+    }
+
+    debug("Updating the group document..");
+    const filter = { _id: id };
+    if (capacity !== undefined && capacity !== null) {
+      // members may have joined since the group was read
+      filter[`members.${capacity}`] = { $exists: false };
+    }
+    const updated = await Group.findOneAndUpdate(
+      filter,
+      { name, capacity },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new ApiError(409, "The group has more members than the capacity!");
+    }
+
+    return updated;
+  }
+
+  // return the deleted group
+  // throws ApiError if id is invalid or resource does not exist
+  async delete(id) {
+    debug("Validating the document id..");
+    if (!validObjectId.safeParse(id).success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Deleting the group document..");
+    const group = await Group.findByIdAndDelete(id);
+    if (!group) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    return group;
+  }
+
+  // return the user given by id (user) or email
+  // throws ApiError if neither is valid or there is no such (active) user
+  async findUser({ user, email }) {
+    if (user !== undefined) {
+      return this.userDao.read(user);
+    }
+
+    debug("Validating the email..");
+    if (!validEmail.safeParse(email).success) {
+      throw new ApiError(400, "Invalid Email!");
+    }
+
+    const [found] = await this.userDao.readAll({ email });
+    if (!found) {
+      throw new ApiError(404, "User not found!");
+    }
+    return found;
+  }
+
+  // return the group with the user, given by id (user) or email, added
+  // throws ApiError if the group or user does not exist, the user is
+  // already a member (400) or the group is full (409)
+  async addMember({ id, user, email }) {
+    const group = await this.read(id);
+    const member = await this.findUser({ user, email });
+
+    if (group.members.some((other) => other.toString() === member.id)) {
+      throw new ApiError(400, "User is already a member of this group!", {
+        code: ErrorCode.AlreadyExists,
+      });
+    }
+
+    if (group.capacity !== null && group.members.length >= group.capacity) {
+      throw new ApiError(409, "The group is full!");
+    }
+
+    debug("Adding the member..");
+    const filter = { _id: id, members: { $ne: member.id } };
+    if (group.capacity !== null) {
+      // members may have joined since the group was read
+      filter[`members.${group.capacity - 1}`] = { $exists: false };
+    }
+    const updated = await Group.findOneAndUpdate(
+      filter,
+      { $push: { members: member.id } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ApiError(409, "The group is full!");
+    }
+
+    return updated;
+  }
+
+  // return the group with the user, given by id (user) or email, removed
+  // throws ApiError if the group does not exist, or the user is not a member
+  async removeMember({ id, user, email }) {
+    await this.read(id);
+
+    if (user === undefined) {
+      user = (await this.findUser({ email })).id;
+    } else if (!validObjectId.safeParse(user).success) {
+      // a deleted user can still be taken out by id
+      throw new ApiError(400, "Invalid User ID!");
+    }
+
+    debug("Removing the member..");
+    const group = await Group.findOneAndUpdate(
+      { _id: id, members: user },
+      { $pull: { members: user } },
+      { new: true }
+    );
+    if (!group) {
+      throw new ApiError(404, "User is not a member of this group!");
+    }
+
+    return group;
+  }
+
+  // return the teams created by dealing the students at random into the
+  // given number of teams, whose sizes differ by at most one; the students
+  // are those enrolled in the course, if given, or else all students
+  // throws ApiError if teams, course or capacity is invalid, or the teams
+  // can not hold all students
+  async assign({ teams, course, prefix = "Team", capacity = null }) {
+    debug("Validating the number of teams..");
+    if (!validTeamCount.safeParse(teams).success) {
+      throw new ApiError(400, "Invalid number of teams!");
+    }
+
+    debug("Validating the capacity..");
+    validateCapacity(capacity);
+
+    debug("Validating the prefix..");
+    if (!validName.safeParse(prefix).success) {
+      throw new ApiError(400, "Invalid Prefix!");
+    }
+
+    let students;
+    if (course !== undefined && course !== null) {
+      debug("Reading the course roster..");
+      await validateCourse(course);
+      const enrollments = await this.enrollmentDao.readAll({ course });
+      students = enrollments.map((enrollment) => enrollment.student);
+    } else {
+      debug("Reading all students..");
+      students = await this.userDao.readAll({ role: UserRole.Student });
+    }
+
+    if (capacity !== null && capacity * teams < students.length) {
+      throw new ApiError(
+        400,
+        `${teams} teams of ${capacity} can not hold ${students.length} students!`
+      );
+    }
+
+    debug("Creating the team documents..");
+    const members = splitIntoTeams(
+      students.map((student) => student.id),
+      teams,
+      this.random
+    );
+    const groups = await Group.insertMany(
+      members.map((team, index) => ({
+        name: `${prefix} ${index + 1}`,
+        type: GroupType.Team,
+        course,
+        capacity,
+        members: team,
+      }))
+    );
+    return groups;
+  }
+
+  async deleteAll() {
+    debug("Deleting all group documents..");
+    await Group.deleteMany({});
+  }
+}
+
+export default GroupDao;
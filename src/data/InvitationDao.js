@@ -0,0 +1,384 @@
+import Invitation from "../model/Invitation.js";
+import Course from "../model/Course.js";
+import UserDao from "./UserDao.js";
+import EnrollmentDao from "./EnrollmentDao.js";
+import ApiError, { ErrorCode } from "../model/ApiError.js";
+import { DeletedMode } from "../model/DeletedMode.js";
+import { ImportStatus } from "../model/ImportStatus.js";
+import { InvitationStatus } from "../model/InvitationStatus.js";
+import { UserRole } from "../model/UserRole.js";
+import {
+  validEmail,
+  validInvitationStatus,
+  validObjectId,
+  validRole,
+} from "../model/schemas.js";
+import { createMailer } from "../util/mailer.js";
+import { getConfig } from "../util/config.js";
+import { createRandomToken, hashToken } from "../util/token.js";
+import { systemClock } from "../util/clock.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+export const INVITATION_LIFETIME_DAYS = 7;
+export const MAX_BULK_INVITATIONS = 100;
+
+const LIFETIME = INVITATION_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+
+// the message of an invitation that was created, or renewed, but not emailed
+export const NOT_SENT = "The invitation could not be emailed, resend it!";
+
+// throws the ApiError of an email with a pending invitation
+const alreadyPending = () => {
+  throw new ApiError(400, "An invitation is already pending for this email!", {
+    code: ErrorCode.AlreadyExists,
+  });
+};
+
+// Invitations let instructors onboard users without picking their
+// passwords: the invitee gets a single-use token by email, which expires
+// after INVITATION_LIFETIME_DAYS, and accepts it with a name and password.
+// Like the other emailed tokens (see OneTimeTokenDao), the token is random
+// and only its hash is stored.
+class InvitationDao {
+  constructor({
+    userDao = new UserDao(),
+    enrollmentDao = new EnrollmentDao({ userDao }),
+    mailer = createMailer(getConfig().mail),
+    clock = systemClock,
+  } = {}) {
+    this.userDao = userDao;
+    this.enrollmentDao = enrollmentDao;
+    this.mailer = mailer;
+    this.clock = clock;
+  }
+
+  // return the status of the invitation (see InvitationStatus)
+  statusOf(invitation) {
+    if (invitation.acceptedAt) {
+      return InvitationStatus.Accepted;
+    }
+    if (invitation.revokedAt) {
+      return InvitationStatus.Revoked;
+    }
+    if (invitation.expiresAt.getTime() <= this.clock.now()) {
+      return InvitationStatus.Expired;
+    }
+    return InvitationStatus.Pending;
+  }
+
+  // return the MongoDB query of the invitations with the given status
+  toQuery(status) {
+    const now = new Date(this.clock.now());
+    switch (status) {
+      case InvitationStatus.Accepted:
+        return { acceptedAt: { $ne: null } };
+      case InvitationStatus.Revoked:
+        return { revokedAt: { $ne: null } };
+      case InvitationStatus.Expired:
+        return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+      default:
+        return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    }
+  }
+
+  // return the invitation after emailing the invitee the token to accept
+  // it with, and setting its sentAt; a failure to send is logged instead,
+  // like for a password reset, and leaves sentAt null, so that the
+  // invitation can be sent again (see resend)
+  async deliver(invitation, token) {
+    try {
+      await this.mailer.send({
+        to: invitation.email,
+        subject: "You are invited to the Roster API",
+        text:
+          `Hi,\n\n` +
+          `You have been invited to join the Roster API as ${invitation.role}.\n` +
+          `Use the following token to accept the invitation: ${token}\n` +
+          `e.g. POST /invitations/${token}/accept with your name and password\n` +
+          `It expires in ${INVITATION_LIFETIME_DAYS} days and can be used once.`,
+      });
+    } catch (err) {
+      debug("Could not send the invitation..");
+      debug(err);
+      return invitation;
+    }
+
+    debug("Recording the delivery of the invitation..");
+    const sent = await Invitation.findByIdAndUpdate(
+      invitation.id,
+      { sentAt: new Date(this.clock.now()) },
+      { new: true }
+    );
+    return sent || invitation;
+  }
+
+  // return the created invitation, after emailing it (see deliver); it
+  // replaces the expired invitations of the email, which are revoked
+  // role defaults to STUDENT; course, if given, is the course the invitee
+  // is enrolled in on accepting
+  // throws ApiError if email, role or course is invalid, the course does
+  // not exist, or the email already belongs to a user or a pending invitation
+  async create({ email, role = UserRole.Student, course, invitedBy }) {
+    debug("Validating the email..");
+    if (!validEmail.safeParse(email).success) {
+      throw new ApiError(400, "Invalid Email!");
+    }
+
+    debug("Validating the role..");
+    if (!validRole.safeParse(role).success) {
+      throw new ApiError(400, "Invalid Role!");
+    }
+
+    if (course !== undefined && course !== null) {
+      debug("Validating the course..");
+      if (!validObjectId.safeParse(course).success) {
+        throw new ApiError(400, "Invalid Course ID!");
+      }
+      if (!(await Course.exists({ _id: course }))) {
+        throw new ApiError(404, "Course not found!");
+      }
+    }
+
+    if (
+      (await this.userDao.count({ email, deleted: DeletedMode.Include })) > 0
+    ) {
+      throw new ApiError(400, "Email already in use!", {
+        code: ErrorCode.AlreadyExists,
+      });
+    }
+
+    if (await Invitation.exists({ email, ...this.toQuery() })) {
+      alreadyPending();
+    }
+
+    debug("Revoking the expired invitations of the email..");
+    await Invitation.updateMany(
+      { email, ...this.toQuery(InvitationStatus.Expired) },
+      { revokedAt: new Date(this.clock.now()) }
+    );
+
+    const token = createRandomToken();
+    debug("Creating the invitation document..");
+    let invitation;
+    try {
+      invitation = await Invitation.create({
+        email,
+        role,
+        course,
+        invitedBy,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(this.clock.now() + LIFETIME),
+      });
+    } catch (err) {
+      // another invitation for the email was created in the meantime, and
+      // the index of the pending emails rejects this one
+      if (err.code === 11000 && err.keyPattern?.email) {
+        alreadyPending();
+      }
+      throw err;
+    }
+    return this.deliver(invitation, token);
+  }
+
+  // return a report per email: { row, status, id }, with a message if the
+  // invitation could not be emailed, or, when the email can not be invited,
+  // { row, status, code, message }; rows are numbered from 1 and every
+  // invitation has the given role and course
+  // throws ApiError if emails is not an array or has too many emails
+  async createMany(emails, { role, course, invitedBy } = {}) {
+    if (!Array.isArray(emails)) {
+      throw new ApiError(400, "Expected an array of emails!");
+    }
+    if (emails.length > MAX_BULK_INVITATIONS) {
+      throw new ApiError(
+        400,
+        `Invite at most ${MAX_BULK_INVITATIONS} users at a time!`
+      );
+    }
+
+    const report = [];
+    for (const [index, email] of emails.entries()) {
+      const row = index + 1;
+      try {
+        const invitation = await this.create({
+          email,
+          role,
+          course,
+          invitedBy,
+        });
+        const created = {
+          row,
+          status: ImportStatus.Created,
+          id: invitation.id,
+        };
+        if (!invitation.sentAt) {
+          created.message = NOT_SENT;
+        }
+        report.push(created);
+      } catch (err) {
+        if (!(err instanceof ApiError)) {
+          throw err;
+        }
+        const { code, message } = err;
+        report.push({ row, status: ImportStatus.Failed, code, message });
+      }
+    }
+    return report;
+  }
+
+  // return all invitations with the given status and/or email, oldest first
+  // throws ApiError if status is invalid
+  async readAll({ status, email } = {}) {
+    let filter = {};
+    if (status) {
+      if (!validInvitationStatus.safeParse(status).success) {
+        throw new ApiError(400, "Invalid Status!");
+      }
+      filter = this.toQuery(status);
+    }
+
+    if (email) {
+      filter.email = email;
+    }
+
+    debug("Reading all invitation documents..");
+    const invitations = await Invitation.find(filter).sort({ _id: 1 });
+    return invitations;
+  }
+
+  // return the invitation with the given id
+  // throws ApiError if id is invalid or resource does not exist in our database
+  async read(id) {
+    debug("Validating the document id..");
+    if (!validObjectId.safeParse(id).success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Reading the invitation document..");
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    return invitation;
+  }
+
+  // return the invitation with a new token, after emailing it (see
+  // deliver); the earlier token no longer works and the invitation expires
+  // later
+  // throws ApiError if the invitation does not exist, or has been accepted
+  // or revoked (409)
+  async resend(id) {
+    const invitation = await this.read(id);
+    const status = this.statusOf(invitation);
+    if (
+      status === InvitationStatus.Accepted ||
+      status === InvitationStatus.Revoked
+    ) {
+      throw new ApiError(409, `The invitation has been ${status}!`);
+    }
+
+    const token = createRandomToken();
+    debug("Renewing the invitation token..");
+    const renewed = await Invitation.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(this.clock.now() + LIFETIME),
+        sentAt: null,
+      },
+      { new: true }
+    );
+    if (!renewed) {
+      throw new ApiError(409, "The invitation has changed in the meantime!");
+    }
+
+    return this.deliver(renewed, token);
+  }
+
+  // return the revoked invitation; its token no longer works
+  // throws ApiError if the invitation does not exist, or has been accepted
+  // or revoked (409)
+  async revoke(id) {
+    const invitation = await this.read(id);
+
+    debug("Revoking the invitation..");
+    const revoked = await Invitation.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date(this.clock.now()) },
+      { new: true }
+    );
+    if (!revoked) {
+      throw new ApiError(
+        409,
+        `The invitation has been ${this.statusOf(invitation)}!`
+      );
+    }
+
+    return revoked;
+  }
+
+  // return the user created with the email and role of the invitation
+  // whose token is given, and the given name and password; the token came
+  // by email, so the email counts as verified. The user is enrolled in the
+  // course of the invitation, if any
+  // throws ApiError if the token is unknown, expired, revoked or already
+  // used, or the user can not be created (see UserDao.create)
+  async accept({ token, name, password }, context = {}) {
+    const now = new Date(this.clock.now());
+
+    debug("Consuming the invitation..");
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      },
+      { acceptedAt: now },
+      { new: true }
+    );
+    if (!invitation) {
+      throw new ApiError(400, "Invalid or expired invitation!");
+    }
+
+    let user;
+    try {
+      const { email, role } = invitation;
+      user = await this.userDao.create(
+        { name, email, password, role, emailVerified: true },
+        context
+      );
+    } catch (err) {
+      debug("Could not create the user, the invitation stays pending..");
+      await Invitation.updateOne({ _id: invitation.id }, { acceptedAt: null });
+      throw err;
+    }
+
+    await Invitation.updateOne({ _id: invitation.id }, { user: user.id });
+
+    if (invitation.course && invitation.role === UserRole.Student) {
+      try {
+        await this.enrollmentDao.create({
+          course: invitation.course.toString(),
+          student: user.id,
+        });
+      } catch (err) {
+        // e.g. the course has been deleted since; the account still counts
+        debug("Could not enroll the invited student..");
+        debug(err);
+      }
+    }
+
+    return user;
+  }
+
+  async deleteAll() {
+    debug("Deleting all invitation documents..");
+    await Invitation.deleteMany({});
+  }
+}
+
+export default InvitationDao;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import AuditRepository from "./AuditRepository.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// return whether the event matches the filter (see AuditRepository)
+const isMatch = (event, { actor, target, action, from, to }) =>
+  (actor === undefined || event.actor === actor) &&
+  (target === undefined || event.target === target) &&
+  (action === undefined || event.action === action) &&
+  (from === undefined || event.createdAt >= from) &&
+  (to === undefined || event.createdAt <= to);
+
+// newest first; ObjectIds of the same length sort like their hex strings
+const newestFirst = (a, b) =>
+  b.createdAt - a.createdAt || (a._id < b._id ? 1 : a._id > b._id ? -1 : 0);
+
+// return a copy of the stored event, so that changing it does not change
+// the store; id is not enumerable, like the virtual of a mongoose document
+const toEvent = (event) => {
+  const copy = {
+    ...event,
+    changes: event.changes.map((change) => ({ ...change })),
+  };
+  Object.defineProperty(copy, "id", { value: event._id });
+  return copy;
+};
+
+// Stores the events in memory, like MemoryUserRepository does the users
+class MemoryAuditRepository extends AuditRepository {
+  constructor() {
+    super();
+    // in the order they were recorded
+    this.events = [];
+  }
+
+  async insert({ action, actor, target, changes = [], details, ip }) {
+    debug(`Recording ${action}..`);
+    const event = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      action,
+      actor: actor ? String(actor) : null,
+      target: target ? String(target) : null,
+      changes: changes.map(({ field, from, to }) => ({ field, from, to })),
+      details,
+      ip,
+      createdAt: new Date(),
+      __v: 0,
+    };
+    this.events.push(event);
+    return toEvent(event);
+  }
+
+  async find(filter, { offset, limit } = {}) {
+    debug("Reading audit events..");
+    let events = this.events
+      .filter((event) => isMatch(event, filter))
+      .sort(newestFirst)
+      .slice(offset || 0);
+    if (limit !== undefined) {
+      events = events.slice(0, limit);
+    }
+    return events.map(toEvent);
+  }
+
+  async count(filter) {
+    debug("Counting audit events..");
+    return this.events.filter((event) => isMatch(event, filter)).length;
+  }
+
+  async removeAll() {
+    debug("Deleting all audit events..");
+    this.events = [];
+  }
+}
+
+export default MemoryAuditRepository;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import OneTimeTokenRepository from "./OneTimeTokenRepository.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// return a copy of the stored token, so that changing it does not change
+// the store; id is not enumerable, like the virtual of a mongoose document
+const toToken = (token) => {
+  const copy = { ...token };
+  Object.defineProperty(copy, "id", { value: token._id });
+  return copy;
+};
+
+// Stores the tokens in memory, like MemoryUserRepository does the users;
+// unlike MongoDB, it keeps the expired tokens until they are removed
+class MemoryOneTimeTokenRepository extends OneTimeTokenRepository {
+  constructor() {
+    super();
+    // by _id
+    this.tokens = new Map();
+  }
+
+  async insert({ user, purpose, tokenHash, expiresAt }) {
+    debug("Creating the token..");
+    const now = new Date();
+    const token = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      user: String(user),
+      purpose,
+      tokenHash,
+      expiresAt,
+      usedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.tokens.set(token._id, token);
+    return toToken(token);
+  }
+
+  async use(tokenHash, purpose, now) {
+    for (const token of this.tokens.values()) {
+      if (
+        token.tokenHash === tokenHash &&
+        token.purpose === purpose &&
+        token.usedAt === null &&
+        token.expiresAt > now
+      ) {
+        debug("Marking the token as used..");
+        token.usedAt = now;
+        token.updatedAt = new Date();
+        return toToken(token);
+      }
+    }
+    return null;
+  }
+
+  async remove({ user, purpose }) {
+    debug("Removing the tokens of the user..");
+    let count = 0;
+    for (const token of [...this.tokens.values()]) {
+      if (token.user === String(user) && token.purpose === purpose) {
+        this.tokens.delete(token._id);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async removeAll() {
+    debug("Deleting all tokens..");
+    this.tokens.clear();
+  }
+}
+
+export default MemoryOneTimeTokenRepository;
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import SessionRepository from "./SessionRepository.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// return a copy of the stored session, so that changing it does not change
+// the store; id is not enumerable, like the virtual of a mongoose document
+const toSession = (session) => {
+  const copy = {
+    ...session,
+    usedRefreshTokenHashes: [...session.usedRefreshTokenHashes],
+  };
+  Object.defineProperty(copy, "id", { value: session._id });
+  return copy;
+};
+
+// Stores the sessions in memory, like MemoryUserRepository does the users;
+// unlike MongoDB, it keeps the expired sessions until removeAll()
+class MemorySessionRepository extends SessionRepository {
+  constructor() {
+    super();
+    // by _id
+    this.sessions = new Map();
+  }
+
+  async insert({ user, refreshTokenHash, expiresAt }) {
+    debug("Creating the session..");
+    const now = new Date();
+    const session = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      user: String(user),
+      refreshTokenHash,
+      usedRefreshTokenHashes: [],
+      expiresAt,
+      revokedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.sessions.set(session._id, session);
+    return toSession(session);
+  }
+
+  async findById(id) {
+    debug("Reading the session..");
+    const session = this.sessions.get(String(id));
+    return session ? toSession(session) : null;
+  }
+
+  async replaceHash(id, { from, to }, now) {
+    const session = this.sessions.get(String(id));
+    if (
+      !session ||
+      session.refreshTokenHash !== from ||
+      session.revokedAt !== null ||
+      session.expiresAt <= now
+    ) {
+      return null;
+    }
+
+    debug("Replacing the refresh token hash..");
+    session.refreshTokenHash = to;
+    session.usedRefreshTokenHashes.push(from);
+    session.updatedAt = new Date();
+    return toSession(session);
+  }
+
+  async revoke(id, now) {
+    const session = this.sessions.get(String(id));
+    if (!session) {
+      return null;
+    }
+
+    debug("Revoking the session..");
+    session.revokedAt = now;
+    session.updatedAt = new Date();
+    return toSession(session);
+  }
+
+  async revokeAll(user, now) {
+    debug("Revoking the sessions of the user..");
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (session.user === String(user) && session.revokedAt === null) {
+        session.revokedAt = now;
+        session.updatedAt = new Date();
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async removeAll() {
+    debug("Deleting all sessions..");
+    this.sessions.clear();
+  }
+}
+
+export default MemorySessionRepository;
@@ -0,0 +1,228 @@
+import mongoose from "mongoose";
+import UserRepository from "./UserRepository.js";
+import { MatchMode } from "../model/MatchMode.js";
+import { DeletedMode } from "../model/DeletedMode.js";
+import { UserRole } from "../model/UserRole.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// the words of a text, e.g. "Ann Lee <ann@example.com>" =>
+// ["ann", "lee", "ann", "example", "com"]
+const toWords = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 0);
+
+// prefix and contains matches are case-insensitive, like in MongoDB
+const matches = (value, expected, match) => {
+  if (match === MatchMode.Exact) {
+    return value === expected;
+  }
+  value = value.toLowerCase();
+  expected = expected.toLowerCase();
+  return match === MatchMode.Prefix
+    ? value.startsWith(expected)
+    : value.includes(expected);
+};
+
+// return whether the user matches the filter (see UserRepository); the
+// free text search matches whole words of the name or email, without the
+// stemming of a MongoDB text index
+const isMatch = (
+  user,
+  { name, email, role, domain, q, match, deleted, deletedUntil }
+) => {
+  if (deleted === DeletedMode.Exclude && user.deletedAt !== null) {
+    return false;
+  }
+  if (deleted === DeletedMode.Only && user.deletedAt === null) {
+    return false;
+  }
+  if (
+    deletedUntil !== undefined &&
+    (user.deletedAt === null || user.deletedAt > deletedUntil)
+  ) {
+    return false;
+  }
+  if (name && !matches(user.name, name, match)) {
+    return false;
+  }
+  if (email && !matches(user.email, email, match)) {
+    return false;
+  }
+  if (
+    domain &&
+    !user.email.toLowerCase().endsWith(`@${domain.toLowerCase()}`)
+  ) {
+    return false;
+  }
+  if (role && user.role !== role) {
+    return false;
+  }
+  if (q !== undefined) {
+    const words = toWords(`${user.name} ${user.email}`);
+    return toWords(q).some((word) => words.includes(word));
+  }
+  return true;
+};
+
+// e.g. { name: 1, _id: -1 } => a comparator for Array.prototype.sort
+const toComparator = (sort) => (a, b) => {
+  for (const [field, order] of Object.entries(sort)) {
+    if (a[field] < b[field]) {
+      return -order;
+    }
+    if (a[field] > b[field]) {
+      return order;
+    }
+  }
+  return 0;
+};
+
+// return a copy of the stored user, so that changing it does not change
+// the store; id is not enumerable, like the virtual of a mongoose document
+const toUser = (user, fields) => {
+  const copy = fields
+    ? Object.fromEntries(
+        ["_id", ...fields].map((field) => [field, user[field]])
+      )
+    : { ...user };
+  Object.defineProperty(copy, "id", { value: user._id });
+  return copy;
+};
+
+// Stores the users in memory, e.g. to run the app or its tests without a
+// database; the users are gone when the process ends
+class MemoryUserRepository extends UserRepository {
+  constructor() {
+    super();
+    // by _id, in the order the users were created
+    this.users = new Map();
+  }
+
+  select(filter) {
+    return [...this.users.values()].filter((user) => isMatch(user, filter));
+  }
+
+  // throws Error if another user has the email, like a unique index would
+  checkUnique(email, id) {
+    for (const user of this.users.values()) {
+      if (user.email === email && user._id !== id) {
+        throw new Error(`Duplicate email ${email}!`);
+      }
+    }
+  }
+
+  async find(filter, { sort, offset, limit, fields } = {}) {
+    debug("Reading all users..");
+    let users = this.select(filter);
+    if (sort !== undefined) {
+      users.sort(toComparator(sort));
+    }
+    users = users.slice(offset || 0);
+    if (limit !== undefined) {
+      users = users.slice(0, limit);
+    }
+    return users.map((user) => toUser(user, fields));
+  }
+
+  stream(filter) {
+    debug("Streaming users..");
+    const users = this.select(filter);
+    const cursor = (async function* () {
+      for (const user of users) {
+        yield toUser(user);
+      }
+    })();
+    cursor.close = async () => {
+      await cursor.return();
+    };
+    return cursor;
+  }
+
+  async count(filter) {
+    debug("Counting users..");
+    return this.select(filter).length;
+  }
+
+  async findById(id) {
+    debug("Reading the user..");
+    const user = this.users.get(String(id));
+    return user ? toUser(user) : null;
+  }
+
+  async findByIds(ids) {
+    debug("Reading the users..");
+    return ids
+      .map((id) => this.users.get(String(id)))
+      .filter((user) => user)
+      .map((user) => toUser(user));
+  }
+
+  async insert({ name, email, password, role, emailVerified = false }) {
+    this.checkUnique(email);
+
+    debug("Creating the user..");
+    const now = new Date();
+    const user = {
+      // ObjectIds, so that ids look (and sort) the same as in MongoDB
+      _id: new mongoose.Types.ObjectId().toString(),
+      name,
+      email,
+      password,
+      role: role === undefined ? UserRole.Student : role,
+      emailVerified,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now,
+      __v: 0,
+    };
+    this.users.set(user._id, user);
+    return toUser(user);
+  }
+
+  async update(id, changes, { deleted = false, version } = {}) {
+    const user = this.users.get(String(id));
+    if (
+      !user ||
+      (user.deletedAt !== null) !== deleted ||
+      (version !== undefined && user.__v !== version)
+    ) {
+      return null;
+    }
+    if (changes.email !== undefined) {
+      this.checkUnique(changes.email, user._id);
+    }
+
+    debug("Updating the user..");
+    const before = toUser(user);
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== undefined) {
+        user[field] = value;
+      }
+    }
+    user.updatedAt = new Date();
+    user.__v += 1;
+    return before;
+  }
+
+  async remove(ids) {
+    debug(`Removing ${ids.length} users..`);
+    let count = 0;
+    for (const id of ids) {
+      if (this.users.delete(String(id))) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async removeAll() {
+    debug("Deleting all users..");
+    this.users.clear();
+  }
+}
+
+export default MemoryUserRepository;
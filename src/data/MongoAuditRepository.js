@@ -0,0 +1,65 @@
+import AuditEvent from "../model/AuditEvent.js";
+import AuditRepository from "./AuditRepository.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// return the MongoDB query of a filter (see AuditRepository)
+const toQuery = ({ actor, target, action, from, to }) => {
+  const query = {};
+  if (actor !== undefined) {
+    query.actor = actor;
+  }
+  if (target !== undefined) {
+    query.target = target;
+  }
+  if (action !== undefined) {
+    query.action = action;
+  }
+  if (from !== undefined || to !== undefined) {
+    query.createdAt = {};
+    if (from !== undefined) {
+      query.createdAt.$gte = from;
+    }
+    if (to !== undefined) {
+      query.createdAt.$lte = to;
+    }
+  }
+  return query;
+};
+
+// Stores the events in MongoDB, through the mongoose AuditEvent model
+class MongoAuditRepository extends AuditRepository {
+  async insert({ action, actor, target, changes, details, ip }) {
+    debug("Creating the audit event document..");
+    return AuditEvent.create({ action, actor, target, changes, details, ip });
+  }
+
+  async find(filter, { offset, limit } = {}) {
+    let query = AuditEvent.find(toQuery(filter)).sort({
+      createdAt: -1,
+      _id: -1,
+    });
+    if (offset !== undefined) {
+      query = query.skip(offset);
+    }
+    if (limit !== undefined) {
+      query = query.limit(limit);
+    }
+
+    debug("Reading audit event documents..");
+    return query;
+  }
+
+  async count(filter) {
+    debug("Counting audit event documents..");
+    return AuditEvent.countDocuments(toQuery(filter));
+  }
+
+  async removeAll() {
+    debug("Deleting all audit event documents..");
+    await AuditEvent.deleteMany({});
+  }
+}
+
+export default MongoAuditRepository;
@@ -0,0 +1,35 @@
+import OneTimeToken from "../model/OneTimeToken.js";
+import OneTimeTokenRepository from "./OneTimeTokenRepository.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// Stores the tokens in MongoDB, through the mongoose OneTimeToken model
+class MongoOneTimeTokenRepository extends OneTimeTokenRepository {
+  async insert({ user, purpose, tokenHash, expiresAt }) {
+    debug("Creating the token document..");
+    return OneTimeToken.create({ user, purpose, tokenHash, expiresAt });
+  }
+
+  async use(tokenHash, purpose, now) {
+    debug("Marking the token document as used..");
+    return OneTimeToken.findOneAndUpdate(
+      { tokenHash, purpose, usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now },
+      { new: true }
+    );
+  }
+
+  async remove({ user, purpose }) {
+    debug("Removing the token documents of the user..");
+    const { deletedCount } = await OneTimeToken.deleteMany({ user, purpose });
+    return deletedCount;
+  }
+
+  async removeAll() {
+    debug("Deleting all token documents..");
+    await OneTimeToken.deleteMany({});
+  }
+}
+
+export default MongoOneTimeTokenRepository;
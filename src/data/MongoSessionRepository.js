@@ -0,0 +1,53 @@
+import Session from "../model/Session.js";
+import SessionRepository from "./SessionRepository.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+// Stores the sessions in MongoDB, through the mongoose Session model
+class MongoSessionRepository extends SessionRepository {
+  async insert({ user, refreshTokenHash, expiresAt }) {
+    debug("Creating the session document..");
+    return Session.create({ user, refreshTokenHash, expiresAt });
+  }
+
+  async findById(id) {
+    debug("Reading the session document..");
+    return Session.findById(id);
+  }
+
+  async replaceHash(id, { from, to }, now) {
+    debug("Replacing the refresh token hash..");
+    return Session.findOneAndUpdate(
+      {
+        _id: id,
+        refreshTokenHash: from,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      },
+      { refreshTokenHash: to, $push: { usedRefreshTokenHashes: from } },
+      { new: true }
+    );
+  }
+
+  async revoke(id, now) {
+    debug("Revoking the session document..");
+    return Session.findByIdAndUpdate(id, { revokedAt: now }, { new: true });
+  }
+
+  async revokeAll(user, now) {
+    debug("Revoking the session documents of the user..");
+    const { modifiedCount } = await Session.updateMany(
+      { user, revokedAt: null },
+      { revokedAt: now }
+    );
+    return modifiedCount;
+  }
+
+  async removeAll() {
+    debug("Deleting all session documents..");
+    await Session.deleteMany({});
+  }
+}
+
+export default MongoSessionRepository;
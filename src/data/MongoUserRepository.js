@@ -0,0 +1,158 @@
+import User from "../model/User.js";
+import Enrollment from "../model/Enrollment.js";
+import Session from "../model/Session.js";
+import OneTimeToken from "../model/OneTimeToken.js";
+import Group from "../model/Group.js";
+import UserRepository from "./UserRepository.js";
+import { MatchMode } from "../model/MatchMode.js";
+import { DeletedMode } from "../model/DeletedMode.js";
+import { factory } from "../util/debug.js";
+
+const debug = factory(import.meta.url);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// prefix and contains matches are case-insensitive
+const toMatch = (value, match) => {
+  if (match === MatchMode.Exact) {
+    return value;
+  }
+
+  const pattern = escapeRegExp(value);
+  return {
+    $regex: match === MatchMode.Prefix ? `^${pattern}` : pattern,
+    $options: "i",
+  };
+};
+
+// return the MongoDB query of a filter (see UserRepository)
+const toQuery = ({
+  name,
+  email,
+  role,
+  domain,
+  q,
+  match,
+  deleted,
+  deletedUntil,
+}) => {
+  const query = {};
+  if (deleted === DeletedMode.Exclude) {
+    query.deletedAt = null;
+  } else if (deleted === DeletedMode.Only) {
+    query.deletedAt = { $ne: null };
+  }
+  if (deletedUntil !== undefined) {
+    query.deletedAt = { $ne: null, $lte: deletedUntil };
+  }
+
+  if (name) {
+    query.name = toMatch(name, match);
+  }
+
+  const emails = [];
+  if (email) {
+    emails.push(toMatch(email, match));
+  }
+  if (domain) {
+    emails.push({ $regex: `@${escapeRegExp(domain)}$`, $options: "i" });
+  }
+  if (emails.length === 1) {
+    query.email = emails[0];
+  } else if (emails.length > 1) {
+    query.$and = emails.map((condition) => ({ email: condition }));
+  }
+
+  if (role) {
+    query.role = role;
+  }
+
+  if (q !== undefined) {
+    query.$text = { $search: q };
+  }
+
+  return query;
+};
+
+// Stores the users in MongoDB, through the mongoose User model
+class MongoUserRepository extends UserRepository {
+  async find(filter, { sort, offset, limit, fields } = {}) {
+    let query = User.find(toQuery(filter));
+    if (sort !== undefined) {
+      query = query.sort(sort);
+    }
+    if (offset !== undefined) {
+      query = query.skip(offset);
+    }
+    if (limit !== undefined) {
+      query = query.limit(limit);
+    }
+    if (fields !== undefined) {
+      query = query.select(fields.join(" "));
+    }
+
+    debug("Reading all user documents..");
+    return query;
+  }
+
+  stream(filter) {
+    debug("Streaming user documents..");
+    return User.find(toQuery(filter)).sort({ _id: 1 }).cursor();
+  }
+
+  async count(filter) {
+    debug("Counting user documents..");
+    return User.countDocuments(toQuery(filter));
+  }
+
+  async findById(id) {
+    debug("Reading the user document..");
+    return User.findById(id);
+  }
+
+  async findByIds(ids) {
+    debug("Reading the user documents..");
+    return User.find({ _id: { $in: ids } });
+  }
+
+  async insert({ name, email, password, role, emailVerified }) {
+    debug("Creating the user document..");
+    return User.create({ name, email, password, role, emailVerified });
+  }
+
+  async update(id, changes, { deleted = false, version } = {}) {
+    const filter = { _id: id, deletedAt: deleted ? { $ne: null } : null };
+    if (version !== undefined) {
+      filter.__v = version;
+    }
+
+    debug("Updating the user document..");
+    return User.findOneAndUpdate(
+      filter,
+      { ...changes, $inc: { __v: 1 } },
+      { runValidators: true }
+    );
+  }
+
+  // also removes the enrollments, sessions and tokens of the users, and
+  // takes them out of their groups
+  async remove(ids) {
+    debug(`Removing ${ids.length} user documents..`);
+    await Enrollment.deleteMany({ student: { $in: ids } });
+    await Session.deleteMany({ user: { $in: ids } });
+    await OneTimeToken.deleteMany({ user: { $in: ids } });
+    await Group.updateMany(
+      { members: { $in: ids } },
+      { $pull: { members: { $in: ids } } }
+    );
+    const { deletedCount } = await User.deleteMany({ _id: { $in: ids } });
+    return deletedCount;
+  }
+
+  async removeAll() {
+    debug("Deleting all user documents..");
+    await User.deleteMany({});
+  }
+}
+
+export default MongoUserRepository;
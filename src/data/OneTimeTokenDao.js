@@ -0,0 +1,85 @@
+import MongoOneTimeTokenRepository from "./MongoOneTimeTokenRepository.js";
+import ApiError from "../model/ApiError.js";
+import { z } from "zod";
+import { validObjectId } from "../model/schemas.js";
+import { factory } from "../util/debug.js";
+import { TokenPurpose } from "../model/TokenPurpose.js";
+import { createRandomToken, hashToken } from "../util/token.js";
+import { systemClock } from "../util/clock.js";
+
+const debug = factory(import.meta.url);
+
+const validPurpose = z.nativeEnum(TokenPurpose);
+const validLifetime = z.number().int().positive();
+
+class OneTimeTokenDao {
+  // repository stores the tokens (see OneTimeTokenRepository), in MongoDB
+  // unless given
+  constructor({
+    clock = systemClock,
+    repository = new MongoOneTimeTokenRepository(),
+  } = {}) {
+    this.clock = clock;
+    this.repository = repository;
+  }
+
+  // return the plain token; it is not stored and can not be recovered
+  // any earlier token of the user for the same purpose is discarded
+  // lifetime is in milliseconds
+  // throws ApiError if user, purpose or lifetime is invalid
+  async create({ user, purpose, lifetime }) {
+    debug("Validating the user id..");
+    let result = validObjectId.safeParse(user);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Validating the purpose..");
+    result = validPurpose.safeParse(purpose);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Purpose!");
+    }
+
+    debug("Validating the lifetime..");
+    result = validLifetime.safeParse(lifetime);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid Lifetime!");
+    }
+
+    debug("Discarding earlier tokens..");
+    await this.repository.remove({ user, purpose });
+
+    const token = createRandomToken();
+    debug("Creating the token..");
+    await this.repository.insert({
+      user,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(this.clock.now() + lifetime),
+    });
+    return token;
+  }
+
+  // return the token after marking it as used
+  // throws ApiError if the token is unknown, expired or already used
+  async consume({ token, purpose }) {
+    debug("Consuming the token..");
+    const document = await this.repository.use(
+      hashToken(token),
+      purpose,
+      new Date(this.clock.now())
+    );
+    if (!document) {
+      throw new ApiError(400, "Invalid or expired token!");
+    }
+
+    return document;
+  }
+
+  async deleteAll() {
+    debug("Deleting all tokens..");
+    await this.repository.removeAll();
+  }
+}
+
+export default OneTimeTokenDao;
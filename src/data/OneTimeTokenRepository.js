@@ -0,0 +1,30 @@
+// The storage behind OneTimeTokenDao. OneTimeTokenDao validates its input,
+// makes the tokens and tells the time; a repository only stores and finds
+// their hashes. Implementations extend this class and override every method.
+//
+// A token is { _id, id, user, purpose, tokenHash, expiresAt, usedAt,
+// createdAt, updatedAt }, where id is _id as a string.
+
+class OneTimeTokenRepository {
+  // return the stored token, which is not used
+  async insert({ user, purpose, tokenHash, expiresAt }) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the token with the given hash and purpose after marking it as
+  // used at now, or null if it is unknown, used or expires at or before now
+  async use(tokenHash, purpose, now) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the number of removed tokens of the user for the purpose
+  async remove({ user, purpose }) {
+    throw new Error("Not implemented!");
+  }
+
+  async removeAll() {
+    throw new Error("Not implemented!");
+  }
+}
+
+export default OneTimeTokenRepository;
@@ -0,0 +1,144 @@
+import MongoSessionRepository from "./MongoSessionRepository.js";
+import ApiError from "../model/ApiError.js";
+import { validObjectId } from "../model/schemas.js";
+import { factory } from "../util/debug.js";
+import { getConfig } from "../util/config.js";
+import { createRandomToken, hashToken } from "../util/token.js";
+import { systemClock } from "../util/clock.js";
+
+const debug = factory(import.meta.url);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A refresh token is "<session id>.<secret>"
+const toRefreshToken = (session, secret) => `${session.id}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [id, secret, ...rest] = String(refreshToken).split(".");
+  if (!validObjectId.safeParse(id).success || !secret || rest.length > 0) {
+    throw new ApiError(401, "Invalid refresh token!");
+  }
+  return { id, secret };
+};
+
+class SessionDao {
+  // sessions last lifetimeDays (REFRESH_TOKEN_LIFETIME_DAYS unless given);
+  // repository stores them (see SessionRepository), in MongoDB unless given
+  constructor({
+    lifetimeDays = getConfig().jwt.refreshTokenLifetimeDays,
+    clock = systemClock,
+    repository = new MongoSessionRepository(),
+  } = {}) {
+    this.lifetimeDays = lifetimeDays;
+    this.clock = clock;
+    this.repository = repository;
+  }
+
+  // return the created session and its first refresh token
+  async create({ user }) {
+    debug("Validating the user id..");
+    const result = validObjectId.safeParse(user);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    const secret = createRandomToken();
+    debug("Creating the session..");
+    const session = await this.repository.insert({
+      user,
+      refreshTokenHash: hashToken(secret),
+      expiresAt: new Date(this.clock.now() + this.lifetimeDays * DAY),
+    });
+    return { session, refreshToken: toRefreshToken(session, secret) };
+  }
+
+  // return the session and its new refresh token;
+  // the given refresh token can not be used again
+  // throws ApiError if the refresh token is invalid, expired or revoked;
+  // presenting a refresh token that was already rotated out revokes the
+  // session, while an unknown one is only rejected (the session id is not a
+  // secret: access tokens carry it)
+  async rotate(refreshToken) {
+    const { id, secret } = parseRefreshToken(refreshToken);
+
+    const hash = hashToken(secret);
+    const next = createRandomToken();
+    debug("Rotating the refresh token..");
+    const session = await this.repository.replaceHash(
+      id,
+      { from: hash, to: hashToken(next) },
+      new Date(this.clock.now())
+    );
+    if (session) {
+      return { session, refreshToken: toRefreshToken(session, next) };
+    }
+
+    const existing = await this.repository.findById(id);
+    if (
+      existing &&
+      !existing.revokedAt &&
+      existing.expiresAt > new Date(this.clock.now()) &&
+      existing.usedRefreshTokenHashes.includes(hash)
+    ) {
+      debug("Refresh token reuse detected, revoking the session..");
+      await this.revoke(id);
+    }
+    throw new ApiError(401, "Invalid refresh token!");
+  }
+
+  // return true if the session exists, has not expired and was not revoked
+  async isActive(id) {
+    const result = validObjectId.safeParse(id);
+    if (!result.success) {
+      return false;
+    }
+
+    debug("Reading the session..");
+    const session = await this.repository.findById(id);
+    return (
+      !!session &&
+      !session.revokedAt &&
+      session.expiresAt > new Date(this.clock.now())
+    );
+  }
+
+  // return the revoked session
+  // throws ApiError if id is invalid or resource does not exist
+  async revoke(id) {
+    debug("Validating the document id..");
+    const result = validObjectId.safeParse(id);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Revoking the session..");
+    const session = await this.repository.revoke(
+      id,
+      new Date(this.clock.now())
+    );
+    if (!session) {
+      throw new ApiError(404, "Resource not found!");
+    }
+
+    return session;
+  }
+
+  // return the number of revoked sessions
+  async revokeAll({ user }) {
+    debug("Validating the user id..");
+    const result = validObjectId.safeParse(user);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Revoking all sessions of the user..");
+    return this.repository.revokeAll(user, new Date(this.clock.now()));
+  }
+
+  async deleteAll() {
+    debug("Deleting all sessions..");
+    await this.repository.removeAll();
+  }
+}
+
+export default SessionDao;
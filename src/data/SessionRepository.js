@@ -0,0 +1,43 @@
+// The storage behind SessionDao. SessionDao validates its input, makes the
+// refresh tokens and tells the time; a repository only stores and finds
+// sessions. Implementations extend this class and override every method.
+//
+// A session is { _id, id, user, refreshTokenHash, usedRefreshTokenHashes,
+// expiresAt, revokedAt, createdAt, updatedAt }, where id is _id as a string. A session is active
+// when it is not revoked and expires after now.
+
+class SessionRepository {
+  // return the stored session, which is not revoked and has no used hashes
+  async insert({ user, refreshTokenHash, expiresAt }) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the session with the given id, or null
+  async findById(id) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the session with the given id after replacing its refresh token
+  // hash (from) with another (to), adding from to its used hashes, or null
+  // if the session is not active or has a different hash
+  async replaceHash(id, { from, to }, now) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the session with the given id, revoked at now, or null
+  async revoke(id, now) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the number of sessions of the user revoked at now; the sessions
+  // revoked earlier are left alone
+  async revokeAll(user, now) {
+    throw new Error("Not implemented!");
+  }
+
+  async removeAll() {
+    throw new Error("Not implemented!");
+  }
+}
+
+export default SessionRepository;
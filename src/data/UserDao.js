@@ -1,25 +1,185 @@
-import User from "../model/User.js";
-import ApiError from "../model/ApiError.js";
+import ApiError, { ErrorCode } from "../model/ApiError.js";
 import { z } from "zod";
-import mongoose from "mongoose";
 import { factory } from "../util/debug.js";
 import { hashPassword } from "../util/password.js";
+import { MatchMode } from "../model/MatchMode.js";
+import { DeletedMode } from "../model/DeletedMode.js";
+import { ImportStatus } from "../model/ImportStatus.js";
+import {
+  createUserBody,
+  validDeleted,
+  validDomain,
+  validEmail,
+  validMatch,
+  validName,
+  validObjectId,
+  validPassword,
+  validRole,
+  validSearch,
+} from "../model/schemas.js";
+import { TokenPurpose } from "../model/TokenPurpose.js";
+import OneTimeTokenDao from "./OneTimeTokenDao.js";
+import AuditDao, { toChanges } from "./AuditDao.js";
+import MongoUserRepository from "./MongoUserRepository.js";
+import { AuditAction } from "../model/AuditAction.js";
+import { createMailer } from "../util/mailer.js";
+import { getConfig } from "../util/config.js";
+import { systemClock } from "../util/clock.js";
+import { toFieldErrors } from "../util/validate.js";
 
 const debug = factory(import.meta.url);
 
-const validObjectId = z
-  .string()
-  .refine((id) => mongoose.isValidObjectId(id), "Invalid ID!");
-const validName = z.string().min(1, "Missing name attribute!");
-const validEmail = z.string().email("Invalid Email!");
-const validPassword = z
-  .string()
-  .min(6, "Password should be at least 6 characters.");
+// return the user without its password and version, e.g. for a response;
+// id is kept, not enumerable like the virtual of a mongoose document
+// pre: user is a Mongoose document, or the plain object of a repository
+// that does not store users in MongoDB
+export const hidePassword = (user) => {
+  const { password, __v, ...rest } = user._doc || user;
+  Object.defineProperty(rest, "id", { value: String(rest._id) });
+  return rest;
+};
+
+export const VERIFICATION_TOKEN_LIFETIME_HOURS = 24;
+
+// deleted users are kept this long before a purge removes them for good
+export const PURGE_RETENTION_DAYS = 30;
+
+export const MAX_IMPORT_ROWS = 1000;
+
+export const MAX_LIMIT = 100;
+export const SORTABLE_FIELDS = ["name", "email", "createdAt"];
+export const SELECTABLE_FIELDS = [
+  "name",
+  "email",
+  "role",
+  "emailVerified",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+];
+
+const validLimit = z.number().int().min(1).max(MAX_LIMIT);
+const validOffset = z.number().int().min(0);
+const validDays = z.number().int().min(0);
+
+// accepts a comma separated string or an array of strings
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter((item) => item.length > 0);
+
+const validCriterion = z.string().min(1);
+
+// return the repository filter of the criteria (see UserRepository);
+// deleted users are left out unless asked for
+// throws ApiError if any of the criteria is invalid
+const toFilter = ({ name, email, role, domain, q, match, deleted }) => {
+  deleted = deleted || DeletedMode.Exclude;
+  if (!validDeleted.safeParse(deleted).success) {
+    throw new ApiError(
+      400,
+      `Invalid deleted mode! Use one of ${Object.values(DeletedMode).join(
+        ", "
+      )}.`
+    );
+  }
+
+  match = match || MatchMode.Exact;
+  if (!validMatch.safeParse(match).success) {
+    throw new ApiError(
+      400,
+      `Invalid match mode! Use one of ${Object.values(MatchMode).join(", ")}.`
+    );
+  }
+
+  if (name && !validCriterion.safeParse(name).success) {
+    throw new ApiError(400, "Invalid Name!");
+  }
+
+  if (email && !validCriterion.safeParse(email).success) {
+    throw new ApiError(400, "Invalid Email!");
+  }
+
+  if (domain && !validDomain.safeParse(domain).success) {
+    throw new ApiError(400, "Invalid Domain!");
+  }
+
+  if (role && !validRole.safeParse(role).success) {
+    throw new ApiError(400, "Invalid Role!");
+  }
+
+  if (q !== undefined && !validSearch.safeParse(q).success) {
+    throw new ApiError(400, "Invalid search text!");
+  }
+
+  return { name, email, role, domain, q, match, deleted };
+};
+
+// e.g. "name,-createdAt" => { name: 1, createdAt: -1 }
+// throws ApiError if a key is not sortable
+const toSort = (sort) => {
+  const order = {};
+  for (const key of toList(sort)) {
+    const field = key.replace(/^[-+]/, "");
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw new ApiError(
+        400,
+        `Invalid sort key! Sort by one of ${SORTABLE_FIELDS.join(", ")}.`
+      );
+    }
+    order[field] = key.startsWith("-") ? -1 : 1;
+  }
+  // tie-breaker so that pages are stable when sort keys are equal
+  order._id = 1;
+  return order;
+};
+
+// e.g. "name,email" => ["name", "email"]
+// throws ApiError if a field cannot be selected (the password never can)
+const toFields = (fields) => {
+  const list = toList(fields);
+  for (const field of list) {
+    if (!SELECTABLE_FIELDS.includes(field)) {
+      throw new ApiError(
+        400,
+        `Invalid field! Select any of ${SELECTABLE_FIELDS.join(", ")}.`
+      );
+    }
+  }
+  return list;
+};
+
+// Methods that change users take the context ({ actor, ip }) of the
+// request as their last argument, to record who made the change
 
 class UserDao {
-  // return the created user
-  // throws ApiError when name or email is invalid
-  async create({ name, email, password }) {
+  // repository stores the users (see UserRepository), in MongoDB unless
+  // given; without a tokenDao no verification tokens are sent, and without
+  // an auditDao the changes are not recorded. The verification emails go
+  // out through the mailer.
+  constructor({
+    repository = new MongoUserRepository(),
+    clock = systemClock,
+    tokenDao = new OneTimeTokenDao({ clock }),
+    auditDao = new AuditDao(),
+    mailer = createMailer(getConfig().mail),
+  } = {}) {
+    this.repository = repository;
+    this.clock = clock;
+    this.tokenDao = tokenDao;
+    this.auditDao = auditDao;
+    this.mailer = mailer;
+  }
+
+  async record(event, context) {
+    if (this.auditDao) {
+      await this.auditDao.tryRecord(event, context);
+    }
+  }
+
+  // throws ApiError when name, email, password or role is invalid
+  // or the email is already in use
+  async checkNew({ name, email, password, role }) {
     debug("Validating the name..");
     let result = validName.safeParse(name);
     if (!result.success) {
@@ -31,9 +191,12 @@ class UserDao {
     if (!result.success) {
       throw new ApiError(400, "Invalid Email!");
     }
-    result = await this.readAll({ email });
+    // the email of a deleted user remains taken until it is purged
+    result = await this.readAll({ email, deleted: DeletedMode.Include });
     if (result.length > 0) {
-      throw new ApiError(400, "Email already in use!");
+      throw new ApiError(400, "Email already in use!", {
+        code: ErrorCode.AlreadyExists,
+      });
     }
 
     debug("Validating the password..");
@@ -42,31 +205,218 @@ class UserDao {
       throw new ApiError(400, "Password should be at least 6 characters.");
     }
 
-    password = hashPassword(password);
+    if (role !== undefined) {
+      debug("Validating the role..");
+      result = validRole.safeParse(role);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Role!");
+      }
+    }
+  }
+
+  // return the created user
+  // throws ApiError when name, email, password or role is invalid
+  // role defaults to STUDENT when not given; the user is emailed a token to
+  // verify the email with, unless emailVerified is true (e.g. the email
+  // received an invitation)
+  async create(
+    { name, email, password, role, emailVerified = false },
+    context = {}
+  ) {
+    await this.checkNew({ name, email, password, role });
+    password = await hashPassword(password);
 
-    debug("Creating the user document..");
-    const user = await User.create({ name, email, password });
+    const user = await this.repository.insert({
+      name,
+      email,
+      password,
+      role,
+      emailVerified,
+    });
+    await this.record(
+      {
+        action: AuditAction.UserCreated,
+        target: user.id,
+        changes: toChanges(null, { name, email, password, role: user.role }),
+      },
+      context
+    );
+    if (!emailVerified) {
+      await this.sendVerification(user);
+    }
     return user;
   }
 
-  // return all users
-  async readAll({ name, email }) {
-    const filter = {};
-    if (name) {
-      filter.name = name;
+  // return a report per row: { row, status, id } or, when the row can not
+  // be imported, { row, status, code, message, errors }; rows are numbered
+  // from 1. Each row is checked like create() does, and an email used by an
+  // earlier row fails the row rather than the batch. A dry run only checks.
+  // throws ApiError if rows is not an array or has too many rows
+  async import(rows, { dryRun = false } = {}, context = {}) {
+    if (!Array.isArray(rows)) {
+      throw new ApiError(400, "Expected an array of users!");
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ApiError(
+        400,
+        `Import at most ${MAX_IMPORT_ROWS} users at a time!`
+      );
+    }
+
+    const report = [];
+    const seen = new Map();
+    for (const [index, data] of rows.entries()) {
+      const row = index + 1;
+      try {
+        const parsed = createUserBody.safeParse(data);
+        if (!parsed.success) {
+          throw new ApiError(400, "Invalid user!", {
+            code: ErrorCode.ValidationFailed,
+            errors: toFieldErrors(parsed.error),
+          });
+        }
+
+        const { email } = parsed.data;
+        if (seen.has(email)) {
+          throw new ApiError(
+            400,
+            `Email already used in row ${seen.get(email)}!`,
+            { code: ErrorCode.AlreadyExists }
+          );
+        }
+
+        if (dryRun) {
+          await this.checkNew(parsed.data);
+          report.push({ row, status: ImportStatus.Valid });
+        } else {
+          const user = await this.create(parsed.data, context);
+          report.push({ row, status: ImportStatus.Created, id: user.id });
+        }
+        seen.set(email, row);
+      } catch (err) {
+        if (!(err instanceof ApiError)) {
+          throw err;
+        }
+        const { code, message, errors } = err;
+        report.push({
+          row,
+          status: ImportStatus.Failed,
+          code,
+          message,
+          errors,
+        });
+      }
+    }
+    return report;
+  }
+
+  // emails the user a token to verify their email address with;
+  // a failure to deliver is logged, the user can ask for a new token
+  async sendVerification(user) {
+    if (!this.tokenDao) {
+      return;
+    }
+    try {
+      const token = await this.tokenDao.create({
+        user: user.id,
+        purpose: TokenPurpose.EmailVerification,
+        lifetime: VERIFICATION_TOKEN_LIFETIME_HOURS * 60 * 60 * 1000,
+      });
+
+      await this.mailer.send({
+        to: user.email,
+        subject: "Verify your Roster API email",
+        text:
+          `Hi ${user.name},\n\n` +
+          `Use the following token to verify your email: ${token}\n` +
+          `e.g. GET /verify-email?token=${token}\n` +
+          `It expires in ${VERIFICATION_TOKEN_LIFETIME_HOURS} hours.`,
+      });
+    } catch (err) {
+      debug("Could not send the verification email..");
+      debug(err);
+    }
+  }
+
+  // return the user whose email the given token verifies
+  // throws ApiError if the token is invalid, expired or already used
+  async verifyEmail(token) {
+    if (!this.tokenDao) {
+      throw new ApiError(400, "Invalid or expired token!");
     }
+    const { user: id } = await this.tokenDao.consume({
+      token,
+      purpose: TokenPurpose.EmailVerification,
+    });
 
-    if (email) {
-      filter.email = email;
+    debug("Marking the email as verified..");
+    const before = await this.repository.update(id, { emailVerified: true });
+    if (!before) {
+      throw new ApiError(404, "Resource not found!");
     }
 
-    debug("Reading all user documents..");
-    const users = await User.find(filter);
-    return users;
+    return this.repository.findById(id);
+  }
+
+  // return all users matching the given criteria:
+  // name, email (compared according to match), role, email domain,
+  // free text search (q) and deleted mode; optionally paginated (limit, offset), sorted and
+  // projected (fields)
+  // throws ApiError if any of the query options is invalid
+  async readAll({ limit, offset, sort, fields, ...criteria } = {}) {
+    const filter = toFilter(criteria);
+
+    const options = {};
+    if (sort !== undefined) {
+      debug("Validating the sort order..");
+      options.sort = toSort(sort);
+    }
+
+    if (offset !== undefined) {
+      debug("Validating the offset..");
+      const result = validOffset.safeParse(offset);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Offset!");
+      }
+      options.offset = offset;
+    }
+
+    if (limit !== undefined) {
+      debug("Validating the limit..");
+      const result = validLimit.safeParse(limit);
+      if (!result.success) {
+        throw new ApiError(400, `Limit should be between 1 and ${MAX_LIMIT}.`);
+      }
+      options.limit = limit;
+    }
+
+    if (fields !== undefined) {
+      debug("Validating the fields..");
+      options.fields = toFields(fields);
+    }
+
+    return this.repository.find(filter, options);
+  }
+
+  // return a cursor over the users matching the given criteria (see
+  // readAll) in the order they were created, to go through all of them
+  // without loading them at once
+  // throws ApiError if any of the criteria is invalid
+  stream(criteria = {}) {
+    const filter = toFilter(criteria);
+    return this.repository.stream(filter);
+  }
+
+  // return the number of users matching the given criteria (see readAll)
+  // throws ApiError if any of the criteria is invalid
+  async count(criteria = {}) {
+    const filter = toFilter(criteria);
+    return this.repository.count(filter);
   }
 
   // return the user with the given id
   // throws ApiError if id is invalid or resource does not exist in our database
+  // (or has been deleted)
   async read(id) {
     debug("Validating the document id..");
     const result = validObjectId.safeParse(id);
@@ -74,24 +424,47 @@ class UserDao {
       throw new ApiError(400, "Invalid ID!");
     }
 
-    debug("Reading the user document..");
-    const user = await User.findById(id);
-    if (!user) {
+    const user = await this.repository.findById(id);
+    if (!user || user.deletedAt) {
       throw new ApiError(404, "Resource not found!");
     }
 
     return user;
   }
 
+  // return a Map of the users with the given ids by id, in one lookup; the
+  // ids of users that do not exist (or have been deleted) are left out
+  // throws ApiError if an id is invalid
+  async readMany(ids) {
+    debug("Validating the document ids..");
+    const keys = [...new Set(ids.map((id) => String(id)))];
+    for (const id of keys) {
+      if (!validObjectId.safeParse(id).success) {
+        throw new ApiError(400, "Invalid ID!");
+      }
+    }
+
+    const users = await this.repository.findByIds(keys);
+    return new Map(
+      users.filter((user) => !user.deletedAt).map((user) => [user.id, user])
+    );
+  }
+
   // return the updated user
   // throws ApiError if id is invalid or resource does not exist in our database
-  async update({ id, name, email, password }) {
+  // changing the email sends a new verification token to the new address
+  // every update bumps the document version (__v); given a version, the
+  // update only applies to that version of the user
+  // throws ApiError 412 if the user has been modified since that version
+  async update({ id, name, email, password, role, version }, context = {}) {
     debug("Validating the document id..");
     let result = validObjectId.safeParse(id);
     if (!result.success) {
       throw new ApiError(400, "Invalid ID!");
     }
 
+    let emailVerified;
+
     if (name !== undefined) {
       debug("Validating the name..");
       result = validName.safeParse(name);
@@ -107,11 +480,15 @@ class UserDao {
         throw new ApiError(400, "Invalid Email!");
       }
 
-      result = await this.readAll({ email });
-      for (let user in result) {
-        if (user.id !== id) {
-          throw new ApiError(400, "Email already in use!");
-        }
+      result = await this.readAll({ email, deleted: DeletedMode.Include });
+      if (result.some((user) => user.id !== id)) {
+        throw new ApiError(400, "Email already in use!", {
+          code: ErrorCode.AlreadyExists,
+        });
+      }
+      // a changed email address has to be verified again
+      if (result.length === 0) {
+        emailVerified = false;
       }
     }
 
@@ -122,43 +499,150 @@ class UserDao {
         throw new ApiError(400, "Invalid Password!");
       }
 
-      password = hashPassword(password);
+      password = await hashPassword(password);
     }
 
-    debug("Updating the user document..");
-    const user = await User.findByIdAndUpdate(
-      id,
-      { name, email, password },
-      { new: true, runValidators: true }
-    );
-    if (!user) {
+    if (role !== undefined) {
+      debug("Validating the role..");
+      result = validRole.safeParse(role);
+      if (!result.success) {
+        throw new ApiError(400, "Invalid Role!");
+      }
+    }
+
+    const changes = { name, email, password, role, emailVerified };
+    const before = await this.repository.update(id, changes, { version });
+    if (!before) {
+      const current = await this.repository.findById(id);
+      if (version !== undefined && current && !current.deletedAt) {
+        throw new ApiError(412, "The user has been modified in the meantime!");
+      }
       throw new ApiError(404, "Resource not found!");
     }
+    const user = await this.repository.findById(id);
+
+    await this.record(
+      {
+        action: AuditAction.UserUpdated,
+        target: id,
+        changes: toChanges(before, changes),
+      },
+      context
+    );
+
+    if (emailVerified === false) {
+      await this.sendVerification(user);
+    }
 
     return user;
   }
 
-  // return the deleted user
+  // return the deleted user; it is only marked as deleted and can be
+  // restored until it is purged
   // throws ApiError if id is invalid or resource does not exist
-  async delete(id) {
+  async delete(id, context = {}) {
+    debug("Validating the document id..");
+    const result = validObjectId.safeParse(id);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid ID!");
+    }
+
+    debug("Marking the user as deleted..");
+    const before = await this.repository.update(id, {
+      deletedAt: new Date(this.clock.now()),
+    });
+    if (!before) {
+      throw new ApiError(404, "Resource not found!");
+    }
+    const user = await this.repository.findById(id);
+
+    await this.record(
+      {
+        action: AuditAction.UserDeleted,
+        target: id,
+        changes: toChanges({ deletedAt: null }, { deletedAt: user.deletedAt }),
+      },
+      context
+    );
+    return user;
+  }
+
+  // return the restored user
+  // throws ApiError if id is invalid, resource does not exist
+  // or the user is not deleted
+  async restore(id, context = {}) {
     debug("Validating the document id..");
     const result = validObjectId.safeParse(id);
     if (!result.success) {
       throw new ApiError(400, "Invalid ID!");
     }
 
-    debug("Deleting the user document..");
-    const user = await User.findByIdAndDelete(id);
-    if (!user) {
+    debug("Restoring the user..");
+    const before = await this.repository.update(
+      id,
+      { deletedAt: null },
+      { deleted: true }
+    );
+    if (!before) {
+      if (await this.repository.findById(id)) {
+        throw new ApiError(400, "The user is not deleted!");
+      }
       throw new ApiError(404, "Resource not found!");
     }
+    const user = await this.repository.findById(id);
 
+    await this.record(
+      {
+        action: AuditAction.UserRestored,
+        target: id,
+        changes: toChanges(before, { deletedAt: null }),
+      },
+      context
+    );
     return user;
   }
 
+  // return the number of purged users
+  // removes the users deleted at least olderThanDays days ago for good,
+  // along with their enrollments, sessions and tokens
+  // throws ApiError if olderThanDays is invalid
+  async purge({ olderThanDays = PURGE_RETENTION_DAYS } = {}, context = {}) {
+    debug("Validating the retention window..");
+    const result = validDays.safeParse(olderThanDays);
+    if (!result.success) {
+      throw new ApiError(400, "Invalid number of days!");
+    }
+
+    const cutoff = new Date(
+      this.clock.now() - olderThanDays * 24 * 60 * 60 * 1000
+    );
+    const users = await this.repository.find({
+      match: MatchMode.Exact,
+      deleted: DeletedMode.Only,
+      deletedUntil: cutoff,
+    });
+    const ids = users.map((user) => user._id);
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    debug(`Purging ${ids.length} users..`);
+    const deletedCount = await this.repository.remove(ids);
+    for (const user of users) {
+      await this.record(
+        {
+          action: AuditAction.UserPurged,
+          target: user.id,
+          details: { email: user.email, deletedAt: user.deletedAt },
+        },
+        context
+      );
+    }
+    return deletedCount;
+  }
+
   async deleteAll() {
-    debug("Deleting all teeny url documents..");
-    await User.deleteMany({});
+    await this.repository.removeAll();
   }
 }
 
@@ -0,0 +1,72 @@
+// The storage behind UserDao. UserDao validates its input and enforces the
+// rules (unique emails, soft deletes, versions, audit); a repository only
+// stores and finds users, so every backend behaves the same. Implementations
+// extend this class and override every method.
+//
+// A user is { _id, id, name, email, password, role, emailVerified,
+// deletedAt, createdAt, updatedAt, __v }, where id is _id as a string.
+//
+// A filter is { name, email, role, domain, q, match, deleted, deletedUntil }
+// as checked by UserDao: name and email are compared according to match
+// (see MatchMode), domain is the domain of the email, q is a free text
+// search of the name and email, deleted is a DeletedMode and deletedUntil
+// only keeps the users deleted at or before that date. Every attribute is
+// optional, except for match and deleted.
+
+class UserRepository {
+  // return the users matching the filter; sort is e.g. { name: 1, _id: -1 },
+  // the users are skipped (offset) and capped (limit), and only have the
+  // given fields (and _id) when fields is an array of names
+  async find(filter, { sort, offset, limit, fields } = {}) {
+    throw new Error("Not implemented!");
+  }
+
+  // return a cursor over the users matching the filter in the order they
+  // were created; it is async iterable and has to be closed (close())
+  stream(filter) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the number of users matching the filter
+  async count(filter) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the user with the given id, deleted or not, or null
+  async findById(id) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the users with the given ids, deleted or not, in any order; the
+  // ids of no user are left out
+  async findByIds(ids) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the stored user; role defaults to STUDENT, the email is not
+  // verified unless emailVerified is true and the version (__v) is 0
+  // throws Error if the email is taken
+  async insert({ name, email, password, role, emailVerified }) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the user as it was before the update, or null if there is no
+  // user with the given id that is deleted (or not) and has the version
+  // when given; changes that are undefined are ignored, the version is
+  // bumped
+  async update(id, changes, { deleted = false, version } = {}) {
+    throw new Error("Not implemented!");
+  }
+
+  // return the number of removed users; whatever else the backend stores
+  // for these users goes with them
+  async remove(ids) {
+    throw new Error("Not implemented!");
+  }
+
+  async removeAll() {
+    throw new Error("Not implemented!");
+  }
+}
+
+export default UserRepository;
@@ -8,15 +8,68 @@ const option = {
   useUnifiedTopology: true,
 };
 
+const STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+mongoose.connection.on("error", (err) => {
+  debug("Could not connect to MongoDB");
+  debug(err);
+});
+
+mongoose.connection.on("open", () => {
+  debug("Connected to MongoDB!");
+});
+
+mongoose.connection.on("disconnected", () => {
+  debug("Disconnected from MongoDB!");
+});
+
 export function connect(URI) {
   mongoose.connect(URI, option);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-  mongoose.connection.on("error", (err) => {
-    debug("Could not connect to MongoDB");
-    debug(err);
-  });
+// Connects to MongoDB, retrying with exponential backoff (delays in ms);
+// resolves once connected, rejects with the last error after the given
+// number of attempts
+export async function connectWithRetry(
+  URI,
+  {
+    attempts = 10,
+    baseDelay = 500,
+    maxDelay = 30 * 1000,
+    connect = (uri) =>
+      mongoose.connect(uri, { ...option, serverSelectionTimeoutMS: 5000 }),
+  } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      debug(`Connecting to MongoDB (attempt ${attempt})..`);
+      return await connect(URI);
+    } catch (err) {
+      if (attempt >= attempts) {
+        throw err;
+      }
+      const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+      debug(`Could not connect to MongoDB, retrying in ${delay}ms..`);
+      await sleep(delay);
+    }
+  }
+}
+
+export async function disconnect() {
+  await mongoose.connection.close();
+}
+
+// return the document without its version, e.g. for a response
+// pre: document is a Mongoose document
+export function hideVersion(document) {
+  const { __v, ...rest } = document._doc;
+  return rest;
+}
 
-  mongoose.connection.on("open", () => {
-    debug("Connected to MongoDB!");
-  });
+// return the state of the connection: disconnected, connected,
+// connecting or disconnecting
+export function state() {
+  return STATES[mongoose.connection.readyState] || "unknown";
 }
@@ -0,0 +1,1112 @@
+import fs from "fs";
+import { z } from "zod";
+import {
+  acceptInvitationBody,
+  assignTeamsBody,
+  auditQuery,
+  bulkInvitationsBody,
+  changePasswordBody,
+  createCourseBody,
+  createGroupBody,
+  createInvitationBody,
+  createUserBody,
+  enrollBody,
+  exportUsersQuery,
+  forgotPasswordBody,
+  grantRoleBody,
+  idParams,
+  importUsersQuery,
+  jsonPatchBody,
+  listCoursesQuery,
+  listGroupsQuery,
+  listInvitationsQuery,
+  listUsersQuery,
+  loginBody,
+  logoutBody,
+  memberBody,
+  memberParams,
+  mergePatchBody,
+  purgeUsersBody,
+  refreshBody,
+  registerBody,
+  replaceUserBody,
+  resetPasswordBody,
+  rosterParams,
+  tokenParams,
+  updateCourseBody,
+  updateGroupBody,
+  updateUserBody,
+  verifyEmailQuery,
+} from "../model/schemas.js";
+import {
+  account,
+  auditEvent,
+  course,
+  envelope,
+  errorBody,
+  fieldError,
+  group,
+  importRow,
+  invitation,
+  jwks,
+  pagination,
+  partialUser,
+  permissions,
+  user,
+} from "../model/responses.js";
+import { toJsonSchema, toOpenApiPath, toParameters } from "../util/openapi.js";
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url))
+);
+
+// Every route of the API, described by the zod schemas it validates requests
+// with and responds with. A route added to a router must be added here too;
+// the contract tests fail otherwise.
+//
+// { method, path, tag, summary, auth, params, query, headers, body,
+//   responses: { status: { description, schema, type, headers } }, errors }
+// body is a schema, or { contentType: schema } when it has several types;
+// errors lists the statuses responded with the error body.
+
+const tokens = {
+  token: z.string().describe("Access token, sent as Authorization: bearer"),
+  refreshToken: z.string().describe("Sent to /refresh for a new token"),
+};
+
+const ifMatch = {
+  name: "If-Match",
+  description: "Only update if the user still has this ETag",
+};
+const ifNoneMatch = {
+  name: "If-None-Match",
+  description: "Respond 304 if the user still has this ETag",
+};
+const etag = { ETag: "The version of the user" };
+const retryAfter = {
+  "Retry-After": "Seconds until the request may be retried",
+};
+
+const readiness = envelope({
+  data: z.object({ database: z.string(), shuttingDown: z.boolean() }).strict(),
+});
+
+const userResponse = (description) => ({
+  description,
+  schema: envelope({ data: user }),
+  headers: etag,
+});
+
+export const operations = [
+  {
+    method: "get",
+    path: "/healthz",
+    tag: "Health",
+    summary: "Liveness: the process is up",
+    responses: { 200: { description: "Alive", schema: envelope() } },
+  },
+  {
+    method: "get",
+    path: "/readyz",
+    tag: "Health",
+    summary: "Readiness: the database is connected and not shutting down",
+    responses: {
+      200: { description: "Ready", schema: readiness },
+      503: { description: "Not ready", schema: readiness },
+    },
+  },
+  {
+    method: "get",
+    path: "/",
+    tag: "Health",
+    summary: "Welcome message",
+    responses: {
+      200: { description: "Welcome", type: "text/html", schema: z.string() },
+    },
+  },
+  {
+    method: "get",
+    path: "/openapi.json",
+    tag: "Docs",
+    summary: "This OpenAPI specification",
+    responses: {
+      200: {
+        description: "The specification",
+        schema: z.object({}).passthrough(),
+      },
+    },
+  },
+
+  {
+    method: "get",
+    path: "/users",
+    tag: "Users",
+    summary: "List users (TAs, instructors and admins only)",
+    description:
+      "Filter by name, email, role, domain or free text (q), sort by " +
+      "comma separated attributes (-name for descending) and select " +
+      "attributes with fields.",
+    auth: true,
+    query: listUsersQuery,
+    responses: {
+      200: {
+        description: "A page of users",
+        schema: envelope({ data: z.array(partialUser), ...pagination }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "get",
+    path: "/users/export",
+    tag: "Users",
+    summary:
+      "Export users as CSV, JSON or NDJSON (instructors and admins only)",
+    auth: true,
+    query: exportUsersQuery,
+    responses: {
+      200: {
+        description: "The users, streamed as an attachment",
+        content: {
+          "application/json": z.array(user),
+          "text/csv": z.string(),
+          "application/x-ndjson": z.string(),
+        },
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "get",
+    path: "/users/:id",
+    tag: "Users",
+    summary: "Read a user",
+    auth: true,
+    params: idParams,
+    headers: [ifNoneMatch],
+    responses: {
+      200: userResponse("The user"),
+      304: { description: "The client has the current version" },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/users",
+    tag: "Users",
+    summary: "Create a user (instructors and admins only)",
+    description:
+      "The role, a student unless given, must be one the current user may " +
+      "grant. Anyone may sign up as a student with POST /register.",
+    auth: true,
+    body: createUserBody,
+    responses: { 201: userResponse("The created user") },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "put",
+    path: "/users/:id",
+    tag: "Users",
+    summary: "Replace a user",
+    description:
+      "Attributes left out are not kept, except the password which is " +
+      "changed only through /password/change or /password/reset.",
+    auth: true,
+    params: idParams,
+    headers: [ifMatch],
+    body: replaceUserBody,
+    responses: { 200: userResponse("The updated user") },
+    errors: [400, 401, 403, 404, 412],
+  },
+  {
+    method: "patch",
+    path: "/users/:id",
+    tag: "Users",
+    summary: "Patch a user with a JSON Merge Patch or a JSON Patch",
+    auth: true,
+    params: idParams,
+    headers: [ifMatch],
+    body: {
+      "application/merge-patch+json": mergePatchBody,
+      "application/json-patch+json": jsonPatchBody,
+    },
+    responses: { 200: userResponse("The updated user") },
+    errors: [400, 401, 403, 404, 409, 412],
+  },
+  {
+    method: "post",
+    path: "/users/import",
+    tag: "Users",
+    summary: "Import users from JSON or CSV (instructors and admins only)",
+    description:
+      "CSV has a header line naming the columns: name,email,password,role. " +
+      "A row that can not be imported is reported without failing the others.",
+    auth: true,
+    query: importUsersQuery,
+    body: {
+      "application/json": z.array(createUserBody),
+      "text/csv": z.string(),
+    },
+    responses: {
+      200: {
+        description: "A report per row",
+        schema: envelope({
+          data: z.array(importRow),
+          meta: z
+            .object({
+              total: z.number().int(),
+              failed: z.number().int(),
+              dryRun: z.boolean(),
+            })
+            .strict(),
+        }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "delete",
+    path: "/users/:id",
+    tag: "Users",
+    summary:
+      "Delete a user; instructors and admins can restore it until it is purged",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The deleted user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/users/:id/restore",
+    tag: "Users",
+    summary: "Restore a deleted user (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The restored user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/users/purge",
+    tag: "Users",
+    summary:
+      "Remove users deleted long enough ago for good (instructors and admins only)",
+    auth: true,
+    body: purgeUsersBody,
+    responses: {
+      200: {
+        description: "The number of purged users",
+        schema: envelope({
+          data: z
+            .object({
+              purged: z.number().int(),
+              olderThanDays: z.number().int(),
+            })
+            .strict(),
+        }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "post",
+    path: "/users/:id/unlock",
+    tag: "Users",
+    summary:
+      "Lift the lockout after failed sign ins (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The unlocked user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "get",
+    path: "/me",
+    tag: "Users",
+    summary: "Read the current user",
+    auth: true,
+    responses: {
+      200: {
+        description: "The current user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [401, 404],
+  },
+  {
+    method: "patch",
+    path: "/me",
+    tag: "Users",
+    summary: "Update the current user",
+    auth: true,
+    body: updateUserBody,
+    responses: {
+      200: {
+        description: "The updated user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "delete",
+    path: "/me",
+    tag: "Users",
+    summary: "Delete the current user and sign out of all sessions",
+    auth: true,
+    responses: {
+      200: {
+        description: "The deleted user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [401, 404],
+  },
+
+  {
+    method: "post",
+    path: "/register",
+    tag: "Auth",
+    summary: "Sign up as a student",
+    body: registerBody,
+    responses: {
+      201: {
+        description: "Signed up and in",
+        schema: envelope({ data: account, ...tokens }),
+      },
+    },
+    errors: [400, 429],
+  },
+  {
+    method: "post",
+    path: "/login",
+    tag: "Auth",
+    summary: "Sign in",
+    body: loginBody,
+    responses: {
+      201: {
+        description: "Signed in",
+        schema: envelope({ data: account, ...tokens }),
+      },
+    },
+    errors: [400, 403, 423, 429],
+  },
+  {
+    method: "post",
+    path: "/refresh",
+    tag: "Auth",
+    summary: "Trade a refresh token for new tokens",
+    body: refreshBody,
+    responses: {
+      200: { description: "New tokens", schema: envelope(tokens) },
+    },
+    errors: [400, 401],
+  },
+  {
+    method: "get",
+    path: "/verify-email",
+    tag: "Auth",
+    summary: "Verify an email address with the emailed token",
+    query: verifyEmailQuery,
+    responses: { 200: { description: "Verified", schema: envelope() } },
+    errors: [400],
+  },
+  {
+    method: "post",
+    path: "/verify-email",
+    tag: "Auth",
+    summary: "Email the current user a new verification token",
+    auth: true,
+    responses: { 200: { description: "Sent", schema: envelope() } },
+    errors: [400, 401, 404],
+  },
+  {
+    method: "get",
+    path: "/.well-known/jwks.json",
+    tag: "Auth",
+    summary: "The public keys verifying the access tokens",
+    description:
+      "Empty when the tokens are signed with a shared secret (HS256). " +
+      "A token names its key in the kid header.",
+    responses: {
+      200: {
+        description: "A JSON Web Key Set",
+        schema: jwks,
+        headers: { "Cache-Control": "How long the keys may be cached" },
+      },
+    },
+  },
+  {
+    method: "post",
+    path: "/logout",
+    tag: "Auth",
+    summary: "Sign out of the current session, or of all sessions",
+    auth: true,
+    body: logoutBody,
+    responses: { 200: { description: "Signed out", schema: envelope() } },
+    errors: [400, 401],
+  },
+
+  {
+    method: "post",
+    path: "/password/change",
+    tag: "Password",
+    summary: "Change the current user's password",
+    auth: true,
+    body: changePasswordBody,
+    responses: { 200: { description: "Changed", schema: envelope() } },
+    errors: [400, 401, 403, 429],
+  },
+  {
+    method: "post",
+    path: "/password/forgot",
+    tag: "Password",
+    summary: "Email a reset token, if the email belongs to an account",
+    body: forgotPasswordBody,
+    responses: { 200: { description: "Handled", schema: envelope() } },
+    errors: [400, 429],
+  },
+  {
+    method: "post",
+    path: "/password/reset",
+    tag: "Password",
+    summary: "Reset the password with the emailed token",
+    body: resetPasswordBody,
+    responses: { 200: { description: "Reset", schema: envelope() } },
+    errors: [400, 429],
+  },
+
+  {
+    method: "get",
+    path: "/courses",
+    tag: "Courses",
+    summary: "List courses; students only see those they are enrolled in",
+    auth: true,
+    query: listCoursesQuery,
+    responses: {
+      200: {
+        description: "The courses",
+        schema: envelope({ data: z.array(course) }),
+      },
+    },
+    errors: [400, 401],
+  },
+  {
+    method: "get",
+    path: "/courses/:id",
+    tag: "Courses",
+    summary: "Read a course",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: { description: "The course", schema: envelope({ data: course }) },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/courses",
+    tag: "Courses",
+    summary: "Create a course (instructors and admins only)",
+    auth: true,
+    body: createCourseBody,
+    responses: {
+      201: {
+        description: "The created course",
+        schema: envelope({ data: course }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "put",
+    path: "/courses/:id",
+    tag: "Courses",
+    summary: "Update a course (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    body: updateCourseBody,
+    responses: {
+      200: {
+        description: "The updated course",
+        schema: envelope({ data: course }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "delete",
+    path: "/courses/:id",
+    tag: "Courses",
+    summary: "Delete a course (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The deleted course",
+        schema: envelope({ data: course }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "get",
+    path: "/courses/:id/roster",
+    tag: "Courses",
+    summary:
+      "List the students enrolled in a course (TAs, instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The students",
+        schema: envelope({ data: z.array(user) }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/courses/:id/roster",
+    tag: "Courses",
+    summary: "Enroll a student in a course (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    body: enrollBody,
+    responses: {
+      201: {
+        description: "The enrolled student",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "delete",
+    path: "/courses/:id/roster/:student",
+    tag: "Courses",
+    summary: "Remove a student from a course (instructors and admins only)",
+    auth: true,
+    params: rosterParams,
+    responses: {
+      200: {
+        description: "The removed student",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+
+  {
+    method: "get",
+    path: "/groups",
+    tag: "Groups",
+    summary: "List groups; students only see those they are members of",
+    auth: true,
+    query: listGroupsQuery,
+    responses: {
+      200: {
+        description: "The groups",
+        schema: envelope({ data: z.array(group) }),
+      },
+    },
+    errors: [400, 401],
+  },
+  {
+    method: "get",
+    path: "/groups/:id",
+    tag: "Groups",
+    summary: "Read a group (members, TAs, instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: { description: "The group", schema: envelope({ data: group }) },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/groups",
+    tag: "Groups",
+    summary: "Create a section, team or lab (instructors and admins only)",
+    auth: true,
+    body: createGroupBody,
+    responses: {
+      201: {
+        description: "The created group",
+        schema: envelope({ data: group }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/groups/assign",
+    tag: "Groups",
+    summary:
+      "Deal the students at random into balanced teams (instructors and admins only)",
+    description:
+      "Creates the given number of teams from the students enrolled in the course, or all students. Team sizes differ by at most one.",
+    auth: true,
+    body: assignTeamsBody,
+    responses: {
+      201: {
+        description: "The created teams",
+        schema: envelope({ data: z.array(group) }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "put",
+    path: "/groups/:id",
+    tag: "Groups",
+    summary:
+      "Rename a group or change its capacity (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    body: updateGroupBody,
+    responses: {
+      200: {
+        description: "The updated group",
+        schema: envelope({ data: group }),
+      },
+    },
+    errors: [400, 401, 403, 404, 409],
+  },
+  {
+    method: "delete",
+    path: "/groups/:id",
+    tag: "Groups",
+    summary: "Delete a group (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The deleted group",
+        schema: envelope({ data: group }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "get",
+    path: "/groups/:id/members",
+    tag: "Groups",
+    summary:
+      "List the members of a group (members, TAs, instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The members",
+        schema: envelope({ data: z.array(user) }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/groups/:id/members",
+    tag: "Groups",
+    summary:
+      "Add a user, by id or email, to a group (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    body: memberBody,
+    responses: {
+      201: {
+        description: "The group with the new member",
+        schema: envelope({ data: group }),
+      },
+    },
+    errors: [400, 401, 403, 404, 409],
+  },
+  {
+    method: "delete",
+    path: "/groups/:id/members/:member",
+    tag: "Groups",
+    summary:
+      "Remove a user, by id or email, from a group (instructors and admins only)",
+    auth: true,
+    params: memberParams,
+    responses: {
+      200: {
+        description: "The group without the member",
+        schema: envelope({ data: group }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "get",
+    path: "/users/:id/groups",
+    tag: "Groups",
+    summary:
+      "List the groups of a user (the user, TAs, instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The groups",
+        schema: envelope({ data: z.array(group) }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+
+  {
+    method: "get",
+    path: "/permissions",
+    tag: "Roles",
+    summary: "Tell what the current token may do",
+    description:
+      "Lists, for every resource and action, whether the role of the token may act on any resource of the kind or only on its own, and the roles it may give to users.",
+    auth: true,
+    responses: {
+      200: {
+        description: "The permissions",
+        schema: envelope({ data: permissions }),
+      },
+    },
+    errors: [401],
+  },
+  {
+    method: "put",
+    path: "/users/:id/role",
+    tag: "Roles",
+    summary: "Grant a role to a user (admins only)",
+    description: "The user is signed out, so that the next token has the role.",
+    auth: true,
+    params: idParams,
+    body: grantRoleBody,
+    responses: {
+      200: {
+        description: "The user with the new role",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "delete",
+    path: "/users/:id/role",
+    tag: "Roles",
+    summary: "Revoke the role of a user, leaving them a student (admins only)",
+    description: "The user is signed out, so that the next token has the role.",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The user without the role",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+
+  {
+    method: "get",
+    path: "/invitations",
+    tag: "Invitations",
+    summary: "List invitations, oldest first (instructors and admins only)",
+    auth: true,
+    query: listInvitationsQuery,
+    responses: {
+      200: {
+        description: "The invitations",
+        schema: envelope({ data: z.array(invitation) }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "post",
+    path: "/invitations",
+    tag: "Invitations",
+    summary: "Invite a user by email (instructors and admins only)",
+    description:
+      "Emails a single-use token to accept the invitation with, valid for 7 days. The invitee gets the role (STUDENT unless given) and, as a student, is enrolled in the course, if any. If the email can not be sent, the invitation is created with a null sentAt, to be sent again.",
+    auth: true,
+    body: createInvitationBody,
+    responses: {
+      201: {
+        description: "The invitation",
+        schema: envelope({ data: invitation }),
+      },
+    },
+    errors: [400, 401, 403, 404],
+  },
+  {
+    method: "post",
+    path: "/invitations/bulk",
+    tag: "Invitations",
+    summary: "Invite users by email (instructors and admins only)",
+    description:
+      "Every email gets the same role and course. An email that can not be invited is reported without failing the others, and so is an invitation that could not be emailed.",
+    auth: true,
+    body: bulkInvitationsBody,
+    responses: {
+      200: {
+        description: "A report per email",
+        schema: envelope({
+          data: z.array(importRow),
+          meta: z
+            .object({ total: z.number().int(), failed: z.number().int() })
+            .strict(),
+        }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+  {
+    method: "post",
+    path: "/invitations/:id/resend",
+    tag: "Invitations",
+    summary: "Send an invitation again (instructors and admins only)",
+    description:
+      "Emails a new token, valid for 7 days; the earlier token stops working. sentAt is null if the email could not be sent.",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The invitation",
+        schema: envelope({ data: invitation }),
+      },
+    },
+    errors: [400, 401, 403, 404, 409],
+  },
+  {
+    method: "delete",
+    path: "/invitations/:id",
+    tag: "Invitations",
+    summary: "Revoke an invitation (instructors and admins only)",
+    auth: true,
+    params: idParams,
+    responses: {
+      200: {
+        description: "The revoked invitation",
+        schema: envelope({ data: invitation }),
+      },
+    },
+    errors: [400, 401, 403, 404, 409],
+  },
+  {
+    method: "post",
+    path: "/invitations/:token/accept",
+    tag: "Invitations",
+    summary: "Accept an invitation, creating the account",
+    description:
+      "The token is the one emailed with the invitation; it works once.",
+    params: tokenParams,
+    body: acceptInvitationBody,
+    responses: {
+      201: {
+        description: "The created user",
+        schema: envelope({ data: user }),
+      },
+    },
+    errors: [400, 429],
+  },
+
+  {
+    method: "get",
+    path: "/audit",
+    tag: "Audit",
+    summary: "List audit events, newest first (instructors and admins only)",
+    auth: true,
+    query: auditQuery,
+    responses: {
+      200: {
+        description: "A page of audit events",
+        schema: envelope({ data: z.array(auditEvent), ...pagination }),
+      },
+    },
+    errors: [400, 401, 403],
+  },
+];
+
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid request",
+  401: "Missing, invalid or expired token",
+  403: "Not permitted",
+  404: "Not found",
+  409: "Conflict",
+  412: "The user has been modified in the meantime",
+  423: "Locked after too many failed attempts",
+  429: "Too many requests",
+  500: "Internal error",
+};
+
+// the schemas listed under components, referenced by name elsewhere
+const components = {
+  User: user,
+  PartialUser: partialUser,
+  Account: account,
+  Course: course,
+  Group: group,
+  ImportRow: importRow,
+  AuditEvent: auditEvent,
+  Invitation: invitation,
+  Permissions: permissions,
+  JsonWebKeySet: jwks,
+  FieldError: fieldError,
+  Error: errorBody,
+};
+
+const refs = new Map(
+  Object.entries(components).map(([name, schema]) => [
+    schema,
+    `#/components/schemas/${name}`,
+  ])
+);
+
+const toContent = (content) =>
+  Object.fromEntries(
+    Object.entries(content).map(([type, schema]) => [
+      type,
+      { schema: toJsonSchema(schema, refs) },
+    ])
+  );
+
+const toHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, description]) => [
+      name,
+      { description, schema: { type: "string" } },
+    ])
+  );
+
+const toResponse = ({ description, schema, type, content, headers }) => {
+  const response = { description };
+  if (content) {
+    response.content = toContent(content);
+  } else if (schema) {
+    response.content = toContent({ [type || "application/json"]: schema });
+  }
+  if (headers) {
+    response.headers = toHeaders(headers);
+  }
+  return response;
+};
+
+const toOperation = (operation) => {
+  const { tag, summary, description, auth, params, query, body } = operation;
+  const result = { tags: [tag], summary };
+  if (description) {
+    result.description = description;
+  }
+  if (auth) {
+    result.security = [{ bearerAuth: [] }];
+  }
+
+  const parameters = [
+    ...(params ? toParameters(params, "path") : []),
+    ...(query ? toParameters(query, "query") : []),
+    ...(operation.headers || []).map((header) => ({
+      ...header,
+      in: "header",
+      required: false,
+      schema: { type: "string" },
+    })),
+  ];
+  if (parameters.length > 0) {
+    result.parameters = parameters;
+  }
+
+  if (body) {
+    result.requestBody = {
+      required: true,
+      content: toContent(
+        body instanceof z.ZodType ? { "application/json": body } : body
+      ),
+    };
+  }
+
+  result.responses = {};
+  for (const [status, response] of Object.entries(operation.responses)) {
+    result.responses[status] = toResponse(response);
+  }
+  for (const status of [...(operation.errors || []), 500]) {
+    result.responses[status] = {
+      description: ERROR_DESCRIPTIONS[status],
+      content: {
+        "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+      },
+    };
+    if (status === 423 || status === 429) {
+      result.responses[status].headers = toHeaders(retryAfter);
+    }
+  }
+  return result;
+};
+
+// return the OpenAPI 3.0 document describing the operations
+export const toSpec = () => {
+  const paths = {};
+  for (const operation of operations) {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = toOperation(operation);
+  }
+
+  const schemas = {};
+  for (const [name, schema] of Object.entries(components)) {
+    // a component is described in full rather than by a reference to itself
+    const others = new Map([...refs].filter(([key]) => key !== schema));
+    schemas[name] = toJsonSchema(schema, others);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Roster API",
+      version,
+      description:
+        "Manages the users, courses and enrollments of a class roster. " +
+        "Every response carries an X-Request-Id header; errors also " +
+        "repeat it as requestId.",
+    },
+    tags: [...new Set(operations.map((operation) => operation.tag))].map(
+      (name) => ({ name })
+    ),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas,
+    },
+  };
+};
+
+const patternOf = (path) => new RegExp(`^${path.replace(/:\w+/g, "[^/]+")}$`);
+
+// return the operation documenting the given request, or undefined;
+// literal paths win over parameters, e.g. /users/export over /users/:id
+export const findOperation = (method, path) =>
+  operations
+    .filter(
+      (operation) =>
+        operation.method === method.toLowerCase() &&
+        patternOf(operation.path).test(path)
+    )
+    .sort(
+      (a, b) =>
+        (a.path.match(/:/g) || []).length - (b.path.match(/:/g) || []).length
+    )[0];
@@ -0,0 +1,158 @@
+// Renders the OpenAPI specification of the API, grouped by tag; runs in
+// the browser, without dependencies
+
+const element = (tag, attributes = {}, ...children) => {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    node.setAttribute(name, value);
+  }
+  for (const child of children) {
+    node.append(child);
+  }
+  return node;
+};
+
+// return the name of a referenced component, e.g. User
+const refName = (ref) => ref.split("/").pop();
+
+// return a compact, readable description of a JSON Schema
+const describe = (schema) => {
+  if (!schema) {
+    return "";
+  }
+  if (schema.$ref) {
+    return refName(schema.$ref);
+  }
+  let text;
+  if (schema.enum) {
+    text = schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  } else if (schema.type === "array") {
+    text = `${describe(schema.items)}[]`;
+  } else if (schema.type === "object" && schema.properties) {
+    const required = schema.required || [];
+    const properties = Object.entries(schema.properties).map(
+      ([name, property]) =>
+        `${name}${required.includes(name) ? "" : "?"}: ${describe(property)}`
+    );
+    text = `{ ${properties.join(", ")} }`;
+  } else {
+    text = schema.type || "any";
+    if (schema.format) {
+      text += ` (${schema.format})`;
+    }
+  }
+  return schema.nullable ? `${text} | null` : text;
+};
+
+const renderSchema = (schema) =>
+  element("pre", {}, element("code", {}, describe(schema)));
+
+const renderContent = (content = {}) =>
+  Object.entries(content).map(([type, { schema }]) =>
+    element("div", {}, element("em", {}, type), renderSchema(schema))
+  );
+
+const renderParameters = (parameters) => {
+  const rows = parameters.map((parameter) =>
+    element(
+      "tr",
+      {},
+      element("td", {}, element("code", {}, parameter.name)),
+      element("td", {}, parameter.in),
+      element("td", {}, parameter.required ? "required" : ""),
+      element("td", {}, describe(parameter.schema)),
+      element("td", {}, parameter.description || "")
+    )
+  );
+  return element("table", {}, ...rows);
+};
+
+const renderResponses = (responses) => {
+  const rows = Object.entries(responses).map(([status, response]) =>
+    element(
+      "tr",
+      {},
+      element("td", {}, element("strong", {}, status)),
+      element("td", {}, response.description),
+      element("td", {}, ...renderContent(response.content))
+    )
+  );
+  return element("table", {}, ...rows);
+};
+
+const renderOperation = (method, path, operation) => {
+  const details = element(
+    "details",
+    { class: method },
+    element(
+      "summary",
+      {},
+      element("span", { class: "method" }, method.toUpperCase()),
+      element("code", {}, path),
+      element("span", { class: "summary" }, operation.summary)
+    )
+  );
+  if (operation.description) {
+    details.append(element("p", {}, operation.description));
+  }
+  if (operation.security) {
+    details.append(element("p", { class: "auth" }, "Requires a bearer token"));
+  }
+  if (operation.parameters) {
+    details.append(
+      element("h4", {}, "Parameters"),
+      renderParameters(operation.parameters)
+    );
+  }
+  if (operation.requestBody) {
+    details.append(
+      element("h4", {}, "Request body"),
+      ...renderContent(operation.requestBody.content)
+    );
+  }
+  details.append(
+    element("h4", {}, "Responses"),
+    renderResponses(operation.responses)
+  );
+  return details;
+};
+
+const render = (spec) => {
+  document.title = spec.info.title;
+  document.getElementById(
+    "title"
+  ).textContent = `${spec.info.title} ${spec.info.version}`;
+  document.getElementById("description").textContent =
+    spec.info.description || "";
+
+  const main = document.getElementById("operations");
+  main.replaceChildren();
+  for (const { name } of spec.tags) {
+    const section = element("section", {}, element("h2", {}, name));
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        if (operation.tags.includes(name)) {
+          section.append(renderOperation(method, path, operation));
+        }
+      }
+    }
+    main.append(section);
+  }
+
+  const schemas = element("section", {}, element("h2", {}, "Schemas"));
+  for (const [name, schema] of Object.entries(spec.components.schemas)) {
+    schemas.append(element("h3", {}, name), renderSchema(schema));
+  }
+  main.append(schemas);
+};
+
+fetch("../openapi.json")
+  .then((res) => res.json())
+  .then(render)
+  .catch((err) => {
+    document
+      .getElementById("operations")
+      .replaceChildren(
+        element("p", {}, `Could not load the specification: ${err.message}`)
+      );
+  });
@@ -1,35 +1,109 @@
 import express from "express";
-import urls from "./routes/users.js";
+import UserDao from "./data/UserDao.js";
+import SessionDao from "./data/SessionDao.js";
+import OneTimeTokenDao from "./data/OneTimeTokenDao.js";
+import AuditDao from "./data/AuditDao.js";
+import CourseDao from "./data/CourseDao.js";
+import EnrollmentDao from "./data/EnrollmentDao.js";
+import GroupDao from "./data/GroupDao.js";
+import InvitationDao from "./data/InvitationDao.js";
+import users from "./routes/users.js";
 import auth from "./routes/auth.js";
+import courses from "./routes/courses.js";
+import groups from "./routes/groups.js";
+import roles from "./routes/roles.js";
+import invitations from "./routes/invitations.js";
+import password from "./routes/password.js";
+import audit from "./routes/audit.js";
+import health from "./routes/health.js";
+import docs from "./routes/docs.js";
 import cors from "cors";
 import helmet from "helmet";
-import { factory } from "./util/debug.js";
-
-const debug = factory(import.meta.url);
-const app = express();
-
-app.use(cors());
-app.use(helmet());
-app.use(express.json());
-
-app.get("/", (req, res) => {
-  debug(`${req.method} ${req.path} called...`);
-  res.send("Welcome to the Roster API!");
-});
-
-app.use(urls);
-app.use(auth);
-
-app.use((err, req, res, next) => {
-  if (err) {
-    debug(err);
-    const code = err.status || 500;
-    res.status(code).json({
-      status: code,
-      message: err.message || `Internal Server Error!`,
-    });
-  }
-  next();
-});
-
-export default app;
+import { getConfig } from "./util/config.js";
+import { systemClock } from "./util/clock.js";
+import { createKeyStore, getKeyStore } from "./util/keys.js";
+import { TokenService } from "./util/token.js";
+import { createMailer } from "./util/mailer.js";
+import { createLimits } from "./util/limiter.js";
+import { createCheckToken } from "./util/middleware.js";
+import { requestLogger } from "./util/requestLogger.js";
+import { errorHandler } from "./util/errorHandler.js";
+
+// return an app wired with the given services, e.g. createApp({ userDao })
+// stores the users elsewhere and createApp({ clock }) moves its time; every
+// service not given is created from the configuration (see loadConfig)
+export const createApp = ({
+  config = getConfig(),
+  clock = systemClock,
+  mailer = createMailer(config.mail),
+  limits = createLimits({ clock }),
+  tokenService = new TokenService({
+    // the server rotates the shared keys of the configuration
+    keyStore:
+      config === getConfig() ? getKeyStore() : createKeyStore(config.jwt),
+    jwt: config.jwt,
+    clock,
+  }),
+  sessionDao = new SessionDao({
+    lifetimeDays: config.jwt.refreshTokenLifetimeDays,
+    clock,
+  }),
+  tokenDao = new OneTimeTokenDao({ clock }),
+  auditDao = new AuditDao(),
+  userDao = new UserDao({ clock, tokenDao, auditDao, mailer }),
+  courseDao = new CourseDao({ userDao }),
+  enrollmentDao = new EnrollmentDao({ userDao }),
+  groupDao = new GroupDao({ userDao, enrollmentDao }),
+  invitationDao = new InvitationDao({ userDao, enrollmentDao, mailer, clock }),
+} = {}) => {
+  const services = {
+    config,
+    clock,
+    mailer,
+    limits,
+    tokenService,
+    userDao,
+    sessionDao,
+    tokenDao,
+    auditDao,
+    courseDao,
+    enrollmentDao,
+    groupDao,
+    invitationDao,
+    checkToken: createCheckToken({ tokenService, sessionDao }),
+  };
+
+  const app = express();
+
+  app.use(requestLogger);
+  const { origins } = config.cors;
+  app.use(
+    cors({
+      origin: origins.includes("*") ? "*" : origins,
+      exposedHeaders: ["ETag", "X-Request-Id"],
+    })
+  );
+  app.use(helmet());
+  // also parses application/merge-patch+json and application/json-patch+json
+  app.use(express.json({ type: ["application/json", "application/*+json"] }));
+
+  app.use(health(services));
+  app.use(docs(services));
+
+  app.get("/", (req, res) => {
+    res.send("Welcome to the Roster API!");
+  });
+
+  app.use(users(services));
+  app.use(auth(services));
+  app.use(courses(services));
+  app.use(groups(services));
+  app.use(roles(services));
+  app.use(invitations(services));
+  app.use(password(services));
+  app.use(audit(services));
+
+  app.use(errorHandler);
+
+  return app;
+};
@@ -1,7 +1,48 @@
+// machine-readable error codes, sent along with the human-readable message
+export const ErrorCode = {
+  BadRequest: "BAD_REQUEST",
+  ValidationFailed: "VALIDATION_FAILED",
+  AlreadyExists: "ALREADY_EXISTS",
+  Unauthorized: "UNAUTHORIZED",
+  Forbidden: "FORBIDDEN",
+  NotFound: "NOT_FOUND",
+  Conflict: "CONFLICT",
+  PreconditionFailed: "PRECONDITION_FAILED",
+  Locked: "LOCKED",
+  TooManyRequests: "TOO_MANY_REQUESTS",
+  InternalError: "INTERNAL_ERROR",
+};
+
+const codeOf = (status) => {
+  switch (status) {
+    case 400:
+      return ErrorCode.BadRequest;
+    case 401:
+      return ErrorCode.Unauthorized;
+    case 403:
+      return ErrorCode.Forbidden;
+    case 404:
+      return ErrorCode.NotFound;
+    case 409:
+      return ErrorCode.Conflict;
+    case 412:
+      return ErrorCode.PreconditionFailed;
+    case 423:
+      return ErrorCode.Locked;
+    case 429:
+      return ErrorCode.TooManyRequests;
+    default:
+      return ErrorCode.InternalError;
+  }
+};
+
+// errors (optional) lists field-level details: [{ field, code, message }]
 class ApiError extends Error {
-  constructor(status, message) {
+  constructor(status, message, { code, errors } = {}) {
     super(message);
     this.status = status;
+    this.code = code || codeOf(status);
+    this.errors = errors;
   }
 }
 
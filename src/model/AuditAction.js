@@ -0,0 +1,9 @@
+export const AuditAction = {
+  UserCreated: "USER_CREATED",
+  UserUpdated: "USER_UPDATED",
+  UserDeleted: "USER_DELETED",
+  UserRestored: "USER_RESTORED",
+  UserPurged: "USER_PURGED",
+  LoginSucceeded: "LOGIN_SUCCEEDED",
+  LoginFailed: "LOGIN_FAILED",
+};
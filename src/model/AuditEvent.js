@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import { AuditAction } from "./AuditAction.js";
+
+// Records who did what to which user; events are never updated
+const AuditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.values(AuditAction),
+      required: true,
+    },
+    // the signed in user who made the request, null if anonymous
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    // the user the action was applied to, null if unknown
+    // (e.g. a failed login with an unknown email)
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    // [{ field, from, to }]; password values are redacted
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // anything else worth knowing, e.g. the email of a failed login
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditEventSchema.index({ createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", AuditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const CourseSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Course = mongoose.model("Course", CourseSchema);
+
+export default Course;
@@ -0,0 +1,7 @@
+// whether soft deleted users are left out of, added to or the only ones in
+// the results of a query
+export const DeletedMode = {
+  Exclude: "exclude",
+  Include: "include",
+  Only: "only",
+};
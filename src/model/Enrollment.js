@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const EnrollmentSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// a student is enrolled at most once in each course
+EnrollmentSchema.index({ course: 1, student: 1 }, { unique: true });
+
+const Enrollment = mongoose.model("Enrollment", EnrollmentSchema);
+
+export default Enrollment;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { GroupType } from "./GroupType.js";
+
+const GroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(GroupType),
+      required: true,
+    },
+    // the course the group belongs to, if any
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
+    // the maximum number of members, null for no limit
+    capacity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+GroupSchema.index({ members: 1 });
+
+const Group = mongoose.model("Group", GroupSchema);
+
+export default Group;
@@ -0,0 +1,6 @@
+// the kinds of groups a class is split into
+export const GroupType = {
+  Section: "section",
+  Team: "team",
+  Lab: "lab",
+};
@@ -0,0 +1,6 @@
+// the outcome of a row of a bulk import
+export const ImportStatus = {
+  Created: "created",
+  Valid: "valid",
+  Failed: "failed",
+};
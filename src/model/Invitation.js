@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { UserRole } from "./UserRole.js";
+
+// An invitation to create an account with a preassigned role; only the hash
+// of its token is stored. It is kept once accepted, revoked or expired, so
+// that instructors can see who was invited.
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(UserRole),
+      default: UserRole.Student,
+    },
+    // the course the invitee is enrolled in on accepting, if any
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // when the token was last emailed, or null if that failed (see
+    // InvitationDao.deliver)
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // the user created on accepting
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// at most one pending invitation per email (an expired one counts until
+// InvitationDao.create replaces it); null has to be matched by type here
+InvitationSchema.index(
+  { email: 1 },
+  {
+    name: "pending_email",
+    unique: true,
+    partialFilterExpression: {
+      acceptedAt: { $type: "null" },
+      revokedAt: { $type: "null" },
+    },
+  }
+);
+
+const Invitation = mongoose.model("Invitation", InvitationSchema);
+
+export default Invitation;
@@ -0,0 +1,7 @@
+// where an invitation stands; derived from its dates, not stored
+export const InvitationStatus = {
+  Pending: "pending",
+  Accepted: "accepted",
+  Revoked: "revoked",
+  Expired: "expired",
+};
@@ -0,0 +1,6 @@
+// how the name and email criteria are compared to the stored values
+export const MatchMode = {
+  Exact: "exact",
+  Prefix: "prefix",
+  Contains: "contains",
+};
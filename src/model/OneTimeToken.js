@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { TokenPurpose } from "./TokenPurpose.js";
+
+// A single-use, time-limited token (e.g. to reset a password);
+// only its hash is stored
+const OneTimeTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: Object.values(TokenPurpose),
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      // MongoDB removes the token once it expires
+      expires: 0,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const OneTimeToken = mongoose.model("OneTimeToken", OneTimeTokenSchema);
+
+export default OneTimeToken;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// A session is a family of rotating refresh tokens issued at login;
+// only the hashes of the refresh tokens are stored: the latest one, and the
+// ones rotated out, whose reuse revokes the session
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    usedRefreshTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      // MongoDB removes the session once it expires
+      expires: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const Session = mongoose.model("Session", SessionSchema);
+
+export default Session;
@@ -0,0 +1,4 @@
+export const TokenPurpose = {
+  PasswordReset: "PASSWORD_RESET",
+  EmailVerification: "EMAIL_VERIFICATION",
+};
@@ -1,21 +1,41 @@
 import mongoose from "mongoose";
 import { z } from "zod";
+import { UserRole } from "./UserRole.js";
 
-const UserSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
+const UserSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    password: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(UserRole),
+      default: UserRole.Student,
+      required: true,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // set when the user is (soft) deleted; the user can be restored
+    // until it is purged
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  password: {
-    type: String,
-    required: true,
-  },
-});
+  { timestamps: true }
+);
 
 UserSchema.path("email").validate((input) => {
   try {
@@ -26,6 +46,9 @@ UserSchema.path("email").validate((input) => {
   }
 }, "Invalid Email");
 
+// supports free text search on GET /users?q=
+UserSchema.index({ name: "text", email: "text" });
+
 const User = mongoose.model("User", UserSchema);
 
 export default User;
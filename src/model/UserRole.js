@@ -1,4 +1,6 @@
 export const UserRole = {
   Student: "STUDENT",
+  TeachingAssistant: "TA",
   Instructor: "INSTRUCTOR",
+  Admin: "ADMIN",
 };
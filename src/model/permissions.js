@@ -0,0 +1,137 @@
+import { UserRole } from "./UserRole.js";
+
+// What each role may do, consulted by the routes (see checkPermission)
+// instead of checking for roles themselves. For every resource and action,
+// a role may act on any resource of the kind, only on its own, or (when
+// left out) not at all. What "own" means depends on the resource: the
+// user's own account, a course they are enrolled in, a group they are a
+// member of.
+
+export const Resource = {
+  User: "user",
+  Course: "course",
+  Roster: "roster",
+  Group: "group",
+  Audit: "audit",
+  Role: "role",
+  Invitation: "invitation",
+};
+
+export const Action = {
+  Create: "create",
+  Read: "read",
+  Update: "update",
+  Delete: "delete",
+  Import: "import",
+  Export: "export",
+  Restore: "restore",
+  Purge: "purge",
+  Unlock: "unlock",
+  Assign: "assign",
+  Grant: "grant",
+  Revoke: "revoke",
+};
+
+export const Ownership = {
+  Own: "own",
+  Any: "any",
+};
+
+const { Student, TeachingAssistant, Instructor, Admin } = UserRole;
+const { Own, Any } = Ownership;
+
+// e.g. staff(Any) => { TA: "any", INSTRUCTOR: "any", ADMIN: "any" }
+const staff = (ownership) => ({
+  [TeachingAssistant]: ownership,
+  [Instructor]: Any,
+  [Admin]: Any,
+});
+const instructors = { [Instructor]: Any, [Admin]: Any };
+const admins = { [Admin]: Any };
+
+// resource => action => role => ownership
+// (updating an invitation means sending it again with a new token)
+export const PERMISSIONS = {
+  [Resource.User]: {
+    [Action.Create]: instructors,
+    [Action.Read]: { [Student]: Own, ...staff(Any) },
+    [Action.Update]: { [Student]: Own, ...staff(Own) },
+    [Action.Delete]: { [Student]: Own, ...staff(Own) },
+    [Action.Import]: instructors,
+    [Action.Export]: instructors,
+    [Action.Restore]: instructors,
+    [Action.Purge]: instructors,
+    [Action.Unlock]: instructors,
+  },
+  [Resource.Course]: {
+    [Action.Create]: instructors,
+    [Action.Read]: { [Student]: Own, ...staff(Any) },
+    [Action.Update]: instructors,
+    [Action.Delete]: instructors,
+  },
+  [Resource.Roster]: {
+    [Action.Create]: instructors,
+    [Action.Read]: staff(Any),
+    [Action.Delete]: instructors,
+  },
+  [Resource.Group]: {
+    [Action.Create]: instructors,
+    [Action.Read]: { [Student]: Own, ...staff(Any) },
+    [Action.Update]: instructors,
+    [Action.Delete]: instructors,
+    [Action.Assign]: instructors,
+  },
+  [Resource.Audit]: {
+    [Action.Read]: instructors,
+  },
+  [Resource.Role]: {
+    [Action.Grant]: admins,
+    [Action.Revoke]: admins,
+  },
+  [Resource.Invitation]: {
+    [Action.Create]: instructors,
+    [Action.Read]: instructors,
+    [Action.Update]: instructors,
+    [Action.Revoke]: instructors,
+  },
+};
+
+// the roles each role may give to a user, or take away from them, when
+// updating the user; only admins make (or unmake) admins
+export const GRANTS = {
+  [Instructor]: [Student, TeachingAssistant, Instructor],
+  [Admin]: Object.values(UserRole),
+};
+
+// return whether the role may perform the action on any resource of the
+// kind, or on its own when ownership is Own
+export const can = (role, resource, action, ownership = Any) => {
+  const granted = PERMISSIONS[resource]?.[action]?.[role];
+  return granted === Any || (granted === Own && ownership === Own);
+};
+
+// return whether users of the role may teach a course: those who may
+// create one
+export const canTeach = (role) => can(role, Resource.Course, Action.Create);
+
+// return whether users of the role may be enrolled in a course: those who
+// only see the courses they are enrolled in
+export const canEnroll = (role) =>
+  PERMISSIONS[Resource.Course][Action.Read][role] === Own;
+
+// return whether the role may give the other role to a user, or take it away
+export const canGrant = (role, other) => (GRANTS[role] || []).includes(other);
+
+// return what the role may do, e.g. { user: { read: "own", ... }, ... }
+export const permissionsOf = (role) => {
+  const permissions = {};
+  for (const [resource, actions] of Object.entries(PERMISSIONS)) {
+    permissions[resource] = {};
+    for (const [action, roles] of Object.entries(actions)) {
+      if (roles[role] !== undefined) {
+        permissions[resource][action] = roles[role];
+      }
+    }
+  }
+  return permissions;
+};
@@ -0,0 +1,188 @@
+import { z } from "zod";
+import { AuditAction } from "./AuditAction.js";
+import { ErrorCode } from "./ApiError.js";
+import { ImportStatus } from "./ImportStatus.js";
+import { Ownership } from "./permissions.js";
+import {
+  validEmail,
+  validGroupType,
+  validInvitationStatus,
+  validName,
+  validRole,
+} from "./schemas.js";
+
+// Response schemas, documented in the OpenAPI specification and checked
+// against the actual responses by the contract tests. Objects are strict,
+// so an attribute added to a response without documenting it is caught.
+
+export const objectId = z
+  .string()
+  .regex(/^[0-9a-f]{24}$/, "Expected an ObjectId")
+  .describe("A MongoDB ObjectId");
+
+export const dateTime = z
+  .string()
+  .regex(
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/,
+    "Expected an ISO 8601 date and time"
+  );
+
+export const user = z
+  .object({
+    _id: objectId,
+    name: validName,
+    email: validEmail,
+    role: validRole,
+    emailVerified: z.boolean(),
+    deletedAt: dateTime.nullable(),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  })
+  .strict();
+
+// GET /users?fields= only returns the selected attributes
+export const partialUser = user.partial().required({ _id: true });
+
+export const account = z
+  .object({ name: validName, email: validEmail, role: validRole })
+  .strict();
+
+export const course = z
+  .object({
+    _id: objectId,
+    title: z.string(),
+    code: z.string(),
+    instructor: objectId,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  })
+  .strict();
+
+export const group = z
+  .object({
+    _id: objectId,
+    name: z.string(),
+    type: validGroupType,
+    course: objectId.nullable(),
+    capacity: z.number().int().min(1).nullable(),
+    members: z.array(objectId),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  })
+  .strict();
+
+// the token of an invitation is only ever emailed
+export const invitation = z
+  .object({
+    _id: objectId,
+    email: validEmail,
+    role: validRole,
+    course: objectId.nullable(),
+    invitedBy: objectId.nullable(),
+    status: validInvitationStatus,
+    expiresAt: dateTime,
+    sentAt: dateTime.nullable(),
+    acceptedAt: dateTime.nullable(),
+    revokedAt: dateTime.nullable(),
+    user: objectId.nullable(),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  })
+  .strict();
+
+// GET /permissions, e.g. { role: "TA", permissions: { user: { read: "any" } } }
+export const permissions = z
+  .object({
+    role: validRole,
+    permissions: z.record(z.record(z.nativeEnum(Ownership))),
+    grants: z.array(validRole),
+  })
+  .strict();
+
+export const fieldError = z
+  .object({ field: z.string(), code: z.string(), message: z.string() })
+  .strict();
+
+export const importRow = z
+  .object({
+    row: z.number().int().min(1),
+    status: z.nativeEnum(ImportStatus),
+    id: objectId.optional(),
+    code: z.nativeEnum(ErrorCode).optional(),
+    message: z.string().optional(),
+    errors: z.array(fieldError).optional(),
+  })
+  .strict();
+
+export const auditEvent = z
+  .object({
+    _id: objectId,
+    action: z.nativeEnum(AuditAction),
+    actor: objectId.nullable(),
+    target: objectId.nullable(),
+    changes: z.array(
+      z.object({ field: z.string(), from: z.any(), to: z.any() }).strict()
+    ),
+    details: z.object({}).passthrough().optional(),
+    ip: z.string().optional(),
+    createdAt: dateTime,
+    __v: z.number().int(),
+  })
+  .strict();
+
+export const pagination = {
+  meta: z
+    .object({
+      total: z.number().int(),
+      limit: z.number().int(),
+      offset: z.number().int(),
+      page: z.number().int(),
+      pages: z.number().int(),
+    })
+    .strict(),
+  links: z
+    .object({
+      self: z.string(),
+      next: z.string().nullable(),
+      prev: z.string().nullable(),
+    })
+    .strict(),
+};
+
+// a JSON Web Key Set (RFC 7517) of RSA or EC public keys
+export const jwks = z
+  .object({
+    keys: z.array(
+      z
+        .object({
+          kid: z.string(),
+          kty: z.enum(["RSA", "EC"]),
+          alg: z.enum(["RS256", "ES256"]),
+          use: z.literal("sig"),
+          n: z.string().optional(),
+          e: z.string().optional(),
+          crv: z.string().optional(),
+          x: z.string().optional(),
+          y: z.string().optional(),
+        })
+        .strict()
+    ),
+  })
+  .strict();
+
+// return the schema of a successful response, { status, message, ...fields }
+export const envelope = (fields = {}) =>
+  z
+    .object({ status: z.number().int(), message: z.string(), ...fields })
+    .strict();
+
+// every error is sent by the error handler in this shape
+export const errorBody = z
+  .object({
+    status: z.number().int(),
+    message: z.string(),
+    code: z.nativeEnum(ErrorCode),
+    errors: z.array(fieldError).optional(),
+    requestId: z.string(),
+  })
+  .strict();
@@ -0,0 +1,282 @@
+import { z } from "zod";
+import mongoose from "mongoose";
+import { UserRole } from "./UserRole.js";
+import { MatchMode } from "./MatchMode.js";
+import { DeletedMode } from "./DeletedMode.js";
+import { AuditAction } from "./AuditAction.js";
+import { GroupType } from "./GroupType.js";
+import { InvitationStatus } from "./InvitationStatus.js";
+
+// Attribute validators, shared by the DAOs and the request schemas below
+
+export const validObjectId = z
+  .string()
+  .refine((id) => mongoose.isValidObjectId(id), "Invalid ID!");
+export const validName = z.string().min(1, "Missing name attribute!");
+export const validEmail = z.string().email("Invalid Email!");
+export const validPassword = z
+  .string()
+  .min(6, "Password should be at least 6 characters.");
+export const validRole = z.nativeEnum(UserRole);
+export const validMatch = z.nativeEnum(MatchMode);
+export const validDeleted = z.nativeEnum(DeletedMode);
+export const validDomain = z
+  .string()
+  .regex(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i, "Invalid Domain!");
+export const validSearch = z
+  .string()
+  .max(100)
+  .refine((q) => q.trim().length > 0, "Invalid search text!");
+export const validTitle = z.string().min(1, "Missing title attribute!");
+export const validCode = z.string().min(1, "Missing code attribute!");
+export const validGroupType = z.nativeEnum(GroupType);
+export const validInvitationStatus = z.nativeEnum(InvitationStatus);
+export const validCapacity = z
+  .number()
+  .int()
+  .min(1, "Capacity should be at least 1.");
+export const validTeamCount = z
+  .number()
+  .int()
+  .min(1, "Expected at least 1 team.")
+  .max(100, "Expected at most 100 teams.");
+
+const validCount = z.string().regex(/^\d+$/, "Expected a non-negative integer");
+const validDateString = z
+  .string()
+  .refine(
+    (date) => !isNaN(Date.parse(date)),
+    "Expected a date, e.g. 2022-12-31"
+  );
+const required = (message) => z.string({ required_error: message }).min(1);
+
+// Request schemas, applied by the validate middleware
+
+export const idParams = z.object({
+  id: validObjectId,
+});
+
+export const listUsersQuery = z.object({
+  name: z.string().min(1).optional(),
+  email: z.string().min(1).optional(),
+  role: validRole.optional(),
+  domain: validDomain.optional(),
+  q: validSearch.optional(),
+  match: validMatch.optional(),
+  deleted: validDeleted.optional(),
+  sort: z.string().optional(),
+  fields: z.string().optional(),
+  limit: validCount.optional(),
+  offset: validCount.optional(),
+});
+
+export const importUsersQuery = z.object({
+  dryRun: z.enum(["true", "false"]).optional(),
+});
+
+export const exportUsersQuery = listUsersQuery
+  .omit({ sort: true, fields: true, limit: true, offset: true })
+  .extend({
+    format: z.enum(["csv", "json", "ndjson"]).optional(),
+  });
+
+export const createUserBody = z.object({
+  name: validName,
+  email: validEmail,
+  password: validPassword,
+  role: validRole.optional(),
+});
+
+// the password is left out: it only changes through /password/change, which
+// asks for the current one, or /password/reset
+export const updateUserBody = createUserBody.omit({ password: true }).partial();
+
+export const purgeUsersBody = z.object({
+  olderThanDays: z.number().int().min(0).optional(),
+});
+
+// a full representation of the user, which has no password (see
+// updateUserBody)
+export const replaceUserBody = z.object({
+  name: validName,
+  email: validEmail,
+  role: validRole,
+});
+
+// JSON Merge Patch (RFC 7396)
+export const mergePatchBody = z.object({}).passthrough();
+
+const needsValue = ["add", "replace", "test"];
+const needsFrom = ["move", "copy"];
+
+// JSON Patch (RFC 6902)
+export const jsonPatchBody = z.array(
+  z
+    .object({
+      op: z.enum(["add", "remove", "replace", "move", "copy", "test"]),
+      path: z.string(),
+      from: z.string().optional(),
+      value: z.any(),
+    })
+    .refine(
+      (operation) =>
+        !needsValue.includes(operation.op) || operation.value !== undefined,
+      {
+        message: "Missing value attribute!",
+        path: ["value"],
+      }
+    )
+    .refine(
+      (operation) =>
+        !needsFrom.includes(operation.op) || operation.from !== undefined,
+      {
+        message: "Missing from attribute!",
+        path: ["from"],
+      }
+    )
+);
+
+export const registerBody = createUserBody.omit({ role: true });
+
+export const loginBody = z.object({
+  email: required("You must provide an email to login."),
+  password: required("You must provide a password to login."),
+});
+
+export const refreshBody = z.object({
+  refreshToken: required("You must provide a refresh token."),
+});
+
+export const logoutBody = z.object({
+  all: z.boolean().optional(),
+});
+
+export const verifyEmailQuery = z.object({
+  token: required("You must provide a verification token."),
+});
+
+export const changePasswordBody = z.object({
+  currentPassword: required("You must provide your current password."),
+  newPassword: validPassword,
+});
+
+export const forgotPasswordBody = z.object({
+  email: validEmail,
+});
+
+export const resetPasswordBody = z.object({
+  token: required("You must provide a reset token."),
+  password: validPassword,
+});
+
+export const createCourseBody = z.object({
+  title: validTitle,
+  code: validCode,
+  instructor: validObjectId.optional(),
+});
+
+export const updateCourseBody = createCourseBody.partial();
+
+export const listCoursesQuery = z.object({
+  title: z.string().min(1).optional(),
+  code: z.string().min(1).optional(),
+  instructor: validObjectId.optional(),
+});
+
+export const enrollBody = z.object({
+  student: validObjectId,
+});
+
+export const rosterParams = z.object({
+  id: validObjectId,
+  student: validObjectId,
+});
+
+export const grantRoleBody = z.object({
+  role: validRole,
+});
+
+export const createGroupBody = z.object({
+  name: validName,
+  type: validGroupType,
+  course: validObjectId.optional(),
+  capacity: validCapacity.nullable().optional(),
+});
+
+export const updateGroupBody = z.object({
+  name: validName.optional(),
+  capacity: validCapacity.nullable().optional(),
+});
+
+export const listGroupsQuery = z.object({
+  type: validGroupType.optional(),
+  course: validObjectId.optional(),
+  member: validObjectId.optional(),
+});
+
+// a member is given by id (user) or by email
+export const memberBody = z
+  .object({
+    user: validObjectId.optional(),
+    email: validEmail.optional(),
+  })
+  .refine((body) => (body.user === undefined) !== (body.email === undefined), {
+    message: "Provide either a user id or an email.",
+    path: ["user"],
+  });
+
+export const memberParams = z.object({
+  id: validObjectId,
+  member: z
+    .string()
+    .refine(
+      (member) =>
+        mongoose.isValidObjectId(member) ||
+        validEmail.safeParse(member).success,
+      "Expected a user id or an email"
+    ),
+});
+
+export const assignTeamsBody = z.object({
+  teams: validTeamCount,
+  course: validObjectId.optional(),
+  prefix: z.string().min(1).optional(),
+  capacity: validCapacity.optional(),
+});
+
+export const createInvitationBody = z.object({
+  email: validEmail,
+  role: validRole.optional(),
+  course: validObjectId.optional(),
+});
+
+// the emails are checked one by one, see InvitationDao.createMany
+export const bulkInvitationsBody = z.object({
+  emails: z.array(z.string()).min(1, "Expected at least 1 email."),
+  role: validRole.optional(),
+  course: validObjectId.optional(),
+});
+
+export const listInvitationsQuery = z.object({
+  status: validInvitationStatus.optional(),
+  email: z.string().min(1).optional(),
+});
+
+export const tokenParams = z.object({
+  token: z.string().min(1),
+});
+
+export const acceptInvitationBody = z.object({
+  name: validName,
+  password: validPassword,
+});
+
+export const auditQuery = z.object({
+  actor: validObjectId.optional(),
+  target: validObjectId.optional(),
+  action: z.nativeEnum(AuditAction).optional(),
+  from: validDateString.optional(),
+  to: validDateString.optional(),
+  limit: validCount.optional(),
+  offset: validCount.optional(),
+});
@@ -0,0 +1,53 @@
+import express from "express";
+import { factory } from "../util/debug.js";
+import { Action, Resource } from "../model/permissions.js";
+import { checkPermission } from "../util/middleware.js";
+import { paginate, parsePagination } from "../util/pagination.js";
+import { validate } from "../util/validate.js";
+import { auditQuery } from "../model/schemas.js";
+
+const debug = factory(import.meta.url);
+const endpoint = "/audit";
+
+const toDate = (value) => (value === undefined ? undefined : new Date(value));
+
+// return the router of the /audit endpoint
+const createRouter = ({ auditDao, checkToken }) => {
+  const router = express.Router();
+
+  // from and to are inclusive, e.g. ?from=2022-12-01&to=2022-12-31T23:59:59Z
+  router.get(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.Audit, Action.Read),
+    validate({ query: auditQuery }),
+    async (req, res, next) => {
+      try {
+        const { actor, target, action, from, to } = req.query;
+        const criteria = {
+          actor,
+          target,
+          action,
+          from: toDate(from),
+          to: toDate(to),
+        };
+        const { limit, offset } = parsePagination(req.query);
+        const events = await auditDao.readAll({ ...criteria, limit, offset });
+        const total = await auditDao.count(criteria);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${events.length} audit events!`,
+          data: events,
+          ...paginate(req, { total, limit, offset }),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createRouter;
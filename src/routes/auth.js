@@ -1,53 +1,271 @@
 import express from "express";
-import UserDao from "../data/UserDao.js";
 import { factory } from "../util/debug.js";
 import ApiError from "../model/ApiError.js";
+import { UserRole } from "../model/UserRole.js";
+import { AuditAction } from "../model/AuditAction.js";
 import { verifyPassword } from "../util/password.js";
-import { createToken } from "../util/token.js";
+import { auditContext } from "../util/middleware.js";
+import { validate } from "../util/validate.js";
+import {
+  loginBody,
+  logoutBody,
+  refreshBody,
+  registerBody,
+  verifyEmailQuery,
+} from "../model/schemas.js";
 
 const debug = factory(import.meta.url);
-const router = express.Router();
-export const userDao = new UserDao();
-
-router.post("/login", async (req, res, next) => {
-  debug(`${req.method} ${req.path} called...`);
-  try {
-    debug(`Parse request body..`);
-    const { email, password } = req.body;
-    if (!email || !password) {
-      throw new ApiError(
-        400,
-        "You must provide an email and a password to login."
-      );
+
+// return the router of the sign up, sign in and email verification
+// endpoints; accounts must verify their email before they can sign in
+// when config.requireEmailVerification is set
+const createRouter = ({
+  userDao,
+  sessionDao,
+  auditDao,
+  tokenService,
+  checkToken,
+  config,
+  limits,
+}) => {
+  const router = express.Router();
+  const { lockout, loginLimit, signupLimit } = limits;
+
+  // return the access and refresh tokens of a new session for the given user
+  const startSession = async (user) => {
+    debug("Start a session..");
+    const { session, refreshToken } = await sessionDao.create({
+      user: user.id,
+    });
+    const token = tokenService.create({
+      user: { id: user.id, role: user.role, sid: session.id },
+    });
+    return { token, refreshToken };
+  };
+
+  // records a failed sign in attempt for the given email
+  const loginFailed = (req, { email, user, reason }) =>
+    auditDao.tryRecord(
+      {
+        action: AuditAction.LoginFailed,
+        target: user ? user.id : undefined,
+        details: { email, reason },
+      },
+      auditContext(req)
+    );
+
+  // self-service signup; accounts created this way are always students
+  router.post(
+    "/register",
+    signupLimit,
+    validate({ body: registerBody }),
+    async (req, res, next) => {
+      try {
+        debug(`Parse request body..`);
+        const { name, email, password } = req.body;
+        const user = await userDao.create(
+          {
+            name,
+            email,
+            password,
+            role: UserRole.Student,
+          },
+          auditContext(req)
+        );
+
+        const { token, refreshToken } = await startSession(user);
+
+        debug("Prepare the payload..");
+        res.status(201).json({
+          status: 201,
+          message: `Successfully registered!`,
+          data: { name: user.name, email: user.email, role: user.role },
+          token,
+          refreshToken,
+        });
+      } catch (err) {
+        next(err);
+      }
     }
+  );
 
-    debug(`Find the user..`);
-    const users = await userDao.readAll({ email });
-    if (users.length === 0) {
-      throw new ApiError(403, "Wrong email or password!");
+  router.post(
+    "/login",
+    loginLimit,
+    validate({ body: loginBody }),
+    async (req, res, next) => {
+      try {
+        const { email, password } = req.body;
+
+        debug(`Check the account is not locked..`);
+        const retryAfter = await lockout.check(email);
+        if (retryAfter > 0) {
+          await loginFailed(req, { email, reason: "LOCKED" });
+          res.set("Retry-After", String(retryAfter));
+          throw new ApiError(
+            423,
+            "Too many failed attempts, this account is temporarily locked!"
+          );
+        }
+
+        debug(`Find the user..`);
+        const users = await userDao.readAll({ email });
+        // Since emails are unique, there will be at most one matching user
+        const user = users[0];
+
+        debug("Verify password..");
+        if (!user || !(await verifyPassword(password, user.password))) {
+          await loginFailed(req, { email, user, reason: "WRONG_CREDENTIALS" });
+          await lockout.fail(email);
+          throw new ApiError(403, "Wrong email or password!");
+        }
+        await lockout.reset(email);
+
+        if (config.requireEmailVerification && !user.emailVerified) {
+          await loginFailed(req, { email, user, reason: "EMAIL_NOT_VERIFIED" });
+          throw new ApiError(
+            403,
+            "Please verify your email before signing in!"
+          );
+        }
+
+        const { token, refreshToken } = await startSession(user);
+        await auditDao.tryRecord(
+          { action: AuditAction.LoginSucceeded, target: user.id },
+          { actor: user.id, ip: req.ip }
+        );
+
+        debug("Prepare the payload..");
+        res.status(201).json({
+          status: 201,
+          message: `Successfully signed in!`,
+          data: { name: user.name, email: user.email, role: user.role },
+          token,
+          refreshToken,
+        });
+      } catch (err) {
+        next(err);
+      }
     }
-    // Since emails are unique, there will be only one matching user
-    const user = users[0];
+  );
+
+  router.post(
+    "/refresh",
+    validate({ body: refreshBody }),
+    async (req, res, next) => {
+      try {
+        const { refreshToken } = req.body;
 
-    debug("Verify password..");
-    const result = verifyPassword(password, user.password);
-    if (!result) {
-      throw new ApiError(403, "Wrong email or password!");
+        debug("Rotate the refresh token..");
+        const rotated = await sessionDao.rotate(refreshToken);
+        const { session } = rotated;
+
+        debug(`Find the user..`);
+        let user;
+        try {
+          user = await userDao.read(session.user.toString());
+        } catch (err) {
+          await sessionDao.revoke(session.id);
+          throw new ApiError(401, "Invalid refresh token!");
+        }
+
+        debug("Prepare the payload..");
+        const token = tokenService.create({
+          user: { id: user.id, role: user.role, sid: session.id },
+        });
+        res.json({
+          status: 200,
+          message: `Successfully refreshed the session!`,
+          token,
+          refreshToken: rotated.refreshToken,
+        });
+      } catch (err) {
+        next(err);
+      }
     }
+  );
 
-    debug("Prepare the payload..");
-    const token = createToken({ user: { id: user.id } });
-    res.status(201).json({
-      status: 201,
-      message: `Successfully signed in!`,
-      data: { name: user.name, email: user.email },
-      token,
-    });
-    debug(`Done with ${req.method} ${req.path}`);
-  } catch (err) {
-    debug(`There was an error processing ${req.method} ${req.path} `);
-    next(err);
-  }
-});
-
-export default router;
+  router.get(
+    "/verify-email",
+    validate({ query: verifyEmailQuery }),
+    async (req, res, next) => {
+      try {
+        const { token } = req.query;
+
+        const user = await userDao.verifyEmail(token);
+        res.json({
+          status: 200,
+          message: `Successfully verified ${user.email}!`,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // sends a new verification token to the current user
+  router.post("/verify-email", checkToken, async (req, res, next) => {
+    try {
+      const user = await userDao.read(req.user.id);
+      if (user.emailVerified) {
+        throw new ApiError(400, "Your email is already verified!");
+      }
+
+      await userDao.sendVerification(user);
+      res.json({
+        status: 200,
+        message: `A verification token has been sent to ${user.email}.`,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // signs out of the current session, or of all sessions given { all: true }
+  router.post(
+    "/logout",
+    checkToken,
+    validate({ body: logoutBody }),
+    async (req, res, next) => {
+      try {
+        const { id, sid } = req.user;
+        if (req.body.all === true) {
+          debug("Revoke all sessions..");
+          const count = await sessionDao.revokeAll({ user: id });
+          res.json({
+            status: 200,
+            message: `Successfully signed out of ${count} sessions!`,
+          });
+        } else {
+          if (!sid) {
+            throw new ApiError(
+              400,
+              "This token does not belong to a session, sign out of all sessions instead."
+            );
+          }
+
+          debug("Revoke the session..");
+          await sessionDao.revoke(sid);
+          res.json({
+            status: 200,
+            message: `Successfully signed out!`,
+          });
+        }
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the public keys verifying the access tokens (none when they are signed
+  // with a shared secret); verifiers may cache them for a few minutes, and
+  // should fetch them again when a token names a key they do not know
+  router.get("/.well-known/jwks.json", (req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(tokenService.toJwks());
+  });
+
+  return router;
+};
+
+export default createRouter;
@@ -0,0 +1,215 @@
+import express from "express";
+import { Action, can, Resource } from "../model/permissions.js";
+import { hideVersion } from "../data/db.js";
+import { factory } from "../util/debug.js";
+import { checkPermission } from "../util/middleware.js";
+import { validate } from "../util/validate.js";
+import {
+  createCourseBody,
+  enrollBody,
+  idParams,
+  listCoursesQuery,
+  rosterParams,
+  updateCourseBody,
+} from "../model/schemas.js";
+
+const debug = factory(import.meta.url);
+const endpoint = "/courses";
+
+// return the router of the /courses endpoints
+const createRouter = ({ courseDao, enrollmentDao, checkToken }) => {
+  const router = express.Router();
+
+  // whether the current user is enrolled in the course of the request
+  const isEnrolled = async (req) => {
+    const enrollments = await enrollmentDao.readAll({
+      course: req.params.id,
+      student: req.user.id,
+    });
+    return enrollments.length > 0;
+  };
+
+  // Staff see all courses, students only those they are enrolled in
+  router.get(
+    `${endpoint}`,
+    checkToken,
+    validate({ query: listCoursesQuery }),
+    async (req, res, next) => {
+      try {
+        let courses;
+        if (can(req.user.role, Resource.Course, Action.Read)) {
+          const { title, code, instructor } = req.query;
+          courses = await courseDao.readAll({ title, code, instructor });
+        } else {
+          const enrollments = await enrollmentDao.readAll({
+            student: req.user.id,
+          });
+          courses = enrollments.map((enrollment) => enrollment.course);
+        }
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${courses.length} courses!`,
+          data: courses.map((course) => hideVersion(course)),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    `${endpoint}/:id`,
+    checkToken,
+    validate({ params: idParams }),
+    checkPermission(Resource.Course, Action.Read, isEnrolled),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const course = await courseDao.read(id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved the following course!`,
+          data: hideVersion(course),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.Course, Action.Create),
+    validate({ body: createCourseBody }),
+    async (req, res, next) => {
+      try {
+        const { title, code } = req.body;
+        const instructor = req.body.instructor || req.user.id;
+        const course = await courseDao.create({ title, code, instructor });
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: `Successfully created the following course!`,
+          data: hideVersion(course),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.put(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.Course, Action.Update),
+    validate({ params: idParams, body: updateCourseBody }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const { title, code, instructor } = req.body;
+        const course = await courseDao.update({ id, title, code, instructor });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully updated the following course!`,
+          data: hideVersion(course),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.delete(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.Course, Action.Delete),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const course = await courseDao.delete(id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully deleted the following course!`,
+          data: hideVersion(course),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    `${endpoint}/:id/roster`,
+    checkToken,
+    checkPermission(Resource.Roster, Action.Read),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        await courseDao.read(id);
+        const enrollments = await enrollmentDao.readAll({ course: id });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${enrollments.length} students!`,
+          data: enrollments.map((enrollment) => enrollment.student),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    `${endpoint}/:id/roster`,
+    checkToken,
+    checkPermission(Resource.Roster, Action.Create),
+    validate({ params: idParams, body: enrollBody }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const { student } = req.body;
+        const enrollment = await enrollmentDao.create({ course: id, student });
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: `Successfully enrolled the following student!`,
+          data: enrollment.student,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.delete(
+    `${endpoint}/:id/roster/:student`,
+    checkToken,
+    checkPermission(Resource.Roster, Action.Delete),
+    validate({ params: rosterParams }),
+    async (req, res, next) => {
+      try {
+        const { id, student } = req.params;
+        const enrollment = await enrollmentDao.delete({ course: id, student });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully removed the following student!`,
+          data: enrollment.student,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createRouter;
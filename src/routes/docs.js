@@ -0,0 +1,26 @@
+import express from "express";
+import { fileURLToPath } from "url";
+import { toSpec } from "../docs/openapi.js";
+
+// the specification only changes with the code, so it is built once
+const spec = toSpec();
+
+// return the router of the API documentation
+const createRouter = () => {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(spec);
+  });
+
+  // a page rendering /openapi.json; its script is served separately since
+  // the Content-Security-Policy set by helmet forbids inline scripts
+  router.use(
+    "/docs",
+    express.static(fileURLToPath(new URL("../docs/ui", import.meta.url)))
+  );
+
+  return router;
+};
+
+export default createRouter;
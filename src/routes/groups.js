@@ -0,0 +1,259 @@
+import express from "express";
+import { Action, can, Resource } from "../model/permissions.js";
+import { hideVersion } from "../data/db.js";
+import { factory } from "../util/debug.js";
+import { checkPermission, isSelf } from "../util/middleware.js";
+import { validate } from "../util/validate.js";
+import {
+  assignTeamsBody,
+  createGroupBody,
+  idParams,
+  listGroupsQuery,
+  memberBody,
+  memberParams,
+  updateGroupBody,
+} from "../model/schemas.js";
+
+const debug = factory(import.meta.url);
+const endpoint = "/groups";
+
+// e.g. "ann@example.com" => { email: "ann@example.com" }
+const toMember = (member) =>
+  member.includes("@") ? { email: member } : { user: member };
+
+// return the router of the /groups endpoints
+const createRouter = ({ groupDao, userDao, checkToken }) => {
+  const router = express.Router();
+
+  // whether the current user is a member of the group of the request
+  const isMember = async (req) => {
+    const group = await groupDao.read(req.params.id);
+    return group.members.some((member) => member.toString() === req.user.id);
+  };
+
+  // Staff see all groups, students only those they are members of
+  router.get(
+    `${endpoint}`,
+    checkToken,
+    validate({ query: listGroupsQuery }),
+    async (req, res, next) => {
+      try {
+        const { type, course } = req.query;
+        const member = can(req.user.role, Resource.Group, Action.Read)
+          ? req.query.member
+          : req.user.id;
+        const groups = await groupDao.readAll({ type, course, member });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${groups.length} groups!`,
+          data: groups.map((group) => hideVersion(group)),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    `${endpoint}/:id`,
+    checkToken,
+    validate({ params: idParams }),
+    checkPermission(Resource.Group, Action.Read, isMember),
+    async (req, res, next) => {
+      try {
+        const group = await groupDao.read(req.params.id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved the following group!`,
+          data: hideVersion(group),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Create),
+    validate({ body: createGroupBody }),
+    async (req, res, next) => {
+      try {
+        const { name, type, course, capacity } = req.body;
+        const group = await groupDao.create({ name, type, course, capacity });
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: `Successfully created the following group!`,
+          data: hideVersion(group),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Deals the students at random into balanced teams
+  router.post(
+    `${endpoint}/assign`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Assign),
+    validate({ body: assignTeamsBody }),
+    async (req, res, next) => {
+      try {
+        const { teams, course, prefix, capacity } = req.body;
+        const groups = await groupDao.assign({
+          teams,
+          course,
+          prefix,
+          capacity,
+        });
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: `Successfully created ${groups.length} teams!`,
+          data: groups.map((group) => hideVersion(group)),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.put(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Update),
+    validate({ params: idParams, body: updateGroupBody }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const { name, capacity } = req.body;
+        const group = await groupDao.update({ id, name, capacity });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully updated the following group!`,
+          data: hideVersion(group),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.delete(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Delete),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const group = await groupDao.delete(id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully deleted the following group!`,
+          data: hideVersion(group),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    `${endpoint}/:id/members`,
+    checkToken,
+    validate({ params: idParams }),
+    checkPermission(Resource.Group, Action.Read, isMember),
+    async (req, res, next) => {
+      try {
+        const members = await groupDao.readMembers(req.params.id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${members.length} members!`,
+          data: members,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    `${endpoint}/:id/members`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Update),
+    validate({ params: idParams, body: memberBody }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const { user, email } = req.body;
+        const group = await groupDao.addMember({ id, user, email });
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: `Successfully added the member to the following group!`,
+          data: hideVersion(group),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the member is given by id or email
+  router.delete(
+    `${endpoint}/:id/members/:member`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Update),
+    validate({ params: memberParams }),
+    async (req, res, next) => {
+      try {
+        const { id, member } = req.params;
+        const group = await groupDao.removeMember({ id, ...toMember(member) });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully removed the member from the following group!`,
+          data: hideVersion(group),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Users see their own groups, staff those of anyone
+  router.get(
+    `/users/:id/groups`,
+    checkToken,
+    checkPermission(Resource.Group, Action.Read, isSelf),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        await userDao.read(id);
+        const groups = await groupDao.readAll({ member: id });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${groups.length} groups!`,
+          data: groups.map((group) => hideVersion(group)),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createRouter;
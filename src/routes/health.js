@@ -0,0 +1,33 @@
+import express from "express";
+import * as db from "../data/db.js";
+import { isShuttingDown } from "../util/shutdown.js";
+
+// return the router of the liveness and readiness probes
+const createRouter = () => {
+  const router = express.Router();
+
+  // liveness: the process is up and serving requests
+  router.get("/healthz", (req, res) => {
+    res.json({
+      status: 200,
+      message: "OK",
+    });
+  });
+
+  // readiness: the API can serve requests, i.e. the database is connected
+  // and the server is not shutting down
+  router.get("/readyz", (req, res) => {
+    const database = db.state();
+    const shuttingDown = isShuttingDown();
+    const ready = database === "connected" && !shuttingDown;
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 200 : 503,
+      message: ready ? "Ready!" : "Not ready!",
+      data: { database, shuttingDown },
+    });
+  });
+
+  return router;
+};
+
+export default createRouter;
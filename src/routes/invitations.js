@@ -0,0 +1,200 @@
+import express from "express";
+import ApiError from "../model/ApiError.js";
+import { ImportStatus } from "../model/ImportStatus.js";
+import { UserRole } from "../model/UserRole.js";
+import { Action, canGrant, Resource } from "../model/permissions.js";
+import { hidePassword } from "../data/UserDao.js";
+import { NOT_SENT } from "../data/InvitationDao.js";
+import { factory } from "../util/debug.js";
+import { auditContext, checkPermission } from "../util/middleware.js";
+import { validate } from "../util/validate.js";
+import {
+  acceptInvitationBody,
+  bulkInvitationsBody,
+  createInvitationBody,
+  idParams,
+  listInvitationsQuery,
+  tokenParams,
+} from "../model/schemas.js";
+
+const debug = factory(import.meta.url);
+const endpoint = "/invitations";
+
+// throws ApiError if the current user may not give the role to a user
+const checkInvitedRole = (currentUser, role = UserRole.Student) => {
+  if (!canGrant(currentUser.role, role)) {
+    throw new ApiError(403, "You can not invite users with this role!");
+  }
+};
+
+// return the router of the /invitations endpoints; the invitations are
+// sent through the mailer of the invitationDao
+const createRouter = ({ invitationDao, checkToken, limits }) => {
+  const router = express.Router();
+  const { signupLimit } = limits;
+
+  // pre: invitation is a Mongoose object
+  const present = (invitation) => {
+    const { tokenHash, __v, ...rest } = invitation._doc;
+    return { ...rest, status: invitationDao.statusOf(invitation) };
+  };
+
+  router.get(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.Invitation, Action.Read),
+    validate({ query: listInvitationsQuery }),
+    async (req, res, next) => {
+      try {
+        const { status, email } = req.query;
+        const invitations = await invitationDao.readAll({ status, email });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${invitations.length} invitations!`,
+          data: invitations.map((invitation) => present(invitation)),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.Invitation, Action.Create),
+    validate({ body: createInvitationBody }),
+    async (req, res, next) => {
+      try {
+        const { email, role, course } = req.body;
+        checkInvitedRole(req.user, role);
+        const invitation = await invitationDao.create({
+          email,
+          role,
+          course,
+          invitedBy: req.user.id,
+        });
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: invitation.sentAt
+            ? `Successfully invited ${email}!`
+            : NOT_SENT,
+          data: present(invitation),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // invites every email of the list with the same role and course; an
+  // email that can not be invited is reported without failing the others
+  router.post(
+    `${endpoint}/bulk`,
+    checkToken,
+    checkPermission(Resource.Invitation, Action.Create),
+    validate({ body: bulkInvitationsBody }),
+    async (req, res, next) => {
+      try {
+        const { emails, role, course } = req.body;
+        checkInvitedRole(req.user, role);
+        const report = await invitationDao.createMany(emails, {
+          role,
+          course,
+          invitedBy: req.user.id,
+        });
+        const failed = report.filter(
+          (row) => row.status === ImportStatus.Failed
+        ).length;
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully invited ${report.length - failed} of ${
+            report.length
+          } users!`,
+          data: report,
+          meta: {
+            total: report.length,
+            failed,
+          },
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // sends the invitation again with a new token; the earlier one stops working
+  router.post(
+    `${endpoint}/:id/resend`,
+    checkToken,
+    validate({ params: idParams }),
+    checkPermission(Resource.Invitation, Action.Update),
+    async (req, res, next) => {
+      try {
+        const invitation = await invitationDao.resend(req.params.id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: invitation.sentAt
+            ? `Successfully sent the invitation again!`
+            : NOT_SENT,
+          data: present(invitation),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.delete(
+    `${endpoint}/:id`,
+    checkToken,
+    validate({ params: idParams }),
+    checkPermission(Resource.Invitation, Action.Revoke),
+    async (req, res, next) => {
+      try {
+        const invitation = await invitationDao.revoke(req.params.id);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully revoked the following invitation!`,
+          data: present(invitation),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // creates the account of the invitee, who signs in afterwards like
+  // everyone else
+  router.post(
+    `${endpoint}/:token/accept`,
+    signupLimit,
+    validate({ params: tokenParams, body: acceptInvitationBody }),
+    async (req, res, next) => {
+      try {
+        const { name, password } = req.body;
+        const user = await invitationDao.accept(
+          { token: req.params.token, name, password },
+          auditContext(req)
+        );
+        debug(`Preparing the response payload...`);
+        res.status(201).json({
+          status: 201,
+          message: `Successfully created the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createRouter;
@@ -0,0 +1,140 @@
+import express from "express";
+import ApiError from "../model/ApiError.js";
+import { TokenPurpose } from "../model/TokenPurpose.js";
+import { factory } from "../util/debug.js";
+import { auditContext } from "../util/middleware.js";
+import { validate } from "../util/validate.js";
+import {
+  changePasswordBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+} from "../model/schemas.js";
+import { verifyPassword } from "../util/password.js";
+
+const debug = factory(import.meta.url);
+const endpoint = "/password";
+
+export const RESET_TOKEN_LIFETIME_MINUTES = 60;
+
+// return the router of the /password endpoints; reset tokens (tokenDao) are
+// sent through the mailer
+const createRouter = ({
+  userDao,
+  sessionDao,
+  tokenDao,
+  mailer,
+  checkToken,
+  limits,
+}) => {
+  const router = express.Router();
+  const { passwordLimit } = limits;
+
+  router.post(
+    `${endpoint}/change`,
+    passwordLimit,
+    checkToken,
+    validate({ body: changePasswordBody }),
+    async (req, res, next) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
+
+        debug("Verify current password..");
+        const user = await userDao.read(req.user.id);
+        if (!(await verifyPassword(currentPassword, user.password))) {
+          throw new ApiError(403, "Wrong password!");
+        }
+
+        await userDao.update(
+          { id: user.id, password: newPassword },
+          auditContext(req)
+        );
+        res.json({
+          status: 200,
+          message: `Successfully changed the password!`,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Responds the same whether or not the email belongs to an account, or
+  // the email could be sent, so the endpoint can not be used to find out
+  // who is registered; a failure to deliver is logged instead
+  router.post(
+    `${endpoint}/forgot`,
+    passwordLimit,
+    validate({ body: forgotPasswordBody }),
+    async (req, res, next) => {
+      try {
+        const { email } = req.body;
+
+        debug(`Find the user..`);
+        const users = await userDao.readAll({ email });
+        if (users.length > 0) {
+          const user = users[0];
+          const token = await tokenDao.create({
+            user: user.id,
+            purpose: TokenPurpose.PasswordReset,
+            lifetime: RESET_TOKEN_LIFETIME_MINUTES * 60 * 1000,
+          });
+
+          try {
+            await mailer.send({
+              to: user.email,
+              subject: "Reset your Roster API password",
+              text:
+                `Hi ${user.name},\n\n` +
+                `Use the following token to reset your password: ${token}\n` +
+                `It expires in ${RESET_TOKEN_LIFETIME_MINUTES} minutes and can be used once.\n\n` +
+                `If you did not ask to reset your password, ignore this email.`,
+            });
+          } catch (err) {
+            debug("Could not send the reset email..");
+            debug(err);
+          }
+        }
+
+        res.json({
+          status: 200,
+          message: `If the email belongs to an account, a reset token has been sent to it.`,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // resetting the password signs the user out of all sessions
+  router.post(
+    `${endpoint}/reset`,
+    passwordLimit,
+    validate({ body: resetPasswordBody }),
+    async (req, res, next) => {
+      try {
+        // the new password has been validated before the token is used up
+        const { token, password } = req.body;
+        const { user } = await tokenDao.consume({
+          token,
+          purpose: TokenPurpose.PasswordReset,
+        });
+        await userDao.update(
+          { id: user.toString(), password },
+          auditContext(req)
+        );
+        await sessionDao.revokeAll({ user: user.toString() });
+
+        res.json({
+          status: 200,
+          message: `Successfully reset the password!`,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createRouter;
@@ -0,0 +1,105 @@
+import express from "express";
+import ApiError from "../model/ApiError.js";
+import { UserRole } from "../model/UserRole.js";
+import {
+  Action,
+  GRANTS,
+  permissionsOf,
+  Resource,
+} from "../model/permissions.js";
+import { hidePassword } from "../data/UserDao.js";
+import { factory } from "../util/debug.js";
+import { auditContext, checkPermission } from "../util/middleware.js";
+import { validate } from "../util/validate.js";
+import { grantRoleBody, idParams } from "../model/schemas.js";
+
+const debug = factory(import.meta.url);
+
+// throws ApiError if the current user is about to change their own role,
+// so that the last admin can not lock everyone out by mistake
+const checkNotSelf = (req) => {
+  if (req.params.id === req.user.id) {
+    throw new ApiError(400, "You can not change your own role!");
+  }
+};
+
+// return the router of the /permissions endpoint and of the endpoints
+// granting and revoking roles; a user whose role changes is signed out of
+// all sessions (sessionDao), so that the next token carries the new role
+const createRouter = ({ userDao, sessionDao, checkToken }) => {
+  const router = express.Router();
+
+  // sets the user's role and returns the updated user
+  const setRole = async (req, role) => {
+    const { id } = req.params;
+    const user = await userDao.update({ id, role }, auditContext(req));
+    await sessionDao.revokeAll({ user: user.id });
+    return user;
+  };
+
+  // tells the client what the current token may do
+  router.get("/permissions", checkToken, async (req, res, next) => {
+    try {
+      const { role } = req.user;
+      debug(`Preparing the response payload...`);
+      res.json({
+        status: 200,
+        message: `Successfully retrieved the permissions of ${role}!`,
+        data: {
+          role,
+          permissions: permissionsOf(role),
+          grants: GRANTS[role] || [],
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put(
+    "/users/:id/role",
+    checkToken,
+    checkPermission(Resource.Role, Action.Grant),
+    validate({ params: idParams, body: grantRoleBody }),
+    async (req, res, next) => {
+      try {
+        checkNotSelf(req);
+        const user = await setRole(req, req.body.role);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully granted ${user.role} to the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // takes the user's role away, leaving them a student
+  router.delete(
+    "/users/:id/role",
+    checkToken,
+    checkPermission(Resource.Role, Action.Revoke),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        checkNotSelf(req);
+        const user = await setRole(req, UserRole.Student);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully revoked the role of the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createRouter;
@@ -1,109 +1,561 @@
 import express from "express";
-import UserDao from "../data/UserDao.js";
+import { hidePassword, PURGE_RETENTION_DAYS } from "../data/UserDao.js";
 import { factory } from "../util/debug.js";
+import ApiError from "../model/ApiError.js";
+import { UserRole } from "../model/UserRole.js";
+import { Action, canGrant, Resource } from "../model/permissions.js";
+import { ImportStatus } from "../model/ImportStatus.js";
+import { auditContext, checkPermission, isSelf } from "../util/middleware.js";
+import { paginate, parsePagination } from "../util/pagination.js";
+import { parse, validate } from "../util/validate.js";
+import { checkIfMatch, isNotModified, toETag } from "../util/etag.js";
+import { applyJsonPatch, applyMergePatch } from "../util/patch.js";
+import { parseCsv, toCsvLine } from "../util/csv.js";
+import {
+  createUserBody,
+  exportUsersQuery,
+  idParams,
+  importUsersQuery,
+  jsonPatchBody,
+  listUsersQuery,
+  mergePatchBody,
+  purgeUsersBody,
+  replaceUserBody,
+  updateUserBody,
+} from "../model/schemas.js";
 
 const debug = factory(import.meta.url);
-const router = express.Router();
-export const userDao = new UserDao();
 const endpoint = "/users";
 
-// pre: user is a Mongoose object
-const hidePassword = (user) => {
-  const { password, __v, ...rest } = user._doc;
-  return rest;
+// the columns of a CSV export
+const EXPORT_COLUMNS = [
+  "_id",
+  "name",
+  "email",
+  "role",
+  "emailVerified",
+  "createdAt",
+  "updatedAt",
+];
+
+const EXPORT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
 };
 
-router.get(`${endpoint}`, async (req, res, next) => {
-  debug(`${req.method} ${req.path} called...`);
-
-  try {
-    const { name, email } = req.query;
-    const users = await userDao.readAll({ name, email });
-    debug(`Preparing the response payload...`);
-    res.json({
-      status: 200,
-      message: `Successfully retrieved ${users.length} users!`,
-      data: users.map((user) => hidePassword(user)),
-    });
-    debug(`Done with ${req.method} ${req.path}`);
-  } catch (err) {
-    debug(`There was an error processing ${req.method} ${req.path} `);
-    next(err);
+// writes the chunk, waiting for the response to drain when its buffer is
+// full; resolves right away if the client has gone away
+const write = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
   }
-});
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
 
-router.get(`${endpoint}/:id`, async (req, res, next) => {
-  debug(`${req.method} ${req.path} called...`);
-  try {
-    const { id } = req.params;
-    const user = await userDao.read(id);
-    debug(`Preparing the response payload...`);
-    res.json({
-      status: 200,
-      message: `Successfully retrieved the following user!`,
-      data: hidePassword(user),
-    });
-    debug(`Done with ${req.method} ${req.path}`);
-  } catch (err) {
-    debug(`There was an error processing ${req.method} ${req.path} `);
-    next(err);
-  }
+// the part of the user a client can replace or patch
+const toRepresentation = (user) => ({
+  name: user.name,
+  email: user.email,
+  role: user.role,
 });
 
-router.post(`${endpoint}`, async (req, res, next) => {
-  debug(`${req.method} ${req.path} called...`);
-  try {
-    const { name, email, password } = req.body;
-    const user = await userDao.create({ name, email, password });
-    debug(`Preparing the response payload...`);
-    res.status(201).json({
-      status: 201,
-      message: `Successfully created the following user!`,
-      data: hidePassword(user),
-    });
-    debug(`Done with ${req.method} ${req.path}`);
-  } catch (err) {
-    debug(`There was an error processing ${req.method} ${req.path} `);
-    next(err);
+// JSON Patch is sent as application/json-patch+json, any other
+// body of a PATCH request is taken as a JSON Merge Patch
+const isJsonPatch = (req) => !!req.is("application/json-patch+json");
+
+const validatePatch = (req, res, next) =>
+  validate({
+    params: idParams,
+    body: isJsonPatch(req) ? jsonPatchBody : mergePatchBody,
+  })(req, res, next);
+
+// throws ApiError unless the current user may change the role of the user
+// to the given one, i.e. may both take away the old role and give the new
+// one (see GRANTS)
+const checkRoleChange = (currentUser, user, role) => {
+  if (
+    role !== undefined &&
+    role !== user.role &&
+    !(canGrant(currentUser.role, user.role) && canGrant(currentUser.role, role))
+  ) {
+    throw new ApiError(403, "You are not permitted to change this role!");
   }
-});
+};
 
-router.put(`${endpoint}/:id`, async (req, res, next) => {
-  debug(`${req.method} ${req.path} called...`);
-  try {
-    const { id } = req.params;
-    const { name, email, password } = req.body;
-    const user = await userDao.update({ id, name, email, password });
-    debug(`Preparing the response payload...`);
-    res.json({
-      status: 200,
-      message: `Successfully updated the following bookmark!`,
-      data: hidePassword(user),
-    });
-    debug(`Done with ${req.method} ${req.path}`);
-  } catch (err) {
-    debug(`There was an error processing ${req.method} ${req.path} `);
-    next(err);
+// throws ApiError unless the current user may change the user: their own
+// account, or that of a user whose role they could grant, so that e.g.
+// instructors can not change admins
+const checkTarget = (currentUser, user) => {
+  if (currentUser.id !== user.id && !canGrant(currentUser.role, user.role)) {
+    throw new ApiError(403, "You are not permitted to perform this operation!");
   }
-});
+};
 
-router.delete(`${endpoint}/:id`, async (req, res, next) => {
-  debug(`${req.method} ${req.path} called...`);
-  try {
-    debug(`Read ID received as request parameter...`);
-    const { id } = req.params;
-    const user = await userDao.delete(id);
-    debug(`Preparing the response payload...`);
-    res.json({
-      status: 200,
-      message: `Successfully deleted the following user!`,
-      data: hidePassword(user),
-    });
-    debug(`Done with ${req.method} ${req.path} `);
-  } catch (err) {
-    debug(`There was an error processing ${req.method} ${req.path} `);
-    next(err);
+// throws ApiError if a row of an import gives a role the current user may
+// not grant; invalid rows are left to UserDao, which reports them
+const checkImportedRoles = (currentUser, rows) => {
+  const roles = Object.values(UserRole);
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (
+      row &&
+      roles.includes(row.role) &&
+      !canGrant(currentUser.role, row.role)
+    ) {
+      throw new ApiError(403, `You are not permitted to grant ${row.role}!`);
+    }
   }
-});
+};
+
+// return the router of the /users and /me endpoints; deleting a user, or
+// changing their role, signs them out of their sessions (sessionDao)
+const createRouter = ({ userDao, sessionDao, checkToken, limits }) => {
+  const router = express.Router();
+  const { lockout } = limits;
+
+  // signs the user out of all sessions if the update changed their role,
+  // so that the next token carries the new role (like /users/:id/role)
+  const revokeOnRoleChange = async (before, user) => {
+    if (before.role !== user.role) {
+      await sessionDao.revokeAll({ user: user.id });
+    }
+  };
+
+  router.get(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.User, Action.Read),
+    validate({ query: listUsersQuery }),
+    async (req, res, next) => {
+      try {
+        const { name, email, role, domain, q, match, deleted, sort, fields } =
+          req.query;
+        const criteria = { name, email, role, domain, q, match, deleted };
+        const { limit, offset } = parsePagination(req.query);
+        const users = await userDao.readAll({
+          ...criteria,
+          limit,
+          offset,
+          sort,
+          fields,
+        });
+        const total = await userDao.count(criteria);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully retrieved ${users.length} users!`,
+          data: users.map((user) => hidePassword(user)),
+          ...paginate(req, { total, limit, offset }),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // streams the users matching the criteria, without their passwords,
+  // as CSV, a JSON array or newline delimited JSON
+  router.get(
+    `${endpoint}/export`,
+    checkToken,
+    checkPermission(Resource.User, Action.Export),
+    validate({ query: exportUsersQuery }),
+    async (req, res, next) => {
+      let cursor;
+      try {
+        const { format = "json", ...criteria } = req.query;
+        cursor = userDao.stream(criteria);
+        res.attachment(`users.${format}`);
+        res.set("Content-Type", EXPORT_TYPES[format]);
+
+        debug(`Streaming the users as ${format}...`);
+        if (format === "csv") {
+          await write(res, toCsvLine(EXPORT_COLUMNS));
+        } else if (format === "json") {
+          await write(res, "[");
+        }
+
+        let count = 0;
+        for await (const user of cursor) {
+          if (res.destroyed) {
+            break;
+          }
+          const data = hidePassword(user);
+          if (format === "csv") {
+            await write(res, toCsvLine(EXPORT_COLUMNS.map((c) => data[c])));
+          } else if (format === "json") {
+            await write(res, `${count > 0 ? "," : ""}${JSON.stringify(data)}`);
+          } else {
+            await write(res, `${JSON.stringify(data)}\n`);
+          }
+          count++;
+        }
+
+        if (format === "json") {
+          await write(res, "]");
+        }
+        res.end();
+      } catch (err) {
+        next(err);
+      } finally {
+        if (cursor) {
+          await cursor.close();
+        }
+      }
+    }
+  );
+
+  router.get(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.User, Action.Read, isSelf),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const user = await userDao.read(id);
+        if (isNotModified(req, user)) {
+          debug(`The client has the current version...`);
+          return res.status(304).set("ETag", toETag(user)).end();
+        }
+        debug(`Preparing the response payload...`);
+        res.set("ETag", toETag(user));
+        res.json({
+          status: 200,
+          message: `Successfully retrieved the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // creates a user on behalf of an instructor or admin, who may only give
+  // the roles they could grant; signing up is /register
+  router.post(
+    `${endpoint}`,
+    checkToken,
+    checkPermission(Resource.User, Action.Create),
+    validate({ body: createUserBody }),
+    async (req, res, next) => {
+      try {
+        const { name, email, password, role = UserRole.Student } = req.body;
+        if (!canGrant(req.user.role, role)) {
+          throw new ApiError(403, `You are not permitted to grant ${role}!`);
+        }
+        const user = await userDao.create(
+          { name, email, password, role },
+          auditContext(req)
+        );
+        debug(`Preparing the response payload...`);
+        res.set("ETag", toETag(user));
+        res.status(201).json({
+          status: 201,
+          message: `Successfully created the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // replaces the user; fields left out of the body are not kept,
+  // except the password which is never part of the representation
+  router.put(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.User, Action.Update, isSelf),
+    validate({ params: idParams, body: replaceUserBody }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const { name, email, role } = req.body;
+        const current = await userDao.read(id);
+        checkTarget(req.user, current);
+        checkRoleChange(req.user, current, role);
+        checkIfMatch(req, current);
+        const user = await userDao.update(
+          {
+            id,
+            name,
+            email,
+            role,
+            version: req.get("If-Match") ? current.__v : undefined,
+          },
+          auditContext(req)
+        );
+        await revokeOnRoleChange(current, user);
+        debug(`Preparing the response payload...`);
+        res.set("ETag", toETag(user));
+        res.json({
+          status: 200,
+          message: `Successfully updated the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // applies a JSON Merge Patch or a JSON Patch to the user's representation,
+  // which has no password: a patch setting one is rejected
+  router.patch(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.User, Action.Update, isSelf),
+    validatePatch,
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const current = await userDao.read(id);
+        checkTarget(req.user, current);
+        checkIfMatch(req, current);
+
+        debug(`Applying the patch...`);
+        const patched = isJsonPatch(req)
+          ? applyJsonPatch(toRepresentation(current), req.body)
+          : applyMergePatch(toRepresentation(current), req.body);
+        const { name, email, role } = parse(replaceUserBody.strict(), patched);
+        checkRoleChange(req.user, current, role);
+
+        // the version guards against changes made since the user was read
+        const user = await userDao.update(
+          {
+            id,
+            name,
+            email,
+            role,
+            version: current.__v,
+          },
+          auditContext(req)
+        );
+        await revokeOnRoleChange(current, user);
+        debug(`Preparing the response payload...`);
+        res.set("ETag", toETag(user));
+        res.json({
+          status: 200,
+          message: `Successfully updated the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // creates the users of a JSON array, or of CSV (text/csv) with a header
+  // line naming the columns: name,email,password,role; a row that can not be
+  // imported is reported without failing the others. ?dryRun=true only checks
+  // the rows.
+  router.post(
+    `${endpoint}/import`,
+    checkToken,
+    checkPermission(Resource.User, Action.Import),
+    express.text({ type: "text/csv", limit: "1mb" }),
+    validate({ query: importUsersQuery }),
+    async (req, res, next) => {
+      try {
+        const dryRun = req.query.dryRun === "true";
+        const rows = req.is("text/csv") ? parseCsv(req.body) : req.body;
+        checkImportedRoles(req.user, rows);
+        const report = await userDao.import(
+          rows,
+          { dryRun },
+          auditContext(req)
+        );
+        const failed = report.filter(
+          (row) => row.status === ImportStatus.Failed
+        ).length;
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: dryRun
+            ? `Checked ${report.length} users, ${failed} of them can not be imported!`
+            : `Successfully imported ${report.length - failed} of ${
+                report.length
+              } users!`,
+          data: report,
+          meta: {
+            total: report.length,
+            failed,
+            dryRun,
+          },
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the user is only marked as deleted and signed out of all sessions;
+  // instructors can restore it until it is purged
+  router.delete(
+    `${endpoint}/:id`,
+    checkToken,
+    checkPermission(Resource.User, Action.Delete, isSelf),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        debug(`Read ID received as request parameter...`);
+        const { id } = req.params;
+        checkTarget(req.user, await userDao.read(id));
+        const user = await userDao.delete(id, auditContext(req));
+        await sessionDao.revokeAll({ user: user.id });
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully deleted the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    `${endpoint}/:id/restore`,
+    checkToken,
+    checkPermission(Resource.User, Action.Restore),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const user = await userDao.restore(id, auditContext(req));
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully restored the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // removes the users deleted at least olderThanDays days ago for good
+  router.post(
+    `${endpoint}/purge`,
+    checkToken,
+    checkPermission(Resource.User, Action.Purge),
+    validate({ body: purgeUsersBody }),
+    async (req, res, next) => {
+      try {
+        const { olderThanDays = PURGE_RETENTION_DAYS } = req.body;
+        const purged = await userDao.purge(
+          { olderThanDays },
+          auditContext(req)
+        );
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully purged ${purged} users!`,
+          data: { purged, olderThanDays },
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // lifts the lockout caused by failed sign in attempts
+  router.post(
+    `${endpoint}/:id/unlock`,
+    checkToken,
+    checkPermission(Resource.User, Action.Unlock),
+    validate({ params: idParams }),
+    async (req, res, next) => {
+      try {
+        const { id } = req.params;
+        const user = await userDao.read(id);
+        await lockout.reset(user.email);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully unlocked the following user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // The "current user" endpoints resolve the user from the auth token
+
+  router.get("/me", checkToken, async (req, res, next) => {
+    try {
+      const user = await userDao.read(req.user.id);
+      debug(`Preparing the response payload...`);
+      res.json({
+        status: 200,
+        message: `Successfully retrieved the current user!`,
+        data: hidePassword(user),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch(
+    "/me",
+    checkToken,
+    validate({ body: updateUserBody }),
+    async (req, res, next) => {
+      try {
+        const { name, email, role } = req.body;
+        checkRoleChange(req.user, req.user, role);
+        const user = await userDao.update(
+          {
+            id: req.user.id,
+            name,
+            email,
+            role,
+          },
+          auditContext(req)
+        );
+        await revokeOnRoleChange(req.user, user);
+        debug(`Preparing the response payload...`);
+        res.json({
+          status: 200,
+          message: `Successfully updated the current user!`,
+          data: hidePassword(user),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // deleting the account also signs it out of all sessions
+  router.delete("/me", checkToken, async (req, res, next) => {
+    try {
+      const user = await userDao.delete(req.user.id, auditContext(req));
+      await sessionDao.revokeAll({ user: user.id });
+      debug(`Preparing the response payload...`);
+      res.json({
+        status: 200,
+        message: `Successfully deleted the current user!`,
+        data: hidePassword(user),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
 
-export default router;
+export default createRouter;
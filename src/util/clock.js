@@ -0,0 +1,8 @@
+// The time as the app sees it. Services take a clock instead of calling
+// Date.now(), so that tests can move the time, e.g. past the expiry of a
+// token: { now: () => Date.now() + 60 * 60 * 1000 }
+
+// now() returns the milliseconds since the epoch, like Date.now()
+export const systemClock = {
+  now: () => Date.now(),
+};
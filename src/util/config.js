@@ -0,0 +1,271 @@
+import { z } from "zod";
+
+// All settings of the API, read from the environment and validated once.
+// Each profile (NODE_ENV: development, test or production) has its own
+// defaults; production has none for the settings that must be chosen.
+//
+//   PORT                         port to listen on
+//   DB_URI                       MongoDB connection string
+//   JWT_ALGORITHM                HS256 (shared secret), RS256 or ES256
+//   JWT_SECRET                   secret signing the access tokens (HS256)
+//   JWT_KEYS_DIR                 PEM private keys named <kid>.pem (RS256,
+//                                ES256); keys are generated if not set
+//   JWT_KEY_ROTATION_HOURS       how often to rotate the keys, 0 to never
+//   JWT_ISSUER                   iss claim of the access tokens
+//   JWT_AUDIENCE                 aud claim of the access tokens
+//   ACCESS_TOKEN_LIFETIME        e.g. 900 (seconds), 15m, 12h or 1d
+//   REFRESH_TOKEN_LIFETIME_DAYS  how long a session lasts without use
+//   BCRYPT_COST                  log2 of the password hashing rounds
+//   CORS_ORIGINS                 comma separated origins, or *
+//   MAIL_TRANSPORT               memory or file
+//   MAIL_DIR                     where the file transport writes emails
+//   MAIL_FROM                    sender of the emails
+//   REQUIRE_EMAIL_VERIFICATION   true to refuse unverified sign ins
+//   LOG_LEVEL                    debug, info, warn, error or silent
+
+export const PROFILES = {
+  development: {
+    PORT: "3000",
+    DB_URI: "mongodb://localhost:27017/roster",
+    JWT_ALGORITHM: "HS256",
+    JWT_KEY_ROTATION_HOURS: "24",
+    JWT_ISSUER: "roster-api",
+    JWT_AUDIENCE: "roster-api",
+    ACCESS_TOKEN_LIFETIME: "15m",
+    REFRESH_TOKEN_LIFETIME_DAYS: "7",
+    BCRYPT_COST: "10",
+    CORS_ORIGINS: "*",
+    MAIL_TRANSPORT: "file",
+    MAIL_DIR: "mail",
+    MAIL_FROM: "Roster API <no-reply@roster.local>",
+    REQUIRE_EMAIL_VERIFICATION: "false",
+    LOG_LEVEL: "debug",
+  },
+  test: {
+    PORT: "3000",
+    DB_URI: "mongodb://localhost:27017/roster-test",
+    JWT_SECRET: "test-secret-do-not-use-in-production",
+    JWT_ALGORITHM: "HS256",
+    JWT_KEY_ROTATION_HOURS: "24",
+    JWT_ISSUER: "roster-api",
+    JWT_AUDIENCE: "roster-api",
+    ACCESS_TOKEN_LIFETIME: "15m",
+    REFRESH_TOKEN_LIFETIME_DAYS: "7",
+    // fast hashing keeps the tests quick
+    BCRYPT_COST: "4",
+    CORS_ORIGINS: "*",
+    MAIL_TRANSPORT: "memory",
+    MAIL_DIR: "mail",
+    MAIL_FROM: "Roster API <no-reply@roster.local>",
+    REQUIRE_EMAIL_VERIFICATION: "false",
+    LOG_LEVEL: "silent",
+  },
+  production: {
+    PORT: "3000",
+    JWT_ALGORITHM: "HS256",
+    JWT_KEY_ROTATION_HOURS: "24",
+    JWT_ISSUER: "roster-api",
+    JWT_AUDIENCE: "roster-api",
+    ACCESS_TOKEN_LIFETIME: "15m",
+    REFRESH_TOKEN_LIFETIME_DAYS: "7",
+    BCRYPT_COST: "12",
+    MAIL_TRANSPORT: "file",
+    MAIL_DIR: "mail",
+    MAIL_FROM: "Roster API <no-reply@roster.local>",
+    REQUIRE_EMAIL_VERIFICATION: "true",
+    LOG_LEVEL: "info",
+  },
+};
+
+const validProfile = z.enum(["development", "test", "production"]);
+
+const integer = (min, max) =>
+  z
+    .string()
+    .refine(
+      (value) =>
+        /^\d+$/.test(value) && Number(value) >= min && Number(value) <= max,
+      `Expected an integer from ${min} to ${max}`
+    )
+    .transform(Number);
+
+const boolean = z
+  .enum(["true", "false"])
+  .transform((value) => value === "true");
+
+const validOrigin = z.string().refine((origin) => {
+  try {
+    return new URL(origin).origin === origin;
+  } catch (err) {
+    return false;
+  }
+}, "Expected an origin, e.g. https://roster.example.com");
+
+const schema = z.object({
+  PORT: integer(1, 65535),
+  DB_URI: z
+    .string()
+    .regex(
+      /^mongodb(\+srv)?:\/\/[^\s]+$/,
+      "Expected a MongoDB URI, e.g. mongodb://localhost:27017/roster"
+    ),
+  JWT_ALGORITHM: z.enum(["HS256", "RS256", "ES256"]),
+  JWT_SECRET: z.string().optional(),
+  JWT_KEYS_DIR: z.string().optional(),
+  // timers can not wait much longer than 24 days
+  JWT_KEY_ROTATION_HOURS: integer(0, 24 * 24),
+  JWT_ISSUER: z.string().min(1),
+  JWT_AUDIENCE: z.string().min(1),
+  ACCESS_TOKEN_LIFETIME: z
+    .string()
+    .regex(/^\d+[smhd]?$/, "Expected a duration, e.g. 900, 15m, 12h or 1d"),
+  REFRESH_TOKEN_LIFETIME_DAYS: integer(1, 365),
+  BCRYPT_COST: integer(4, 15),
+  CORS_ORIGINS: z
+    .string()
+    .transform((value) => value.split(",").map((origin) => origin.trim()))
+    .refine(
+      (origins) =>
+        (origins.length === 1 && origins[0] === "*") ||
+        origins.every((origin) => validOrigin.safeParse(origin).success),
+      "Expected * or comma separated origins, e.g. https://roster.example.com"
+    ),
+  MAIL_TRANSPORT: z.enum(["memory", "file"]),
+  MAIL_DIR: z.string().min(1),
+  MAIL_FROM: z.string().min(1),
+  REQUIRE_EMAIL_VERIFICATION: boolean,
+  LOG_LEVEL: z.enum(["debug", "info", "warn", "error", "silent"]),
+});
+
+// stricter rules where a weak setting would be a security issue
+const MIN_SECRET_LENGTH = { development: 8, test: 8, production: 32 };
+const MIN_BCRYPT_COST = { development: 4, test: 4, production: 10 };
+
+// return the issues with the (unparsed) values that depend on the profile
+// or on other settings
+const checkProfile = (values, profile) => {
+  const issues = [];
+  // only the shared secret of HS256 signs and verifies the tokens
+  if (values.JWT_ALGORITHM === "HS256") {
+    if (values.JWT_SECRET === undefined) {
+      issues.push({ name: "JWT_SECRET", message: "Required" });
+    } else if (values.JWT_SECRET.length < MIN_SECRET_LENGTH[profile]) {
+      issues.push({
+        name: "JWT_SECRET",
+        message: `Expected at least ${MIN_SECRET_LENGTH[profile]} characters`,
+      });
+    }
+  }
+  if (
+    /^\d+$/.test(values.BCRYPT_COST) &&
+    Number(values.BCRYPT_COST) < MIN_BCRYPT_COST[profile]
+  ) {
+    issues.push({
+      name: "BCRYPT_COST",
+      message: `Expected at least ${MIN_BCRYPT_COST[profile]}`,
+    });
+  }
+  return issues;
+};
+
+export class ConfigError extends Error {
+  constructor(profile, issues) {
+    super(
+      `Invalid ${profile} configuration:\n` +
+        issues.map(({ name, message }) => `  ${name}: ${message}`).join("\n")
+    );
+    this.name = "ConfigError";
+    this.issues = issues;
+  }
+}
+
+// return the settings found in env, on top of the defaults of its profile
+// throws ConfigError listing every invalid or missing setting
+export const loadConfig = (env = process.env) => {
+  const profile = env.NODE_ENV || "development";
+  if (!validProfile.safeParse(profile).success) {
+    throw new ConfigError(profile, [
+      {
+        name: "NODE_ENV",
+        message: "Expected development, test or production",
+      },
+    ]);
+  }
+
+  // empty variables count as unset
+  const values = { ...PROFILES[profile] };
+  for (const name of Object.keys(schema.shape)) {
+    if (env[name] !== undefined && env[name] !== "") {
+      values[name] = env[name];
+    }
+  }
+
+  const result = schema.safeParse(values);
+  const issues = [
+    ...(result.success ? [] : result.error.issues).map((issue) => ({
+      name: issue.path.join("."),
+      message: issue.message,
+    })),
+    ...checkProfile(values, profile),
+  ];
+  if (issues.length > 0) {
+    // in the order the settings are listed above
+    const names = Object.keys(schema.shape);
+    throw new ConfigError(
+      profile,
+      issues.sort((a, b) => names.indexOf(a.name) - names.indexOf(b.name))
+    );
+  }
+
+  const settings = result.data;
+  return {
+    profile,
+    port: settings.PORT,
+    db: { uri: settings.DB_URI },
+    jwt: {
+      algorithm: settings.JWT_ALGORITHM,
+      secret: settings.JWT_SECRET,
+      keysDir: settings.JWT_KEYS_DIR,
+      keyRotationHours: settings.JWT_KEY_ROTATION_HOURS,
+      issuer: settings.JWT_ISSUER,
+      audience: settings.JWT_AUDIENCE,
+      accessTokenLifetime: toSeconds(settings.ACCESS_TOKEN_LIFETIME),
+      refreshTokenLifetimeDays: settings.REFRESH_TOKEN_LIFETIME_DAYS,
+    },
+    bcrypt: { cost: settings.BCRYPT_COST },
+    cors: { origins: settings.CORS_ORIGINS },
+    mail: {
+      transport: settings.MAIL_TRANSPORT,
+      dir: settings.MAIL_DIR,
+      from: settings.MAIL_FROM,
+    },
+    requireEmailVerification: settings.REQUIRE_EMAIL_VERIFICATION,
+    logLevel: settings.LOG_LEVEL,
+  };
+};
+
+const SECONDS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// return the seconds of a duration, e.g. 900 for 15m; plain numbers are
+// seconds already
+const toSeconds = (value) => {
+  const [, amount, unit] = value.match(/^(\d+)([smhd]?)$/);
+  return Number(amount) * SECONDS[unit || "s"];
+};
+
+let config;
+
+// return the settings, loaded from the environment on first use
+// throws ConfigError if they are invalid
+export const getConfig = () => {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+};
+
+// forgets the loaded settings, so the next getConfig() reads the
+// environment again (e.g. after a test changed it)
+export const resetConfig = () => {
+  config = undefined;
+};
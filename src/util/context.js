@@ -0,0 +1,15 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Keeps per-request values (e.g. the request id) available to any code
+// running on behalf of the request, down to the DAOs, without passing
+// them around
+const storage = new AsyncLocalStorage();
+
+// runs fn with the given values as the current request context
+export const runWithContext = (values, fn) => storage.run(values, fn);
+
+// return the id of the request being handled, undefined outside a request
+export const getRequestId = () => {
+  const values = storage.getStore();
+  return values ? values.requestId : undefined;
+};
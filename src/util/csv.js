@@ -0,0 +1,92 @@
+import ApiError from "../model/ApiError.js";
+
+// Minimal CSV (RFC 4180) support: comma separated, fields may be quoted
+// with double quotes, and quotes inside quoted fields are doubled
+
+// return the rows of the text, each an array of fields
+// throws ApiError if a quoted field is not closed
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.length === 0) {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ApiError(400, "Malformed CSV: a quoted field is not closed!");
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// return an object per line, keyed by the column names in the first line;
+// blank lines are skipped and empty fields are left out
+export const parseCsv = (text) => {
+  const rows = parseRows(String(text).replace(/^\uFEFF/, "")).filter(
+    (row) => row.length > 1 || row[0].trim().length > 0
+  );
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const columns = rows[0].map((column) => column.trim());
+  return rows.slice(1).map((row) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = row[index];
+      if (column.length > 0 && value !== undefined && value.length > 0) {
+        record[column] = value;
+      }
+    });
+    return record;
+  });
+};
+
+// spreadsheets run cells that start with one of these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// return the value as a CSV field, quoted if needed
+const toField = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// return a CSV line (ending with CRLF) of the given values
+export const toCsvLine = (values) => `${values.map(toField).join(",")}\r\n`;
@@ -1,10 +1,22 @@
 import path from "path";
 import { fileURLToPath } from "url";
 import Debug from "debug";
+import { getRequestId } from "./context.js";
 
+// the debug output of code running for a request starts with its id
 export function factory(fileURL) {
   const filePath = fileURLToPath(fileURL);
   const __filename = path.basename(filePath);
   const __dirname = path.dirname(filePath);
-  return new Debug(`roster:${path.basename(__dirname)}:${__filename}`);
+  const debug = new Debug(`roster:${path.basename(__dirname)}:${__filename}`);
+  return (...args) => {
+    if (!debug.enabled) {
+      return;
+    }
+    const requestId = getRequestId();
+    if (requestId === undefined) {
+      return debug(...args);
+    }
+    debug(`[${requestId}]`, ...args);
+  };
 }
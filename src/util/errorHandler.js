@@ -0,0 +1,69 @@
+import ApiError, { ErrorCode } from "../model/ApiError.js";
+import { factory } from "./debug.js";
+import { logger } from "./logger.js";
+
+const debug = factory(import.meta.url);
+
+// maps errors thrown by mongoose or express to an ApiError
+export const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  if (err.name === "ValidationError" && err.errors) {
+    const errors = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      code: error.kind,
+      message: error.message,
+    }));
+    return new ApiError(400, "Invalid request!", {
+      code: ErrorCode.ValidationFailed,
+      errors,
+    });
+  }
+
+  if (err.name === "CastError") {
+    return new ApiError(400, "Invalid request!", {
+      code: ErrorCode.ValidationFailed,
+      errors: [{ field: err.path, code: err.kind, message: err.message }],
+    });
+  }
+
+  if (err.code === 11000) {
+    const errors = Object.keys(err.keyValue || {}).map((field) => ({
+      field,
+      code: "duplicate",
+      message: `The ${field} is already in use!`,
+    }));
+    return new ApiError(400, "Resource already exists!", {
+      code: ErrorCode.AlreadyExists,
+      errors,
+    });
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return new ApiError(400, "Malformed JSON in request body!");
+  }
+
+  return new ApiError(
+    err.status || 500,
+    err.message || `Internal Server Error!`
+  );
+};
+
+// responds with the error; the request id lets clients refer to the logs
+export const errorHandler = (err, req, res, next) => {
+  debug(err);
+  const { status, message, code, errors } = toApiError(err);
+  if (status >= 500) {
+    logger.error("request failed", { err });
+  } else {
+    logger.debug("request rejected", { status, message, code });
+  }
+
+  if (res.headersSent) {
+    // too late to respond with an error, e.g. while streaming
+    return next(err);
+  }
+  res.status(status).json({ status, message, code, errors, requestId: req.id });
+};
@@ -0,0 +1,40 @@
+import ApiError from "../model/ApiError.js";
+
+// The entity tag of a document is derived from its id and version (__v),
+// so it changes with every update of the document
+
+// return the (strong) entity tag of the document
+export const toETag = (document) => `"${document.id}-${document.__v}"`;
+
+// return the entity tags listed in an If-Match or If-None-Match header
+const parseList = (header) =>
+  String(header)
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => tag.length > 0);
+
+// throws ApiError 412 unless the If-Match header (if any) matches the
+// document; entity tags are compared strongly, so weak tags never match
+export const checkIfMatch = (req, document) => {
+  const header = req.get("If-Match");
+  if (header === undefined) {
+    return;
+  }
+
+  const tags = parseList(header);
+  if (!tags.includes("*") && !tags.includes(toETag(document))) {
+    throw new ApiError(412, "The resource has been modified in the meantime!");
+  }
+};
+
+// return true if the If-None-Match header matches the document, i.e. the
+// client already has its current version; entity tags are compared weakly
+export const isNotModified = (req, document) => {
+  const header = req.get("If-None-Match");
+  if (header === undefined) {
+    return false;
+  }
+
+  const tags = parseList(header).map((tag) => tag.replace(/^W\//, ""));
+  return tags.includes("*") || tags.includes(toETag(document));
+};
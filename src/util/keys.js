@@ -0,0 +1,195 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getConfig } from "./config.js";
+import { factory } from "./debug.js";
+
+const debug = factory(import.meta.url);
+
+// The keys signing and verifying the access tokens, each identified by the
+// kid in the token header. HS256 uses the one shared secret; RS256 and
+// ES256 sign with the newest private key and publish the public keys (JWKS),
+// so other services can verify the tokens without being able to sign any.
+//
+// A rotation retires the signing key: it no longer signs, but still verifies
+// until the last token it signed has expired. Keys are read from a directory
+// of PEM private keys named <kid>.pem (the newest file signs), or generated
+// when no directory is given.
+
+const GENERATE_OPTIONS = {
+  RS256: ["rsa", { modulusLength: 2048 }],
+  ES256: ["ec", { namedCurve: "P-256" }],
+};
+
+const PEM = {
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+};
+
+export class KeyStore {
+  // algorithm: HS256, RS256 or ES256; secret: the HS256 secret;
+  // lifetime: seconds a token is valid for; dir: optional key directory
+  constructor({ algorithm, secret, lifetime, dir }) {
+    this.algorithm = algorithm;
+    this.lifetime = lifetime;
+    this.dir = dir;
+    // { kid, privateKey, publicKey, retiredAt }, the signing key first
+    this.keys = [];
+    this.timer = undefined;
+
+    if (algorithm === "HS256") {
+      this.keys = [{ kid: "hs256", privateKey: secret, publicKey: secret }];
+    } else {
+      this.rotate();
+    }
+  }
+
+  // return the key new tokens are signed with
+  signingKey() {
+    return this.keys[0];
+  }
+
+  // return the key with the given kid, unless it has expired
+  find(kid, now = Date.now()) {
+    return this.keys.find(
+      (key) => key.kid === kid && !this.isExpired(key, now)
+    );
+  }
+
+  // a retired key has expired once every token it signed has
+  isExpired(key, now) {
+    return (
+      key.retiredAt !== undefined && key.retiredAt + this.lifetime * 1000 <= now
+    );
+  }
+
+  // signs with a new key from now on; the previous keys verify the tokens
+  // they signed until these expire
+  // throws Error if the keys are a shared secret, or the directory has none
+  rotate(now = Date.now()) {
+    if (this.algorithm === "HS256") {
+      throw new Error("A shared secret can not be rotated!");
+    }
+
+    const current = this.dir ? this.read() : [this.generate()];
+    if (current.length === 0) {
+      throw new Error(`No ${this.algorithm} keys found in ${this.dir}!`);
+    }
+    const kids = current.map((key) => key.kid);
+    const previous = this.keys
+      .filter((key) => !kids.includes(key.kid))
+      .map((key) => ({ ...key, retiredAt: key.retiredAt ?? now }));
+    this.keys = [...current, ...previous].filter(
+      (key) => !this.isExpired(key, now)
+    );
+    debug(`Signing with key ${this.signingKey().kid}..`);
+  }
+
+  generate() {
+    const [type, options] = GENERATE_OPTIONS[this.algorithm];
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+      ...options,
+      ...PEM,
+    });
+    return { kid: crypto.randomUUID(), privateKey, publicKey };
+  }
+
+  // return the keys of the directory, newest first
+  // throws Error if a key does not suit the algorithm
+  read() {
+    const [type] = GENERATE_OPTIONS[this.algorithm];
+    return fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith(".pem"))
+      .map((file) => {
+        const name = path.join(this.dir, file);
+        const privateKey = fs.readFileSync(name, "utf8");
+        const publicKey = crypto.createPublicKey(privateKey);
+        if (publicKey.asymmetricKeyType !== type) {
+          throw new Error(`${name} is not an ${type} key!`);
+        }
+        return {
+          kid: path.basename(file, ".pem"),
+          privateKey,
+          publicKey: publicKey.export({ type: "spki", format: "pem" }),
+          modified: fs.statSync(name).mtimeMs,
+        };
+      })
+      .sort((a, b) => b.modified - a.modified)
+      .map(({ modified, ...key }) => key);
+  }
+
+  // return the public keys as a JSON Web Key Set; empty for HS256, whose
+  // secret must never be published
+  toJwks(now = Date.now()) {
+    if (this.algorithm === "HS256") {
+      return { keys: [] };
+    }
+    return {
+      keys: this.keys
+        .filter((key) => !this.isExpired(key, now))
+        .map((key) => ({
+          ...crypto.createPublicKey(key.publicKey).export({ format: "jwk" }),
+          kid: key.kid,
+          alg: this.algorithm,
+          use: "sig",
+        })),
+    };
+  }
+
+  // rotates the keys every given number of hours (0 never)
+  startRotation(hours) {
+    if (this.algorithm === "HS256" || hours === 0) {
+      return;
+    }
+    this.stopRotation();
+    this.timer = setInterval(() => {
+      try {
+        this.rotate();
+      } catch (err) {
+        debug("Could not rotate the keys..");
+        debug(err);
+      }
+    }, hours * 60 * 60 * 1000);
+    // the rotation alone does not keep the process running
+    this.timer.unref();
+  }
+
+  stopRotation() {
+    clearInterval(this.timer);
+    this.timer = undefined;
+  }
+}
+
+// return a new key store of the jwt settings of a configuration
+export const createKeyStore = ({
+  algorithm,
+  secret,
+  keysDir,
+  accessTokenLifetime,
+}) =>
+  new KeyStore({
+    algorithm,
+    secret,
+    lifetime: accessTokenLifetime,
+    dir: keysDir,
+  });
+
+let keyStore;
+
+// return the key store of the configured algorithm, created on first use
+export const getKeyStore = () => {
+  if (!keyStore) {
+    keyStore = createKeyStore(getConfig().jwt);
+  }
+  return keyStore;
+};
+
+// forgets the key store, so the next getKeyStore() creates it from the
+// configuration again (e.g. after a test changed it)
+export const resetKeyStore = () => {
+  if (keyStore) {
+    keyStore.stopRotation();
+  }
+  keyStore = undefined;
+};
@@ -0,0 +1,189 @@
+import ApiError from "../model/ApiError.js";
+import { systemClock } from "./clock.js";
+import { factory } from "./debug.js";
+
+const debug = factory(import.meta.url);
+
+// A store keeps counters that expire; any object with async
+// get(key), set(key, value, ttl) and delete(key) can be plugged in,
+// e.g. a Redis backed one when running several instances of the API.
+
+// keeps the counters in this process' memory, at most maxSize of them: when
+// full of counters that have not expired, the one written longest ago goes
+export class MemoryStore {
+  constructor({ maxSize = 10000, clock = systemClock } = {}) {
+    this.entries = new Map();
+    this.maxSize = maxSize;
+    this.clock = clock;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= this.clock.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  // ttl is in milliseconds
+  async set(key, value, ttl) {
+    // the entries are in the order they were written
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxSize) {
+      this.sweep();
+    }
+    if (this.entries.size >= this.maxSize) {
+      const [oldest] = this.entries.keys();
+      debug(`The store is full, evicting ${oldest}..`);
+      this.entries.delete(oldest);
+    }
+    this.entries.set(key, { value, expiresAt: this.clock.now() + ttl });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // removes the expired counters
+  sweep() {
+    const now = this.clock.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+const toSeconds = (ms) => Math.max(Math.ceil(ms / 1000), 1);
+
+// Limits each client IP to max requests per window (in milliseconds);
+// responds 429 with a Retry-After header once the limit is reached
+export const rateLimit = ({
+  name,
+  max,
+  window,
+  clock = systemClock,
+  store = new MemoryStore({ clock }),
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = `rate:${name}:${req.ip}`;
+      const now = clock.now();
+      let counter = await store.get(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: now + window };
+      }
+      counter.count += 1;
+      await store.set(key, counter, counter.resetAt - now);
+
+      if (counter.count > max) {
+        debug(`Rate limit of ${name} reached by ${req.ip}..`);
+        res.set("Retry-After", String(toSeconds(counter.resetAt - now)));
+        return next(
+          new ApiError(429, "Too many requests, please try again later!")
+        );
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// Locks an account after a number of consecutive failed sign in attempts;
+// every further failure doubles the lockout, up to maxDelay.
+// Delays are in milliseconds.
+export class AccountLockout {
+  constructor({
+    threshold = 5,
+    baseDelay = 60 * 1000,
+    maxDelay = 60 * 60 * 1000,
+    memory = 24 * 60 * 60 * 1000,
+    clock = systemClock,
+    store = new MemoryStore({ clock }),
+  } = {}) {
+    this.threshold = threshold;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.memory = memory;
+    this.clock = clock;
+    this.store = store;
+  }
+
+  key(account) {
+    return `lockout:${String(account).toLowerCase()}`;
+  }
+
+  // return the number of seconds the account remains locked, 0 if it is not
+  async check(account) {
+    const state = await this.store.get(this.key(account));
+    const now = this.clock.now();
+    if (!state || !state.lockedUntil || state.lockedUntil <= now) {
+      return 0;
+    }
+    return toSeconds(state.lockedUntil - now);
+  }
+
+  // records a failed attempt; return the state of the account
+  async fail(account) {
+    const key = this.key(account);
+    const state = (await this.store.get(key)) || { failures: 0 };
+    state.failures += 1;
+    if (state.failures >= this.threshold) {
+      const exponent = state.failures - this.threshold;
+      const delay = Math.min(this.baseDelay * 2 ** exponent, this.maxDelay);
+      state.lockedUntil = this.clock.now() + delay;
+      debug(`Locking ${account} for ${delay}ms..`);
+    }
+    await this.store.set(key, state, this.memory);
+    return state;
+  }
+
+  // forgets the failed attempts, e.g. after a successful sign in
+  async reset(account) {
+    await this.store.delete(this.key(account));
+  }
+}
+
+const MINUTE = 60 * 1000;
+
+// return the limits applied to the sensitive endpoints, sharing one store
+// (a MemoryStore unless given) and telling the time by the clock; every app
+// gets its own (see createApp)
+export const createLimits = ({
+  clock = systemClock,
+  store = new MemoryStore({ clock }),
+} = {}) => ({
+  store,
+  lockout: new AccountLockout({ clock, store }),
+  loginLimit: rateLimit({
+    name: "login",
+    max: 30,
+    window: 15 * MINUTE,
+    clock,
+    store,
+  }),
+  signupLimit: rateLimit({
+    name: "signup",
+    max: 50,
+    window: 60 * MINUTE,
+    clock,
+    store,
+  }),
+  passwordLimit: rateLimit({
+    name: "password",
+    max: 30,
+    window: 15 * MINUTE,
+    clock,
+    store,
+  }),
+});
@@ -0,0 +1,95 @@
+import { getConfig } from "./config.js";
+import { getRequestId } from "./context.js";
+
+// Writes structured logs, one JSON object per line:
+// { time, level, msg, requestId, ...fields }
+// The level is set by LOG_LEVEL (debug, info, warn, error or silent);
+// its default depends on the profile, e.g. silent when running the tests.
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+export const REDACTED = "[REDACTED]";
+
+// fields with these names are never logged
+const SECRET = /pass(word)?|token|secret|authorization|cookie/i;
+
+// return a copy of value with secret fields redacted and errors expanded
+export const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    const { name, message, stack, status, code } = value;
+    return { name, message, status, code, stack };
+  }
+  if (value === null || typeof value !== "object" || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+};
+
+const defaultLevel = () => getConfig().logLevel;
+
+export class Logger {
+  // write receives each line; defaults to stdout
+  constructor({ level, write } = {}) {
+    this.setLevel(level || defaultLevel());
+    this.write = write || ((line) => process.stdout.write(line));
+  }
+
+  // throws Error if the level is unknown
+  setLevel(level) {
+    if (LEVELS[level] === undefined) {
+      throw new Error(
+        `Unknown log level "${level}"! Use one of ${Object.keys(LEVELS).join(
+          ", "
+        )}.`
+      );
+    }
+    this.level = level;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      requestId: getRequestId(),
+      ...redact(fields),
+    };
+    this.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+}
+
+export const logger = new Logger();
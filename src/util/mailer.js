@@ -0,0 +1,75 @@
+import fs from "fs/promises";
+import path from "path";
+import { factory } from "./debug.js";
+
+const debug = factory(import.meta.url);
+
+// A transport delivers messages: { from, to, subject, text }
+// Any object with an async send(message) method can be plugged in.
+
+// keeps every message in memory; meant for tests
+export class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+  }
+
+  // return the most recent message sent to the given address
+  last(to) {
+    return [...this.messages].reverse().find((message) => message.to === to);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+// writes every message as a JSON file into a directory; meant for local
+// development, so emails can be read without a mail server
+export class FileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(
+      this.dir,
+      `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    debug(`Mail written to ${file}`);
+  }
+}
+
+export class Mailer {
+  constructor(transport, from) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  // swap the transport, e.g. for an SMTP or API based one
+  use(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    debug(`Sending "${subject}" to ${to}..`);
+    await this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+const createTransport = ({ transport, dir }) => {
+  if (transport === "file") {
+    return new FileTransport(dir);
+  }
+  return new MemoryTransport();
+};
+
+// return a mailer with the transport and sender of the mail configuration
+// (see loadConfig), e.g. createMailer(getConfig().mail)
+export const createMailer = ({ transport, dir, from }) =>
+  new Mailer(createTransport({ transport, dir }), from);
@@ -0,0 +1,93 @@
+import ApiError from "../model/ApiError.js";
+import { can, Ownership } from "../model/permissions.js";
+import { factory } from "./debug.js";
+
+const debug = factory(import.meta.url);
+
+// Extracts the token from an "Authorization: Bearer <token>" header
+// returns undefined when the header is missing or malformed
+const parseBearer = (authorization) => {
+  if (!authorization) {
+    return undefined;
+  }
+
+  const [scheme, token, ...rest] = authorization.trim().split(/\s+/);
+  if (!/^bearer$/i.test(scheme) || !token || rest.length > 0) {
+    return undefined;
+  }
+
+  return token;
+};
+
+// return the middleware verifying the bearer token with the tokenService and
+// attaching its payload ({ id, role, sid }) to req.user; sid is the session
+// the token was issued for, if any, which sessionDao checks is still active
+// it responds 401 when the token is missing, malformed, expired or revoked
+export const createCheckToken =
+  ({ tokenService, sessionDao }) =>
+  async (req, res, next) => {
+    debug("Checking the authorization token..");
+    const token = parseBearer(req.headers.authorization);
+    if (!token) {
+      return next(
+        new ApiError(401, "You are not authorized to access this resource!")
+      );
+    }
+
+    let payload;
+    try {
+      payload = tokenService.decode(token);
+    } catch (err) {
+      debug(err);
+      const message =
+        err.name === "TokenExpiredError"
+          ? "Your session has expired, please sign in again!"
+          : "Invalid authorization token!";
+      return next(new ApiError(401, message));
+    }
+
+    const { id, role, sid } = payload;
+    try {
+      if (sid !== undefined && !(await sessionDao.isActive(sid))) {
+        return next(new ApiError(401, "Your session has been revoked!"));
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    req.user = { id, role, sid };
+    next();
+  };
+
+// return whether the request is about the current user, i.e. its id is
+// given in the route parameters
+export const isSelf = (req) =>
+  req.params.id !== undefined && req.params.id === req.user.id;
+
+// Only lets users through who may perform the action on any resource of
+// the kind, or on their own when isOwn(req) resolves true (see PERMISSIONS)
+// pre: checkToken has run before this middleware
+export const checkPermission =
+  (resource, action, isOwn = () => false) =>
+  async (req, res, next) => {
+    debug(`Checking the user's permission to ${action} ${resource}..`);
+    const { role } = req.user;
+    try {
+      if (
+        can(role, resource, action) ||
+        (can(role, resource, action, Ownership.Own) && (await isOwn(req)))
+      ) {
+        return next();
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    next(new ApiError(403, "You are not permitted to perform this operation!"));
+  };
+
+// return who made the request and from where, as recorded in the audit log
+export const auditContext = (req) => ({
+  actor: req.user ? req.user.id : undefined,
+  ip: req.ip,
+});
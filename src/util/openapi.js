@@ -0,0 +1,148 @@
+// Converts zod schemas to the JSON Schema dialect of OpenAPI 3.0, so the
+// specification is derived from the same schemas that validate requests.
+// Refinements can not be expressed and are left out; transforms are
+// described by their input. refs maps zod schemas to the $ref used
+// instead of describing them again.
+
+const withDescription = (schema, json) =>
+  schema.description ? { ...json, description: schema.description } : json;
+
+const fromString = (def) => {
+  const json = { type: "string" };
+  for (const check of def.checks) {
+    if (check.kind === "min") {
+      json.minLength = check.value;
+    } else if (check.kind === "max") {
+      json.maxLength = check.value;
+    } else if (check.kind === "length") {
+      json.minLength = check.value;
+      json.maxLength = check.value;
+    } else if (check.kind === "email") {
+      json.format = "email";
+    } else if (check.kind === "url") {
+      json.format = "uri";
+    } else if (check.kind === "uuid") {
+      json.format = "uuid";
+    } else if (check.kind === "regex") {
+      json.pattern = check.regex.source;
+    }
+  }
+  return json;
+};
+
+const fromNumber = (def) => {
+  const json = { type: "number" };
+  for (const check of def.checks) {
+    if (check.kind === "int") {
+      json.type = "integer";
+    } else if (check.kind === "min") {
+      json.minimum = check.value;
+      if (!check.inclusive) {
+        json.exclusiveMinimum = true;
+      }
+    } else if (check.kind === "max") {
+      json.maximum = check.value;
+      if (!check.inclusive) {
+        json.exclusiveMaximum = true;
+      }
+    }
+  }
+  return json;
+};
+
+const fromObject = (schema, refs) => {
+  const properties = {};
+  const required = [];
+  for (const [name, property] of Object.entries(schema.shape)) {
+    properties[name] = toJsonSchema(property, refs);
+    if (!property.isOptional()) {
+      required.push(name);
+    }
+  }
+
+  const json = { type: "object", properties };
+  if (required.length > 0) {
+    json.required = required;
+  }
+  if (schema._def.unknownKeys === "strict") {
+    json.additionalProperties = false;
+  }
+  return json;
+};
+
+const converters = {
+  ZodString: (schema) => fromString(schema._def),
+  ZodNumber: (schema) => fromNumber(schema._def),
+  ZodBoolean: () => ({ type: "boolean" }),
+  ZodAny: () => ({}),
+  ZodUnknown: () => ({}),
+  ZodLiteral: (schema) => ({ enum: [schema._def.value] }),
+  ZodEnum: (schema) => ({ type: "string", enum: [...schema._def.values] }),
+  ZodNativeEnum: (schema) => ({
+    type: "string",
+    enum: [...new Set(Object.values(schema._def.values))],
+  }),
+  ZodObject: fromObject,
+  ZodArray: (schema, refs) => {
+    const json = {
+      type: "array",
+      items: toJsonSchema(schema._def.type, refs),
+    };
+    if (schema._def.minLength) {
+      json.minItems = schema._def.minLength.value;
+    }
+    if (schema._def.maxLength) {
+      json.maxItems = schema._def.maxLength.value;
+    }
+    return json;
+  },
+  ZodRecord: (schema, refs) => ({
+    type: "object",
+    additionalProperties: toJsonSchema(schema._def.valueType, refs),
+  }),
+  ZodUnion: (schema, refs) => ({
+    anyOf: schema._def.options.map((option) => toJsonSchema(option, refs)),
+  }),
+  ZodOptional: (schema, refs) => toJsonSchema(schema._def.innerType, refs),
+  ZodNullable: (schema, refs) => ({
+    ...toJsonSchema(schema._def.innerType, refs),
+    nullable: true,
+  }),
+  ZodDefault: (schema, refs) => ({
+    ...toJsonSchema(schema._def.innerType, refs),
+    default: schema._def.defaultValue(),
+  }),
+  ZodEffects: (schema, refs) => toJsonSchema(schema._def.schema, refs),
+};
+
+// return the JSON Schema of the given zod schema
+// throws Error if the schema uses a type that can not be converted
+export const toJsonSchema = (schema, refs = new Map()) => {
+  if (refs.has(schema)) {
+    return { $ref: refs.get(schema) };
+  }
+  const convert = converters[schema._def.typeName];
+  if (!convert) {
+    throw new Error(`Can not convert ${schema._def.typeName} to JSON Schema!`);
+  }
+  return withDescription(schema, convert(schema, refs));
+};
+
+// return the OpenAPI parameters ("path" or "query") of an object schema
+export const toParameters = (schema, location) =>
+  Object.entries(schema.shape).map(([name, property]) => {
+    const { description, ...json } = toJsonSchema(property);
+    const parameter = {
+      name,
+      in: location,
+      required: location === "path" || !property.isOptional(),
+      schema: json,
+    };
+    if (description) {
+      parameter.description = description;
+    }
+    return parameter;
+  });
+
+// return the OpenAPI path of an express path, e.g. /users/{id}
+export const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
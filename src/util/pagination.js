@@ -0,0 +1,37 @@
+export const DEFAULT_LIMIT = 20;
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+// reads limit and offset from the query string
+// pre: values are validated by the DAO
+export const parsePagination = (query) => {
+  const limit = toNumber(query.limit) ?? DEFAULT_LIMIT;
+  const offset = toNumber(query.offset) ?? 0;
+  return { limit, offset };
+};
+
+// Builds the "meta" and "links" of a paginated response;
+// links keep every other query parameter of the original request
+export const paginate = (req, { total, limit, offset }) => {
+  const link = (offset) => {
+    const params = new URLSearchParams({ ...req.query, limit, offset });
+    return `${req.baseUrl}${req.path}?${params}`;
+  };
+
+  const hasNext = offset + limit < total;
+  const hasPrev = offset > 0;
+  return {
+    meta: {
+      total,
+      limit,
+      offset,
+      page: Math.floor(offset / limit) + 1,
+      pages: Math.ceil(total / limit),
+    },
+    links: {
+      self: link(offset),
+      next: hasNext ? link(offset + limit) : null,
+      prev: hasPrev ? link(Math.max(offset - limit, 0)) : null,
+    },
+  };
+};
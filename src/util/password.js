@@ -1,11 +1,15 @@
 import bcrypt from "bcryptjs";
+import { getConfig } from "./config.js";
 
-export const hashPassword = (password) => {
-  const salt = bcrypt.genSaltSync(10);
-  const hashedPassword = bcrypt.hashSync(password, salt);
+// hashing and verifying are asynchronous, so that e.g. every row of an
+// import, or every sign in attempt, does not block the event loop for other
+// requests
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(getConfig().bcrypt.cost);
+  const hashedPassword = await bcrypt.hash(password, salt);
   return hashedPassword;
 };
 
-export const verifyPassword = (plainPassword, hashedPassword) => {
-  return bcrypt.compareSync(plainPassword, hashedPassword);
+export const verifyPassword = async (plainPassword, hashedPassword) => {
+  return bcrypt.compare(plainPassword, hashedPassword);
 };
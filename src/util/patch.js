@@ -0,0 +1,161 @@
+import ApiError from "../model/ApiError.js";
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const hasOwn = (node, key) =>
+  isObject(node) && Object.prototype.hasOwnProperty.call(node, key);
+
+const equal = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equal(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => hasOwn(b, key) && equal(a[key], b[key]))
+    );
+  }
+  return a === b;
+};
+
+// return a copy of target with the JSON Merge Patch (RFC 7396) applied:
+// null removes a member, objects are merged recursively and any other
+// value replaces the member
+export const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+const invalid = (message) => new ApiError(400, message);
+
+// return the reference tokens of a JSON Pointer (RFC 6901)
+const parsePointer = (pointer) => {
+  if (pointer === "") {
+    return [];
+  }
+  if (!pointer.startsWith("/")) {
+    throw invalid(`Invalid JSON pointer "${pointer}"!`);
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+// return the array index referenced by token; "-" (past the last item)
+// is only valid when adding
+const toIndex = (array, token, adding = false) => {
+  if (adding && token === "-") {
+    return array.length;
+  }
+  const last = adding ? array.length : array.length - 1;
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > last) {
+    throw invalid(`Invalid array index "${token}"!`);
+  }
+  return Number(token);
+};
+
+const read = (document, tokens, path) => {
+  let node = document;
+  for (const token of tokens) {
+    if (Array.isArray(node)) {
+      node = node[toIndex(node, token)];
+    } else if (hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw invalid(`Path "${path}" does not exist!`);
+    }
+  }
+  return node;
+};
+
+// each operation returns the patched document
+const add = (document, path, value) => {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const parent = read(document, tokens.slice(0, -1), path);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, token, true), 0, value);
+  } else if (isObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw invalid(`Path "${path}" does not exist!`);
+  }
+  return document;
+};
+
+const remove = (document, path) => {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    throw invalid("The whole document can not be removed!");
+  }
+
+  const parent = read(document, tokens.slice(0, -1), path);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, token), 1);
+  } else if (hasOwn(parent, token)) {
+    delete parent[token];
+  } else {
+    throw invalid(`Path "${path}" does not exist!`);
+  }
+  return document;
+};
+
+const operations = {
+  add: (document, { path, value }) => add(document, path, value),
+  remove: (document, { path }) => remove(document, path),
+  replace: (document, { path, value }) =>
+    path === "" ? value : add(remove(document, path), path, value),
+  move: (document, { from, path }) => {
+    if (path.startsWith(`${from}/`)) {
+      throw invalid(`Can not move "${from}" into one of its children!`);
+    }
+    const value = read(document, parsePointer(from), from);
+    return add(remove(document, from), path, value);
+  },
+  copy: (document, { from, path }) => {
+    const value = read(document, parsePointer(from), from);
+    return add(document, path, clone(value));
+  },
+  test: (document, { path, value }) => {
+    if (!equal(read(document, parsePointer(path), path), value)) {
+      throw new ApiError(409, `The test of "${path}" failed!`);
+    }
+    return document;
+  },
+};
+
+// return a copy of document with the JSON Patch (RFC 6902) operations
+// applied in order; the patch is applied entirely or not at all
+// throws ApiError 400 if an operation is invalid, 409 if a test fails
+export const applyJsonPatch = (document, patch) => {
+  let result = clone(document);
+  for (const operation of patch) {
+    const apply = operations[operation.op];
+    if (!apply) {
+      throw invalid(`Unknown patch operation "${operation.op}"!`);
+    }
+    result = apply(result, operation);
+  }
+  return result;
+};
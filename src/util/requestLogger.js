@@ -0,0 +1,58 @@
+import { randomUUID } from "crypto";
+import { runWithContext } from "./context.js";
+import { logger } from "./logger.js";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// ids given by clients or proxies are kept if they look sane
+const validRequestId = /^[\w.:-]{1,128}$/;
+
+// the path of the request without its query, or the pattern of the route
+// that handled it (e.g. /invitations/:token/accept), so that tokens carried
+// in the path are not logged
+const pathOf = (req) =>
+  req.route ? req.baseUrl + req.route.path : req.originalUrl.split("?")[0];
+
+// Assigns each request an id, or keeps the one it came with, echoes it in
+// the X-Request-Id response header and logs the request once it completes:
+// method, path (see pathOf), status, latency and the signed in user
+export const requestLogger = (req, res, next) => {
+  const given = req.get(REQUEST_ID_HEADER);
+  const requestId = given && validRequestId.test(given) ? given : randomUUID();
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  const start = process.hrtime.bigint();
+  let logged = false;
+  // "close" without "finish" means the client went away before the response
+  // was sent
+  const complete = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+    const latency = Number(process.hrtime.bigint() - start) / 1e6;
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    const msg = res.writableFinished ? "request completed" : "request aborted";
+    runWithContext({ requestId }, () =>
+      logger.log(level, msg, {
+        method: req.method,
+        path: pathOf(req),
+        status: res.statusCode,
+        latency: Math.round(latency * 100) / 100,
+        userId: req.user ? req.user.id : undefined,
+      })
+    );
+  };
+  res.on("finish", complete);
+  res.on("close", complete);
+
+  runWithContext({ requestId }, () => {
+    logger.debug("request started", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+    });
+    next();
+  });
+};
@@ -0,0 +1,40 @@
+import { factory } from "./debug.js";
+
+const debug = factory(import.meta.url);
+
+let shuttingDown = false;
+
+// return true once a graceful shutdown has started
+export const isShuttingDown = () => shuttingDown;
+
+// Stops accepting connections, waits for the requests in flight to complete
+// (at most timeout ms, then the remaining connections are closed) and then
+// runs cleanup, e.g. closing the database connection
+export const gracefulShutdown = async (
+  server,
+  { timeout = 10 * 1000, cleanup = async () => {} } = {}
+) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  debug("Shutting down, draining the requests in flight..");
+
+  await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      debug("Timed out, closing the remaining connections..");
+      server.closeAllConnections();
+    }, timeout);
+    timer.unref();
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+
+  debug("Cleaning up..");
+  await cleanup();
+  debug("Shut down!");
+};
@@ -0,0 +1,20 @@
+// return the items shuffled (Fisher-Yates), leaving the given array as is;
+// random returns a number in [0, 1), like Math.random
+export const shuffle = (items, random = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// return the items dealt at random into count teams, whose sizes differ
+// by at most one, e.g. 5 items into 2 teams => [[c, a, e], [b, d]]
+export const splitIntoTeams = (items, count, random = Math.random) => {
+  const teams = Array.from({ length: count }, () => []);
+  shuffle(items, random).forEach((item, index) => {
+    teams[index % count].push(item);
+  });
+  return teams;
+};
@@ -1,16 +1,96 @@
+import crypto from "crypto";
 import jsonWebToken from "jsonwebtoken";
-import ApiError from "../model/ApiError.js";
+import { getConfig } from "./config.js";
+import { getKeyStore } from "./keys.js";
+import { systemClock } from "./clock.js";
 
-export const createToken = ({ user, expiresIn }) => {
-  return jsonWebToken.sign(user, process.env.JWT_SECRET, {
-    algorithm: "HS256",
-    expiresIn: expiresIn || "2d",
-  });
+// Signs and verifies the access tokens. They are short-lived
+// (ACCESS_TOKEN_LIFETIME); sessions are kept alive with refresh tokens
+// (REFRESH_TOKEN_LIFETIME_DAYS). Besides the user, tokens carry the standard
+// claims: iss, aud, sub (the user id) and jti.
+export class TokenService {
+  // keyStore: the keys to sign and verify with (see KeyStore);
+  // jwt: { issuer, audience, accessTokenLifetime } of the configuration
+  constructor({ keyStore, jwt, clock = systemClock }) {
+    this.keyStore = keyStore;
+    this.jwt = jwt;
+    this.clock = clock;
+  }
+
+  // return the signed token of the user ({ id, role, sid })
+  create({ user, expiresIn }) {
+    const { issuer, audience, accessTokenLifetime } = this.jwt;
+    const { kid, privateKey } = this.keyStore.signingKey();
+    // the token expires relative to iat, so it follows the clock too
+    const iat = Math.floor(this.clock.now() / 1000);
+    return jsonWebToken.sign({ ...user, iat }, privateKey, {
+      algorithm: this.keyStore.algorithm,
+      keyid: kid,
+      expiresIn: expiresIn || accessTokenLifetime,
+      issuer,
+      audience,
+      subject: String(user.id),
+      jwtid: crypto.randomUUID(),
+    });
+  }
+
+  // return the payload of the token
+  // throws JsonWebTokenError if the token is invalid, e.g. signed by an
+  // unknown or expired key or missing a claim, and TokenExpiredError if it
+  // expired
+  decode(token) {
+    const decoded = jsonWebToken.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jsonWebToken.JsonWebTokenError("jwt malformed");
+    }
+
+    const now = this.clock.now();
+    const key = this.keyStore.find(decoded.header.kid, now);
+    if (!key) {
+      throw new jsonWebToken.JsonWebTokenError("jwt signed by an unknown key");
+    }
+
+    const { issuer, audience } = this.jwt;
+    const payload = jsonWebToken.verify(token, key.publicKey, {
+      algorithms: [this.keyStore.algorithm],
+      issuer,
+      audience,
+      ignoreNotBefore: true,
+      clockTimestamp: Math.floor(now / 1000),
+    });
+    if (
+      !payload.jti ||
+      payload.sub === undefined ||
+      payload.sub !== payload.id
+    ) {
+      throw new jsonWebToken.JsonWebTokenError("jwt claims invalid");
+    }
+    return payload;
+  }
+
+  // return the public keys verifying the tokens (see KeyStore)
+  toJwks() {
+    return this.keyStore.toJwks(this.clock.now());
+  }
+}
+
+// return the token service of the configuration and its keys
+export const getTokenService = () =>
+  new TokenService({ keyStore: getKeyStore(), jwt: getConfig().jwt });
+
+// sign and verify with the token service of the configuration, e.g. in
+// scripts and tests
+export const createToken = (options) => getTokenService().create(options);
+
+export const decodeToken = (token) => getTokenService().decode(token);
+
+// returns an unguessable, URL-safe random string
+export const createRandomToken = () => {
+  return crypto.randomBytes(32).toString("base64url");
 };
 
-export const decodeToken = (token) => {
-  return jsonWebToken.verify(token, process.env.JWT_SECRET, {
-    algorithm: "HS256",
-    ignoreNotBefore: true,
-  });
+// Random tokens are stored hashed, so a leaked database does not leak them.
+// They are long enough that a fast hash (unlike passwords) is sufficient.
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
 };
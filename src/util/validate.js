@@ -0,0 +1,52 @@
+import ApiError, { ErrorCode } from "../model/ApiError.js";
+
+// [{ field, code, message }] for each issue of a ZodError
+export const toFieldErrors = (error) =>
+  error.issues.map((issue) => ({
+    field: issue.path.join("."),
+    code: issue.code,
+    message: issue.message,
+  }));
+
+const invalidRequest = (errors) =>
+  new ApiError(400, "Invalid request!", {
+    code: ErrorCode.ValidationFailed,
+    errors,
+  });
+
+// return the parsed data
+// throws ApiError listing every invalid field if data does not match schema
+export const parse = (schema, data) => {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw invalidRequest(toFieldErrors(result.error));
+  }
+  return result.data;
+};
+
+// Validates the request params, query and body against the given zod schemas
+// and replaces them with the parsed values (unknown keys are dropped);
+// responds 400 listing every invalid field at once
+export const validate = (schemas) => {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of ["params", "query", "body"]) {
+      const schema = schemas[location];
+      if (!schema) {
+        continue;
+      }
+
+      const result = schema.safeParse(req[location] || {});
+      if (result.success) {
+        req[location] = result.data;
+      } else {
+        errors.push(...toFieldErrors(result.error));
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(invalidRequest(errors));
+    }
+    next();
+  };
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { REDACTED, toChanges } from "../../src/data/AuditDao.js";
+import { faker } from "@faker-js/faker";
+
+describe("Test toChanges", () => {
+  it("lists the fields that changed", () => {
+    const name = faker.name.fullName();
+    const before = { name: faker.name.fullName(), role: "STUDENT" };
+    const changes = toChanges(before, { name, role: "STUDENT" });
+    expect(changes).toEqual([{ field: "name", from: before.name, to: name }]);
+  });
+
+  it("leaves out undefined fields", () => {
+    const changes = toChanges({ name: "a" }, { name: undefined });
+    expect(changes).toEqual([]);
+  });
+
+  it("redacts the password", () => {
+    const changes = toChanges(
+      { password: faker.internet.password() },
+      { password: faker.internet.password() }
+    );
+    expect(changes).toEqual([
+      { field: "password", from: REDACTED, to: REDACTED },
+    ]);
+  });
+});
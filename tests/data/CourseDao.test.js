@@ -0,0 +1,183 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import CourseDao from "../../src/data/CourseDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import Course from "../../src/model/Course.js";
+import Enrollment from "../../src/model/Enrollment.js";
+import { faker } from "@faker-js/faker";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { UserRole } from "../../src/model/UserRole.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+
+const courseDao = new CourseDao();
+const userDao = new UserDao();
+
+describe("Test CourseDao", () => {
+  const numCourses = 5;
+  let instructor;
+  let student;
+  let courses;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+    courses = [];
+    for (let index = 0; index < numCourses; index++) {
+      const course = await Course.create({
+        title: faker.lorem.words(3),
+        code: `EN.601.${100 + index}`,
+        instructor: instructor.id,
+      });
+      courses.push(course);
+    }
+  });
+
+  it("test create()", async () => {
+    const title = faker.lorem.words(3);
+    const code = "EN.601.280";
+    const course = await courseDao.create({
+      title,
+      code,
+      instructor: instructor.id,
+    });
+    expect(course.title).toBe(title);
+    expect(course.code).toBe(code);
+    expect(course.instructor.toString()).toBe(instructor.id);
+    expect(course.id).toBeDefined();
+  });
+
+  describe("test create() throws error", () => {
+    it("empty title", async () => {
+      try {
+        await courseDao.create({
+          title: "",
+          code: "EN.601.280",
+          instructor: instructor.id,
+        });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("empty code", async () => {
+      try {
+        await courseDao.create({
+          title: faker.lorem.words(3),
+          code: "",
+          instructor: instructor.id,
+        });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("duplicate code", async () => {
+      try {
+        await courseDao.create({
+          title: faker.lorem.words(3),
+          code: courses[0].code,
+          instructor: instructor.id,
+        });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("instructor is a student", async () => {
+      try {
+        await courseDao.create({
+          title: faker.lorem.words(3),
+          code: "EN.601.280",
+          instructor: student.id,
+        });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+  });
+
+  it("test readAll()", async () => {
+    const _courses = await courseDao.readAll({});
+    expect(_courses.length).toBe(numCourses);
+  });
+
+  it("test readAll() given a code", async () => {
+    const _courses = await courseDao.readAll({ code: courses[0].code });
+    expect(_courses.length).toBe(1);
+  });
+
+  it("test read() given valid ID", async () => {
+    const index = Math.floor(Math.random() * numCourses);
+    const course = courses[index];
+    const _course = await courseDao.read(course.id);
+    expect(_course.title).toBe(course.title);
+    expect(_course.code).toBe(course.code);
+  });
+
+  it("test read() given invalid ID", async () => {
+    try {
+      await courseDao.read("invalid");
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test read() given valid but non-existing ID", async () => {
+    try {
+      await courseDao.read(mongoose.Types.ObjectId().toString());
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  it("test update() given valid ID", async () => {
+    const index = Math.floor(Math.random() * numCourses);
+    const course = courses[index];
+    const title = faker.lorem.words(3);
+    const _course = await courseDao.update({ id: course.id, title });
+    expect(_course.title).toBe(title);
+    expect(_course.code).toBe(course.code);
+  });
+
+  it("test update() given duplicate code", async () => {
+    try {
+      await courseDao.update({ id: courses[0].id, code: courses[1].code });
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test delete() given valid ID also deletes enrollments", async () => {
+    const course = courses[0];
+    await Enrollment.create({ course: course.id, student: student.id });
+    const _course = await courseDao.delete(course.id);
+    expect(_course.id).toBe(course.id);
+    const enrollments = await Enrollment.find({ course: course.id });
+    expect(enrollments.length).toBe(0);
+  });
+
+  it("test delete() given valid but non-existing ID", async () => {
+    try {
+      await courseDao.delete(mongoose.Types.ObjectId().toString());
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  afterAll(async () => {
+    await Enrollment.deleteMany({});
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
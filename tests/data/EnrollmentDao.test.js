@@ -0,0 +1,205 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import EnrollmentDao from "../../src/data/EnrollmentDao.js";
+import CourseDao from "../../src/data/CourseDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import MemoryUserRepository from "../../src/data/MemoryUserRepository.js";
+import { faker } from "@faker-js/faker";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { UserRole } from "../../src/model/UserRole.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+
+const enrollmentDao = new EnrollmentDao();
+const courseDao = new CourseDao();
+const userDao = new UserDao();
+
+describe("Test EnrollmentDao", () => {
+  let instructor;
+  let student;
+  let course;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await enrollmentDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+    course = await courseDao.create({
+      title: faker.lorem.words(3),
+      code: "EN.601.280",
+      instructor: instructor.id,
+    });
+  });
+
+  it("test create()", async () => {
+    const enrollment = await enrollmentDao.create({
+      course: course.id,
+      student: student.id,
+    });
+    expect(enrollment.course.id).toBe(course.id);
+    expect(enrollment.student.id).toBe(student.id);
+    expect(enrollment.student.password).toBeUndefined();
+  });
+
+  describe("test create() throws error", () => {
+    it("invalid course ID", async () => {
+      try {
+        await enrollmentDao.create({ course: "invalid", student: student.id });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("non-existing course", async () => {
+      try {
+        await enrollmentDao.create({
+          course: mongoose.Types.ObjectId().toString(),
+          student: student.id,
+        });
+      } catch (err) {
+        expect(err.status).toBe(404);
+      }
+    });
+
+    it("non-existing student", async () => {
+      try {
+        await enrollmentDao.create({
+          course: course.id,
+          student: mongoose.Types.ObjectId().toString(),
+        });
+      } catch (err) {
+        expect(err.status).toBe(404);
+      }
+    });
+
+    it("enrolling an instructor", async () => {
+      try {
+        await enrollmentDao.create({
+          course: course.id,
+          student: instructor.id,
+        });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("enrolling twice", async () => {
+      try {
+        await enrollmentDao.create({ course: course.id, student: student.id });
+        await enrollmentDao.create({ course: course.id, student: student.id });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+  });
+
+  it("test readAll() given a course", async () => {
+    await enrollmentDao.create({ course: course.id, student: student.id });
+    const enrollments = await enrollmentDao.readAll({ course: course.id });
+    expect(enrollments.length).toBe(1);
+    expect(enrollments[0].student.id).toBe(student.id);
+  });
+
+  it("test readAll() leaves out deleted students", async () => {
+    await enrollmentDao.create({ course: course.id, student: student.id });
+    await userDao.delete(student.id);
+    expect(await enrollmentDao.readAll({ course: course.id })).toHaveLength(0);
+  });
+
+  it("test create() looks the users up through the userDao", async () => {
+    const memoryUserDao = new UserDao({
+      repository: new MemoryUserRepository(),
+      tokenDao: null,
+      auditDao: null,
+    });
+    const teacher = await newUser(memoryUserDao, UserRole.Instructor);
+    const pupil = await newUser(memoryUserDao, UserRole.Student);
+    const memoryCourse = await new CourseDao({ userDao: memoryUserDao }).create(
+      {
+        title: faker.lorem.words(3),
+        code: "EN.601.226",
+        instructor: teacher.id,
+      }
+    );
+    const enrollment = await new EnrollmentDao({
+      userDao: memoryUserDao,
+    }).create({ course: memoryCourse.id, student: pupil.id });
+    expect(enrollment.student.id).toBe(pupil.id);
+    expect(enrollment.student.password).toBeUndefined();
+
+    try {
+      await enrollmentDao.create({
+        course: memoryCourse.id,
+        student: pupil.id,
+      });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  it("test readAll() reads the students in one lookup", async () => {
+    const other = await newUser(userDao, UserRole.Student);
+    await enrollmentDao.create({ course: course.id, student: student.id });
+    await enrollmentDao.create({ course: course.id, student: other.id });
+    const { repository } = userDao;
+    let lookups = 0;
+    const counting = Object.create(repository, {
+      findById: { value: () => expect.unreachable() },
+      findByIds: {
+        value: (ids) => {
+          lookups++;
+          return repository.findByIds(ids);
+        },
+      },
+    });
+    const enrollments = await new EnrollmentDao({
+      userDao: new UserDao({ repository: counting }),
+    }).readAll({ course: course.id });
+    expect(enrollments.map((enrollment) => enrollment.student.id)).toEqual([
+      student.id,
+      other.id,
+    ]);
+    expect(lookups).toBe(1);
+  });
+
+  it("test readAll() given a student", async () => {
+    await enrollmentDao.create({ course: course.id, student: student.id });
+    const enrollments = await enrollmentDao.readAll({ student: student.id });
+    expect(enrollments.length).toBe(1);
+    expect(enrollments[0].course.id).toBe(course.id);
+  });
+
+  it("test delete()", async () => {
+    await enrollmentDao.create({ course: course.id, student: student.id });
+    const enrollment = await enrollmentDao.delete({
+      course: course.id,
+      student: student.id,
+    });
+    expect(enrollment.student.id).toBe(student.id);
+    const enrollments = await enrollmentDao.readAll({ course: course.id });
+    expect(enrollments.length).toBe(0);
+  });
+
+  it("test delete() given a student not enrolled", async () => {
+    try {
+      await enrollmentDao.delete({ course: course.id, student: student.id });
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  afterAll(async () => {
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
@@ -0,0 +1,275 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import GroupDao from "../../src/data/GroupDao.js";
+import CourseDao from "../../src/data/CourseDao.js";
+import EnrollmentDao from "../../src/data/EnrollmentDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import Group from "../../src/model/Group.js";
+import { faker } from "@faker-js/faker";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { GroupType } from "../../src/model/GroupType.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+
+const userDao = new UserDao();
+const courseDao = new CourseDao();
+const enrollmentDao = new EnrollmentDao();
+const groupDao = new GroupDao({ userDao, enrollmentDao });
+
+const idsOf = (members) => members.map((member) => member.toString());
+
+describe("Test GroupDao", () => {
+  let instructor;
+  let students;
+  let course;
+  let group;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await groupDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await groupDao.deleteAll();
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    students = [];
+    for (let index = 0; index < 5; index++) {
+      students.push(await newUser(userDao, UserRole.Student));
+    }
+    course = await courseDao.create({
+      title: faker.lorem.words(3),
+      code: "EN.601.280",
+      instructor: instructor.id,
+    });
+    group = await Group.create({
+      name: "Lab A",
+      type: GroupType.Lab,
+      course: course.id,
+      capacity: 2,
+      members: [students[0].id],
+    });
+  });
+
+  it("test create()", async () => {
+    const section = await groupDao.create({
+      name: "Section 1",
+      type: GroupType.Section,
+      course: course.id,
+    });
+    expect(section.name).toBe("Section 1");
+    expect(section.type).toBe(GroupType.Section);
+    expect(section.course.toString()).toBe(course.id);
+    expect(section.capacity).toBeNull();
+    expect(section.members).toHaveLength(0);
+  });
+
+  it("test create() given invalid attributes", async () => {
+    for (const [attributes, status] of [
+      [{ name: "", type: GroupType.Team }, 400],
+      [{ name: "Team", type: "club" }, 400],
+      [{ name: "Team", type: GroupType.Team, capacity: 0 }, 400],
+      [{ name: "Team", type: GroupType.Team, capacity: 1.5 }, 400],
+      [{ name: "Team", type: GroupType.Team, course: "invalid" }, 400],
+      [
+        {
+          name: "Team",
+          type: GroupType.Team,
+          course: new mongoose.Types.ObjectId().toString(),
+        },
+        404,
+      ],
+    ]) {
+      try {
+        await groupDao.create(attributes);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(status);
+      }
+    }
+  });
+
+  it("test readAll() given a type, course and member", async () => {
+    await groupDao.create({ name: "Team", type: GroupType.Team });
+    expect(await groupDao.readAll()).toHaveLength(2);
+    expect(await groupDao.readAll({ type: GroupType.Team })).toHaveLength(1);
+    expect(await groupDao.readAll({ course: course.id })).toHaveLength(1);
+    const groups = await groupDao.readAll({ member: students[0].id });
+    expect(groups.map((group) => group.id)).toEqual([group.id]);
+    expect(await groupDao.readAll({ member: students[1].id })).toHaveLength(0);
+  });
+
+  it("test read() given invalid or non-existing ID", async () => {
+    for (const [id, status] of [
+      ["invalid", 400],
+      [new mongoose.Types.ObjectId().toString(), 404],
+    ]) {
+      try {
+        await groupDao.read(id);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(status);
+      }
+    }
+  });
+
+  it("test readMembers() leaves out passwords", async () => {
+    const members = await groupDao.readMembers(group.id);
+    expect(members.map((member) => member.id)).toEqual([students[0].id]);
+    expect(members[0].email).toBe(students[0].email);
+    expect(members[0].password).toBeUndefined();
+  });
+
+  it("test update()", async () => {
+    const updated = await groupDao.update({
+      id: group.id,
+      name: "Lab B",
+      capacity: null,
+    });
+    expect(updated.name).toBe("Lab B");
+    expect(updated.capacity).toBeNull();
+    expect(updated.type).toBe(GroupType.Lab);
+  });
+
+  it("test update() given a capacity below the number of members", async () => {
+    await groupDao.addMember({ id: group.id, user: students[1].id });
+    try {
+      await groupDao.update({ id: group.id, capacity: 1 });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(409);
+    }
+    expect((await groupDao.read(group.id)).capacity).toBe(2);
+  });
+
+  it("test addMember() by id and by email", async () => {
+    let updated = await groupDao.addMember({
+      id: group.id,
+      email: students[1].email,
+    });
+    expect(idsOf(updated.members)).toEqual([students[0].id, students[1].id]);
+
+    await groupDao.update({ id: group.id, capacity: 3 });
+    updated = await groupDao.addMember({ id: group.id, user: instructor.id });
+    expect(updated.members).toHaveLength(3);
+  });
+
+  it("test addMember() given an existing member", async () => {
+    try {
+      await groupDao.addMember({ id: group.id, user: students[0].id });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+      expect(err.code).toBe("ALREADY_EXISTS");
+    }
+  });
+
+  it("test addMember() given a full group", async () => {
+    await groupDao.addMember({ id: group.id, user: students[1].id });
+    try {
+      await groupDao.addMember({ id: group.id, user: students[2].id });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(409);
+    }
+    expect((await groupDao.read(group.id)).members).toHaveLength(2);
+  });
+
+  it("test addMember() given a missing or deleted user", async () => {
+    await userDao.delete(students[1].id);
+    for (const member of [
+      { user: new mongoose.Types.ObjectId().toString() },
+      { user: students[1].id },
+      { email: "nobody@example.com" },
+      { email: students[1].email },
+    ]) {
+      try {
+        await groupDao.addMember({ id: group.id, ...member });
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(404);
+      }
+    }
+  });
+
+  it("test removeMember() by id and by email", async () => {
+    await groupDao.addMember({ id: group.id, user: students[1].id });
+    let updated = await groupDao.removeMember({
+      id: group.id,
+      user: students[0].id,
+    });
+    expect(idsOf(updated.members)).toEqual([students[1].id]);
+    updated = await groupDao.removeMember({
+      id: group.id,
+      email: students[1].email,
+    });
+    expect(updated.members).toHaveLength(0);
+
+    try {
+      await groupDao.removeMember({ id: group.id, user: students[1].id });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  it("test assign() balances all students into teams", async () => {
+    const teams = await groupDao.assign({ teams: 2, prefix: "Squad" });
+    expect(teams.map((team) => team.name)).toEqual(["Squad 1", "Squad 2"]);
+    expect(teams.every((team) => team.type === GroupType.Team)).toBe(true);
+    expect(teams.map((team) => team.members.length).sort()).toEqual([2, 3]);
+    expect(teams.flatMap((team) => idsOf(team.members)).sort()).toEqual(
+      students.map((student) => student.id).sort()
+    );
+  });
+
+  it("test assign() given a course only takes its students", async () => {
+    for (const student of students.slice(0, 3)) {
+      await enrollmentDao.create({ course: course.id, student: student.id });
+    }
+    const teams = await groupDao.assign({ teams: 3, course: course.id });
+    expect(teams.map((team) => team.members.length)).toEqual([1, 1, 1]);
+    expect(teams.every((team) => team.course.toString() === course.id)).toBe(
+      true
+    );
+  });
+
+  it("test assign() given teams too small for the students", async () => {
+    for (const options of [
+      { teams: 2, capacity: 2 },
+      { teams: 0 },
+      { teams: 2, course: new mongoose.Types.ObjectId().toString() },
+    ]) {
+      try {
+        await groupDao.assign(options);
+        expect.unreachable();
+      } catch (err) {
+        expect([400, 404]).toContain(err.status);
+      }
+    }
+    expect(await groupDao.readAll({ type: GroupType.Team })).toHaveLength(0);
+  });
+
+  it("test delete() of a course also deletes its groups", async () => {
+    await courseDao.delete(course.id);
+    expect(await Group.exists({ _id: group.id })).toBeNull();
+  });
+
+  it("test purging a user takes them out of their groups", async () => {
+    await userDao.delete(students[0].id);
+    await userDao.purge({ olderThanDays: 0 });
+    expect((await groupDao.read(group.id)).members).toHaveLength(0);
+  });
+
+  afterAll(async () => {
+    await groupDao.deleteAll();
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
@@ -0,0 +1,375 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import InvitationDao, {
+  INVITATION_LIFETIME_DAYS,
+  NOT_SENT,
+} from "../../src/data/InvitationDao.js";
+import CourseDao from "../../src/data/CourseDao.js";
+import Invitation from "../../src/model/Invitation.js";
+import EnrollmentDao from "../../src/data/EnrollmentDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import { faker } from "@faker-js/faker";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { ImportStatus } from "../../src/model/ImportStatus.js";
+import { InvitationStatus } from "../../src/model/InvitationStatus.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import { Mailer, MemoryTransport } from "../../src/util/mailer.js";
+import { verifyPassword } from "../../src/util/password.js";
+
+dotenv.config();
+
+const transport = new MemoryTransport();
+const mailer = new Mailer(transport, "roster@example.com");
+const userDao = new UserDao({ mailer });
+const courseDao = new CourseDao();
+const enrollmentDao = new EnrollmentDao();
+const invitationDao = new InvitationDao({ userDao, enrollmentDao, mailer });
+
+// the token is the only word following "invitation: " in the email
+const tokenOf = (email) =>
+  transport.last(email).text.match(/invitation: (\S+)/)[1];
+
+describe("Test InvitationDao", () => {
+  let instructor;
+  let course;
+  let email;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    // the index of the pending emails
+    await Invitation.init();
+    await invitationDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await invitationDao.deleteAll();
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+    transport.clear();
+    instructor = await userDao.create({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password: faker.internet.password(6),
+      role: UserRole.Instructor,
+    });
+    course = await courseDao.create({
+      title: faker.lorem.words(3),
+      code: "EN.601.280",
+      instructor: instructor.id,
+    });
+    email = faker.internet.email();
+  });
+
+  it("test create() emails a token, storing only its hash", async () => {
+    const invitation = await invitationDao.create({
+      email,
+      course: course.id,
+      invitedBy: instructor.id,
+    });
+    expect(invitation.email).toBe(email);
+    expect(invitation.role).toBe(UserRole.Student);
+    expect(invitation.course.toString()).toBe(course.id);
+    expect(invitationDao.statusOf(invitation)).toBe(InvitationStatus.Pending);
+
+    const token = tokenOf(email);
+    expect(token).toBeDefined();
+    expect(invitation.tokenHash).not.toBe(token);
+    expect(invitation.sentAt).not.toBeNull();
+    expect(transport.last(email).text).toContain(
+      `${INVITATION_LIFETIME_DAYS} days`
+    );
+  });
+
+  it("test create() given invalid attributes", async () => {
+    for (const [attributes, status] of [
+      [{ email: "invalid" }, 400],
+      [{ email, role: "PRINCIPAL" }, 400],
+      [{ email, course: "invalid" }, 400],
+      [{ email, course: new mongoose.Types.ObjectId().toString() }, 404],
+      [{ email: instructor.email }, 400],
+    ]) {
+      try {
+        await invitationDao.create(attributes);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(status);
+      }
+    }
+  });
+
+  it("test create() given an email with a pending invitation", async () => {
+    await invitationDao.create({ email });
+    try {
+      await invitationDao.create({ email });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+      expect(err.code).toBe("ALREADY_EXISTS");
+    }
+  });
+
+  it("test create() given the same email at the same time", async () => {
+    const results = await Promise.allSettled([
+      invitationDao.create({ email }),
+      invitationDao.create({ email }),
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    const { reason } = results.find(({ status }) => status === "rejected");
+    expect(reason.status).toBe(400);
+    expect(reason.code).toBe("ALREADY_EXISTS");
+    expect(await invitationDao.readAll({ email })).toHaveLength(1);
+  });
+
+  it("test create() replaces an expired invitation", async () => {
+    const expired = await invitationDao.create({ email });
+    const later = new InvitationDao({
+      userDao,
+      enrollmentDao,
+      mailer,
+      clock: {
+        now: () => Date.now() + INVITATION_LIFETIME_DAYS * 24 * 60 * 60 * 1000,
+      },
+    });
+    const invitation = await later.create({ email });
+    expect(later.statusOf(invitation)).toBe(InvitationStatus.Pending);
+    expect(later.statusOf(await later.read(expired.id))).toBe(
+      InvitationStatus.Revoked
+    );
+  });
+
+  it("test createMany() reports every email", async () => {
+    const other = faker.internet.email();
+    const report = await invitationDao.createMany(
+      [email, "invalid", other, email],
+      { role: UserRole.TeachingAssistant }
+    );
+    expect(report.map((row) => row.status)).toEqual([
+      ImportStatus.Created,
+      ImportStatus.Failed,
+      ImportStatus.Created,
+      ImportStatus.Failed,
+    ]);
+    expect(report[3].code).toBe("ALREADY_EXISTS");
+    const invitations = await invitationDao.readAll();
+    expect(invitations.map((invitation) => invitation.email)).toEqual([
+      email,
+      other,
+    ]);
+    expect(invitations[1].role).toBe(UserRole.TeachingAssistant);
+  });
+
+  it("test create() and createMany() when the email can not be sent", async () => {
+    const failing = new InvitationDao({
+      userDao,
+      enrollmentDao,
+      mailer: new Mailer({
+        send: async () => {
+          throw new Error("The mail server is down!");
+        },
+      }),
+    });
+    const invitation = await failing.create({ email });
+    expect(invitationDao.statusOf(invitation)).toBe(InvitationStatus.Pending);
+    expect(invitation.sentAt).toBeNull();
+
+    const other = faker.internet.email();
+    const report = await failing.createMany([other, "invalid"]);
+    expect(report.map((row) => row.status)).toEqual([
+      ImportStatus.Created,
+      ImportStatus.Failed,
+    ]);
+    expect(report[0].message).toBe(NOT_SENT);
+
+    // the invitation can be sent again once the mailer works
+    const resent = await invitationDao.resend(invitation.id);
+    expect(resent.sentAt).not.toBeNull();
+    expect(tokenOf(email)).toBeDefined();
+  });
+
+  it("test readAll() given a status and email", async () => {
+    const pending = await invitationDao.create({ email });
+    const revoked = await invitationDao.create({
+      email: faker.internet.email(),
+    });
+    await invitationDao.revoke(revoked.id);
+
+    let invitations = await invitationDao.readAll({
+      status: InvitationStatus.Pending,
+    });
+    expect(invitations.map((invitation) => invitation.id)).toEqual([
+      pending.id,
+    ]);
+    invitations = await invitationDao.readAll({
+      status: InvitationStatus.Revoked,
+    });
+    expect(invitations.map((invitation) => invitation.id)).toEqual([
+      revoked.id,
+    ]);
+    expect(await invitationDao.readAll({ email })).toHaveLength(1);
+
+    try {
+      await invitationDao.readAll({ status: "lost" });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test accept() creates the user and enrolls them", async () => {
+    const invitation = await invitationDao.create({
+      email,
+      course: course.id,
+    });
+    const password = faker.internet.password(8);
+    const user = await invitationDao.accept({
+      token: tokenOf(email),
+      name: "Ann",
+      password,
+    });
+    expect(user.email).toBe(email);
+    expect(user.role).toBe(UserRole.Student);
+    expect(user.emailVerified).toBe(true);
+    expect(
+      await verifyPassword(password, (await userDao.read(user.id)).password)
+    ).toBe(true);
+    // the invitation is the only email, there is nothing left to verify
+    expect(transport.messages.filter(({ to }) => to === email)).toHaveLength(1);
+
+    const accepted = await invitationDao.read(invitation.id);
+    expect(invitationDao.statusOf(accepted)).toBe(InvitationStatus.Accepted);
+    expect(accepted.user.toString()).toBe(user.id);
+    const enrollments = await enrollmentDao.readAll({ course: course.id });
+    expect(enrollments.map((enrollment) => enrollment.student.id)).toEqual([
+      user.id,
+    ]);
+  });
+
+  it("test accept() works only once", async () => {
+    await invitationDao.create({ email });
+    const token = tokenOf(email);
+    await invitationDao.accept({ token, name: "Ann", password: "secret" });
+    try {
+      await invitationDao.accept({ token, name: "Bob", password: "secret" });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test accept() given an invalid password keeps it pending", async () => {
+    const invitation = await invitationDao.create({ email });
+    const token = tokenOf(email);
+    try {
+      await invitationDao.accept({ token, name: "Ann", password: "short" });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+    const pending = await invitationDao.read(invitation.id);
+    expect(invitationDao.statusOf(pending)).toBe(InvitationStatus.Pending);
+    const user = await invitationDao.accept({
+      token,
+      name: "Ann",
+      password: "secret",
+    });
+    expect(user.email).toBe(email);
+  });
+
+  it("test accept() given a revoked or expired invitation", async () => {
+    const revoked = await invitationDao.create({ email });
+    const token = tokenOf(email);
+    await invitationDao.revoke(revoked.id);
+
+    const other = faker.internet.email();
+    await invitationDao.create({ email: other });
+    const later = new InvitationDao({
+      userDao,
+      enrollmentDao,
+      mailer,
+      clock: {
+        now: () => Date.now() + INVITATION_LIFETIME_DAYS * 24 * 60 * 60 * 1000,
+      },
+    });
+
+    for (const [dao, _token] of [
+      [invitationDao, token],
+      [later, tokenOf(other)],
+      [invitationDao, "unknown"],
+    ]) {
+      try {
+        await dao.accept({ token: _token, name: "Ann", password: "secret" });
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    }
+    expect(await userDao.count({ email })).toBe(0);
+  });
+
+  it("test resend() replaces the token", async () => {
+    const invitation = await invitationDao.create({ email });
+    const token = tokenOf(email);
+    const resent = await invitationDao.resend(invitation.id);
+    const newToken = tokenOf(email);
+    expect(newToken).not.toBe(token);
+    expect(resent.expiresAt.getTime()).toBeGreaterThanOrEqual(
+      invitation.expiresAt.getTime()
+    );
+
+    try {
+      await invitationDao.accept({ token, name: "Ann", password: "secret" });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+    const user = await invitationDao.accept({
+      token: newToken,
+      name: "Ann",
+      password: "secret",
+    });
+    expect(user.email).toBe(email);
+  });
+
+  it("test resend() and revoke() given an accepted invitation", async () => {
+    const invitation = await invitationDao.create({ email });
+    await invitationDao.accept({
+      token: tokenOf(email),
+      name: "Ann",
+      password: "secret",
+    });
+    for (const method of ["resend", "revoke"]) {
+      try {
+        await invitationDao[method](invitation.id);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(409);
+      }
+    }
+  });
+
+  it("test revoke() given invalid or non-existing ID", async () => {
+    for (const [id, status] of [
+      ["invalid", 400],
+      [new mongoose.Types.ObjectId().toString(), 404],
+    ]) {
+      try {
+        await invitationDao.revoke(id);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(status);
+      }
+    }
+  });
+
+  afterAll(async () => {
+    await invitationDao.deleteAll();
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
@@ -0,0 +1,4 @@
+import MemoryAuditRepository from "../../src/data/MemoryAuditRepository.js";
+import { testAuditDaoContract } from "./auditDaoContract.js";
+
+testAuditDaoContract(new MemoryAuditRepository());
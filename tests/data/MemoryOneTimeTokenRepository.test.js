@@ -0,0 +1,4 @@
+import MemoryOneTimeTokenRepository from "../../src/data/MemoryOneTimeTokenRepository.js";
+import { testOneTimeTokenDaoContract } from "./oneTimeTokenDaoContract.js";
+
+testOneTimeTokenDaoContract(new MemoryOneTimeTokenRepository());
@@ -0,0 +1,4 @@
+import MemorySessionRepository from "../../src/data/MemorySessionRepository.js";
+import { testSessionDaoContract } from "./sessionDaoContract.js";
+
+testSessionDaoContract(new MemorySessionRepository());
@@ -0,0 +1,4 @@
+import MemoryUserRepository from "../../src/data/MemoryUserRepository.js";
+import { testUserDaoContract } from "./userDaoContract.js";
+
+testUserDaoContract(new MemoryUserRepository());
@@ -0,0 +1,12 @@
+import MongoAuditRepository from "../../src/data/MongoAuditRepository.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { testAuditDaoContract } from "./auditDaoContract.js";
+
+dotenv.config();
+
+testAuditDaoContract(new MongoAuditRepository(), {
+  connect: async () => {
+    db.connect(process.env.DB_TEST_URI);
+  },
+});
@@ -0,0 +1,12 @@
+import MongoOneTimeTokenRepository from "../../src/data/MongoOneTimeTokenRepository.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { testOneTimeTokenDaoContract } from "./oneTimeTokenDaoContract.js";
+
+dotenv.config();
+
+testOneTimeTokenDaoContract(new MongoOneTimeTokenRepository(), {
+  connect: async () => {
+    db.connect(process.env.DB_TEST_URI);
+  },
+});
@@ -0,0 +1,12 @@
+import MongoSessionRepository from "../../src/data/MongoSessionRepository.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { testSessionDaoContract } from "./sessionDaoContract.js";
+
+dotenv.config();
+
+testSessionDaoContract(new MongoSessionRepository(), {
+  connect: async () => {
+    db.connect(process.env.DB_TEST_URI);
+  },
+});
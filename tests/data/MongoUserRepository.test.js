@@ -0,0 +1,15 @@
+import MongoUserRepository from "../../src/data/MongoUserRepository.js";
+import User from "../../src/model/User.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { testUserDaoContract } from "./userDaoContract.js";
+
+dotenv.config();
+
+testUserDaoContract(new MongoUserRepository(), {
+  connect: async () => {
+    db.connect(process.env.DB_TEST_URI);
+    // the text index the search relies on
+    await User.init();
+  },
+});
@@ -1,5 +1,8 @@
 import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
-import UserDao from "../../src/data/UserDao.js";
+import UserDao, {
+  MAX_IMPORT_ROWS,
+  PURGE_RETENTION_DAYS,
+} from "../../src/data/UserDao.js";
 import { faker } from "@faker-js/faker";
 import User from "../../src/model/User.js";
 import * as db from "../../src/data/db.js";
@@ -7,10 +10,22 @@ import * as dotenv from "dotenv";
 import mongoose from "mongoose";
 import { verifyPassword } from "../../src/util/password.js";
 import { UserRole } from "../../src/model/UserRole.js";
+import { DeletedMode } from "../../src/model/DeletedMode.js";
+import { ImportStatus } from "../../src/model/ImportStatus.js";
+import { AuditAction } from "../../src/model/AuditAction.js";
+import AuditDao, { REDACTED } from "../../src/data/AuditDao.js";
+import { Mailer, MemoryTransport } from "../../src/util/mailer.js";
 
 dotenv.config();
 
-const userDao = new UserDao();
+const transport = new MemoryTransport();
+const userDao = new UserDao({ mailer: new Mailer(transport) });
+const auditDao = new AuditDao();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// the verification token follows "email: " in the email
+const tokenFrom = (message) => message.text.match(/email: (\S+)/)[1];
 
 describe("Test UserDao", () => {
   const numUsers = 5;
@@ -42,7 +57,7 @@ describe("Test UserDao", () => {
     const _user = await userDao.create({ name, email, password, role });
     expect(_user.name).toBe(name);
     expect(_user.email).toBe(email);
-    expect(verifyPassword(password, _user.password)).toBe(true);
+    expect(await verifyPassword(password, _user.password)).toBe(true);
     expect(_user.id).toBeDefined();
     expect(_user.role).toBe(role);
   });
@@ -54,11 +69,56 @@ describe("Test UserDao", () => {
     const _user = await userDao.create({ name, email, password });
     expect(_user.name).toBe(name);
     expect(_user.email).toBe(email);
-    expect(verifyPassword(password, _user.password)).toBe(true);
+    expect(await verifyPassword(password, _user.password)).toBe(true);
     expect(_user.id).toBeDefined();
     expect(_user.role).toBe(UserRole.Student);
   });
 
+  it("test create() sends a verification email", async () => {
+    const name = faker.name.fullName();
+    const email = faker.internet.email();
+    const password = faker.internet.password(6);
+    const _user = await userDao.create({ name, email, password });
+    expect(_user.emailVerified).toBe(false);
+    expect(transport.last(email)).toBeDefined();
+  });
+
+  it("test verifyEmail()", async () => {
+    const name = faker.name.fullName();
+    const email = faker.internet.email();
+    const password = faker.internet.password(6);
+    const user = await userDao.create({ name, email, password });
+    const token = tokenFrom(transport.last(email));
+    const _user = await userDao.verifyEmail(token);
+    expect(_user.id).toBe(user.id);
+    expect(_user.emailVerified).toBe(true);
+  });
+
+  it("test verifyEmail() given an invalid token", async () => {
+    try {
+      await userDao.verifyEmail("invalid");
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test update() given a new email requires verification", async () => {
+    const user = await userDao.create({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password: faker.internet.password(6),
+    });
+    await userDao.verifyEmail(tokenFrom(transport.last(user.email)));
+
+    let _user = await userDao.update({ id: user.id, email: user.email });
+    expect(_user.emailVerified).toBe(true);
+
+    const email = faker.internet.email();
+    _user = await userDao.update({ id: user.id, email });
+    expect(_user.emailVerified).toBe(false);
+    expect(transport.last(email)).toBeDefined();
+  });
+
   describe("test create() throws error", () => {
     it("empty name", async () => {
       try {
@@ -278,6 +338,127 @@ describe("Test UserDao", () => {
     }
   });
 
+  it("test readAll() given part of a name", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const name = user.name.substring(1, 4).toUpperCase();
+    const _users = await userDao.readAll({ name, match: "contains" });
+    expect(_users.map((u) => u.id)).toContain(user.id);
+  });
+
+  it("test readAll() given the prefix of an email", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const email = user.email.substring(0, 3);
+    const _users = await userDao.readAll({ email, match: "prefix" });
+    expect(_users.map((u) => u.id)).toContain(user.id);
+  });
+
+  it("test readAll() given an email domain", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const domain = user.email.split("@")[1];
+    const _users = await userDao.readAll({ domain });
+    expect(_users.map((u) => u.id)).toContain(user.id);
+    for (const _user of _users) {
+      expect(_user.email.endsWith(`@${domain}`)).toBe(true);
+    }
+  });
+
+  it("test readAll() given a search text", async () => {
+    await User.init();
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const q = user.name.split(" ")[0];
+    const _users = await userDao.readAll({ q });
+    expect(_users.map((u) => u.id)).toContain(user.id);
+  });
+
+  describe("test readAll() throws error given invalid criteria", () => {
+    it("invalid match mode", async () => {
+      try {
+        await userDao.readAll({ name: "a", match: faker.random.word() });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("invalid domain", async () => {
+      try {
+        await userDao.readAll({ domain: faker.random.word() });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("empty search text", async () => {
+      try {
+        await userDao.readAll({ q: " " });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+  });
+
+  it("test readAll() given limit and offset", async () => {
+    const _users = await userDao.readAll({ limit: 2, offset: 1 });
+    expect(_users.length).toBe(2);
+  });
+
+  it("test readAll() given sort", async () => {
+    const _users = await userDao.readAll({ sort: "-name" });
+    const names = _users.map((user) => user.name);
+    expect(names).toEqual([...names].sort().reverse());
+  });
+
+  it("test readAll() given fields", async () => {
+    const _users = await userDao.readAll({ fields: "name" });
+    for (const user of _users) {
+      expect(user.name).toBeDefined();
+      expect(user.email).toBeUndefined();
+      expect(user.password).toBeUndefined();
+    }
+  });
+
+  describe("test readAll() throws error", () => {
+    it("invalid limit", async () => {
+      try {
+        await userDao.readAll({ limit: 0 });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("invalid offset", async () => {
+      try {
+        await userDao.readAll({ offset: -1 });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("invalid sort", async () => {
+      try {
+        await userDao.readAll({ sort: "password" });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("invalid fields", async () => {
+      try {
+        await userDao.readAll({ fields: "name,password" });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+  });
+
+  it("test count()", async () => {
+    const count = await userDao.count({});
+    expect(count).toBe(numUsers);
+  });
+
   it("test read() given valid ID", async () => {
     const index = Math.floor(Math.random() * numUsers);
     const user = users[index];
@@ -322,11 +503,46 @@ describe("Test UserDao", () => {
 
     expect(_user.name).toBe(name);
     expect(_user.email).toBe(email);
-    expect(verifyPassword(password, _user.password)).toBe(true);
+    expect(await verifyPassword(password, _user.password)).toBe(true);
     expect(_user.id).toBe(user.id);
     expect(_user.role).toBe(role);
   });
 
+  it("test update() bumps the version", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const name = faker.name.fullName();
+    const _user = await userDao.update({ id: user.id, name });
+    expect(_user.__v).toBe(user.__v + 1);
+  });
+
+  it("test update() given the current version", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const name = faker.name.fullName();
+    const _user = await userDao.update({
+      id: user.id,
+      name,
+      version: user.__v,
+    });
+    expect(_user.name).toBe(name);
+  });
+
+  it("test update() given an outdated version", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    await userDao.update({ id: user.id, name: faker.name.fullName() });
+    try {
+      await userDao.update({
+        id: user.id,
+        name: faker.name.fullName(),
+        version: user.__v,
+      });
+    } catch (err) {
+      expect(err.status).toBe(412);
+    }
+  });
+
   it("test update() given invalid ID", async () => {
     try {
       await userDao.update({ id: "invalid" });
@@ -425,6 +641,142 @@ describe("Test UserDao", () => {
     expect(_user.role).toBe(user.role);
   });
 
+  it("test delete() keeps the user as deleted", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    const _user = await userDao.delete(user.id);
+    expect(_user.deletedAt).toBeInstanceOf(Date);
+
+    try {
+      await userDao.read(user.id);
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+
+    let _users = await userDao.readAll();
+    expect(_users.length).toBe(numUsers - 1);
+    _users = await userDao.readAll({ deleted: DeletedMode.Only });
+    expect(_users.map((u) => u.id)).toEqual([user.id]);
+    _users = await userDao.readAll({ deleted: DeletedMode.Include });
+    expect(_users.length).toBe(numUsers);
+  });
+
+  it("test delete() given a deleted user", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    await userDao.delete(user.id);
+    try {
+      await userDao.delete(user.id);
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  it("test create(), update() and delete() are audited", async () => {
+    const actor = users[0].id;
+    const ip = faker.internet.ip();
+    const user = await userDao.create(
+      {
+        name: faker.name.fullName(),
+        email: faker.internet.email(),
+        password: faker.internet.password(6),
+      },
+      { actor, ip }
+    );
+    const name = faker.name.fullName();
+    await userDao.update({ id: user.id, name }, { actor, ip });
+    await userDao.delete(user.id, { actor, ip });
+
+    const events = await auditDao.readAll({ target: user.id });
+    expect(events.map((e) => e.action)).toEqual([
+      AuditAction.UserDeleted,
+      AuditAction.UserUpdated,
+      AuditAction.UserCreated,
+    ]);
+    for (const event of events) {
+      expect(event.actor.toString()).toBe(actor);
+      expect(event.ip).toBe(ip);
+    }
+    expect(events[1].changes).toMatchObject([
+      { field: "name", from: user.name, to: name },
+    ]);
+    const password = events[2].changes.find((c) => c.field === "password");
+    expect(password.to).toBe(REDACTED);
+  });
+
+  it("test create() given the email of a deleted user", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    await userDao.delete(user.id);
+    try {
+      await userDao.create({
+        name: faker.name.fullName(),
+        email: user.email,
+        password: faker.internet.password(6),
+      });
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test restore() given a deleted user", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    await userDao.delete(user.id);
+    const _user = await userDao.restore(user.id);
+    expect(_user.deletedAt).toBeNull();
+    expect((await userDao.read(user.id)).id).toBe(user.id);
+  });
+
+  it("test restore() given a user that is not deleted", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    try {
+      await userDao.restore(user.id);
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test restore() given valid but non-existing ID", async () => {
+    try {
+      await userDao.restore(mongoose.Types.ObjectId().toString());
+    } catch (err) {
+      expect(err.status).toBe(404);
+    }
+  });
+
+  it("test purge() removes users deleted before the retention window", async () => {
+    const [recent, old] = users;
+    await userDao.delete(recent.id);
+    await userDao.delete(old.id);
+    await User.findByIdAndUpdate(old.id, {
+      deletedAt: new Date(Date.now() - (PURGE_RETENTION_DAYS + 1) * DAY),
+    });
+
+    const purged = await userDao.purge();
+    expect(purged).toBe(1);
+    expect(await User.findById(old.id)).toBeNull();
+    expect(await User.findById(recent.id)).not.toBeNull();
+  });
+
+  it("test purge() given a retention window of 0 days", async () => {
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    await userDao.delete(user.id);
+    const purged = await userDao.purge({ olderThanDays: 0 });
+    expect(purged).toBe(1);
+    expect(await User.findById(user.id)).toBeNull();
+  });
+
+  it("test purge() given invalid days", async () => {
+    try {
+      await userDao.purge({ olderThanDays: -1 });
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
   it("test delete() given invalid ID", async () => {
     try {
       await userDao.delete("invalid");
@@ -441,6 +793,78 @@ describe("Test UserDao", () => {
     }
   });
 
+  it("test import() creates the valid rows and reports the others", async () => {
+    const email = faker.internet.email();
+    const rows = [
+      {
+        name: faker.name.fullName(),
+        email,
+        password: faker.internet.password(6),
+      },
+      {
+        name: faker.name.fullName(),
+        email,
+        password: faker.internet.password(6),
+      },
+      {
+        name: faker.name.fullName(),
+        email: users[0].email,
+        password: faker.internet.password(6),
+      },
+      { name: "", email: faker.lorem.word() },
+    ];
+    const report = await userDao.import(rows);
+    expect(report.map((r) => r.status)).toEqual([
+      ImportStatus.Created,
+      ImportStatus.Failed,
+      ImportStatus.Failed,
+      ImportStatus.Failed,
+    ]);
+    expect(report[1].code).toBe("ALREADY_EXISTS");
+    expect(report[2].code).toBe("ALREADY_EXISTS");
+    expect(report[3].errors.map((e) => e.field)).toEqual([
+      "name",
+      "email",
+      "password",
+    ]);
+
+    const _user = await userDao.read(report[0].id);
+    expect(_user.email).toBe(email);
+    expect(await userDao.count()).toBe(numUsers + 1);
+  });
+
+  it("test import() given a dry run", async () => {
+    const rows = [
+      {
+        name: faker.name.fullName(),
+        email: faker.internet.email(),
+        password: faker.internet.password(6),
+      },
+    ];
+    const report = await userDao.import(rows, { dryRun: true });
+    expect(report).toEqual([{ row: 1, status: ImportStatus.Valid }]);
+    expect(await userDao.count()).toBe(numUsers);
+  });
+
+  it("test import() given too many rows", async () => {
+    try {
+      await userDao.import(new Array(MAX_IMPORT_ROWS + 1).fill({}));
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it("test stream() goes through all matching users", async () => {
+    const _users = [];
+    for await (const user of userDao.stream({ role: UserRole.Student })) {
+      _users.push(user);
+    }
+    const students = users.filter((u) => u.role === UserRole.Student);
+    expect(_users.map((u) => u.id).sort()).toEqual(
+      students.map((u) => u.id).sort()
+    );
+  });
+
   afterAll(async () => {
     await userDao.deleteAll();
   });
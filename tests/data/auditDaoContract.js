@@ -0,0 +1,119 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import AuditDao from "../../src/data/AuditDao.js";
+import { AuditAction } from "../../src/model/AuditAction.js";
+import { faker } from "@faker-js/faker";
+import mongoose from "mongoose";
+
+// The behavior AuditDao has with every repository (see AuditRepository).
+// Each repository test runs it, e.g.
+// testAuditDaoContract(new MemoryAuditRepository()). connect, if given,
+// runs before the first test.
+
+const newId = () => mongoose.Types.ObjectId().toString();
+
+export const testAuditDaoContract = (repository, { connect } = {}) => {
+  describe(`Test AuditDao with ${repository.constructor.name}`, () => {
+    const auditDao = new AuditDao({ repository });
+    let actor, target;
+
+    beforeAll(async () => {
+      if (connect) {
+        await connect();
+      }
+      await auditDao.deleteAll();
+    });
+
+    beforeEach(async () => {
+      await auditDao.deleteAll();
+      actor = newId();
+      target = newId();
+    });
+
+    it("test record()", async () => {
+      const ip = faker.internet.ip();
+      const changes = [{ field: "name", from: "a", to: "b" }];
+      const event = await auditDao.record(
+        { action: AuditAction.UserUpdated, target, changes },
+        { actor, ip }
+      );
+      expect(event.action).toBe(AuditAction.UserUpdated);
+      expect(event.actor.toString()).toBe(actor);
+      expect(event.target.toString()).toBe(target);
+      expect(event.changes).toMatchObject(changes);
+      expect(event.ip).toBe(ip);
+      expect(event.createdAt).toBeInstanceOf(Date);
+    });
+
+    it("test record() without actor", async () => {
+      const event = await auditDao.record({
+        action: AuditAction.LoginFailed,
+        details: { email: faker.internet.email() },
+      });
+      expect(event.actor).toBeNull();
+      expect(event.target).toBeNull();
+    });
+
+    it("test readAll() given criteria", async () => {
+      await auditDao.record(
+        { action: AuditAction.UserCreated, target },
+        { actor }
+      );
+      await auditDao.record(
+        { action: AuditAction.UserUpdated, target },
+        { actor }
+      );
+      await auditDao.record(
+        { action: AuditAction.UserUpdated, target: newId() },
+        { actor: newId() }
+      );
+
+      let events = await auditDao.readAll({ actor });
+      expect(events.length).toBe(2);
+      expect(events[0].action).toBe(AuditAction.UserUpdated);
+
+      events = await auditDao.readAll({ action: AuditAction.UserUpdated });
+      expect(events.length).toBe(2);
+
+      events = await auditDao.readAll({
+        target,
+        action: AuditAction.UserCreated,
+      });
+      expect(events.length).toBe(1);
+      expect(await auditDao.count({ target })).toBe(2);
+    });
+
+    it("test readAll() given a date range", async () => {
+      await auditDao.record({ action: AuditAction.UserCreated, target });
+      const now = new Date();
+      const hour = 60 * 60 * 1000;
+
+      let events = await auditDao.readAll({
+        from: new Date(now.getTime() - hour),
+        to: new Date(now.getTime() + hour),
+      });
+      expect(events.length).toBe(1);
+
+      events = await auditDao.readAll({ from: new Date(now.getTime() + hour) });
+      expect(events.length).toBe(0);
+    });
+
+    it("test readAll() given invalid criteria", async () => {
+      for (const criteria of [
+        { actor: "invalid" },
+        { action: "invalid" },
+        { from: new Date("invalid") },
+        { limit: 0 },
+      ]) {
+        try {
+          await auditDao.readAll(criteria);
+        } catch (err) {
+          expect(err.status).toBe(400);
+        }
+      }
+    });
+
+    afterAll(async () => {
+      await auditDao.deleteAll();
+    });
+  });
+};
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { connectWithRetry, hideVersion } from "../../src/data/db.js";
+
+describe("Test connectWithRetry", () => {
+  it("retries until connected", async () => {
+    let calls = 0;
+    const connect = async () => {
+      calls++;
+      if (calls < 3) {
+        throw new Error("not yet");
+      }
+      return "connected";
+    };
+    const result = await connectWithRetry("mongodb://test", {
+      baseDelay: 1,
+      connect,
+    });
+    expect(result).toBe("connected");
+    expect(calls).toBe(3);
+  });
+
+  it("backs off exponentially", async () => {
+    const times = [];
+    const connect = async () => {
+      times.push(Date.now());
+      throw new Error("down");
+    };
+    try {
+      await connectWithRetry("mongodb://test", {
+        attempts: 3,
+        baseDelay: 20,
+        connect,
+      });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.message).toBe("down");
+    }
+    expect(times.length).toBe(3);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(15);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(35);
+  });
+});
+
+describe("Test hideVersion", () => {
+  it("leaves the version out of the document", () => {
+    const document = { _doc: { _id: "1", name: "Team A", __v: 2 } };
+    expect(hideVersion(document)).toEqual({ _id: "1", name: "Team A" });
+  });
+});
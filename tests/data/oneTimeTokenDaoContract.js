@@ -0,0 +1,99 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import OneTimeTokenDao from "../../src/data/OneTimeTokenDao.js";
+import mongoose from "mongoose";
+import { TokenPurpose } from "../../src/model/TokenPurpose.js";
+
+// The behavior OneTimeTokenDao has with every repository (see
+// OneTimeTokenRepository). Each repository test runs it, e.g.
+// testOneTimeTokenDaoContract(new MemoryOneTimeTokenRepository()).
+// connect, if given, runs before the first test.
+
+const purpose = TokenPurpose.PasswordReset;
+const lifetime = 60 * 1000;
+
+export const testOneTimeTokenDaoContract = (repository, { connect } = {}) => {
+  describe(`Test OneTimeTokenDao with ${repository.constructor.name}`, () => {
+    const tokenDao = new OneTimeTokenDao({ repository });
+    let user;
+
+    beforeAll(async () => {
+      if (connect) {
+        await connect();
+      }
+      await tokenDao.deleteAll();
+    });
+
+    beforeEach(async () => {
+      await tokenDao.deleteAll();
+      user = mongoose.Types.ObjectId().toString();
+    });
+
+    it("test create() and consume()", async () => {
+      const token = await tokenDao.create({ user, purpose, lifetime });
+      expect(token).toBeDefined();
+      const document = await tokenDao.consume({ token, purpose });
+      expect(document.user.toString()).toBe(user);
+      expect(document.usedAt).toBeDefined();
+    });
+
+    it("test consume() twice", async () => {
+      const token = await tokenDao.create({ user, purpose, lifetime });
+      await tokenDao.consume({ token, purpose });
+      try {
+        await tokenDao.consume({ token, purpose });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("test consume() an expired token", async () => {
+      const token = await tokenDao.create({ user, purpose, lifetime: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      try {
+        await tokenDao.consume({ token, purpose });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it("test create() discards earlier tokens", async () => {
+      const first = await tokenDao.create({ user, purpose, lifetime });
+      await tokenDao.create({ user, purpose, lifetime });
+      try {
+        await tokenDao.consume({ token: first, purpose });
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    describe("test create() throws error", () => {
+      it("invalid user", async () => {
+        try {
+          await tokenDao.create({ user: "invalid", purpose, lifetime });
+        } catch (err) {
+          expect(err.status).toBe(400);
+        }
+      });
+
+      it("invalid purpose", async () => {
+        try {
+          await tokenDao.create({ user, purpose: "invalid", lifetime });
+        } catch (err) {
+          expect(err.status).toBe(400);
+        }
+      });
+
+      it("invalid lifetime", async () => {
+        try {
+          await tokenDao.create({ user, purpose, lifetime: -1 });
+        } catch (err) {
+          expect(err.status).toBe(400);
+        }
+      });
+    });
+
+    afterAll(async () => {
+      await tokenDao.deleteAll();
+    });
+  });
+};
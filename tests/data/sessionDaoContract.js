@@ -0,0 +1,112 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import SessionDao from "../../src/data/SessionDao.js";
+import mongoose from "mongoose";
+
+// The behavior SessionDao has with every repository (see SessionRepository).
+// Each repository test runs it, e.g.
+// testSessionDaoContract(new MemorySessionRepository()). connect, if given,
+// runs before the first test.
+
+export const testSessionDaoContract = (repository, { connect } = {}) => {
+  describe(`Test SessionDao with ${repository.constructor.name}`, () => {
+    const sessionDao = new SessionDao({ repository });
+    let user;
+
+    beforeAll(async () => {
+      if (connect) {
+        await connect();
+      }
+      await sessionDao.deleteAll();
+    });
+
+    beforeEach(async () => {
+      await sessionDao.deleteAll();
+      user = mongoose.Types.ObjectId().toString();
+    });
+
+    it("test create()", async () => {
+      const { session, refreshToken } = await sessionDao.create({ user });
+      expect(session.user.toString()).toBe(user);
+      expect(refreshToken.startsWith(`${session.id}.`)).toBe(true);
+      expect(session.refreshTokenHash).not.toContain(refreshToken);
+      expect(await sessionDao.isActive(session.id)).toBe(true);
+    });
+
+    it("test rotate()", async () => {
+      const { session, refreshToken } = await sessionDao.create({ user });
+      const rotated = await sessionDao.rotate(refreshToken);
+      expect(rotated.session.id).toBe(session.id);
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(await sessionDao.isActive(session.id)).toBe(true);
+    });
+
+    it("test rotate() given a reused refresh token revokes the session", async () => {
+      const { session, refreshToken } = await sessionDao.create({ user });
+      const rotated = await sessionDao.rotate(refreshToken);
+      try {
+        await sessionDao.rotate(refreshToken);
+      } catch (err) {
+        expect(err.status).toBe(401);
+      }
+      expect(await sessionDao.isActive(session.id)).toBe(false);
+      try {
+        await sessionDao.rotate(rotated.refreshToken);
+      } catch (err) {
+        expect(err.status).toBe(401);
+      }
+    });
+
+    it("test rotate() given an unknown secret keeps the session", async () => {
+      const { session, refreshToken } = await sessionDao.create({ user });
+      try {
+        await sessionDao.rotate(`${session.id}.garbage`);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(401);
+      }
+      expect(await sessionDao.isActive(session.id)).toBe(true);
+      const rotated = await sessionDao.rotate(refreshToken);
+      expect(rotated.session.id).toBe(session.id);
+    });
+
+    it("test rotate() given an invalid refresh token", async () => {
+      try {
+        await sessionDao.rotate("invalid");
+      } catch (err) {
+        expect(err.status).toBe(401);
+      }
+    });
+
+    it("test revoke()", async () => {
+      const { session, refreshToken } = await sessionDao.create({ user });
+      await sessionDao.revoke(session.id);
+      expect(await sessionDao.isActive(session.id)).toBe(false);
+      try {
+        await sessionDao.rotate(refreshToken);
+      } catch (err) {
+        expect(err.status).toBe(401);
+      }
+    });
+
+    it("test revoke() given valid but non-existing ID", async () => {
+      try {
+        await sessionDao.revoke(mongoose.Types.ObjectId().toString());
+      } catch (err) {
+        expect(err.status).toBe(404);
+      }
+    });
+
+    it("test revokeAll()", async () => {
+      const first = await sessionDao.create({ user });
+      const second = await sessionDao.create({ user });
+      const count = await sessionDao.revokeAll({ user });
+      expect(count).toBe(2);
+      expect(await sessionDao.isActive(first.session.id)).toBe(false);
+      expect(await sessionDao.isActive(second.session.id)).toBe(false);
+    });
+
+    afterAll(async () => {
+      await sessionDao.deleteAll();
+    });
+  });
+};
@@ -0,0 +1,322 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import mongoose from "mongoose";
+import UserDao from "../../src/data/UserDao.js";
+import { verifyPassword } from "../../src/util/password.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import { DeletedMode } from "../../src/model/DeletedMode.js";
+import { ImportStatus } from "../../src/model/ImportStatus.js";
+
+// The behavior UserDao has with every repository (see UserRepository):
+// uniqueness, validation, soft deletes, versions and 404s. Each repository
+// test runs it, e.g. testUserDaoContract(new MemoryUserRepository()).
+// connect, if given, runs before the first test.
+
+const ANN = { name: "Ann Lee", email: "ann@example.com", password: "secret1" };
+const BOB = {
+  name: "Bob Stone",
+  email: "bob@school.edu",
+  password: "secret2",
+  role: UserRole.Instructor,
+};
+const ANNA = {
+  name: "Anna Bell",
+  email: "anna@school.edu",
+  password: "secret3",
+};
+
+const missingId = () => new mongoose.Types.ObjectId().toString();
+
+// return the status of the error the promise is rejected with
+const statusOf = async (promise) => {
+  try {
+    await promise;
+  } catch (err) {
+    return err.status;
+  }
+  expect.unreachable();
+};
+
+export const testUserDaoContract = (repository, { connect } = {}) => {
+  describe(`Test UserDao with ${repository.constructor.name}`, () => {
+    const userDao = new UserDao({ repository, tokenDao: null, auditDao: null });
+    let ann, bob, anna;
+
+    const idsOf = (users) => users.map((user) => user.id);
+
+    beforeAll(async () => {
+      if (connect) {
+        await connect();
+      }
+    });
+
+    beforeEach(async () => {
+      await userDao.deleteAll();
+      ann = await userDao.create(ANN);
+      bob = await userDao.create(BOB);
+      anna = await userDao.create(ANNA);
+    });
+
+    it("test create()", async () => {
+      expect(ann.id).toBe(String(ann._id));
+      expect(ann.name).toBe(ANN.name);
+      expect(ann.email).toBe(ANN.email);
+      expect(await verifyPassword(ANN.password, ann.password)).toBe(true);
+      expect(ann.role).toBe(UserRole.Student);
+      expect(ann.emailVerified).toBe(false);
+      expect(ann.deletedAt).toBeNull();
+      expect(ann.createdAt).toBeInstanceOf(Date);
+      expect(ann.__v).toBe(0);
+      expect(bob.role).toBe(UserRole.Instructor);
+    });
+
+    it("test create() given a verified email", async () => {
+      const cy = await userDao.create({
+        name: "Cy Young",
+        email: "cy@example.com",
+        password: "secret4",
+        emailVerified: true,
+      });
+      expect(cy.emailVerified).toBe(true);
+      expect((await userDao.read(cy.id)).emailVerified).toBe(true);
+    });
+
+    it("test create() given invalid attributes", async () => {
+      for (const user of [
+        { ...ANN, name: "", email: "new@example.com" },
+        { ...ANN, email: "invalid" },
+        { ...ANN, email: "new@example.com", password: "short" },
+        { ...ANN, email: "new@example.com", role: "PRINCIPAL" },
+      ]) {
+        expect(await statusOf(userDao.create(user))).toBe(400);
+      }
+      expect(await userDao.count()).toBe(3);
+    });
+
+    it("test create() given an email in use", async () => {
+      try {
+        await userDao.create({ ...BOB, name: "Someone else" });
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(400);
+        expect(err.code).toBe("ALREADY_EXISTS");
+      }
+    });
+
+    it("test create() given the email of a deleted user", async () => {
+      await userDao.delete(ann.id);
+      expect(await statusOf(userDao.create(ANN))).toBe(400);
+    });
+
+    it("test readAll() given criteria", async () => {
+      expect(idsOf(await userDao.readAll({ name: ANN.name }))).toEqual([
+        ann.id,
+      ]);
+      expect(await userDao.readAll({ name: "ann lee" })).toEqual([]);
+      expect(
+        idsOf(await userDao.readAll({ name: "ANN", match: "prefix" }))
+      ).toEqual([ann.id, anna.id]);
+      expect(
+        idsOf(await userDao.readAll({ email: "STONE", match: "contains" }))
+      ).toEqual([]);
+      expect(
+        idsOf(await userDao.readAll({ email: "BOB@", match: "contains" }))
+      ).toEqual([bob.id]);
+      expect(idsOf(await userDao.readAll({ domain: "School.edu" }))).toEqual([
+        bob.id,
+        anna.id,
+      ]);
+      expect(
+        idsOf(await userDao.readAll({ domain: "school.edu", email: "anna" }))
+      ).toEqual([]);
+      expect(idsOf(await userDao.readAll({ role: UserRole.Student }))).toEqual([
+        ann.id,
+        anna.id,
+      ]);
+    });
+
+    it("test readAll() given a search text", async () => {
+      expect(idsOf(await userDao.readAll({ q: "stone" }))).toEqual([bob.id]);
+      expect(idsOf(await userDao.readAll({ q: "bell lee" })).sort()).toEqual(
+        [ann.id, anna.id].sort()
+      );
+    });
+
+    it("test readAll() given a deleted mode", async () => {
+      await userDao.delete(bob.id);
+      expect(idsOf(await userDao.readAll())).toEqual([ann.id, anna.id]);
+      expect(
+        idsOf(await userDao.readAll({ deleted: DeletedMode.Only }))
+      ).toEqual([bob.id]);
+      expect(
+        idsOf(await userDao.readAll({ deleted: DeletedMode.Include }))
+      ).toEqual([ann.id, bob.id, anna.id]);
+    });
+
+    it("test readAll() given sort, limit, offset and fields", async () => {
+      expect(idsOf(await userDao.readAll({ sort: "-name" }))).toEqual([
+        bob.id,
+        anna.id,
+        ann.id,
+      ]);
+      expect(
+        idsOf(await userDao.readAll({ sort: "email", limit: 1, offset: 1 }))
+      ).toEqual([anna.id]);
+
+      const [user] = await userDao.readAll({ fields: "name,role", limit: 1 });
+      expect(user.id).toBe(ann.id);
+      expect(user.name).toBe(ANN.name);
+      expect(user.role).toBe(UserRole.Student);
+      expect(user.email).toBeUndefined();
+      expect(user.password).toBeUndefined();
+    });
+
+    it("test readAll() given invalid options", async () => {
+      for (const options of [
+        { match: "fuzzy" },
+        { deleted: "never" },
+        { domain: "school" },
+        { q: " " },
+        { role: "PRINCIPAL" },
+        { sort: "password" },
+        { fields: "password" },
+        { limit: 0 },
+        { offset: -1 },
+      ]) {
+        expect(await statusOf(userDao.readAll(options))).toBe(400);
+      }
+    });
+
+    it("test count()", async () => {
+      expect(await userDao.count()).toBe(3);
+      expect(await userDao.count({ role: UserRole.Instructor })).toBe(1);
+      await userDao.delete(ann.id);
+      expect(await userDao.count()).toBe(2);
+    });
+
+    it("test stream() goes through the users in the order they were created", async () => {
+      const cursor = userDao.stream({ role: UserRole.Student });
+      const users = [];
+      for await (const user of cursor) {
+        users.push(user);
+      }
+      await cursor.close();
+      expect(idsOf(users)).toEqual([ann.id, anna.id]);
+    });
+
+    it("test read()", async () => {
+      const user = await userDao.read(bob.id);
+      expect(user.email).toBe(BOB.email);
+      expect(await statusOf(userDao.read("invalid"))).toBe(400);
+      expect(await statusOf(userDao.read(missingId()))).toBe(404);
+    });
+
+    it("test readMany()", async () => {
+      await userDao.delete(bob.id);
+      const users = await userDao.readMany([
+        ann.id,
+        bob.id,
+        missingId(),
+        ann.id,
+      ]);
+      expect([...users.keys()]).toEqual([ann.id]);
+      expect(users.get(ann.id).email).toBe(ANN.email);
+      expect((await userDao.readMany([])).size).toBe(0);
+      expect(await statusOf(userDao.readMany([anna.id, "invalid"]))).toBe(400);
+    });
+
+    it("test update()", async () => {
+      const user = await userDao.update({
+        id: ann.id,
+        name: "Ann Smith",
+        password: "secret4",
+      });
+      expect(user.name).toBe("Ann Smith");
+      expect(user.email).toBe(ANN.email);
+      expect(await verifyPassword("secret4", user.password)).toBe(true);
+      expect(user.__v).toBe(1);
+      expect((await userDao.read(ann.id)).name).toBe("Ann Smith");
+    });
+
+    it("test update() given a version", async () => {
+      const user = await userDao.update({ id: ann.id, name: "A", version: 0 });
+      expect(user.__v).toBe(1);
+      expect(
+        await statusOf(userDao.update({ id: ann.id, name: "B", version: 0 }))
+      ).toBe(412);
+      expect((await userDao.read(ann.id)).name).toBe("A");
+    });
+
+    it("test update() given invalid attributes", async () => {
+      for (const changes of [
+        { name: "" },
+        { email: "invalid" },
+        { email: BOB.email },
+        { password: "short" },
+        { role: "PRINCIPAL" },
+      ]) {
+        expect(await statusOf(userDao.update({ id: ann.id, ...changes }))).toBe(
+          400
+        );
+      }
+      expect(await statusOf(userDao.update({ id: "invalid" }))).toBe(400);
+      expect((await userDao.read(ann.id)).__v).toBe(0);
+    });
+
+    it("test update() given a missing or deleted user", async () => {
+      expect(
+        await statusOf(userDao.update({ id: missingId(), name: "A" }))
+      ).toBe(404);
+      await userDao.delete(ann.id);
+      expect(
+        await statusOf(userDao.update({ id: ann.id, name: "A", version: 1 }))
+      ).toBe(404);
+    });
+
+    it("test delete() and restore()", async () => {
+      const deleted = await userDao.delete(ann.id);
+      expect(deleted.deletedAt).toBeInstanceOf(Date);
+      expect(await statusOf(userDao.read(ann.id))).toBe(404);
+      expect(await statusOf(userDao.delete(ann.id))).toBe(404);
+
+      const restored = await userDao.restore(ann.id);
+      expect(restored.deletedAt).toBeNull();
+      expect((await userDao.read(ann.id)).email).toBe(ANN.email);
+      expect(await statusOf(userDao.restore(ann.id))).toBe(400);
+      expect(await statusOf(userDao.restore(missingId()))).toBe(404);
+      expect(await statusOf(userDao.delete("invalid"))).toBe(400);
+    });
+
+    it("test purge()", async () => {
+      await userDao.delete(ann.id);
+      expect(await userDao.purge()).toBe(0);
+      expect(await userDao.purge({ olderThanDays: 0 })).toBe(1);
+      expect(
+        idsOf(await userDao.readAll({ deleted: DeletedMode.Include }))
+      ).toEqual([bob.id, anna.id]);
+      // the email is free again
+      expect((await userDao.create(ANN)).email).toBe(ANN.email);
+      expect(await statusOf(userDao.purge({ olderThanDays: -1 }))).toBe(400);
+    });
+
+    it("test import()", async () => {
+      const report = await userDao.import([
+        { name: "Cy Young", email: "cy@example.com", password: "secret5" },
+        { name: "Cy Twin", email: "cy@example.com", password: "secret6" },
+        { ...BOB },
+        { name: "", email: "invalid" },
+      ]);
+      expect(report.map((row) => row.status)).toEqual([
+        ImportStatus.Created,
+        ImportStatus.Failed,
+        ImportStatus.Failed,
+        ImportStatus.Failed,
+      ]);
+      expect((await userDao.read(report[0].id)).name).toBe("Cy Young");
+      expect(await userDao.count()).toBe(4);
+    });
+
+    afterAll(async () => {
+      await userDao.deleteAll();
+    });
+  });
+};
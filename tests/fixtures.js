@@ -0,0 +1,20 @@
+import { faker } from "@faker-js/faker";
+import { createToken } from "../src/util/token.js";
+
+// return a made up user with the given role, created through the userDao,
+// with the given password (made up too unless given) to sign in with;
+// token is an access token of the user, e.g. for an Authorization header
+export const newUser = async (
+  userDao,
+  role,
+  { password = faker.internet.password(6) } = {}
+) => {
+  const user = await userDao.create({
+    name: faker.name.fullName(),
+    email: faker.internet.email(),
+    password,
+    role,
+  });
+  user.token = createToken({ user: { id: user.id, role: user.role } });
+  return user;
+};
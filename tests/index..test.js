@@ -1,10 +1,87 @@
-import { test, expect } from "vitest";
-import app from "../src/index.js";
+import { describe, test, expect } from "vitest";
+import { createApp } from "../src/index.js";
 import supertest from "supertest";
+import mongoose from "mongoose";
+import UserDao from "../src/data/UserDao.js";
+import MemoryUserRepository from "../src/data/MemoryUserRepository.js";
+import { getConfig } from "../src/util/config.js";
+import { createKeyStore } from "../src/util/keys.js";
+import { createToken, TokenService } from "../src/util/token.js";
+import { UserRole } from "../src/model/UserRole.js";
 
-const request = new supertest(app);
+const request = new supertest(createApp());
 
 test("Test API / endpoint", async () => {
   const response = await request.get("/");
   expect(response.status).toBe(200);
 });
+
+describe("Test createApp", () => {
+  const user = {
+    id: new mongoose.Types.ObjectId().toString(),
+    role: UserRole.Instructor,
+  };
+
+  // an app of its own, storing the users in memory
+  const newApp = (services) =>
+    createApp({
+      userDao: new UserDao({
+        repository: new MemoryUserRepository(),
+        tokenDao: null,
+        auditDao: null,
+      }),
+      ...services,
+    });
+
+  test("runs two configurations side by side", async () => {
+    const config = getConfig();
+    const other = {
+      ...config,
+      jwt: { ...config.jwt, issuer: "another-roster-api" },
+    };
+    const tokenService = new TokenService({
+      keyStore: createKeyStore(other.jwt),
+      jwt: other.jwt,
+    });
+    const token = tokenService.create({ user });
+
+    const first = new supertest(newApp({ config }));
+    const second = new supertest(newApp({ config: other, tokenService }));
+    const auth = { Authorization: `bearer ${token}` };
+    expect((await first.get("/users").set(auth)).status).toBe(401);
+    expect((await second.get("/users").set(auth)).status).toBe(200);
+  });
+
+  test("tells the time by the clock", async () => {
+    const auth = { Authorization: `bearer ${createToken({ user })}` };
+    const { accessTokenLifetime } = getConfig().jwt;
+    const later = { now: () => Date.now() + accessTokenLifetime * 1000 };
+
+    const now = new supertest(newApp());
+    expect((await now.get("/users").set(auth)).status).toBe(200);
+    const expired = await new supertest(newApp({ clock: later }))
+      .get("/users")
+      .set(auth);
+    expect(expired.status).toBe(401);
+    expect(expired.body.message).toContain("expired");
+  });
+
+  test("uses the services given", async () => {
+    const auth = { Authorization: `bearer ${createToken({ user })}` };
+    const queries = [];
+    const auditDao = {
+      readAll: async (criteria) => {
+        queries.push(criteria);
+        return [];
+      },
+      count: async () => 0,
+    };
+
+    const response = await new supertest(newApp({ auditDao }))
+      .get("/audit")
+      .set(auth);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([]);
+    expect(queries).toHaveLength(1);
+  });
+});
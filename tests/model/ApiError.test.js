@@ -1,5 +1,5 @@
 import { expect, test } from "vitest";
-import ApiError from "../../src/model/ApiError.js";
+import ApiError, { ErrorCode } from "../../src/model/ApiError.js";
 import { faker } from "@faker-js/faker";
 
 test("test ApiError", () => {
@@ -9,3 +9,21 @@ test("test ApiError", () => {
   expect(error.message).toBe(message);
   expect(error.status).toBe(status);
 });
+
+test("test ApiError default code", () => {
+  const error = new ApiError(404, faker.lorem.sentence());
+  expect(error.code).toBe(ErrorCode.NotFound);
+  expect(error.errors).toBeUndefined();
+});
+
+test("test ApiError with code and errors", () => {
+  const errors = [
+    { field: "email", code: "invalid_string", message: "Invalid Email!" },
+  ];
+  const error = new ApiError(400, faker.lorem.sentence(), {
+    code: ErrorCode.ValidationFailed,
+    errors,
+  });
+  expect(error.code).toBe(ErrorCode.ValidationFailed);
+  expect(error.errors).toEqual(errors);
+});
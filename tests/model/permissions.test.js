@@ -0,0 +1,84 @@
+import { expect, test } from "vitest";
+import {
+  Action,
+  can,
+  canEnroll,
+  canGrant,
+  canTeach,
+  Ownership,
+  PERMISSIONS,
+  permissionsOf,
+  Resource,
+} from "../../src/model/permissions.js";
+import { UserRole } from "../../src/model/UserRole.js";
+
+test("test can() given any or own", () => {
+  const { Student, TeachingAssistant } = UserRole;
+  expect(can(Student, Resource.User, Action.Read)).toBe(false);
+  expect(can(Student, Resource.User, Action.Read, Ownership.Own)).toBe(true);
+  expect(can(TeachingAssistant, Resource.Roster, Action.Read)).toBe(true);
+  expect(can(TeachingAssistant, Resource.User, Action.Delete)).toBe(false);
+  expect(
+    can(TeachingAssistant, Resource.User, Action.Delete, Ownership.Own)
+  ).toBe(true);
+});
+
+test("test can() given an unknown resource, action or role", () => {
+  expect(can(UserRole.Admin, "planet", Action.Read)).toBe(false);
+  expect(can(UserRole.Admin, Resource.Audit, Action.Delete)).toBe(false);
+  expect(can("PRINCIPAL", Resource.User, Action.Read)).toBe(false);
+});
+
+test("test admins may do whatever instructors may", () => {
+  for (const actions of Object.values(PERMISSIONS)) {
+    for (const roles of Object.values(actions)) {
+      if (roles[UserRole.Instructor] !== undefined) {
+        expect(roles[UserRole.Admin]).toBe(Ownership.Any);
+      }
+    }
+  }
+});
+
+test("test canTeach() and canEnroll()", () => {
+  const { Student, TeachingAssistant, Instructor, Admin } = UserRole;
+  expect([Student, TeachingAssistant, Instructor, Admin].map(canTeach)).toEqual(
+    [false, false, true, true]
+  );
+  expect(
+    [Student, TeachingAssistant, Instructor, Admin].map(canEnroll)
+  ).toEqual([true, false, false, false]);
+});
+
+test("test only admins grant and revoke roles", () => {
+  for (const role of Object.values(UserRole)) {
+    const isAdmin = role === UserRole.Admin;
+    expect(can(role, Resource.Role, Action.Grant)).toBe(isAdmin);
+    expect(can(role, Resource.Role, Action.Revoke)).toBe(isAdmin);
+    expect(canGrant(role, UserRole.Admin)).toBe(isAdmin);
+  }
+  expect(canGrant(UserRole.Instructor, UserRole.TeachingAssistant)).toBe(true);
+  expect(canGrant(UserRole.TeachingAssistant, UserRole.Student)).toBe(false);
+});
+
+test("test permissionsOf()", () => {
+  const permissions = permissionsOf(UserRole.Student);
+  expect(permissions.user).toEqual({
+    read: Ownership.Own,
+    update: Ownership.Own,
+    delete: Ownership.Own,
+  });
+  expect(permissions.audit).toEqual({});
+  expect(permissionsOf(UserRole.Admin).role).toEqual({
+    grant: Ownership.Any,
+    revoke: Ownership.Any,
+  });
+});
+
+test("test only instructors and admins may create users", () => {
+  const { Student, TeachingAssistant, Instructor, Admin } = UserRole;
+  expect(
+    [Student, TeachingAssistant, Instructor, Admin].map((role) =>
+      can(role, Resource.User, Action.Create)
+    )
+  ).toEqual([false, false, true, true]);
+});
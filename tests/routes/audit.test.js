@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import UserDao from "../../src/data/UserDao.js";
+import AuditDao from "../../src/data/AuditDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { UserRole } from "../../src/model/UserRole.js";
+import { AuditAction } from "../../src/model/AuditAction.js";
+import { createLimits } from "../../src/util/limiter.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+const userDao = new UserDao();
+const auditDao = new AuditDao();
+const endpoint = "/audit";
+// the password of the users, who sign in with it
+const PASSWORD = "secret1";
+const limits = createLimits();
+const request = new supertest(createApp({ limits }));
+
+describe(`Test ${endpoint}`, () => {
+  let instructor, student;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+  });
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    await auditDao.deleteAll();
+    limits.store.clear();
+    instructor = await newUser(userDao, UserRole.Instructor, {
+      password: PASSWORD,
+    });
+    student = await newUser(userDao, UserRole.Student, { password: PASSWORD });
+  });
+
+  it("Respond 401 when no auth token", async () => {
+    const response = await request.get(endpoint);
+    expect(response.status).toBe(401);
+  });
+
+  it("Respond 403 when student reads the audit log", async () => {
+    const response = await request
+      .get(endpoint)
+      .set("Authorization", "bearer " + student.token);
+    expect(response.status).toBe(403);
+  });
+
+  it("Respond 200 recording an update by its actor", async () => {
+    const name = faker.name.fullName();
+    await request
+      .patch(`/users/${student.id}`)
+      .send({ name })
+      .set("Authorization", "bearer " + instructor.token);
+
+    const response = await request
+      .get(
+        `${endpoint}?actor=${instructor.id}&action=${AuditAction.UserUpdated}`
+      )
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(1);
+    const [event] = response.body.data;
+    expect(event.target).toBe(student.id);
+    expect(event.ip).toBeDefined();
+    expect(event.changes).toContainEqual({
+      field: "name",
+      from: student.name,
+      to: name,
+    });
+  });
+
+  it("Respond 200 recording a password change, redacted", async () => {
+    await request
+      .post("/password/change")
+      .send({
+        currentPassword: PASSWORD,
+        newPassword: faker.internet.password(8),
+      })
+      .set("Authorization", "bearer " + student.token);
+
+    const response = await request
+      .get(`${endpoint}?actor=${student.id}&action=${AuditAction.UserUpdated}`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.data[0].changes).toContainEqual({
+      field: "password",
+      from: "[REDACTED]",
+      to: "[REDACTED]",
+    });
+  });
+
+  it("Respond 200 recording deletes", async () => {
+    await request
+      .delete(`/users/${student.id}`)
+      .set("Authorization", "bearer " + instructor.token);
+
+    const response = await request
+      .get(`${endpoint}?target=${student.id}&action=${AuditAction.UserDeleted}`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.data[0].actor).toBe(instructor.id);
+  });
+
+  it("Respond 200 recording sign ins", async () => {
+    await request
+      .post("/login")
+      .send({ email: student.email, password: PASSWORD });
+    await request
+      .post("/login")
+      .send({ email: student.email, password: faker.internet.password() });
+
+    let response = await request
+      .get(`${endpoint}?action=${AuditAction.LoginSucceeded}`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.data[0].actor).toBe(student.id);
+
+    response = await request
+      .get(`${endpoint}?action=${AuditAction.LoginFailed}`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.data[0].target).toBe(student.id);
+    expect(response.body.data[0].actor).toBeNull();
+    expect(response.body.data[0].details.email).toBe(student.email);
+  });
+
+  it("Respond 200 given a date range", async () => {
+    const response = await request
+      .get(`${endpoint}?from=2000-01-01&to=2000-12-31`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(0);
+    expect(response.body.meta.total).toBe(0);
+  });
+
+  it("Respond 400 given an invalid date", async () => {
+    const response = await request
+      .get(`${endpoint}?from=${faker.lorem.word()}`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(400);
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+    await auditDao.deleteAll();
+  });
+});
@@ -1,16 +1,29 @@
 import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
-import app from "../../src/index.js";
+import { createApp } from "../../src/index.js";
 import supertest from "supertest";
 import { faker } from "@faker-js/faker";
-import { userDao } from "../../src/routes/users.js";
-import { decodeToken } from "../../src/util/token.js";
+import UserDao from "../../src/data/UserDao.js";
+import { createToken, decodeToken } from "../../src/util/token.js";
 import * as db from "../../src/data/db.js";
 import * as dotenv from "dotenv";
 import { UserRole } from "../../src/model/UserRole.js";
+import SessionDao from "../../src/data/SessionDao.js";
+import { Mailer, MemoryTransport } from "../../src/util/mailer.js";
+import { createLimits } from "../../src/util/limiter.js";
+import { getConfig, loadConfig } from "../../src/util/config.js";
+import { createKeyStore } from "../../src/util/keys.js";
+import { TokenService } from "../../src/util/token.js";
+import crypto from "crypto";
+import jsonWebToken from "jsonwebtoken";
 
 dotenv.config();
+const transport = new MemoryTransport();
+const mailer = new Mailer(transport);
+const limits = createLimits();
+const userDao = new UserDao({ mailer });
+const sessionDao = new SessionDao();
 const endpoint = "/login";
-const request = new supertest(app);
+const request = new supertest(createApp({ mailer, limits }));
 
 describe(`Test ${endpoint}`, () => {
   const numUsers = 5;
@@ -48,6 +61,7 @@ describe(`Test ${endpoint}`, () => {
     const { id, role } = decodeToken(response.body.token);
     expect(id).toBe(user.id);
     expect(role).toBe(user.role);
+    expect(response.body.refreshToken).toBeDefined();
   });
 
   it("Respond 400 missing email", async () => {
@@ -88,7 +102,309 @@ describe(`Test ${endpoint}`, () => {
     expect(response.status).toBe(403);
   });
 
+  it("Respond 423 after repeated failed attempts", async () => {
+    limits.store.clear();
+    const index = Math.floor(Math.random() * numUsers);
+    const user = users[index];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request.post(endpoint).send({
+        email: user.email,
+        password: faker.internet.password(),
+      });
+    }
+    const response = await request.post(endpoint).send({
+      email: user.email,
+      password: user.email,
+    });
+    expect(response.status).toBe(423);
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  it("Respond 201 after an instructor unlocks the account", async () => {
+    limits.store.clear();
+    const user = users.find((u) => u.role === UserRole.Student);
+    const instructor = users.find((u) => u.role === UserRole.Instructor);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request.post(endpoint).send({
+        email: user.email,
+        password: faker.internet.password(),
+      });
+    }
+    const token = createToken({
+      user: { id: instructor.id, role: instructor.role },
+    });
+    let response = await request
+      .post(`/users/${user.id}/unlock`)
+      .set("Authorization", "bearer " + token);
+    expect(response.status).toBe(200);
+
+    response = await request.post(endpoint).send({
+      email: user.email,
+      password: user.email,
+    });
+    expect(response.status).toBe(201);
+  });
+
+  it("Respond 429 when the IP makes too many attempts", async () => {
+    limits.store.clear();
+    let response;
+    for (let attempt = 0; attempt <= 30; attempt++) {
+      response = await request.post(endpoint).send({
+        email: faker.internet.email(),
+        password: faker.internet.password(),
+      });
+    }
+    expect(response.status).toBe(429);
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+    limits.store.clear();
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+    await sessionDao.deleteAll();
+  });
+});
+
+describe("Test /refresh and /logout", () => {
+  let user;
+  let session;
+
+  const login = () =>
+    request.post("/login").send({ email: user.email, password: user.email });
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    await sessionDao.deleteAll();
+    const email = faker.internet.email();
+    user = await userDao.create({
+      name: faker.name.fullName(),
+      email,
+      password: email,
+    });
+    const response = await login();
+    session = response.body;
+  });
+
+  it("Respond 200 with rotated tokens", async () => {
+    const response = await request
+      .post("/refresh")
+      .send({ refreshToken: session.refreshToken });
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.refreshToken).not.toBe(session.refreshToken);
+    const { id, sid } = decodeToken(response.body.token);
+    expect(id).toBe(user.id);
+    expect(sid).toBe(decodeToken(session.token).sid);
+  });
+
+  it("Respond 400 missing refresh token", async () => {
+    const response = await request.post("/refresh").send({});
+    expect(response.status).toBe(400);
+  });
+
+  it("Respond 401 reusing a refresh token revokes the session", async () => {
+    const first = await request
+      .post("/refresh")
+      .send({ refreshToken: session.refreshToken });
+    const reuse = await request
+      .post("/refresh")
+      .send({ refreshToken: session.refreshToken });
+    expect(reuse.status).toBe(401);
+
+    const response = await request
+      .post("/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  it("Respond 401 using an access token after logout", async () => {
+    let response = await request
+      .post("/logout")
+      .set("Authorization", "bearer " + session.token);
+    expect(response.status).toBe(200);
+
+    response = await request
+      .get(`/users/${user.id}`)
+      .set("Authorization", "bearer " + session.token);
+    expect(response.status).toBe(401);
+
+    response = await request
+      .post("/refresh")
+      .send({ refreshToken: session.refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  it("Respond 200 logging out of all sessions", async () => {
+    const other = (await login()).body;
+    let response = await request
+      .post("/logout")
+      .send({ all: true })
+      .set("Authorization", "bearer " + session.token);
+    expect(response.status).toBe(200);
+
+    response = await request
+      .get(`/users/${user.id}`)
+      .set("Authorization", "bearer " + other.token);
+    expect(response.status).toBe(401);
+  });
+
+  it("Respond 401 logging out without a token", async () => {
+    const response = await request.post("/logout");
+    expect(response.status).toBe(401);
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+    await sessionDao.deleteAll();
+  });
+});
+
+describe("Test /register", () => {
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    await sessionDao.deleteAll();
+  });
+
+  it("Respond 201 with a student account and tokens", async () => {
+    const name = faker.name.fullName();
+    const email = faker.internet.email();
+    const password = faker.internet.password(6);
+    const response = await request
+      .post("/register")
+      .send({ name, email, password, role: UserRole.Instructor });
+    expect(response.status).toBe(201);
+    expect(response.body.data.name).toBe(name);
+    expect(response.body.data.email).toBe(email);
+    expect(response.body.data.role).toBe(UserRole.Student);
+    expect(response.body.refreshToken).toBeDefined();
+    const { id, role } = decodeToken(response.body.token);
+    expect(id).toBeDefined();
+    expect(role).toBe(UserRole.Student);
+  });
+
+  it("Respond 400 duplicate email", async () => {
+    const email = faker.internet.email();
+    const name = faker.name.fullName();
+    const password = faker.internet.password(6);
+    await request.post("/register").send({ name, email, password });
+    const response = await request
+      .post("/register")
+      .send({ name, email, password });
+    expect(response.status).toBe(400);
+  });
+
+  it("Respond 400 short password", async () => {
+    const response = await request.post("/register").send({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password: faker.internet.password(5),
+    });
+    expect(response.status).toBe(400);
+  });
+
   afterAll(async () => {
     await userDao.deleteAll();
+    await sessionDao.deleteAll();
+  });
+});
+
+describe("Test /verify-email", () => {
+  let user;
+  let password;
+
+  // the verification token follows "email: " in the email
+  const tokenFrom = (message) => message.text.match(/email: (\S+)/)[1];
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    transport.clear();
+    password = faker.internet.password(6);
+    user = await userDao.create({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password,
+    });
+  });
+
+  it("Respond 200 verifying the email", async () => {
+    const token = tokenFrom(transport.last(user.email));
+    const response = await request.get(`/verify-email?token=${token}`);
+    expect(response.status).toBe(200);
+    const _user = await userDao.read(user.id);
+    expect(_user.emailVerified).toBe(true);
+  });
+
+  it("Respond 400 invalid token", async () => {
+    const response = await request.get(`/verify-email?token=invalid`);
+    expect(response.status).toBe(400);
+  });
+
+  it("Respond 400 missing token", async () => {
+    const response = await request.get(`/verify-email`);
+    expect(response.status).toBe(400);
+  });
+
+  it("Respond 200 resending the verification email", async () => {
+    transport.clear();
+    const token = createToken({ user: { id: user.id, role: user.role } });
+    const response = await request
+      .post("/verify-email")
+      .set("Authorization", "bearer " + token);
+    expect(response.status).toBe(200);
+    expect(transport.last(user.email)).toBeDefined();
+  });
+
+  describe("when email verification is required", () => {
+    const strict = new supertest(
+      createApp({
+        config: { ...getConfig(), requireEmailVerification: true },
+        mailer,
+      })
+    );
+
+    it("Respond 403 signing in unverified", async () => {
+      const response = await strict
+        .post("/login")
+        .send({ email: user.email, password });
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 201 signing in verified", async () => {
+      const token = tokenFrom(transport.last(user.email));
+      await strict.get(`/verify-email?token=${token}`);
+      const response = await strict
+        .post("/login")
+        .send({ email: user.email, password });
+      expect(response.status).toBe(201);
+    });
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+  });
+});
+
+describe("Test /.well-known/jwks.json", () => {
+  const config = loadConfig({ ...process.env, JWT_ALGORITHM: "RS256" });
+  const tokenService = new TokenService({
+    keyStore: createKeyStore(config.jwt),
+    jwt: config.jwt,
+  });
+  const request = new supertest(createApp({ config, tokenService }));
+
+  it("Respond 200 with the keys verifying the tokens", async () => {
+    const response = await request.get("/.well-known/jwks.json");
+    expect(response.status).toBe(200);
+
+    const token = tokenService.create({
+      user: { id: "1", role: UserRole.Student },
+    });
+    const { header } = jsonWebToken.decode(token, { complete: true });
+    const jwk = response.body.keys.find((key) => key.kid === header.kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    const payload = jsonWebToken.verify(token, publicKey, {
+      algorithms: ["RS256"],
+    });
+    expect(payload.sub).toBe("1");
   });
 });
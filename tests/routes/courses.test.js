@@ -0,0 +1,254 @@
+import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import CourseDao from "../../src/data/CourseDao.js";
+import EnrollmentDao from "../../src/data/EnrollmentDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { UserRole } from "../../src/model/UserRole.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+const userDao = new UserDao();
+const courseDao = new CourseDao();
+const enrollmentDao = new EnrollmentDao();
+const endpoint = "/courses";
+const request = new supertest(createApp());
+
+describe(`Test ${endpoint}`, () => {
+  let instructor;
+  let student;
+  let other;
+  let course;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+    other = await newUser(userDao, UserRole.Student);
+    course = await courseDao.create({
+      title: faker.lorem.words(3),
+      code: "EN.601.280",
+      instructor: instructor.id,
+    });
+    await enrollmentDao.create({ course: course.id, student: student.id });
+  });
+
+  describe("GET request", () => {
+    it("Respond 401 when no auth token", async () => {
+      const response = await request.get(endpoint);
+      expect(response.status).toBe(401);
+    });
+
+    it("Respond 200 with all courses for instructors", async () => {
+      const response = await request
+        .get(endpoint)
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(1);
+    });
+
+    it("Respond 200 with enrolled courses for students", async () => {
+      let response = await request
+        .get(endpoint)
+        .set("Authorization", "bearer " + student.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0]._id).toBe(course.id);
+
+      response = await request
+        .get(endpoint)
+        .set("Authorization", "bearer " + other.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(0);
+    });
+  });
+
+  describe("GET request given ID", () => {
+    it("Respond 200 when student is enrolled", async () => {
+      const response = await request
+        .get(`${endpoint}/${course.id}`)
+        .set("Authorization", "bearer " + student.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.code).toBe(course.code);
+    });
+
+    it("Respond 403 when student is not enrolled", async () => {
+      const response = await request
+        .get(`${endpoint}/${course.id}`)
+        .set("Authorization", "bearer " + other.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 404", async () => {
+      const response = await request
+        .get(`${endpoint}/${mongoose.Types.ObjectId().toString()}`)
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST request", () => {
+    it("Respond 201", async () => {
+      const title = faker.lorem.words(3);
+      const response = await request
+        .post(endpoint)
+        .send({ title, code: "EN.601.226" })
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(201);
+      expect(response.body.data.title).toBe(title);
+      expect(response.body.data.instructor).toBe(instructor.id);
+    });
+
+    it("Respond 201 when an admin creates a course", async () => {
+      const admin = await newUser(userDao, UserRole.Admin);
+      const response = await request
+        .post(endpoint)
+        .send({ title: faker.lorem.words(3), code: "EN.601.226" })
+        .set("Authorization", "bearer " + admin.token);
+      expect(response.status).toBe(201);
+      expect(response.body.data.instructor).toBe(admin.id);
+    });
+
+    it("Respond 400 given a TA as the instructor", async () => {
+      const ta = await newUser(userDao, UserRole.TeachingAssistant);
+      const response = await request
+        .post(endpoint)
+        .send({
+          title: faker.lorem.words(3),
+          code: "EN.601.226",
+          instructor: ta.id,
+        })
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 403 for students", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ title: faker.lorem.words(3), code: "EN.601.226" })
+        .set("Authorization", "bearer " + student.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 400 duplicate code", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ title: faker.lorem.words(3), code: course.code })
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("PUT and DELETE requests", () => {
+    it("Respond 200 when instructor updates a course", async () => {
+      const title = faker.lorem.words(3);
+      const response = await request
+        .put(`${endpoint}/${course.id}`)
+        .send({ title })
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.title).toBe(title);
+    });
+
+    it("Respond 403 when student deletes a course", async () => {
+      const response = await request
+        .delete(`${endpoint}/${course.id}`)
+        .set("Authorization", "bearer " + student.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 200 when instructor deletes a course", async () => {
+      const response = await request
+        .delete(`${endpoint}/${course.id}`)
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data._id).toBe(course.id);
+    });
+  });
+
+  describe("Roster", () => {
+    it("Respond 200 listing the roster", async () => {
+      const response = await request
+        .get(`${endpoint}/${course.id}/roster`)
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0]._id).toBe(student.id);
+      expect(response.body.data[0].password).toBeUndefined();
+    });
+
+    it("Respond 200 when TA lists the roster", async () => {
+      const ta = await newUser(userDao, UserRole.TeachingAssistant);
+      const response = await request
+        .get(`${endpoint}/${course.id}/roster`)
+        .set("Authorization", "bearer " + ta.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(1);
+    });
+
+    it("Respond 403 when TA removes a student", async () => {
+      const ta = await newUser(userDao, UserRole.TeachingAssistant);
+      const response = await request
+        .delete(`${endpoint}/${course.id}/roster/${student.id}`)
+        .set("Authorization", "bearer " + ta.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 403 when student lists the roster", async () => {
+      const response = await request
+        .get(`${endpoint}/${course.id}/roster`)
+        .set("Authorization", "bearer " + student.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 201 adding a student", async () => {
+      const response = await request
+        .post(`${endpoint}/${course.id}/roster`)
+        .send({ student: other.id })
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(201);
+      expect(response.body.data._id).toBe(other.id);
+    });
+
+    it("Respond 400 adding a student twice", async () => {
+      const response = await request
+        .post(`${endpoint}/${course.id}/roster`)
+        .send({ student: student.id })
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 200 removing a student", async () => {
+      const response = await request
+        .delete(`${endpoint}/${course.id}/roster/${student.id}`)
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(200);
+      expect(response.body.data._id).toBe(student.id);
+    });
+
+    it("Respond 404 removing a student not enrolled", async () => {
+      const response = await request
+        .delete(`${endpoint}/${course.id}/roster/${other.id}`)
+        .set("Authorization", "bearer " + instructor.token);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  afterAll(async () => {
+    await enrollmentDao.deleteAll();
+    await courseDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
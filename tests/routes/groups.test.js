@@ -0,0 +1,267 @@
+import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import GroupDao from "../../src/data/GroupDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { GroupType } from "../../src/model/GroupType.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import { group as groupSchema } from "../../src/model/responses.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+const userDao = new UserDao();
+const groupDao = new GroupDao({ userDao });
+const endpoint = "/groups";
+const request = new supertest(createApp());
+
+describe(`Test ${endpoint}`, () => {
+  let instructor;
+  let student;
+  let other;
+  let group;
+
+  const as = (user) => ({ Authorization: "bearer " + user.token });
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await groupDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await groupDao.deleteAll();
+    await userDao.deleteAll();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+    other = await newUser(userDao, UserRole.Student);
+    group = await groupDao.create({
+      name: "Section 1",
+      type: GroupType.Section,
+      capacity: 2,
+    });
+    await groupDao.addMember({ id: group.id, user: student.id });
+  });
+
+  describe("GET request", () => {
+    it("Respond 401 when no auth token", async () => {
+      const response = await request.get(endpoint);
+      expect(response.status).toBe(401);
+    });
+
+    it("Respond 200 with all groups for instructors", async () => {
+      await groupDao.create({ name: "Team 1", type: GroupType.Team });
+      let response = await request.get(endpoint).set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(2);
+      expect(groupSchema.safeParse(response.body.data[0]).success).toBe(true);
+
+      response = await request
+        .get(`${endpoint}?type=${GroupType.Team}`)
+        .set(as(instructor));
+      expect(response.body.data.length).toBe(1);
+    });
+
+    it("Respond 200 with their own groups for students", async () => {
+      let response = await request.get(endpoint).set(as(student));
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((group) => group._id)).toEqual([group.id]);
+
+      response = await request.get(endpoint).set(as(other));
+      expect(response.body.data.length).toBe(0);
+    });
+
+    it("Respond 403 when a student reads another group", async () => {
+      let response = await request
+        .get(`${endpoint}/${group.id}`)
+        .set(as(student));
+      expect(response.status).toBe(200);
+
+      response = await request.get(`${endpoint}/${group.id}`).set(as(other));
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 404", async () => {
+      const response = await request
+        .get(`${endpoint}/${new mongoose.Types.ObjectId().toString()}`)
+        .set(as(instructor));
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST, PUT and DELETE requests", () => {
+    it("Respond 201", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ name: "Lab 1", type: GroupType.Lab, capacity: 10 })
+        .set(as(instructor));
+      expect(response.status).toBe(201);
+      expect(groupSchema.safeParse(response.body.data).success).toBe(true);
+      expect(response.body.data.capacity).toBe(10);
+    });
+
+    it("Respond 400 given an invalid type", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ name: "Club", type: "club" })
+        .set(as(instructor));
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 403 for students", async () => {
+      let response = await request
+        .post(endpoint)
+        .send({ name: "Team", type: GroupType.Team })
+        .set(as(student));
+      expect(response.status).toBe(403);
+
+      response = await request
+        .delete(`${endpoint}/${group.id}`)
+        .set(as(student));
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 200 when instructor updates a group", async () => {
+      const response = await request
+        .put(`${endpoint}/${group.id}`)
+        .send({ name: "Section A", capacity: null })
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data.name).toBe("Section A");
+      expect(response.body.data.capacity).toBeNull();
+    });
+
+    it("Respond 200 when instructor deletes a group", async () => {
+      const response = await request
+        .delete(`${endpoint}/${group.id}`)
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data._id).toBe(group.id);
+    });
+  });
+
+  describe("Members", () => {
+    it("Respond 200 listing the members, without passwords", async () => {
+      const response = await request
+        .get(`${endpoint}/${group.id}/members`)
+        .set(as(student));
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((user) => user._id)).toEqual([student.id]);
+      expect(response.body.data[0].password).toBeUndefined();
+    });
+
+    it("Respond 201 adding a member by email", async () => {
+      const response = await request
+        .post(`${endpoint}/${group.id}/members`)
+        .send({ email: other.email })
+        .set(as(instructor));
+      expect(response.status).toBe(201);
+      expect(response.body.data.members).toEqual([student.id, other.id]);
+    });
+
+    it("Respond 400 given neither or both of user and email", async () => {
+      for (const body of [{}, { user: other.id, email: other.email }]) {
+        const response = await request
+          .post(`${endpoint}/${group.id}/members`)
+          .send(body)
+          .set(as(instructor));
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it("Respond 409 adding a member to a full group", async () => {
+      await groupDao.addMember({ id: group.id, user: other.id });
+      const response = await request
+        .post(`${endpoint}/${group.id}/members`)
+        .send({ user: instructor.id })
+        .set(as(instructor));
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("CONFLICT");
+    });
+
+    it("Respond 200 removing a member by id or email", async () => {
+      await groupDao.addMember({ id: group.id, user: other.id });
+      let response = await request
+        .delete(`${endpoint}/${group.id}/members/${student.id}`)
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data.members).toEqual([other.id]);
+
+      response = await request
+        .delete(`${endpoint}/${group.id}/members/${other.email}`)
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data.members).toEqual([]);
+    });
+
+    it("Respond 404 removing a user who is not a member", async () => {
+      const response = await request
+        .delete(`${endpoint}/${group.id}/members/${other.id}`)
+        .set(as(instructor));
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("Auto-assignment", () => {
+    it("Respond 201 with balanced teams of all students", async () => {
+      const response = await request
+        .post(`${endpoint}/assign`)
+        .send({ teams: 2 })
+        .set(as(instructor));
+      expect(response.status).toBe(201);
+      expect(response.body.data.map((team) => team.name)).toEqual([
+        "Team 1",
+        "Team 2",
+      ]);
+      expect(response.body.data.flatMap((team) => team.members).sort()).toEqual(
+        [student.id, other.id].sort()
+      );
+      expect(response.body.data.map((team) => team.members.length)).toEqual([
+        1, 1,
+      ]);
+    });
+
+    it("Respond 400 when the teams can not hold the students", async () => {
+      const response = await request
+        .post(`${endpoint}/assign`)
+        .send({ teams: 1, capacity: 1 })
+        .set(as(instructor));
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 403 for students", async () => {
+      const response = await request
+        .post(`${endpoint}/assign`)
+        .send({ teams: 2 })
+        .set(as(student));
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Groups of a user", () => {
+    it("Respond 200 with the groups of the user", async () => {
+      for (const user of [student, instructor]) {
+        const response = await request
+          .get(`/users/${student.id}/groups`)
+          .set(as(user));
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((group) => group._id)).toEqual([
+          group.id,
+        ]);
+      }
+    });
+
+    it("Respond 403 when a student reads the groups of another", async () => {
+      const response = await request
+        .get(`/users/${student.id}/groups`)
+        .set(as(other));
+      expect(response.status).toBe(403);
+    });
+  });
+
+  afterAll(async () => {
+    await groupDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
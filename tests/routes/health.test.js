@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import { isShuttingDown } from "../../src/util/shutdown.js";
+
+const request = new supertest(createApp());
+
+describe("Test /healthz", () => {
+  it("Respond 200", async () => {
+    const response = await request.get("/healthz");
+    expect(response.status).toBe(200);
+  });
+});
+
+describe("Test /readyz", () => {
+  it("Respond according to the database connection and shutdown", async () => {
+    const response = await request.get("/readyz");
+    const connected = mongoose.connection.readyState === 1;
+    // the tests share modules, so a shutdown test may have run before
+    const ready = connected && !isShuttingDown();
+    expect(response.status).toBe(ready ? 200 : 503);
+    expect(response.body.data.database).toBe(
+      connected ? "connected" : "disconnected"
+    );
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import InvitationDao from "../../src/data/InvitationDao.js";
+import UserDao from "../../src/data/UserDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { InvitationStatus } from "../../src/model/InvitationStatus.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import {
+  invitation as invitationSchema,
+  user as userSchema,
+} from "../../src/model/responses.js";
+import { getConfig } from "../../src/util/config.js";
+import { Mailer, MemoryTransport } from "../../src/util/mailer.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+const transport = new MemoryTransport();
+const mailer = new Mailer(transport, "roster@example.com");
+const userDao = new UserDao({ mailer });
+const invitationDao = new InvitationDao({ userDao, mailer });
+const endpoint = "/invitations";
+const request = new supertest(createApp({ mailer, userDao }));
+
+// the token is the only word following "invitation: " in the email
+const tokenOf = (email) =>
+  transport.last(email).text.match(/invitation: (\S+)/)[1];
+
+describe(`Test ${endpoint}`, () => {
+  let instructor;
+  let student;
+  let email;
+
+  const as = (user) => ({ Authorization: "bearer " + user.token });
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await invitationDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await invitationDao.deleteAll();
+    await userDao.deleteAll();
+    transport.clear();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+    email = faker.internet.email();
+  });
+
+  describe("POST request", () => {
+    it("Respond 201 and email the token", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ email, role: UserRole.TeachingAssistant })
+        .set(as(instructor));
+      expect(response.status).toBe(201);
+      expect(invitationSchema.safeParse(response.body.data).success).toBe(true);
+      expect(response.body.data.status).toBe(InvitationStatus.Pending);
+      expect(response.body.data.invitedBy).toBe(instructor.id);
+      expect(response.body.data.tokenHash).toBeUndefined();
+      expect(tokenOf(email)).toBeDefined();
+    });
+
+    it("Respond 401 when no auth token", async () => {
+      const response = await request.post(endpoint).send({ email });
+      expect(response.status).toBe(401);
+    });
+
+    it("Respond 403 for students", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ email })
+        .set(as(student));
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 403 when an instructor invites an admin", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ email, role: UserRole.Admin })
+        .set(as(instructor));
+      expect(response.status).toBe(403);
+      expect(transport.last(email)).toBeUndefined();
+    });
+
+    it("Respond 400 given an email already in use", async () => {
+      const response = await request
+        .post(endpoint)
+        .send({ email: student.email })
+        .set(as(instructor));
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe("ALREADY_EXISTS");
+    });
+
+    it("Respond 200 with a report for bulk invitations", async () => {
+      const response = await request
+        .post(`${endpoint}/bulk`)
+        .send({ emails: [email, student.email] })
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.meta).toEqual({ total: 2, failed: 1 });
+      expect(response.body.data[1].code).toBe("ALREADY_EXISTS");
+      expect(tokenOf(email)).toBeDefined();
+    });
+  });
+
+  describe("GET request", () => {
+    it("Respond 200 with the invitations of the given status", async () => {
+      const invitation = await invitationDao.create({ email });
+      await invitationDao.create({ email: faker.internet.email() });
+      await invitationDao.revoke(invitation.id);
+
+      let response = await request.get(endpoint).set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(2);
+
+      response = await request
+        .get(`${endpoint}?status=${InvitationStatus.Revoked}`)
+        .set(as(instructor));
+      expect(response.body.data.map((invitation) => invitation._id)).toEqual([
+        invitation.id,
+      ]);
+    });
+
+    it("Respond 403 for students", async () => {
+      const response = await request.get(endpoint).set(as(student));
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Resend and revoke", () => {
+    it("Respond 200 resending with a new token", async () => {
+      const invitation = await invitationDao.create({ email });
+      const token = tokenOf(email);
+      const response = await request
+        .post(`${endpoint}/${invitation.id}/resend`)
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(tokenOf(email)).not.toBe(token);
+    });
+
+    it("Respond 200 revoking, then 409", async () => {
+      const invitation = await invitationDao.create({ email });
+      let response = await request
+        .delete(`${endpoint}/${invitation.id}`)
+        .set(as(instructor));
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe(InvitationStatus.Revoked);
+
+      response = await request
+        .post(`${endpoint}/${invitation.id}/resend`)
+        .set(as(instructor));
+      expect(response.status).toBe(409);
+    });
+
+    it("Respond 404", async () => {
+      const response = await request
+        .delete(`${endpoint}/${new mongoose.Types.ObjectId().toString()}`)
+        .set(as(instructor));
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("Accept", () => {
+    it("Respond 201 creating the user with the role", async () => {
+      await invitationDao.create({ email, role: UserRole.TeachingAssistant });
+      const response = await request
+        .post(`${endpoint}/${tokenOf(email)}/accept`)
+        .send({ name: "Ann", password: "secret" });
+      expect(response.status).toBe(201);
+      expect(userSchema.safeParse(response.body.data).success).toBe(true);
+      expect(response.body.data.email).toBe(email);
+      expect(response.body.data.role).toBe(UserRole.TeachingAssistant);
+
+      const login = await request
+        .post("/login")
+        .send({ email, password: "secret" });
+      expect(login.status).toBe(201);
+    });
+
+    it("Respond 201 and sign in when emails must be verified", async () => {
+      const strict = new supertest(
+        createApp({
+          config: { ...getConfig(), requireEmailVerification: true },
+          mailer,
+          userDao,
+        })
+      );
+      await invitationDao.create({ email });
+      const response = await strict
+        .post(`${endpoint}/${tokenOf(email)}/accept`)
+        .send({ name: "Ann", password: "secret" });
+      expect(response.status).toBe(201);
+      expect(response.body.data.emailVerified).toBe(true);
+      expect(transport.last(email).subject).toBe(
+        "You are invited to the Roster API"
+      );
+
+      const login = await strict
+        .post("/login")
+        .send({ email, password: "secret" });
+      expect(login.status).toBe(201);
+    });
+
+    it("Respond 400 given a used or unknown token", async () => {
+      await invitationDao.create({ email });
+      const token = tokenOf(email);
+      await request
+        .post(`${endpoint}/${token}/accept`)
+        .send({ name: "Ann", password: "secret" });
+      for (const _token of [token, "unknown"]) {
+        const response = await request
+          .post(`${endpoint}/${_token}/accept`)
+          .send({ name: "Ann", password: "secret" });
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it("Respond 400 given an invalid password", async () => {
+      await invitationDao.create({ email });
+      const response = await request
+        .post(`${endpoint}/${tokenOf(email)}/accept`)
+        .send({ name: "Ann", password: "short" });
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe("VALIDATION_FAILED");
+    });
+  });
+
+  afterAll(async () => {
+    await invitationDao.deleteAll();
+    await userDao.deleteAll();
+  });
+});
@@ -0,0 +1,269 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import mongoose from "mongoose";
+import UserDao from "../../src/data/UserDao.js";
+import SessionDao from "../../src/data/SessionDao.js";
+import OneTimeTokenDao from "../../src/data/OneTimeTokenDao.js";
+import AuditDao from "../../src/data/AuditDao.js";
+import MemoryUserRepository from "../../src/data/MemoryUserRepository.js";
+import MemorySessionRepository from "../../src/data/MemorySessionRepository.js";
+import MemoryOneTimeTokenRepository from "../../src/data/MemoryOneTimeTokenRepository.js";
+import MemoryAuditRepository from "../../src/data/MemoryAuditRepository.js";
+import { AuditAction } from "../../src/model/AuditAction.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import { user as userSchema } from "../../src/model/responses.js";
+import { createToken } from "../../src/util/token.js";
+import { createLimits } from "../../src/util/limiter.js";
+import { Mailer, MemoryTransport } from "../../src/util/mailer.js";
+
+// the app stores the users, sessions, tokens and audit events in memory, so
+// these tests need no database
+const transport = new MemoryTransport();
+const mailer = new Mailer(transport);
+const sessionDao = new SessionDao({
+  repository: new MemorySessionRepository(),
+});
+const tokenDao = new OneTimeTokenDao({
+  repository: new MemoryOneTimeTokenRepository(),
+});
+const auditDao = new AuditDao({ repository: new MemoryAuditRepository() });
+const userDao = new UserDao({
+  repository: new MemoryUserRepository(),
+  tokenDao,
+  auditDao,
+  mailer,
+});
+const limits = createLimits();
+const request = new supertest(
+  createApp({ userDao, sessionDao, tokenDao, auditDao, mailer, limits })
+);
+const endpoint = "/users";
+
+describe("Test the app with an in-memory repository", () => {
+  let instructor;
+
+  const as = (user) => ({
+    Authorization:
+      "bearer " + createToken({ user: { id: user.id, role: user.role } }),
+  });
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    await sessionDao.deleteAll();
+    await tokenDao.deleteAll();
+    await auditDao.deleteAll();
+    transport.clear();
+    limits.store.clear();
+    const email = faker.internet.email();
+    instructor = await userDao.create({
+      name: faker.name.fullName(),
+      email,
+      password: email,
+      role: UserRole.Instructor,
+    });
+  });
+
+  it("Respond 201 and the created user, without a password", async () => {
+    const email = faker.internet.email();
+    const response = await request
+      .post(endpoint)
+      .set(as(instructor))
+      .send({ name: faker.name.fullName(), email, password: email });
+    expect(response.status).toBe(201);
+    expect(userSchema.safeParse(response.body.data).success).toBe(true);
+    expect(response.body.data.password).toBeUndefined();
+
+    const user = await userDao.read(response.body.data._id);
+    expect(user.email).toBe(email);
+  });
+
+  it("Respond 401 creating a user without a token", async () => {
+    const email = faker.internet.email();
+    const response = await request.post(endpoint).send({
+      name: faker.name.fullName(),
+      email,
+      password: email,
+      role: UserRole.Instructor,
+    });
+    expect(response.status).toBe(401);
+    expect(await userDao.count()).toBe(1);
+  });
+
+  it("Respond 400 given an email in use", async () => {
+    const response = await request
+      .post(endpoint)
+      .set(as(instructor))
+      .send({
+        name: faker.name.fullName(),
+        email: instructor.email,
+        password: faker.internet.password(8),
+      });
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("ALREADY_EXISTS");
+  });
+
+  it("Respond 200 and the users", async () => {
+    const response = await request.get(endpoint).set(as(instructor));
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((user) => user._id)).toEqual([instructor.id]);
+    expect(response.body.meta.total).toBe(1);
+  });
+
+  it("Respond 200 and the updated user", async () => {
+    const response = await request
+      .patch(`${endpoint}/${instructor.id}`)
+      .set(as(instructor))
+      .send({ name: "Jane Doe" });
+    expect(response.status).toBe(200);
+    expect(response.body.data.name).toBe("Jane Doe");
+    expect((await userDao.read(instructor.id)).name).toBe("Jane Doe");
+  });
+
+  it("Respond 200 deleting a user, who is signed out", async () => {
+    const email = faker.internet.email();
+    const student = await userDao.create({
+      name: faker.name.fullName(),
+      email,
+      password: email,
+    });
+    const login = await request.post("/login").send({ email, password: email });
+    expect(login.status).toBe(201);
+    const session = { Authorization: "bearer " + login.body.token };
+    expect((await request.get("/me").set(session)).status).toBe(200);
+
+    const response = await request
+      .delete(`${endpoint}/${student.id}`)
+      .set(as(instructor));
+    expect(response.status).toBe(200);
+    expect(response.body.data.deletedAt).not.toBeNull();
+    expect((await request.get("/me").set(session)).status).toBe(401);
+    const refresh = await request
+      .post("/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.status).toBe(401);
+    expect(
+      await auditDao.count({
+        target: student.id,
+        action: AuditAction.UserDeleted,
+      })
+    ).toBe(1);
+  });
+
+  it("Respond 200 changing a role, which signs the user out", async () => {
+    const email = faker.internet.email();
+    const student = await userDao.create({
+      name: faker.name.fullName(),
+      email,
+      password: email,
+    });
+    const signIn = () =>
+      request.post("/login").send({ email, password: email });
+
+    for (const change of [
+      (user) =>
+        request
+          .patch(`${endpoint}/${user.id}`)
+          .set(as(instructor))
+          .send({ role: UserRole.TeachingAssistant }),
+      (user) =>
+        request.put(`${endpoint}/${user.id}`).set(as(instructor)).send({
+          name: user.name,
+          email: user.email,
+          role: UserRole.Student,
+        }),
+    ]) {
+      const login = await signIn();
+      const session = { Authorization: "bearer " + login.body.token };
+      expect((await request.get("/me").set(session)).status).toBe(200);
+
+      const response = await change(await userDao.read(student.id));
+      expect(response.status).toBe(200);
+      expect((await request.get("/me").set(session)).status).toBe(401);
+    }
+
+    const login = await signIn();
+    const response = await request
+      .patch(`${endpoint}/${student.id}`)
+      .set(as(instructor))
+      .send({ name: "Jane Doe" });
+    expect(response.status).toBe(200);
+    const session = { Authorization: "bearer " + login.body.token };
+    expect((await request.get("/me").set(session)).status).toBe(200);
+  });
+
+  it("Respond 200 patching the current user, whose password is kept", async () => {
+    const response = await request
+      .patch("/me")
+      .set(as(instructor))
+      .send({ name: "Jane Doe", password: "hijack1" });
+    expect(response.status).toBe(200);
+    const login = await request
+      .post("/login")
+      .send({ email: instructor.email, password: "hijack1" });
+    expect(login.status).toBe(403);
+  });
+
+  it("Respond 200 and tokens signing in, then refreshing", async () => {
+    const login = await request
+      .post("/login")
+      .send({ email: instructor.email, password: instructor.email });
+    expect(login.status).toBe(201);
+    expect(login.body.token).toBeDefined();
+
+    const refresh = await request
+      .post("/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.status).toBe(200);
+    expect(refresh.body.refreshToken).not.toBe(login.body.refreshToken);
+  });
+
+  it("Respond 401 refreshing with a forged secret, keeping the session", async () => {
+    const login = await request
+      .post("/login")
+      .send({ email: instructor.email, password: instructor.email });
+    const [sid] = login.body.refreshToken.split(".");
+    const forged = await request
+      .post("/refresh")
+      .send({ refreshToken: `${sid}.garbage` });
+    expect(forged.status).toBe(401);
+
+    const session = { Authorization: "bearer " + login.body.token };
+    expect((await request.get("/me").set(session)).status).toBe(200);
+    const refresh = await request
+      .post("/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.status).toBe(200);
+  });
+
+  it("Respond 403 given a wrong password, and audit it", async () => {
+    const response = await request
+      .post("/login")
+      .send({ email: instructor.email, password: "wrong password" });
+    expect(response.status).toBe(403);
+    expect(
+      await auditDao.count({
+        target: instructor.id,
+        action: AuditAction.LoginFailed,
+      })
+    ).toBe(1);
+  });
+
+  it("Respond 201 registering, and email the verification token", async () => {
+    const email = faker.internet.email();
+    const response = await request
+      .post("/register")
+      .send({ name: faker.name.fullName(), email, password: email });
+    expect(response.status).toBe(201);
+    expect(response.body.data.email).toBe(email);
+    expect(response.body.refreshToken).toBeDefined();
+    expect(transport.last(email)).toBeDefined();
+  });
+
+  it("Respond 404 given a user that does not exist", async () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const response = await request.get(`${endpoint}/${id}`).set(as(instructor));
+    expect(response.status).toBe(404);
+  });
+});
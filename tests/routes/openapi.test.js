@@ -0,0 +1,333 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import UserDao from "../../src/data/UserDao.js";
+import CourseDao from "../../src/data/CourseDao.js";
+import EnrollmentDao from "../../src/data/EnrollmentDao.js";
+import AuditDao from "../../src/data/AuditDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { UserRole } from "../../src/model/UserRole.js";
+import { errorBody } from "../../src/model/responses.js";
+import { findOperation, toSpec } from "../../src/docs/openapi.js";
+import { toOpenApiPath } from "../../src/util/openapi.js";
+import { createLimits } from "../../src/util/limiter.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+const userDao = new UserDao();
+const courseDao = new CourseDao();
+const enrollmentDao = new EnrollmentDao();
+const auditDao = new AuditDao();
+const limits = createLimits();
+const app = createApp({ limits });
+const request = new supertest(app);
+
+// return "METHOD /path" of every route the app (or one of its routers) serves
+const routesOf = (app) =>
+  app._router.stack
+    .flatMap((layer) =>
+      layer.name === "router" ? layer.handle.stack : [layer]
+    )
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map(
+        (method) => `${method.toUpperCase()} ${layer.route.path}`
+      )
+    );
+
+// checks the response is documented, and its body matches the schema
+const expectDocumented = (response) => {
+  const { method, url } = response.request;
+  const path = new URL(url).pathname;
+  const operation = findOperation(method, path);
+  expect(operation, `${method} ${path} is not documented`).toBeDefined();
+
+  const { status } = response;
+  const errors = [...(operation.errors || []), 500];
+  const documented =
+    operation.responses[status] ||
+    (errors.includes(status) ? { schema: errorBody } : undefined);
+  expect(
+    documented,
+    `${method} ${path} ${status} is not documented`
+  ).toBeDefined();
+
+  if (documented.schema && response.type === "application/json") {
+    const result = documented.schema.safeParse(response.body);
+    expect(result.success ? [] : result.error.issues).toEqual([]);
+  }
+};
+
+describe("Test /openapi.json", () => {
+  it("Respond 200 with the specification", async () => {
+    const response = await request.get("/openapi.json");
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(JSON.parse(JSON.stringify(toSpec())));
+    expect(response.body.openapi).toBe("3.0.3");
+  });
+
+  it("documents every route", () => {
+    const paths = toSpec().paths;
+    for (const route of routesOf(app)) {
+      const [method, path] = route.split(" ");
+      expect(
+        (paths[toOpenApiPath(path)] || {})[method.toLowerCase()],
+        `${route} is not documented`
+      ).toBeDefined();
+    }
+  });
+
+  it("documents no route that does not exist", () => {
+    const routes = routesOf(app);
+    for (const [path, methods] of Object.entries(toSpec().paths)) {
+      for (const method of Object.keys(methods)) {
+        const route = `${method.toUpperCase()} ${path.replace(
+          /{(\w+)}/g,
+          ":$1"
+        )}`;
+        expect(routes).toContain(route);
+      }
+    }
+  });
+
+  it("Respond 200 with the docs page", async () => {
+    const page = await request.get("/docs/");
+    expect(page.status).toBe(200);
+    expect(page.type).toBe("text/html");
+    const script = await request.get("/docs/docs.js");
+    expect(script.status).toBe(200);
+  });
+
+  it("describes responses that do not need the database", async () => {
+    expectDocumented(await request.get("/openapi.json"));
+    expectDocumented(await request.get("/healthz"));
+    expectDocumented(await request.get("/readyz"));
+    expectDocumented(await request.get("/.well-known/jwks.json"));
+    expectDocumented(await request.get("/users"));
+    expectDocumented(await request.post("/users").send({ name: "" }));
+    expectDocumented(await request.get("/users/invalid-id"));
+  });
+});
+
+describe("Test the responses against the specification", () => {
+  let instructor, student;
+
+  const as = (user) => ({ Authorization: "bearer " + user.token });
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+  });
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    await courseDao.deleteAll();
+    await enrollmentDao.deleteAll();
+    await auditDao.deleteAll();
+    limits.store.clear();
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+  });
+
+  it("describes the user responses", async () => {
+    const email = faker.internet.email();
+    const created = await request
+      .post("/users")
+      .set(as(instructor))
+      .send({ name: faker.name.fullName(), email, password: email });
+    expectDocumented(created);
+    expect(created.status).toBe(201);
+    const { _id: id } = created.body.data;
+
+    expectDocumented(await request.get("/users").set(as(instructor)));
+    expectDocumented(
+      await request.get("/users?fields=name&sort=-name").set(as(instructor))
+    );
+    const read = await request.get(`/users/${id}`).set(as(instructor));
+    expectDocumented(read);
+    expectDocumented(
+      await request
+        .get(`/users/${id}`)
+        .set(as(instructor))
+        .set("If-None-Match", read.headers.etag)
+    );
+    expectDocumented(
+      await request
+        .put(`/users/${id}`)
+        .set(as(instructor))
+        .set("If-Match", '"stale"')
+        .send({ name: "Jane Doe", email, role: UserRole.Student })
+    );
+    expectDocumented(
+      await request
+        .put(`/users/${id}`)
+        .set(as(instructor))
+        .send({ name: "Jane Doe", email, role: UserRole.Student })
+    );
+    expectDocumented(
+      await request
+        .patch(`/users/${id}`)
+        .set(as(instructor))
+        .set("Content-Type", "application/merge-patch+json")
+        .send({ name: "John Doe" })
+    );
+    expectDocumented(
+      await request
+        .patch(`/users/${id}`)
+        .set(as(instructor))
+        .set("Content-Type", "application/json-patch+json")
+        .send([{ op: "test", path: "/name", value: "Someone else" }])
+    );
+    expectDocumented(
+      await request.post(`/users/${id}/unlock`).set(as(instructor))
+    );
+    expectDocumented(await request.delete(`/users/${id}`).set(as(instructor)));
+    expectDocumented(await request.get(`/users/${id}`).set(as(instructor)));
+    expectDocumented(
+      await request.post(`/users/${id}/restore`).set(as(instructor))
+    );
+    expectDocumented(
+      await request.post("/users/purge").set(as(instructor)).send({})
+    );
+    expectDocumented(await request.get(`/users/${id}`).set(as(student)));
+  });
+
+  it("describes the import and export responses", async () => {
+    expectDocumented(
+      await request
+        .post("/users/import?dryRun=true")
+        .set(as(instructor))
+        .send([
+          { name: "Ann", email: "ann@example.com", password: "secret1" },
+          { name: "", email: "invalid" },
+        ])
+    );
+    expectDocumented(
+      await request
+        .post("/users/import")
+        .set(as(instructor))
+        .set("Content-Type", "text/csv")
+        .send("name,email,password\nBob,bob@example.com,secret1\n")
+    );
+    expectDocumented(await request.get("/users/export").set(as(instructor)));
+    expectDocumented(
+      await request.get("/users/export?format=csv").set(as(instructor))
+    );
+  });
+
+  it("describes the current user responses", async () => {
+    expectDocumented(await request.get("/me").set(as(student)));
+    expectDocumented(
+      await request.patch("/me").set(as(student)).send({ name: "Ann" })
+    );
+    expectDocumented(
+      await request
+        .patch("/me")
+        .set(as(student))
+        .send({ role: UserRole.Instructor })
+    );
+    expectDocumented(await request.post("/verify-email").set(as(student)));
+    expectDocumented(await request.delete("/me").set(as(student)));
+    expectDocumented(await request.get("/me").set(as(student)));
+  });
+
+  it("describes the auth responses", async () => {
+    const email = faker.internet.email();
+    const password = faker.internet.password(8);
+    const registered = await request
+      .post("/register")
+      .send({ name: faker.name.fullName(), email, password });
+    expectDocumented(registered);
+
+    expectDocumented(
+      await request.post("/login").send({ email, password: "wrong" })
+    );
+    const login = await request.post("/login").send({ email, password });
+    expectDocumented(login);
+    const { token, refreshToken } = login.body;
+
+    expectDocumented(await request.post("/refresh").send({ refreshToken }));
+    expectDocumented(await request.post("/refresh").send({ refreshToken }));
+    expectDocumented(await request.get("/verify-email?token=invalid"));
+    expectDocumented(
+      await request
+        .post("/logout")
+        .set("Authorization", "bearer " + token)
+        .send({ all: true })
+    );
+  });
+
+  it("describes the password responses", async () => {
+    expectDocumented(
+      await request
+        .post("/password/change")
+        .set(as(student))
+        .send({ currentPassword: "wrong", newPassword: "secret1" })
+    );
+    expectDocumented(
+      await request.post("/password/forgot").send({ email: student.email })
+    );
+    expectDocumented(
+      await request
+        .post("/password/reset")
+        .send({ token: "invalid", password: "secret1" })
+    );
+  });
+
+  it("describes the course responses", async () => {
+    const created = await request
+      .post("/courses")
+      .set(as(instructor))
+      .send({ title: "Databases", code: faker.random.alphaNumeric(8) });
+    expectDocumented(created);
+    const { _id: id } = created.body.data;
+
+    expectDocumented(await request.get("/courses").set(as(instructor)));
+    expectDocumented(await request.get(`/courses/${id}`).set(as(student)));
+    expectDocumented(
+      await request
+        .post(`/courses/${id}/roster`)
+        .set(as(instructor))
+        .send({ student: student.id })
+    );
+    expectDocumented(await request.get("/courses").set(as(student)));
+    expectDocumented(await request.get(`/courses/${id}`).set(as(student)));
+    expectDocumented(
+      await request.get(`/courses/${id}/roster`).set(as(instructor))
+    );
+    expectDocumented(
+      await request
+        .delete(`/courses/${id}/roster/${student.id}`)
+        .set(as(instructor))
+    );
+    expectDocumented(
+      await request
+        .put(`/courses/${id}`)
+        .set(as(instructor))
+        .send({ title: "Databases II" })
+    );
+    expectDocumented(
+      await request.delete(`/courses/${id}`).set(as(instructor))
+    );
+    expectDocumented(await request.get(`/courses/${id}`).set(as(instructor)));
+  });
+
+  it("describes the audit responses", async () => {
+    await request
+      .patch(`/users/${student.id}`)
+      .set(as(instructor))
+      .send({ name: faker.name.fullName() });
+    expectDocumented(await request.get("/audit").set(as(instructor)));
+    expectDocumented(
+      await request.get("/audit?from=never").set(as(instructor))
+    );
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+    await courseDao.deleteAll();
+    await enrollmentDao.deleteAll();
+    await auditDao.deleteAll();
+  });
+});
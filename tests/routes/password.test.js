@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import UserDao from "../../src/data/UserDao.js";
+import OneTimeTokenDao from "../../src/data/OneTimeTokenDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import { Mailer, MemoryTransport } from "../../src/util/mailer.js";
+import { createToken } from "../../src/util/token.js";
+import { verifyPassword } from "../../src/util/password.js";
+
+dotenv.config();
+const transport = new MemoryTransport();
+const mailer = new Mailer(transport);
+const userDao = new UserDao({ mailer });
+const tokenDao = new OneTimeTokenDao();
+const endpoint = "/password";
+const request = new supertest(createApp({ mailer }));
+
+// the reset token is the only word following "password: " in the email
+const tokenFrom = (message) => message.text.match(/password: (\S+)/)[1];
+
+describe(`Test ${endpoint}`, () => {
+  let user;
+  let password;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+  });
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    await tokenDao.deleteAll();
+    transport.clear();
+    password = faker.internet.password(6);
+    user = await userDao.create({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password,
+    });
+    user.token = createToken({ user: { id: user.id, role: user.role } });
+  });
+
+  describe("POST /change", () => {
+    it("Respond 200", async () => {
+      const newPassword = faker.internet.password(8);
+      const response = await request
+        .post(`${endpoint}/change`)
+        .send({ currentPassword: password, newPassword })
+        .set("Authorization", "bearer " + user.token);
+      expect(response.status).toBe(200);
+      const _user = await userDao.read(user.id);
+      expect(await verifyPassword(newPassword, _user.password)).toBe(true);
+    });
+
+    it("Respond 401 when no auth token", async () => {
+      const response = await request
+        .post(`${endpoint}/change`)
+        .send({ currentPassword: password, newPassword: password });
+      expect(response.status).toBe(401);
+    });
+
+    it("Respond 403 wrong current password", async () => {
+      const response = await request
+        .post(`${endpoint}/change`)
+        .send({
+          currentPassword: faker.internet.password(8),
+          newPassword: faker.internet.password(8),
+        })
+        .set("Authorization", "bearer " + user.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 400 short new password", async () => {
+      const response = await request
+        .post(`${endpoint}/change`)
+        .send({ currentPassword: password, newPassword: "abc" })
+        .set("Authorization", "bearer " + user.token);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /forgot and /reset", () => {
+    it("Respond 200 and reset the password", async () => {
+      let response = await request
+        .post(`${endpoint}/forgot`)
+        .send({ email: user.email });
+      expect(response.status).toBe(200);
+      const token = tokenFrom(transport.last(user.email));
+
+      const newPassword = faker.internet.password(8);
+      response = await request
+        .post(`${endpoint}/reset`)
+        .send({ token, password: newPassword });
+      expect(response.status).toBe(200);
+      const _user = await userDao.read(user.id);
+      expect(await verifyPassword(newPassword, _user.password)).toBe(true);
+    });
+
+    it("Respond 200 for an unknown email without sending mail", async () => {
+      const response = await request
+        .post(`${endpoint}/forgot`)
+        .send({ email: faker.internet.email() });
+      expect(response.status).toBe(200);
+      expect(transport.messages.length).toBe(0);
+    });
+
+    it("Respond 200 when the email can not be sent", async () => {
+      const failing = new Mailer({
+        send: async () => {
+          throw new Error("The mail server is down!");
+        },
+      });
+      const response = await new supertest(createApp({ mailer: failing }))
+        .post(`${endpoint}/forgot`)
+        .send({ email: user.email });
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe(
+        "If the email belongs to an account, a reset token has been sent to it."
+      );
+    });
+
+    it("Respond 400 reusing a reset token", async () => {
+      await request.post(`${endpoint}/forgot`).send({ email: user.email });
+      const token = tokenFrom(transport.last(user.email));
+      await request
+        .post(`${endpoint}/reset`)
+        .send({ token, password: faker.internet.password(8) });
+      const response = await request
+        .post(`${endpoint}/reset`)
+        .send({ token, password: faker.internet.password(8) });
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 invalid reset token", async () => {
+      const response = await request
+        .post(`${endpoint}/reset`)
+        .send({ token: "invalid", password: faker.internet.password(8) });
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 short password keeps the token usable", async () => {
+      await request.post(`${endpoint}/forgot`).send({ email: user.email });
+      const token = tokenFrom(transport.last(user.email));
+      let response = await request
+        .post(`${endpoint}/reset`)
+        .send({ token, password: "abc" });
+      expect(response.status).toBe(400);
+      response = await request
+        .post(`${endpoint}/reset`)
+        .send({ token, password: faker.internet.password(8) });
+      expect(response.status).toBe(200);
+    });
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+    await tokenDao.deleteAll();
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
+import { createApp } from "../../src/index.js";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import UserDao from "../../src/data/UserDao.js";
+import SessionDao from "../../src/data/SessionDao.js";
+import * as db from "../../src/data/db.js";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import { UserRole } from "../../src/model/UserRole.js";
+import { Ownership } from "../../src/model/permissions.js";
+import { permissions as permissionsSchema } from "../../src/model/responses.js";
+import { createToken } from "../../src/util/token.js";
+import { newUser } from "../fixtures.js";
+
+dotenv.config();
+const userDao = new UserDao();
+const sessionDao = new SessionDao();
+const request = new supertest(createApp());
+
+const tokenOf = (role) =>
+  createToken({
+    user: { id: new mongoose.Types.ObjectId().toString(), role },
+  });
+
+describe("Test /permissions", () => {
+  it("Respond 401 when no auth token", async () => {
+    const response = await request.get("/permissions");
+    expect(response.status).toBe(401);
+  });
+
+  it("Respond 200 with what the token may do", async () => {
+    const response = await request
+      .get("/permissions")
+      .set("Authorization", "bearer " + tokenOf(UserRole.TeachingAssistant));
+    expect(response.status).toBe(200);
+    expect(permissionsSchema.safeParse(response.body.data).success).toBe(true);
+    const { role, permissions, grants } = response.body.data;
+    expect(role).toBe(UserRole.TeachingAssistant);
+    expect(permissions.roster.read).toBe(Ownership.Any);
+    expect(permissions.user.delete).toBe(Ownership.Own);
+    expect(permissions.roster.delete).toBeUndefined();
+    expect(grants).toEqual([]);
+  });
+
+  it("Respond 200 with the roles an admin may grant", async () => {
+    const response = await request
+      .get("/permissions")
+      .set("Authorization", "bearer " + tokenOf(UserRole.Admin));
+    expect(response.body.data.grants).toEqual(Object.values(UserRole));
+    expect(response.body.data.permissions.role.grant).toBe(Ownership.Any);
+  });
+});
+
+describe("Test /users/:id/role", () => {
+  let admin;
+  let instructor;
+  let student;
+
+  beforeAll(async () => {
+    db.connect(process.env.DB_TEST_URI);
+    await userDao.deleteAll();
+  });
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    admin = await newUser(userDao, UserRole.Admin);
+    instructor = await newUser(userDao, UserRole.Instructor);
+    student = await newUser(userDao, UserRole.Student);
+  });
+
+  it("Respond 200 when an admin grants a role", async () => {
+    const { session } = await sessionDao.create({ user: student.id });
+    const response = await request
+      .put(`/users/${student.id}/role`)
+      .send({ role: UserRole.TeachingAssistant })
+      .set("Authorization", "bearer " + admin.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.role).toBe(UserRole.TeachingAssistant);
+    expect(response.body.data.password).toBeUndefined();
+    expect((await userDao.read(student.id)).role).toBe(
+      UserRole.TeachingAssistant
+    );
+    // signed out, so that the next token carries the new role
+    expect(await sessionDao.isActive(session.id)).toBe(false);
+  });
+
+  it("Respond 200 when an admin revokes a role", async () => {
+    const response = await request
+      .delete(`/users/${instructor.id}/role`)
+      .set("Authorization", "bearer " + admin.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.role).toBe(UserRole.Student);
+  });
+
+  it("Respond 403 for instructors", async () => {
+    let response = await request
+      .put(`/users/${student.id}/role`)
+      .send({ role: UserRole.Admin })
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(403);
+
+    response = await request
+      .delete(`/users/${admin.id}/role`)
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(403);
+    expect((await userDao.read(admin.id)).role).toBe(UserRole.Admin);
+  });
+
+  it("Respond 400 when an admin changes their own role", async () => {
+    const response = await request
+      .delete(`/users/${admin.id}/role`)
+      .set("Authorization", "bearer " + admin.token);
+    expect(response.status).toBe(400);
+  });
+
+  it("Respond 400 given an invalid role", async () => {
+    const response = await request
+      .put(`/users/${student.id}/role`)
+      .send({ role: "PRINCIPAL" })
+      .set("Authorization", "bearer " + admin.token);
+    expect(response.status).toBe(400);
+  });
+
+  it("Respond 404 given a user that does not exist", async () => {
+    const response = await request
+      .put(`/users/${new mongoose.Types.ObjectId().toString()}/role`)
+      .send({ role: UserRole.Instructor })
+      .set("Authorization", "bearer " + admin.token);
+    expect(response.status).toBe(404);
+  });
+
+  it("Respond 403 when an instructor changes an admin", async () => {
+    const response = await request
+      .patch(`/users/${admin.id}`)
+      .send({ name: "Someone else" })
+      .set("Authorization", "bearer " + instructor.token);
+    expect(response.status).toBe(403);
+  });
+
+  it("Respond 403 when an instructor creates an admin", async () => {
+    const email = faker.internet.email();
+    const response = await request
+      .post("/users")
+      .set("Authorization", "bearer " + instructor.token)
+      .send({
+        name: faker.name.fullName(),
+        email,
+        password: email,
+        role: UserRole.Admin,
+      });
+    expect(response.status).toBe(403);
+  });
+
+  it("Respond 201 when an admin creates an admin", async () => {
+    const email = faker.internet.email();
+    const response = await request
+      .post("/users")
+      .set("Authorization", "bearer " + admin.token)
+      .send({
+        name: faker.name.fullName(),
+        email,
+        password: email,
+        role: UserRole.Admin,
+      });
+    expect(response.status).toBe(201);
+    expect(response.body.data.role).toBe(UserRole.Admin);
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+  });
+});
@@ -1,8 +1,8 @@
 import { describe, it, expect, beforeEach, afterAll, beforeAll } from "vitest";
-import app from "../../src/index.js";
+import { createApp } from "../../src/index.js";
 import supertest from "supertest";
 import { faker } from "@faker-js/faker";
-import { userDao } from "../../src/routes/users.js";
+import UserDao from "../../src/data/UserDao.js";
 import * as db from "../../src/data/db.js";
 import * as dotenv from "dotenv";
 import mongoose from "mongoose";
@@ -10,8 +10,9 @@ import { UserRole } from "../../src/model/UserRole.js";
 import { createToken } from "../../src/util/token.js";
 
 dotenv.config();
+const userDao = new UserDao();
 const endpoint = "/users";
-const request = new supertest(app);
+const request = new supertest(createApp());
 
 describe(`Test ${endpoint}`, () => {
   const numUsers = 5;
@@ -126,18 +127,165 @@ describe(`Test ${endpoint}`, () => {
     });
   });
 
+  describe("GET request with search", () => {
+    it("Respond 200 searching for part of a name", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const name = user.name.substring(1, 4).toLowerCase();
+      const response = await request
+        .get(`${endpoint}?name=${encodeURIComponent(name)}&match=contains`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((u) => u._id)).toContain(user.id);
+    });
+
+    it("Respond 200 searching for an email domain", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const domain = user.email.split("@")[1];
+      const response = await request
+        .get(`${endpoint}?domain=${domain}`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((u) => u._id)).toContain(user.id);
+    });
+
+    it("Respond 400 invalid match mode", async () => {
+      const response = await request
+        .get(`${endpoint}?name=a&match=${faker.random.word()}`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 invalid domain", async () => {
+      const response = await request
+        .get(`${endpoint}?domain=${faker.random.word()}`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 invalid role", async () => {
+      const response = await request
+        .get(`${endpoint}?role=${faker.random.word()}`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET request with pagination", () => {
+    it("Respond 200 with page metadata and links", async () => {
+      const response = await request
+        .get(`${endpoint}?limit=2&offset=2`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(2);
+      expect(response.body.meta.total).toBe(numUsers);
+      expect(response.body.meta.page).toBe(2);
+      expect(response.body.links.next).toContain("offset=4");
+      expect(response.body.links.prev).toContain("offset=0");
+    });
+
+    it("Respond 200 sorted by name", async () => {
+      const response = await request
+        .get(`${endpoint}?sort=name`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(200);
+      const names = response.body.data.map((user) => user.name);
+      expect(names).toEqual([...names].sort());
+    });
+
+    it("Respond 200 with selected fields", async () => {
+      const response = await request
+        .get(`${endpoint}?fields=name,role`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(200);
+      for (const user of response.body.data) {
+        expect(user.name).toBeDefined();
+        expect(user.role).toBeDefined();
+        expect(user.email).toBeUndefined();
+      }
+    });
+
+    it("Respond 400 invalid limit", async () => {
+      const response = await request
+        .get(`${endpoint}?limit=abc`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 invalid sort", async () => {
+      const response = await request
+        .get(`${endpoint}?sort=password`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe("POST request", () => {
+    it("Respond 401 when no auth token", async () => {
+      const email = faker.internet.email();
+      const response = await request
+        .post(endpoint)
+        .send({ name: faker.name.fullName(), email, password: email });
+      expect(response.status).toBe(401);
+    });
+
+    it("Respond 403 when a student creates a user", async () => {
+      const email = faker.internet.email();
+      const response = await request
+        .post(endpoint)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Student).token
+        )
+        .send({ name: faker.name.fullName(), email, password: email });
+      expect(response.status).toBe(403);
+    });
+
     it("Respond 201", async () => {
       const name = faker.name.fullName();
       const email = faker.internet.email();
       const password = faker.internet.password(6);
       const role = Math.random() > 0.5 ? UserRole.Student : UserRole.Instructor;
-      const response = await request.post(endpoint).send({
-        name,
-        email,
-        password,
-        role,
-      });
+      const response = await request
+        .post(endpoint)
+        .set("Authorization", "bearer " + users[0].token)
+        .send({
+          name,
+          email,
+          password,
+          role,
+        });
       expect(response.status).toBe(201);
       expect(response.body.data._id).toBeDefined();
       expect(response.body.data.name).toBe(name);
@@ -150,11 +298,14 @@ describe(`Test ${endpoint}`, () => {
       const name = faker.name.fullName();
       const email = faker.internet.email();
       const password = faker.internet.password(6);
-      const response = await request.post(endpoint).send({
-        name,
-        email,
-        password,
-      });
+      const response = await request
+        .post(endpoint)
+        .set("Authorization", "bearer " + users[0].token)
+        .send({
+          name,
+          email,
+          password,
+        });
       expect(response.status).toBe(201);
       expect(response.body.data._id).toBeDefined();
       expect(response.body.data.name).toBe(name);
@@ -164,15 +315,38 @@ describe(`Test ${endpoint}`, () => {
     });
 
     describe("Respond 400", () => {
+      it("Lists every invalid field", async () => {
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name: "",
+            email: faker.lorem.word(),
+            password: faker.internet.password(5),
+            role: faker.random.word(),
+          });
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe("VALIDATION_FAILED");
+        expect(response.body.errors.map((error) => error.field)).toEqual([
+          "name",
+          "email",
+          "password",
+          "role",
+        ]);
+      });
+
       it("Null name", async () => {
         const name = null;
         const email = faker.internet.email();
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -180,11 +354,14 @@ describe(`Test ${endpoint}`, () => {
         const name = undefined;
         const email = faker.internet.email();
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -192,11 +369,14 @@ describe(`Test ${endpoint}`, () => {
         const name = "";
         const email = faker.internet.email();
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -204,11 +384,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = null;
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -216,11 +399,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = undefined;
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -228,11 +414,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = "";
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -240,11 +429,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = faker.lorem.sentence();
         const password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -252,19 +444,25 @@ describe(`Test ${endpoint}`, () => {
         let name = faker.name.fullName();
         const email = faker.internet.email();
         let password = faker.internet.password(6);
-        await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
 
         name = faker.name.fullName();
         password = faker.internet.password(6);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -272,11 +470,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = faker.internet.email();
         const password = null;
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -284,11 +485,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = faker.internet.email();
         const password = undefined;
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -296,11 +500,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = faker.internet.email();
         const password = "";
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -308,11 +515,14 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = faker.internet.email();
         const password = faker.internet.password(5);
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -321,12 +531,15 @@ describe(`Test ${endpoint}`, () => {
         const email = faker.internet.email();
         const password = faker.internet.password(5);
         const role = null;
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-          role,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+            role,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -335,12 +548,15 @@ describe(`Test ${endpoint}`, () => {
         const email = faker.internet.email();
         const password = faker.internet.password(5);
         const role = undefined;
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-          role,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+            role,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -349,12 +565,15 @@ describe(`Test ${endpoint}`, () => {
         const email = faker.internet.email();
         const password = faker.internet.password(5);
         const role = "";
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-          role,
-        });
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+            role,
+          });
         expect(response.status).toBe(400);
       });
 
@@ -362,13 +581,16 @@ describe(`Test ${endpoint}`, () => {
         const name = faker.name.fullName();
         const email = faker.internet.email();
         const password = faker.internet.password(5);
-        const role = faker.random.word();
-        const response = await request.post(endpoint).send({
-          name,
-          email,
-          password,
-          role,
-        });
+        const role = faker.random.word();
+        const response = await request
+          .post(endpoint)
+          .set("Authorization", "bearer " + users[0].token)
+          .send({
+            name,
+            email,
+            password,
+            role,
+          });
         expect(response.status).toBe(400);
       });
     });
@@ -440,6 +662,28 @@ describe(`Test ${endpoint}`, () => {
       expect(response.body.data.role).toBe(user.role);
     });
 
+    it("Respond 304 given the current ETag", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const token = users.find((u) => u.role === UserRole.Instructor).token;
+      const read = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("Authorization", "bearer " + token);
+      expect(read.headers.etag).toBeDefined();
+      let response = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("If-None-Match", read.headers.etag)
+        .set("Authorization", "bearer " + token);
+      expect(response.status).toBe(304);
+
+      await userDao.update({ id: user.id, name: faker.name.fullName() });
+      response = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("If-None-Match", read.headers.etag)
+        .set("Authorization", "bearer " + token);
+      expect(response.status).toBe(200);
+    });
+
     it("Respond 400", async () => {
       const response = await request
         .get(`${endpoint}/invalid}`)
@@ -558,24 +802,115 @@ describe(`Test ${endpoint}`, () => {
       const name = faker.name.fullName();
       const email = faker.internet.email();
       const password = faker.internet.password(6);
-      const role = Math.random() > 0.5 ? UserRole.Student : UserRole.Instructor;
       const response = await request
         .put(`${endpoint}/${user.id}`)
         .send({
           name,
           email,
           password,
-          role,
+          role: user.role,
         })
         .set("Authorization", "bearer " + user.token);
       expect(response.status).toBe(200);
       expect(response.body.data._id).toBe(user.id);
       expect(response.body.data.name).toBe(name);
       expect(response.body.data.email).toBe(email);
-      expect(response.body.data.role).toBe(role);
+      expect(response.body.data.role).toBe(user.role);
       expect(response.body.data.password).toBeUndefined();
     });
 
+    it("Respond 403 when student changes own role", async () => {
+      const students = users.filter((u) => u.role === UserRole.Student);
+      const index = Math.floor(Math.random() * students.length);
+      const user = students[index];
+      const response = await request
+        .put(`${endpoint}/${user.id}`)
+        .send({
+          name: user.name,
+          email: user.email,
+          role: UserRole.Instructor,
+        })
+        .set("Authorization", "bearer " + user.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 200 keeping the password, which can not be replaced", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const name = faker.name.fullName();
+      const response = await request
+        .put(`${endpoint}/${user.id}`)
+        .send({
+          name,
+          email: user.email,
+          password: faker.internet.password(8),
+          role: user.role,
+        })
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(200);
+      expect(response.body.data.name).toBe(name);
+      const _user = await userDao.read(user.id);
+      expect(_user.password).toBe(user.password);
+    });
+
+    it("Respond 200 given the current ETag", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const token = users.find((u) => u.role === UserRole.Instructor).token;
+      const read = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("Authorization", "bearer " + token);
+      const response = await request
+        .put(`${endpoint}/${user.id}`)
+        .send({
+          name: faker.name.fullName(),
+          email: user.email,
+          role: user.role,
+        })
+        .set("If-Match", read.headers.etag)
+        .set("Authorization", "bearer " + token);
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBeDefined();
+      expect(response.headers.etag).not.toBe(read.headers.etag);
+    });
+
+    it("Respond 412 given an outdated ETag", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const token = users.find((u) => u.role === UserRole.Instructor).token;
+      const read = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("Authorization", "bearer " + token);
+      await userDao.update({ id: user.id, name: faker.name.fullName() });
+      const response = await request
+        .put(`${endpoint}/${user.id}`)
+        .send({
+          name: faker.name.fullName(),
+          email: user.email,
+          role: user.role,
+        })
+        .set("If-Match", read.headers.etag)
+        .set("Authorization", "bearer " + token);
+      expect(response.status).toBe(412);
+      expect(response.body.code).toBe("PRECONDITION_FAILED");
+    });
+
+    it("Respond 400 when a field is left out", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const response = await request
+        .put(`${endpoint}/${user.id}`)
+        .send({ name: faker.name.fullName() })
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Instructor).token
+        );
+      expect(response.status).toBe(400);
+    });
+
     describe("Respond 400", () => {
       it("Invalid ID", async () => {
         const response = await request
@@ -649,6 +984,11 @@ describe(`Test ${endpoint}`, () => {
     it("Respond 404", async () => {
       const response = await request
         .put(`${endpoint}/${mongoose.Types.ObjectId().toString()}`)
+        .send({
+          name: faker.name.fullName(),
+          email: faker.internet.email(),
+          role: UserRole.Student,
+        })
         .set(
           "Authorization",
           "bearer " + users.find((u) => u.role === UserRole.Instructor).token
@@ -657,6 +997,149 @@ describe(`Test ${endpoint}`, () => {
     });
   });
 
+  describe("PATCH request", () => {
+    const instructorToken = () =>
+      users.find((u) => u.role === UserRole.Instructor).token;
+
+    it("Respond 401 when no auth token", async () => {
+      const user = users[0];
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .send({ name: faker.name.fullName() });
+      expect(response.status).toBe(401);
+    });
+
+    it("Respond 403", async () => {
+      const user = users.find((u) => u.role === UserRole.Instructor);
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .send({ name: faker.name.fullName() })
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Student).token
+        );
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 200 given a merge patch", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const name = faker.name.fullName();
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ name }))
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data.name).toBe(name);
+      expect(response.body.data.email).toBe(user.email);
+      expect(response.body.data.role).toBe(user.role);
+      expect(response.headers.etag).toBeDefined();
+    });
+
+    it("Respond 200 given a JSON patch", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const email = faker.internet.email();
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(
+          JSON.stringify([
+            { op: "test", path: "/email", value: user.email },
+            { op: "replace", path: "/email", value: email },
+          ])
+        )
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data.email).toBe(email);
+      expect(response.body.data.name).toBe(user.name);
+    });
+
+    it("Respond 400 when a patch removes a required field", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ name: null }))
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 when a patch sets an unknown field", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(
+          JSON.stringify([{ op: "add", path: "/emailVerified", value: true }])
+        )
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(400);
+    });
+
+    it("Respond 400 when a patch sets the password", async () => {
+      const user = users.find((u) => u.role === UserRole.Student);
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ password: faker.internet.password(8) }))
+        .set("Authorization", "bearer " + user.token);
+      expect(response.status).toBe(400);
+      const _user = await userDao.read(user.id);
+      expect(_user.password).toBe(user.password);
+    });
+
+    it("Respond 409 when a test operation fails", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(
+          JSON.stringify([
+            { op: "test", path: "/name", value: faker.lorem.word() },
+          ])
+        )
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(409);
+    });
+
+    it("Respond 403 when student changes own role", async () => {
+      const user = users.find((u) => u.role === UserRole.Student);
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .send({ role: UserRole.Instructor })
+        .set("Authorization", "bearer " + user.token);
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 412 given an outdated ETag", async () => {
+      const index = Math.floor(Math.random() * numUsers);
+      const user = users[index];
+      const read = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("Authorization", "bearer " + instructorToken());
+      await userDao.update({ id: user.id, name: faker.name.fullName() });
+      const response = await request
+        .patch(`${endpoint}/${user.id}`)
+        .send({ name: faker.name.fullName() })
+        .set("If-Match", read.headers.etag)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(412);
+    });
+
+    it("Respond 404", async () => {
+      const response = await request
+        .patch(`${endpoint}/${mongoose.Types.ObjectId().toString()}`)
+        .send({ name: faker.name.fullName() })
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe("DELETE request", () => {
     it("Respond 401 when no auth token", async () => {
       const index = Math.floor(Math.random() * numUsers);
@@ -691,6 +1174,18 @@ describe(`Test ${endpoint}`, () => {
       expect(response.status).toBe(403);
     });
 
+    it("Respond 403 when TA deletes a user", async () => {
+      const ta = users[0];
+      await userDao.update({ id: ta.id, role: UserRole.TeachingAssistant });
+      const token = createToken({
+        user: { id: ta.id, role: UserRole.TeachingAssistant },
+      });
+      const response = await request
+        .delete(`${endpoint}/${users[numUsers - 1].id}`)
+        .set("Authorization", "bearer " + token);
+      expect(response.status).toBe(403);
+    });
+
     it("Respond 200 when instructor deletes a user", async () => {
       const index = Math.floor(Math.random() * numUsers);
       const user = users[index];
@@ -744,6 +1239,269 @@ describe(`Test ${endpoint}`, () => {
     });
   });
 
+  describe("Import and export", () => {
+    const instructorToken = () =>
+      users.find((u) => u.role === UserRole.Instructor).token;
+
+    const newRow = () => ({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password: faker.internet.password(6),
+    });
+
+    it("Respond 403 when student imports users", async () => {
+      const response = await request
+        .post(`${endpoint}/import`)
+        .send([newRow()])
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Student).token
+        );
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 200 importing a JSON array", async () => {
+      const rows = [newRow(), { ...newRow(), email: users[0].email }];
+      const response = await request
+        .post(`${endpoint}/import`)
+        .send(rows)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.meta).toEqual({
+        total: 2,
+        failed: 1,
+        dryRun: false,
+      });
+      expect(response.body.data[0].status).toBe("created");
+      expect(response.body.data[1].status).toBe("failed");
+      expect(response.body.data[1].code).toBe("ALREADY_EXISTS");
+    });
+
+    it("Respond 200 checking CSV in a dry run", async () => {
+      const row = newRow();
+      const csv =
+        "name,email,password,role\n" +
+        `${row.name},${row.email},${row.password},${UserRole.Student}\n` +
+        `${row.name},${row.email},${row.password},\n`;
+      const response = await request
+        .post(`${endpoint}/import?dryRun=true`)
+        .set("Content-Type", "text/csv")
+        .send(csv)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((r) => r.status)).toEqual([
+        "valid",
+        "failed",
+      ]);
+      expect(await userDao.count()).toBe(numUsers);
+    });
+
+    it("Respond 200 exporting JSON", async () => {
+      const response = await request
+        .get(`${endpoint}/export?format=json`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toMatch(/application\/json/);
+      expect(response.body.length).toBe(numUsers);
+      for (const user of response.body) {
+        expect(user.password).toBeUndefined();
+      }
+    });
+
+    it("Respond 200 exporting CSV", async () => {
+      const response = await request
+        .get(`${endpoint}/export?format=csv&role=${UserRole.Student}`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toMatch(/text\/csv/);
+      const lines = response.text.trim().split("\r\n");
+      expect(lines[0]).toBe(
+        "_id,name,email,role,emailVerified,createdAt,updatedAt"
+      );
+      const students = users.filter((u) => u.role === UserRole.Student);
+      expect(lines.length).toBe(students.length + 1);
+      expect(response.text).not.toMatch(/password/);
+    });
+
+    it("Respond 200 exporting NDJSON", async () => {
+      const response = await request
+        .get(`${endpoint}/export?format=ndjson`)
+        .set("Authorization", "bearer " + instructorToken())
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => callback(null, text));
+        });
+      expect(response.status).toBe(200);
+      const lines = response.body.trim().split("\n");
+      expect(lines.length).toBe(numUsers);
+      expect(JSON.parse(lines[0]).password).toBeUndefined();
+    });
+
+    it("Respond 400 given an unknown format", async () => {
+      const response = await request
+        .get(`${endpoint}/export?format=xml`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Soft delete", () => {
+    const instructorToken = () =>
+      users.find((u) => u.role === UserRole.Instructor).token;
+
+    it("Respond 404 reading a deleted user", async () => {
+      const user = users[users.length - 1];
+      await request
+        .delete(`${endpoint}/${user.id}`)
+        .set("Authorization", "bearer " + instructorToken());
+      const response = await request
+        .get(`${endpoint}/${user.id}`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(404);
+    });
+
+    it("Respond 200 listing only deleted users", async () => {
+      const user = users[users.length - 1];
+      await userDao.delete(user.id);
+      const response = await request
+        .get(`${endpoint}?deleted=only`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((u) => u._id)).toEqual([user.id]);
+    });
+
+    it("Respond 200 restoring a deleted user", async () => {
+      const user = users[users.length - 1];
+      await userDao.delete(user.id);
+      const response = await request
+        .post(`${endpoint}/${user.id}/restore`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data._id).toBe(user.id);
+      expect(response.body.data.deletedAt).toBeNull();
+    });
+
+    it("Respond 403 when student restores a user", async () => {
+      const user = users[users.length - 1];
+      await userDao.delete(user.id);
+      const response = await request
+        .post(`${endpoint}/${user.id}/restore`)
+        .set(
+          "Authorization",
+          "bearer " + users.find((u) => u.role === UserRole.Student).token
+        );
+      expect(response.status).toBe(403);
+    });
+
+    it("Respond 200 purging deleted users", async () => {
+      const user = users[users.length - 1];
+      await userDao.delete(user.id);
+      let response = await request
+        .post(`${endpoint}/purge`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data.purged).toBe(0);
+
+      response = await request
+        .post(`${endpoint}/purge`)
+        .send({ olderThanDays: 0 })
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(200);
+      expect(response.body.data.purged).toBe(1);
+
+      response = await request
+        .post(`${endpoint}/${user.id}/restore`)
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(404);
+    });
+
+    it("Respond 400 purging with invalid days", async () => {
+      const response = await request
+        .post(`${endpoint}/purge`)
+        .send({ olderThanDays: -1 })
+        .set("Authorization", "bearer " + instructorToken());
+      expect(response.status).toBe(400);
+    });
+  });
+
+  afterAll(async () => {
+    await userDao.deleteAll();
+  });
+});
+
+describe("Test /me", () => {
+  let user;
+
+  beforeEach(async () => {
+    await userDao.deleteAll();
+    user = await userDao.create({
+      name: faker.name.fullName(),
+      email: faker.internet.email(),
+      password: faker.internet.password(6),
+    });
+    user.token = createToken({ user: { id: user.id, role: user.role } });
+  });
+
+  it("Respond 401 when no auth token", async () => {
+    const response = await request.get("/me");
+    expect(response.status).toBe(401);
+  });
+
+  it("Respond 200 with the current user", async () => {
+    const response = await request
+      .get("/me")
+      .set("Authorization", "bearer " + user.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data._id).toBe(user.id);
+    expect(response.body.data.email).toBe(user.email);
+    expect(response.body.data.password).toBeUndefined();
+  });
+
+  it("Respond 200 updating the current user", async () => {
+    const name = faker.name.fullName();
+    const response = await request
+      .patch("/me")
+      .send({ name })
+      .set("Authorization", "bearer " + user.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data._id).toBe(user.id);
+    expect(response.body.data.name).toBe(name);
+    expect(response.body.data.email).toBe(user.email);
+  });
+
+  it("Respond 200 keeping the password, which can not be patched", async () => {
+    const response = await request
+      .patch("/me")
+      .send({ password: faker.internet.password(8) })
+      .set("Authorization", "bearer " + user.token);
+    expect(response.status).toBe(200);
+    const _user = await userDao.read(user.id);
+    expect(_user.password).toBe(user.password);
+  });
+
+  it("Respond 403 when student changes own role", async () => {
+    const response = await request
+      .patch("/me")
+      .send({ role: UserRole.Instructor })
+      .set("Authorization", "bearer " + user.token);
+    expect(response.status).toBe(403);
+  });
+
+  it("Respond 200 deleting the current user", async () => {
+    let response = await request
+      .delete("/me")
+      .set("Authorization", "bearer " + user.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data._id).toBe(user.id);
+
+    response = await request
+      .get("/me")
+      .set("Authorization", "bearer " + user.token);
+    expect(response.status).toBe(404);
+  });
+
   afterAll(async () => {
     await userDao.deleteAll();
   });
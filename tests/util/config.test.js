@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import { ConfigError, loadConfig } from "../../src/util/config.js";
+
+const production = {
+  NODE_ENV: "production",
+  DB_URI: "mongodb://db.example.com:27017/roster",
+  JWT_SECRET: faker.random.alphaNumeric(32),
+  CORS_ORIGINS: "https://roster.example.com",
+};
+
+// return the names of the settings loadConfig complains about
+const issuesOf = (env) => {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    expect(err).toBeInstanceOf(ConfigError);
+    return err.issues.map((issue) => issue.name);
+  }
+  return [];
+};
+
+describe("Test loadConfig", () => {
+  it("uses the defaults of the test profile", () => {
+    const config = loadConfig({ NODE_ENV: "test" });
+    expect(config.profile).toBe("test");
+    expect(config.bcrypt.cost).toBe(4);
+    expect(config.logLevel).toBe("silent");
+    expect(config.mail.transport).toBe("memory");
+    expect(config.requireEmailVerification).toBe(false);
+  });
+
+  it("reads the settings from the environment", () => {
+    const config = loadConfig({
+      ...production,
+      PORT: "8080",
+      JWT_ISSUER: "https://roster.example.com",
+      ACCESS_TOKEN_LIFETIME: "900",
+      REFRESH_TOKEN_LIFETIME_DAYS: "30",
+      CORS_ORIGINS: "https://a.example.com, https://b.example.com",
+      REQUIRE_EMAIL_VERIFICATION: "false",
+    });
+    expect(config.port).toBe(8080);
+    expect(config.db.uri).toBe(production.DB_URI);
+    expect(config.jwt).toEqual({
+      algorithm: "HS256",
+      secret: production.JWT_SECRET,
+      keysDir: undefined,
+      keyRotationHours: 24,
+      issuer: "https://roster.example.com",
+      audience: "roster-api",
+      accessTokenLifetime: 900,
+      refreshTokenLifetimeDays: 30,
+    });
+    expect(config.cors.origins).toEqual([
+      "https://a.example.com",
+      "https://b.example.com",
+    ]);
+    expect(config.requireEmailVerification).toBe(false);
+  });
+
+  it("reads durations in seconds", () => {
+    const config = loadConfig({
+      NODE_ENV: "test",
+      ACCESS_TOKEN_LIFETIME: "2h",
+    });
+    expect(config.jwt.accessTokenLifetime).toBe(2 * 60 * 60);
+  });
+
+  it("needs no secret to sign with asymmetric keys", () => {
+    const { JWT_SECRET, ...env } = production;
+    const config = loadConfig({ ...env, JWT_ALGORITHM: "ES256" });
+    expect(config.jwt.algorithm).toBe("ES256");
+    expect(config.jwt.secret).toBeUndefined();
+  });
+
+  it("treats empty variables as unset", () => {
+    const config = loadConfig({ NODE_ENV: "test", BCRYPT_COST: "" });
+    expect(config.bcrypt.cost).toBe(4);
+  });
+
+  it("requires a secret, database and origins in production", () => {
+    expect(issuesOf({ NODE_ENV: "production" })).toEqual([
+      "DB_URI",
+      "JWT_SECRET",
+      "CORS_ORIGINS",
+    ]);
+  });
+
+  it("requires a long secret and a high bcrypt cost in production", () => {
+    const issues = issuesOf({
+      ...production,
+      JWT_SECRET: faker.random.alphaNumeric(31),
+      BCRYPT_COST: "8",
+    });
+    expect(issues).toEqual(["JWT_SECRET", "BCRYPT_COST"]);
+  });
+
+  it("lists every invalid setting", () => {
+    const issues = issuesOf({
+      NODE_ENV: "test",
+      PORT: "http",
+      DB_URI: "postgres://localhost/roster",
+      ACCESS_TOKEN_LIFETIME: "a while",
+      BCRYPT_COST: "20",
+      CORS_ORIGINS: "roster.example.com",
+      LOG_LEVEL: "verbose",
+    });
+    expect(issues).toEqual([
+      "PORT",
+      "DB_URI",
+      "ACCESS_TOKEN_LIFETIME",
+      "BCRYPT_COST",
+      "CORS_ORIGINS",
+      "LOG_LEVEL",
+    ]);
+  });
+
+  it("names the setting in the message", () => {
+    try {
+      loadConfig({ NODE_ENV: "staging" });
+      expect.unreachable();
+    } catch (err) {
+      expect(err.message).toContain("NODE_ENV");
+    }
+  });
+});
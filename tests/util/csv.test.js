@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import { parseCsv, toCsvLine } from "../../src/util/csv.js";
+
+describe("Test parseCsv", () => {
+  it("keys each line by the column names", () => {
+    const name = faker.name.fullName();
+    const email = faker.internet.email();
+    const rows = parseCsv(`name,email\r\n${name},${email}\r\n`);
+    expect(rows).toEqual([{ name, email }]);
+  });
+
+  it("reads quoted fields", () => {
+    const rows = parseCsv('name,note\n"Doe, Jane","say ""hi""\nthere"\n');
+    expect(rows).toEqual([{ name: "Doe, Jane", note: 'say "hi"\nthere' }]);
+  });
+
+  it("skips blank lines and leaves out empty fields", () => {
+    const rows = parseCsv("\uFEFFname,role\n\nAnn,\n");
+    expect(rows).toEqual([{ name: "Ann" }]);
+  });
+
+  it("responds 400 given an unclosed quote", () => {
+    try {
+      parseCsv('name\n"Ann\n');
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+});
+
+describe("Test toCsvLine", () => {
+  it("quotes fields when needed", () => {
+    expect(toCsvLine(["a", 'b "c"', "d,e", undefined])).toBe(
+      'a,"b ""c""","d,e",\r\n'
+    );
+  });
+
+  it("writes dates as ISO strings", () => {
+    const date = faker.date.past();
+    expect(toCsvLine([date])).toBe(`${date.toISOString()}\r\n`);
+  });
+
+  it("escapes fields a spreadsheet would run as formulas", () => {
+    expect(toCsvLine(["=SUM(A1)", "@x"])).toBe("'=SUM(A1),'@x\r\n");
+  });
+
+  it("round-trips through parseCsv", () => {
+    const name = `${faker.name.lastName()}, "${faker.name.firstName()}"`;
+    const text = toCsvLine(["name"]) + toCsvLine([name]);
+    expect(parseCsv(text)).toEqual([{ name }]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import mongoose from "mongoose";
+import { faker } from "@faker-js/faker";
+import ApiError, { ErrorCode } from "../../src/model/ApiError.js";
+import { toApiError } from "../../src/util/errorHandler.js";
+
+describe("Test toApiError", () => {
+  it("keeps an ApiError", () => {
+    const error = new ApiError(404, faker.lorem.sentence());
+    expect(toApiError(error)).toBe(error);
+  });
+
+  it("maps a mongoose ValidationError", () => {
+    const schema = new mongoose.Schema({
+      name: { type: String, required: true },
+      age: { type: Number, min: 0 },
+    });
+    const Model = mongoose.model(`Test${Date.now()}`, schema);
+    const err = new Model({ age: -1 }).validateSync();
+    const error = toApiError(err);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe(ErrorCode.ValidationFailed);
+    expect(error.errors.map((e) => e.field).sort()).toEqual(["age", "name"]);
+  });
+
+  it("maps a duplicate key error", () => {
+    const email = faker.internet.email();
+    const err = Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+      keyValue: { email },
+    });
+    const error = toApiError(err);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe(ErrorCode.AlreadyExists);
+    expect(error.errors[0].field).toBe("email");
+  });
+
+  it("maps any other error to 500", () => {
+    const error = toApiError(new Error());
+    expect(error.status).toBe(500);
+    expect(error.code).toBe(ErrorCode.InternalError);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import mongoose from "mongoose";
+import { checkIfMatch, isNotModified, toETag } from "../../src/util/etag.js";
+
+const newDocument = (version = 0) => ({
+  id: mongoose.Types.ObjectId().toString(),
+  __v: version,
+});
+
+const newRequest = (headers) => ({
+  get: (name) => headers[name],
+});
+
+describe("Test toETag", () => {
+  it("changes with the version", () => {
+    const document = newDocument();
+    expect(toETag(document)).not.toBe(toETag({ ...document, __v: 1 }));
+  });
+});
+
+describe("Test checkIfMatch", () => {
+  it("passes without If-Match", () => {
+    expect(() => checkIfMatch(newRequest({}), newDocument())).not.toThrow();
+  });
+
+  it("passes given the current entity tag or *", () => {
+    const document = newDocument(3);
+    const tag = toETag(document);
+    for (const header of [tag, `"other", ${tag}`, "*"]) {
+      const req = newRequest({ "If-Match": header });
+      expect(() => checkIfMatch(req, document)).not.toThrow();
+    }
+  });
+
+  it("responds 412 given an outdated or weak entity tag", () => {
+    const document = newDocument(3);
+    for (const header of [
+      toETag({ ...document, __v: 2 }),
+      `W/${toETag(document)}`,
+    ]) {
+      try {
+        checkIfMatch(newRequest({ "If-Match": header }), document);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.status).toBe(412);
+      }
+    }
+  });
+});
+
+describe("Test isNotModified", () => {
+  it("is false without If-None-Match", () => {
+    expect(isNotModified(newRequest({}), newDocument())).toBe(false);
+  });
+
+  it("compares entity tags weakly", () => {
+    const document = newDocument(1);
+    const req = newRequest({ "If-None-Match": `W/${toETag(document)}` });
+    expect(isNotModified(req, document)).toBe(true);
+  });
+
+  it("is false given an outdated entity tag", () => {
+    const document = newDocument(1);
+    const req = newRequest({
+      "If-None-Match": toETag({ ...document, __v: 0 }),
+    });
+    expect(isNotModified(req, document)).toBe(false);
+  });
+});
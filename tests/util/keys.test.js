@@ -0,0 +1,105 @@
+import { describe, expect, it, afterAll } from "vitest";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jsonWebToken from "jsonwebtoken";
+import { KeyStore } from "../../src/util/keys.js";
+
+const LIFETIME = 900;
+const HOUR = 60 * 60 * 1000;
+
+const sign = (store, payload = { id: "1" }) => {
+  const { kid, privateKey } = store.signingKey();
+  return jsonWebToken.sign(payload, privateKey, {
+    algorithm: store.algorithm,
+    keyid: kid,
+  });
+};
+
+describe("Test KeyStore", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keys-"));
+
+  for (const algorithm of ["RS256", "ES256"]) {
+    it(`signs and verifies with ${algorithm} keys`, () => {
+      const store = new KeyStore({ algorithm, lifetime: LIFETIME });
+      const token = sign(store);
+      const { header } = jsonWebToken.decode(token, { complete: true });
+      const key = store.find(header.kid);
+      expect(key).toBeDefined();
+      expect(
+        jsonWebToken.verify(token, key.publicKey, { algorithms: [algorithm] })
+          .id
+      ).toBe("1");
+    });
+  }
+
+  it("keeps verifying with a retired key until its tokens expired", () => {
+    const store = new KeyStore({ algorithm: "ES256", lifetime: LIFETIME });
+    const { kid } = store.signingKey();
+    const now = Date.now();
+    store.rotate(now);
+    expect(store.signingKey().kid).not.toBe(kid);
+    expect(store.find(kid, now + LIFETIME * 1000 - 1)).toBeDefined();
+    expect(store.find(kid, now + LIFETIME * 1000)).toBeUndefined();
+
+    store.rotate(now + 2 * HOUR);
+    expect(store.keys.map((key) => key.kid)).not.toContain(kid);
+  });
+
+  it("publishes the public keys that verify", () => {
+    const store = new KeyStore({ algorithm: "RS256", lifetime: LIFETIME });
+    const { kid } = store.signingKey();
+    store.rotate();
+    const { keys } = store.toJwks();
+    expect(keys.map((key) => key.kid)).toEqual([store.signingKey().kid, kid]);
+    for (const key of keys) {
+      expect(key).toMatchObject({ kty: "RSA", alg: "RS256", use: "sig" });
+      expect(key.d).toBeUndefined();
+    }
+  });
+
+  it("never publishes a shared secret", () => {
+    const store = new KeyStore({
+      algorithm: "HS256",
+      secret: "a shared secret",
+      lifetime: LIFETIME,
+    });
+    expect(store.toJwks()).toEqual({ keys: [] });
+    expect(() => store.rotate()).toThrow();
+  });
+
+  it("signs with the newest key of the directory", () => {
+    const write = (kid, time) => {
+      const { privateKey } = crypto.generateKeyPairSync("ec", {
+        namedCurve: "P-256",
+        privateKeyEncoding: { type: "pkcs8", format: "pem" },
+        publicKeyEncoding: { type: "spki", format: "pem" },
+      });
+      const file = path.join(dir, `${kid}.pem`);
+      fs.writeFileSync(file, privateKey);
+      fs.utimesSync(file, time, time);
+    };
+    write("old", new Date(2022, 0, 1));
+    write("new", new Date(2022, 6, 1));
+
+    const store = new KeyStore({ algorithm: "ES256", lifetime: LIFETIME, dir });
+    expect(store.signingKey().kid).toBe("new");
+    expect(store.find("old")).toBeDefined();
+
+    // a key removed from the directory is retired, not dropped
+    fs.unlinkSync(path.join(dir, "old.pem"));
+    store.rotate();
+    expect(store.find("old").retiredAt).toBeDefined();
+  });
+
+  it("throws given a key of another algorithm", () => {
+    expect(
+      () => new KeyStore({ algorithm: "RS256", lifetime: LIFETIME, dir })
+    ).toThrow("rsa");
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import {
+  AccountLockout,
+  MemoryStore,
+  rateLimit,
+} from "../../src/util/limiter.js";
+
+// runs the middleware and resolves with the argument passed to next()
+const run = (middleware, req, res) =>
+  new Promise((resolve) => middleware(req, res, (err) => resolve(err)));
+
+const response = () => {
+  const headers = {};
+  return { headers, set: (name, value) => (headers[name] = value) };
+};
+
+describe("Test MemoryStore", () => {
+  it("expires entries", async () => {
+    const store = new MemoryStore();
+    await store.set("a", 1, 1000);
+    await store.set("b", 2, -1);
+    expect(await store.get("a")).toBe(1);
+    expect(await store.get("b")).toBeUndefined();
+    await store.delete("a");
+    expect(await store.get("a")).toBeUndefined();
+  });
+
+  it("sweeps expired entries when full", async () => {
+    const store = new MemoryStore({ maxSize: 2 });
+    await store.set("a", 1, -1);
+    await store.set("b", 2, -1);
+    await store.set("c", 3, 1000);
+    expect(store.entries.size).toBe(1);
+  });
+
+  it("evicts the entry written longest ago when full", async () => {
+    const store = new MemoryStore({ maxSize: 2 });
+    await store.set("a", 1, 1000);
+    await store.set("b", 2, 1000);
+    await store.set("a", 3, 1000);
+    await store.set("c", 4, 1000);
+    expect(store.entries.size).toBe(2);
+    expect(await store.get("a")).toBe(3);
+    expect(await store.get("b")).toBeUndefined();
+    expect(await store.get("c")).toBe(4);
+  });
+});
+
+describe("Test rateLimit", () => {
+  it("responds 429 with Retry-After once the limit is reached", async () => {
+    const middleware = rateLimit({
+      name: "test",
+      max: 2,
+      window: 60 * 1000,
+      store: new MemoryStore(),
+    });
+    const req = { ip: faker.internet.ip() };
+    expect(await run(middleware, req, response())).toBeUndefined();
+    expect(await run(middleware, req, response())).toBeUndefined();
+    const res = response();
+    const err = await run(middleware, req, res);
+    expect(err.status).toBe(429);
+    expect(Number(res.headers["Retry-After"])).toBeGreaterThan(0);
+  });
+
+  it("counts each IP separately", async () => {
+    const middleware = rateLimit({
+      name: "test",
+      max: 1,
+      window: 60 * 1000,
+      store: new MemoryStore(),
+    });
+    const first = { ip: faker.internet.ip() };
+    const second = { ip: `${first.ip}0` };
+    expect(await run(middleware, first, response())).toBeUndefined();
+    expect(await run(middleware, second, response())).toBeUndefined();
+    expect((await run(middleware, first, response())).status).toBe(429);
+  });
+});
+
+describe("Test AccountLockout", () => {
+  const email = faker.internet.email();
+
+  it("locks after the threshold is reached", async () => {
+    const lockout = new AccountLockout({
+      threshold: 3,
+      store: new MemoryStore(),
+    });
+    await lockout.fail(email);
+    await lockout.fail(email);
+    expect(await lockout.check(email)).toBe(0);
+    await lockout.fail(email);
+    expect(await lockout.check(email.toUpperCase())).toBe(60);
+  });
+
+  it("doubles the lockout with every further failure", async () => {
+    const lockout = new AccountLockout({
+      threshold: 1,
+      baseDelay: 1000,
+      maxDelay: 3000,
+      store: new MemoryStore(),
+    });
+    await lockout.fail(email);
+    expect(await lockout.check(email)).toBe(1);
+    await lockout.fail(email);
+    expect(await lockout.check(email)).toBe(2);
+    await lockout.fail(email);
+    expect(await lockout.check(email)).toBe(3);
+  });
+
+  it("forgets failures when reset", async () => {
+    const lockout = new AccountLockout({
+      threshold: 1,
+      store: new MemoryStore(),
+    });
+    await lockout.fail(email);
+    expect(await lockout.check(email)).toBeGreaterThan(0);
+    await lockout.reset(email);
+    expect(await lockout.check(email)).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import { Logger, REDACTED, redact } from "../../src/util/logger.js";
+import { runWithContext } from "../../src/util/context.js";
+
+// return a logger that keeps the parsed entries
+const newLogger = (level) => {
+  const entries = [];
+  const logger = new Logger({
+    level,
+    write: (line) => entries.push(JSON.parse(line)),
+  });
+  return { logger, entries };
+};
+
+describe("Test redact", () => {
+  it("redacts passwords and tokens at any depth", () => {
+    const email = faker.internet.email();
+    const value = redact({
+      email,
+      password: faker.internet.password(),
+      body: { refreshToken: faker.random.alphaNumeric(20), email },
+      headers: [{ Authorization: `Bearer ${faker.random.alphaNumeric(20)}` }],
+    });
+    expect(value).toEqual({
+      email,
+      password: REDACTED,
+      body: { refreshToken: REDACTED, email },
+      headers: [{ Authorization: REDACTED }],
+    });
+  });
+
+  it("expands errors", () => {
+    const message = faker.lorem.sentence();
+    const value = redact(new Error(message));
+    expect(value.message).toBe(message);
+    expect(value.stack).toBeDefined();
+  });
+});
+
+describe("Test Logger", () => {
+  it("writes a JSON line per entry", () => {
+    const { logger, entries } = newLogger("info");
+    logger.info("hello", { status: 200 });
+    expect(entries.length).toBe(1);
+    expect(entries[0]).toMatchObject({
+      level: "info",
+      msg: "hello",
+      status: 200,
+    });
+    expect(entries[0].time).toBeDefined();
+  });
+
+  it("leaves out entries below the level", () => {
+    const { logger, entries } = newLogger("warn");
+    logger.debug("a");
+    logger.info("b");
+    logger.warn("c");
+    logger.error("d");
+    expect(entries.map((entry) => entry.msg)).toEqual(["c", "d"]);
+  });
+
+  it("writes nothing when silent", () => {
+    const { logger, entries } = newLogger("silent");
+    logger.error("a");
+    expect(entries.length).toBe(0);
+  });
+
+  it("adds the id of the current request", () => {
+    const { logger, entries } = newLogger("debug");
+    const requestId = faker.datatype.uuid();
+    runWithContext({ requestId }, () => logger.debug("inside"));
+    logger.debug("outside");
+    expect(entries[0].requestId).toBe(requestId);
+    expect(entries[1].requestId).toBeUndefined();
+  });
+
+  it("rejects an unknown level", () => {
+    expect(() => new Logger({ level: "verbose" })).toThrow();
+  });
+});
@@ -0,0 +1,54 @@
+import { afterAll, describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  FileTransport,
+  Mailer,
+  MemoryTransport,
+} from "../../src/util/mailer.js";
+
+describe("Test Mailer", () => {
+  const dir = path.join(os.tmpdir(), `roster-mail-${Date.now()}`);
+
+  it("sends through the memory transport", async () => {
+    const transport = new MemoryTransport();
+    const from = faker.internet.email();
+    const mailer = new Mailer(transport, from);
+    const to = faker.internet.email();
+    const subject = faker.lorem.sentence();
+    const text = faker.lorem.paragraph();
+    await mailer.send({ to, subject, text });
+    expect(transport.messages.length).toBe(1);
+    expect(transport.last(to)).toEqual({ from, to, subject, text });
+    transport.clear();
+    expect(transport.messages.length).toBe(0);
+  });
+
+  it("sends through the file transport", async () => {
+    const mailer = new Mailer(new FileTransport(dir));
+    const to = faker.internet.email();
+    const subject = faker.lorem.sentence();
+    await mailer.send({ to, subject, text: faker.lorem.paragraph() });
+    const files = await fs.readdir(dir);
+    expect(files.length).toBe(1);
+    const message = JSON.parse(await fs.readFile(path.join(dir, files[0])));
+    expect(message.to).toBe(to);
+    expect(message.subject).toBe(subject);
+  });
+
+  it("swaps the transport", async () => {
+    const first = new MemoryTransport();
+    const second = new MemoryTransport();
+    const mailer = new Mailer(first);
+    mailer.use(second);
+    await mailer.send({ to: faker.internet.email(), subject: "", text: "" });
+    expect(first.messages.length).toBe(0);
+    expect(second.messages.length).toBe(1);
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
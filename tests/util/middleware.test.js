@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import * as dotenv from "dotenv";
+import mongoose from "mongoose";
+import {
+  checkPermission,
+  createCheckToken,
+  isSelf,
+} from "../../src/util/middleware.js";
+import { createToken, getTokenService } from "../../src/util/token.js";
+import SessionDao from "../../src/data/SessionDao.js";
+import { UserRole } from "../../src/model/UserRole.js";
+import { Action, Resource } from "../../src/model/permissions.js";
+
+dotenv.config();
+
+// the tokens below carry no session, so the sessions are never looked up
+const checkToken = createCheckToken({
+  tokenService: getTokenService(),
+  sessionDao: new SessionDao(),
+});
+
+// runs the middleware and resolves with the argument passed to next()
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, (err) => resolve(err)));
+
+const newUser = (role) => ({
+  id: mongoose.Types.ObjectId().toString(),
+  role,
+});
+
+describe("Test checkToken", () => {
+  it("attaches the token payload to the request", async () => {
+    const user = newUser(UserRole.Student);
+    const token = createToken({ user });
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const err = await run(checkToken, req);
+    expect(err).toBeUndefined();
+    expect(req.user).toEqual(user);
+  });
+
+  it("accepts a lowercase scheme", async () => {
+    const user = newUser(UserRole.Instructor);
+    const token = createToken({ user });
+    const req = { headers: { authorization: `bearer ${token}` } };
+    const err = await run(checkToken, req);
+    expect(err).toBeUndefined();
+    expect(req.user).toEqual(user);
+  });
+
+  it("responds 401 when header is missing", async () => {
+    const err = await run(checkToken, { headers: {} });
+    expect(err.status).toBe(401);
+  });
+
+  it("responds 401 when header is malformed", async () => {
+    const token = createToken({ user: newUser(UserRole.Student) });
+    const err = await run(checkToken, { headers: { authorization: token } });
+    expect(err.status).toBe(401);
+  });
+
+  it("responds 401 when token is invalid", async () => {
+    const req = { headers: { authorization: `bearer ${faker.random.word()}` } };
+    const err = await run(checkToken, req);
+    expect(err.status).toBe(401);
+  });
+
+  it("responds 401 when token is expired", async () => {
+    const token = createToken({
+      user: newUser(UserRole.Instructor),
+      expiresIn: "0",
+    });
+    const req = { headers: { authorization: `bearer ${token}` } };
+    const err = await run(checkToken, req);
+    expect(err.status).toBe(401);
+  });
+});
+
+describe("Test checkPermission", () => {
+  const readUser = checkPermission(Resource.User, Action.Read, isSelf);
+  const deleteUser = checkPermission(Resource.User, Action.Delete, isSelf);
+
+  it("lets instructors operate on any user", async () => {
+    const user = newUser(UserRole.Instructor);
+    const id = mongoose.Types.ObjectId().toString();
+    expect(await run(deleteUser, { user, params: {} })).toBeUndefined();
+    expect(await run(deleteUser, { user, params: { id } })).toBeUndefined();
+  });
+
+  it("lets students operate on their own account", async () => {
+    const user = newUser(UserRole.Student);
+    const req = { user, params: { id: user.id } };
+    expect(await run(deleteUser, req)).toBeUndefined();
+  });
+
+  it("responds 403 when student operates on another account", async () => {
+    const user = newUser(UserRole.Student);
+    const id = mongoose.Types.ObjectId().toString();
+    const err = await run(deleteUser, { user, params: { id } });
+    expect(err.status).toBe(403);
+  });
+
+  it("responds 403 when student operates on the collection", async () => {
+    const user = newUser(UserRole.Student);
+    const err = await run(readUser, { user, params: {} });
+    expect(err.status).toBe(403);
+  });
+
+  it("lets TAs read but not delete other users", async () => {
+    const user = newUser(UserRole.TeachingAssistant);
+    const req = { user, params: { id: mongoose.Types.ObjectId().toString() } };
+    expect(await run(readUser, req)).toBeUndefined();
+    expect((await run(deleteUser, req)).status).toBe(403);
+  });
+
+  it("responds 403 to roles the table leaves out", async () => {
+    const grant = checkPermission(Resource.Role, Action.Grant);
+    const user = newUser(UserRole.Instructor);
+    expect((await run(grant, { user, params: {} })).status).toBe(403);
+    const admin = newUser(UserRole.Admin);
+    expect(await run(grant, { user: admin, params: {} })).toBeUndefined();
+  });
+
+  it("waits for the ownership check, passing on its errors", async () => {
+    const user = newUser(UserRole.Student);
+    const isOwn = async (req) => req.params.id === "mine";
+    const readGroup = checkPermission(Resource.Group, Action.Read, isOwn);
+    expect(
+      await run(readGroup, { user, params: { id: "mine" } })
+    ).toBeUndefined();
+    expect((await run(readGroup, { user, params: { id: "x" } })).status).toBe(
+      403
+    );
+
+    const failing = checkPermission(Resource.Group, Action.Read, async () => {
+      throw new Error("Lookup failed!");
+    });
+    const err = await run(failing, { user, params: {} });
+    expect(err.message).toBe("Lookup failed!");
+  });
+});
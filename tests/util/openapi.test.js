@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { z } from "zod";
+import {
+  toJsonSchema,
+  toOpenApiPath,
+  toParameters,
+} from "../../src/util/openapi.js";
+
+describe("Test toJsonSchema", () => {
+  it("converts an object with required and optional attributes", () => {
+    const schema = z
+      .object({
+        email: z.string().email(),
+        age: z.number().int().min(0),
+        role: z.enum(["STUDENT", "INSTRUCTOR"]).optional(),
+        deletedAt: z.string().nullable(),
+      })
+      .strict();
+    expect(toJsonSchema(schema)).toEqual({
+      type: "object",
+      properties: {
+        email: { type: "string", format: "email" },
+        age: { type: "integer", minimum: 0 },
+        role: { type: "string", enum: ["STUDENT", "INSTRUCTOR"] },
+        deletedAt: { type: "string", nullable: true },
+      },
+      required: ["email", "age", "deletedAt"],
+      additionalProperties: false,
+    });
+  });
+
+  it("describes refinements by the schema they refine", () => {
+    const schema = z
+      .string()
+      .regex(/^\d+$/)
+      .refine((value) => value !== "0")
+      .describe("A count");
+    expect(toJsonSchema(schema)).toEqual({
+      type: "string",
+      pattern: "^\\d+$",
+      description: "A count",
+    });
+  });
+
+  it("refers to the given schemas instead of describing them", () => {
+    const user = z.object({ name: z.string() });
+    const refs = new Map([[user, "#/components/schemas/User"]]);
+    expect(toJsonSchema(z.array(user), refs)).toEqual({
+      type: "array",
+      items: { $ref: "#/components/schemas/User" },
+    });
+  });
+
+  it("throws given a type it can not convert", () => {
+    expect(() => toJsonSchema(z.date())).toThrow("ZodDate");
+  });
+});
+
+describe("Test toParameters", () => {
+  it("marks path parameters and required query parameters", () => {
+    const parameters = [
+      ...toParameters(z.object({ id: z.string() }), "path"),
+      ...toParameters(z.object({ q: z.string().optional() }), "query"),
+    ];
+    expect(parameters).toEqual([
+      { name: "id", in: "path", required: true, schema: { type: "string" } },
+      { name: "q", in: "query", required: false, schema: { type: "string" } },
+    ]);
+  });
+});
+
+describe("Test toOpenApiPath", () => {
+  it("converts express parameters", () => {
+    expect(toOpenApiPath("/courses/:id/roster/:student")).toBe(
+      "/courses/{id}/roster/{student}"
+    );
+  });
+});
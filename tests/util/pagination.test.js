@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_LIMIT,
+  paginate,
+  parsePagination,
+} from "../../src/util/pagination.js";
+
+const req = (query) => ({ baseUrl: "", path: "/users", query });
+
+describe("Test parsePagination", () => {
+  it("uses the defaults", () => {
+    expect(parsePagination({})).toEqual({ limit: DEFAULT_LIMIT, offset: 0 });
+  });
+
+  it("converts the query strings to numbers", () => {
+    expect(parsePagination({ limit: "5", offset: "10" })).toEqual({
+      limit: 5,
+      offset: 10,
+    });
+  });
+});
+
+describe("Test paginate", () => {
+  it("first page", () => {
+    const { meta, links } = paginate(req({ role: "STUDENT" }), {
+      total: 12,
+      limit: 5,
+      offset: 0,
+    });
+    expect(meta).toEqual({ total: 12, limit: 5, offset: 0, page: 1, pages: 3 });
+    expect(links.self).toBe("/users?role=STUDENT&limit=5&offset=0");
+    expect(links.next).toBe("/users?role=STUDENT&limit=5&offset=5");
+    expect(links.prev).toBeNull();
+  });
+
+  it("last page", () => {
+    const { meta, links } = paginate(req({}), {
+      total: 12,
+      limit: 5,
+      offset: 10,
+    });
+    expect(meta.page).toBe(3);
+    expect(links.next).toBeNull();
+    expect(links.prev).toBe("/users?limit=5&offset=5");
+  });
+});
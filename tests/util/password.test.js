@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { hashPassword, verifyPassword } from "../../src/util/password.js";
+
+describe("Test hashPassword", () => {
+  it("resolves to a hash the password verifies against", async () => {
+    const promise = hashPassword("secret1");
+    expect(promise).toBeInstanceOf(Promise);
+    const hash = await promise;
+    expect(hash).not.toBe("secret1");
+    expect(await verifyPassword("secret1", hash)).toBe(true);
+    expect(await verifyPassword("secret2", hash)).toBe(false);
+  });
+
+  it("salts every hash", async () => {
+    expect(await hashPassword("secret1")).not.toBe(
+      await hashPassword("secret1")
+    );
+  });
+});
+
+describe("Test verifyPassword", () => {
+  it("resolves to whether the password matches the hash", async () => {
+    const hash = await hashPassword("secret1");
+    const promise = verifyPassword("secret1", hash);
+    expect(promise).toBeInstanceOf(Promise);
+    expect(await promise).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import { applyJsonPatch, applyMergePatch } from "../../src/util/patch.js";
+
+const newDocument = () => ({
+  name: faker.name.fullName(),
+  email: faker.internet.email(),
+  tags: [faker.lorem.word(), faker.lorem.word()],
+  address: { city: faker.address.city() },
+});
+
+describe("Test applyMergePatch", () => {
+  it("replaces, adds and removes members", () => {
+    const document = newDocument();
+    const name = faker.name.fullName();
+    const result = applyMergePatch(document, {
+      name,
+      email: null,
+      role: "STUDENT",
+    });
+    expect(result.name).toBe(name);
+    expect(result.email).toBeUndefined();
+    expect(result.role).toBe("STUDENT");
+    expect(result.tags).toEqual(document.tags);
+  });
+
+  it("merges nested objects and replaces arrays", () => {
+    const document = newDocument();
+    const result = applyMergePatch(document, {
+      address: { zip: "12345" },
+      tags: [],
+    });
+    expect(result.address).toEqual({ ...document.address, zip: "12345" });
+    expect(result.tags).toEqual([]);
+  });
+
+  it("does not change the target", () => {
+    const document = newDocument();
+    const copy = JSON.parse(JSON.stringify(document));
+    applyMergePatch(document, { name: null, address: { city: null } });
+    expect(document).toEqual(copy);
+  });
+});
+
+describe("Test applyJsonPatch", () => {
+  it("applies the operations in order", () => {
+    const document = newDocument();
+    const name = faker.name.fullName();
+    const result = applyJsonPatch(document, [
+      { op: "test", path: "/email", value: document.email },
+      { op: "replace", path: "/name", value: name },
+      { op: "add", path: "/tags/-", value: "new" },
+      { op: "remove", path: "/tags/0" },
+      { op: "copy", from: "/address/city", path: "/city" },
+      { op: "move", from: "/email", path: "/contact" },
+    ]);
+    expect(result).toEqual({
+      name,
+      contact: document.email,
+      tags: [document.tags[1], "new"],
+      address: document.address,
+      city: document.address.city,
+    });
+  });
+
+  it("unescapes ~0 and ~1 in pointers", () => {
+    const result = applyJsonPatch({ "a/b": 1, "c~d": 2 }, [
+      { op: "remove", path: "/a~1b" },
+      { op: "replace", path: "/c~0d", value: 3 },
+    ]);
+    expect(result).toEqual({ "c~d": 3 });
+  });
+
+  it("applies all operations or none", () => {
+    const document = newDocument();
+    const copy = JSON.parse(JSON.stringify(document));
+    try {
+      applyJsonPatch(document, [
+        { op: "replace", path: "/name", value: faker.name.fullName() },
+        { op: "remove", path: "/missing" },
+      ]);
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+    expect(document).toEqual(copy);
+  });
+
+  it("responds 409 when a test fails", () => {
+    try {
+      applyJsonPatch(newDocument(), [
+        { op: "test", path: "/name", value: faker.lorem.word() },
+      ]);
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(409);
+    }
+  });
+
+  it("responds 400 for an invalid array index", () => {
+    try {
+      applyJsonPatch(newDocument(), [{ op: "remove", path: "/tags/5" }]);
+      expect.unreachable();
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+});
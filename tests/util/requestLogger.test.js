@@ -0,0 +1,84 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import express from "express";
+import supertest from "supertest";
+import { faker } from "@faker-js/faker";
+import { requestLogger } from "../../src/util/requestLogger.js";
+import { logger } from "../../src/util/logger.js";
+import { getRequestId } from "../../src/util/context.js";
+
+const app = express();
+app.use(requestLogger);
+app.get("/id", async (req, res) => {
+  // the id is still known after awaiting, e.g. a DAO call
+  await new Promise((resolve) => setTimeout(resolve, 1));
+  res.json({ requestId: getRequestId() });
+});
+app.get("/missing", (req, res) => res.status(404).end());
+app.post("/invitations/:token/accept", (req, res) => res.status(201).end());
+const request = supertest(app);
+
+describe("Test requestLogger", () => {
+  let entries;
+  const { level, write } = logger;
+
+  beforeAll(() => {
+    logger.setLevel("info");
+    logger.write = (line) => entries.push(JSON.parse(line));
+  });
+
+  beforeEach(() => {
+    entries = [];
+  });
+
+  it("assigns a request id", async () => {
+    const response = await request.get("/id");
+    const requestId = response.headers["x-request-id"];
+    expect(requestId).toMatch(/^[\w-]{36}$/);
+    expect(response.body.requestId).toBe(requestId);
+  });
+
+  it("keeps the request id it was given", async () => {
+    const requestId = faker.datatype.uuid();
+    const response = await request.get("/id").set("X-Request-Id", requestId);
+    expect(response.headers["x-request-id"]).toBe(requestId);
+    expect(response.body.requestId).toBe(requestId);
+  });
+
+  it("replaces a malformed request id", async () => {
+    const response = await request
+      .get("/id")
+      .set("X-Request-Id", "<script>alert(1)</script>");
+    expect(response.headers["x-request-id"]).not.toMatch(/script/);
+  });
+
+  it("logs the completed request", async () => {
+    const response = await request.get("/missing?q=1");
+    expect(entries.length).toBe(1);
+    expect(entries[0]).toMatchObject({
+      level: "warn",
+      msg: "request completed",
+      requestId: response.headers["x-request-id"],
+      method: "GET",
+      path: "/missing",
+      status: 404,
+    });
+    expect(entries[0].latency).toBeGreaterThanOrEqual(0);
+  });
+
+  it("logs the route instead of the tokens in the path", async () => {
+    const token = faker.random.alphaNumeric(43);
+    await request.post(`/invitations/${token}/accept`);
+    expect(entries.length).toBe(1);
+    expect(entries[0]).toMatchObject({
+      msg: "request completed",
+      path: "/invitations/:token/accept",
+      status: 201,
+    });
+    expect(JSON.stringify(entries)).not.toContain(token);
+  });
+
+  afterAll(() => {
+    logger.setLevel(level);
+    logger.write = write;
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import http from "http";
+import { gracefulShutdown, isShuttingDown } from "../../src/util/shutdown.js";
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, () => resolve(server));
+  });
+
+const get = (port) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ port, agent: false }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      })
+      .on("error", reject);
+  });
+
+describe("Test gracefulShutdown", () => {
+  it("drains the requests in flight before cleaning up", async () => {
+    const steps = [];
+    const server = await listen((req, res) => {
+      setTimeout(() => {
+        steps.push("responded");
+        res.end("done");
+      }, 50);
+    });
+
+    const response = get(server.address().port);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    await gracefulShutdown(server, {
+      cleanup: async () => steps.push("cleaned up"),
+    });
+
+    expect(isShuttingDown()).toBe(true);
+    expect(await response).toEqual({ status: 200, body: "done" });
+    expect(steps).toEqual(["responded", "cleaned up"]);
+    expect(server.listening).toBe(false);
+  });
+});
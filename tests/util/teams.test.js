@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { shuffle, splitIntoTeams } from "../../src/util/teams.js";
+
+// a random number generator that always returns the same sequence
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const range = (n) => Array.from({ length: n }, (_, index) => index);
+
+describe("Test shuffle", () => {
+  it("keeps every item and leaves the given array as is", () => {
+    const items = range(10);
+    const shuffled = shuffle(items, seeded(42));
+    expect(items).toEqual(range(10));
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+  });
+
+  it("uses the given random numbers", () => {
+    expect(shuffle(range(10), seeded(7))).toEqual(
+      shuffle(range(10), seeded(7))
+    );
+    // swaps each item, from the last one down, with the first one
+    expect(shuffle([1, 2, 3], () => 0)).toEqual([2, 3, 1]);
+  });
+});
+
+describe("Test splitIntoTeams", () => {
+  it("balances the teams", () => {
+    for (const [items, count] of [
+      [10, 3],
+      [7, 7],
+      [2, 4],
+      [25, 4],
+    ]) {
+      const teams = splitIntoTeams(range(items), count, seeded(items));
+      const sizes = teams.map((team) => team.length);
+      expect(teams.length).toBe(count);
+      expect(Math.max(...sizes) - Math.min(...sizes)).toBeLessThanOrEqual(1);
+      expect(teams.flat().sort((a, b) => a - b)).toEqual(range(items));
+    }
+  });
+
+  it("returns empty teams given no items", () => {
+    expect(splitIntoTeams([], 2)).toEqual([[], []]);
+  });
+});
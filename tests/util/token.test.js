@@ -0,0 +1,83 @@
+import { describe, expect, it, beforeEach, afterAll } from "vitest";
+import jsonWebToken from "jsonwebtoken";
+import mongoose from "mongoose";
+import { createToken, decodeToken } from "../../src/util/token.js";
+import { getConfig, resetConfig } from "../../src/util/config.js";
+import { getKeyStore, resetKeyStore } from "../../src/util/keys.js";
+import { UserRole } from "../../src/model/UserRole.js";
+
+const newUser = () => ({
+  id: mongoose.Types.ObjectId().toString(),
+  role: UserRole.Student,
+});
+
+describe("Test createToken and decodeToken", () => {
+  it("sets and checks the standard claims", () => {
+    const user = newUser();
+    const token = createToken({ user });
+    const { header, payload } = jsonWebToken.decode(token, { complete: true });
+    const { issuer, audience } = getConfig().jwt;
+    expect(header.kid).toBe(getKeyStore().signingKey().kid);
+    expect(payload).toMatchObject({ iss: issuer, aud: audience, sub: user.id });
+    expect(payload.jti).toBeDefined();
+    expect(decodeToken(token)).toMatchObject(user);
+  });
+
+  it("gives every token its own id", () => {
+    const user = newUser();
+    const first = decodeToken(createToken({ user }));
+    const second = decodeToken(createToken({ user }));
+    expect(first.jti).not.toBe(second.jti);
+  });
+
+  it("throws given a token for another audience", () => {
+    const { kid, privateKey } = getKeyStore().signingKey();
+    const user = newUser();
+    const token = jsonWebToken.sign(user, privateKey, {
+      keyid: kid,
+      issuer: getConfig().jwt.issuer,
+      audience: "another-api",
+      subject: user.id,
+      jwtid: "1",
+    });
+    expect(() => decodeToken(token)).toThrow(jsonWebToken.JsonWebTokenError);
+  });
+
+  it("throws given a token signed by an unknown key", () => {
+    const token = jsonWebToken.sign(newUser(), "another secret", {
+      keyid: "unknown",
+    });
+    expect(() => decodeToken(token)).toThrow("unknown key");
+  });
+
+  describe("with asymmetric keys", () => {
+    beforeEach(() => {
+      process.env.JWT_ALGORITHM = "ES256";
+      resetConfig();
+      resetKeyStore();
+    });
+
+    it("verifies the tokens with the published keys", () => {
+      const user = newUser();
+      const token = createToken({ user });
+      expect(decodeToken(token)).toMatchObject(user);
+
+      const { header } = jsonWebToken.decode(token, { complete: true });
+      expect(header.alg).toBe("ES256");
+      const { keys } = getKeyStore().toJwks();
+      expect(keys.map((key) => key.kid)).toContain(header.kid);
+    });
+
+    it("still verifies tokens signed before a rotation", () => {
+      const token = createToken({ user: newUser() });
+      getKeyStore().rotate();
+      expect(() => decodeToken(token)).not.toThrow();
+    });
+
+    afterAll(() => {
+      delete process.env.JWT_ALGORITHM;
+      resetConfig();
+      resetKeyStore();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { faker } from "@faker-js/faker";
+import { z } from "zod";
+import { validate } from "../../src/util/validate.js";
+import { ErrorCode } from "../../src/model/ApiError.js";
+
+// runs the middleware and resolves with the argument passed to next()
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, (err) => resolve(err)));
+
+const schemas = {
+  params: z.object({ id: z.string().min(1) }),
+  body: z.object({ name: z.string().min(1), email: z.string().email() }),
+};
+
+describe("Test validate", () => {
+  it("replaces the request parts with the parsed values", async () => {
+    const name = faker.name.fullName();
+    const email = faker.internet.email();
+    const req = {
+      params: { id: "1" },
+      body: { name, email, extra: faker.lorem.word() },
+    };
+    const err = await run(validate(schemas), req);
+    expect(err).toBeUndefined();
+    expect(req.body).toEqual({ name, email });
+  });
+
+  it("responds 400 listing every invalid field", async () => {
+    const req = { params: { id: "" }, body: { email: faker.lorem.word() } };
+    const err = await run(validate(schemas), req);
+    expect(err.status).toBe(400);
+    expect(err.code).toBe(ErrorCode.ValidationFailed);
+    expect(err.errors.map((error) => error.field)).toEqual([
+      "id",
+      "name",
+      "email",
+    ]);
+    for (const error of err.errors) {
+      expect(error.code).toBeDefined();
+      expect(error.message).toBeDefined();
+    }
+  });
+});